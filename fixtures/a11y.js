@@ -0,0 +1,84 @@
+/**
+ * ACCESSIBILITY MATCHERS
+ * ======================
+ * - toPassA11yAudit(options)       expect(page) passes the helpers/a11y-audit.js rules
+ * - toPassContrastAudit(options)   expect(page) text meets WCAG contrast (helpers/contrast.js)
+ * - toConformToAriaPattern(pattern, options)
+ *                                  expect(locator) passes every required check of a WAI-ARIA
+ *                                  pattern (helpers/aria-patterns.js)
+ *
+ *   await expect(page).toPassA11yAudit();
+ *   await expect(page).toPassA11yAudit({ rules: ['image-alt'] });
+ *   await expect(page).toPassA11yAudit({ exclude: ['.left-pannel'] });
+ *
+ * The failure message lists every finding with its rule, selector and
+ * opening tag:
+ *
+ *   1 accessibility finding(s):
+ *     [control-label] #permanentAddress
+ *         Form control has no accessible name
+ *         <textarea rows="5" cols="20" id="permanentAddress" class="form-control">
+ *
+ *   await expect(page).toPassContrastAudit();                     // WCAG AA
+ *   await expect(page).toPassContrastAudit({ level: 'AAA', exclude: ['footer'] });
+ *
+ *   await expect(page.getByRole('tablist')).toConformToAriaPattern('tabs');
+ *   await expect(page.getByRole('listbox', { name: 'Color' })).toConformToAriaPattern('listbox');
+ *
+ * The toConformToAriaPattern() message is the whole scorecard, with the
+ * failed required checks marked FAIL.
+ *
+ * PLAYWRIGHT FEATURES COVERED:
+ * - expect.extend() with an async custom matcher
+ * - locator.ariaSnapshot() as a window into the accessibility tree
+ * - page.evaluate() over getComputedStyle() for painted colors
+ *
+ * INTERVIEW TIP: A custom matcher turns a helper into a sentence -
+ * reviewers read `expect(page).toPassA11yAudit()` without opening the
+ * helper, and the failure explains itself.
+ */
+
+const { auditA11y, formatFindings } = require('../helpers/a11y-audit');
+const { auditContrast, contrastFailures, formatContrastReport } = require('../helpers/contrast');
+const { checkAriaPattern, formatScorecard } = require('../helpers/aria-patterns');
+
+const a11yMatchers = {
+    async toPassA11yAudit(page, options = {}) {
+        const findings = await auditA11y(page, options);
+        const pass = findings.length === 0;
+        const hint = this.utils.matcherHint('toPassA11yAudit', 'page', 'options', { isNot: this.isNot });
+        const scope = options.rules ? `rules: ${options.rules.join(', ')}` : 'all rules';
+        return {
+            name: 'toPassA11yAudit',
+            pass,
+            message: () => (pass
+                ? `${hint}\n\nExpected accessibility findings (${scope}), but the page has none`
+                : `${hint}\n\n${formatFindings(findings)}`),
+        };
+    },
+
+    async toPassContrastAudit(page, { level = 'AA', exclude = [] } = {}) {
+        const results = await auditContrast(page, { exclude });
+        const pass = contrastFailures(results, level).length === 0;
+        const hint = this.utils.matcherHint('toPassContrastAudit', 'page', 'options', { isNot: this.isNot });
+        return {
+            name: 'toPassContrastAudit',
+            pass,
+            message: () => (pass
+                ? `${hint}\n\nExpected text below WCAG ${level} contrast, but ${results.length} text element(s) all pass`
+                : `${hint}\n\n${formatContrastReport(results, level)}`),
+        };
+    },
+
+    async toConformToAriaPattern(locator, pattern, options = {}) {
+        const card = await checkAriaPattern(locator, pattern, options);
+        const hint = this.utils.matcherHint('toConformToAriaPattern', 'locator', 'pattern', { isNot: this.isNot });
+        return {
+            name: 'toConformToAriaPattern',
+            pass: card.conforms,
+            message: () => `${hint}\n\n${formatScorecard(card)}`,
+        };
+    },
+};
+
+module.exports = { a11yMatchers };
@@ -0,0 +1,141 @@
+/**
+ * CONSOLE FIXTURES
+ * ================
+ * - consoleGuard          Fails the test on browser console errors, warnings
+ *                         and uncaught page errors (auto)
+ * - consoleAllowlist      Option: regexes for known noise, set per project
+ * - failOnConsoleErrors   Option to turn the failure off
+ *
+ * Built on browserLogs (fixtures/demoqa.js). An entry is allowed when
+ * any regex matches its text or its source URL - never the page URL,
+ * or one broad regex would silence every error on that page:
+ *
+ *   // playwright.config.js - per project
+ *   use: { consoleAllowlist: [...DEMOQA_CONSOLE_NOISE, /^\[Intervention\]/] }
+ *
+ *   // per file or describe (replaces the project's list)
+ *   test.use({ consoleAllowlist: [...DEMOQA_CONSOLE_NOISE, /ResizeObserver loop/] });
+ *
+ *   // per test (adds to the list)
+ *   test('...', async ({ page, consoleGuard }) => {
+ *       consoleGuard.allow(/Toolsqa_1\.jpg/);
+ *   });
+ *
+ * At teardown the test fails with one line per offending entry:
+ *
+ *   2 unexpected browser errors:
+ *     - console.error "Uncaught TypeError: x is undefined" (http://localhost:3000/js/books.js:12)
+ *     - pageerror "boom" (http://localhost:3000/text-box)
+ *
+ * The full log (allowed entries marked with the regex that allowed
+ * them) is attached as console-log.json whenever it is not empty.
+ *
+ * PLAYWRIGHT FEATURES COVERED:
+ * - Option fixtures set per project in playwright.config.js
+ * - Fixtures depending on other auto fixtures
+ * - Throwing from an auto fixture's teardown to fail the test
+ *
+ * INTERVIEW TIP: A green test over a page that throws is a bug report
+ * nobody reads. Fail on every browser error, then allow the known
+ * noise by name - the allowlist documents what you chose to ignore.
+ */
+
+/**
+ * DEMOQA CONSOLE NOISE
+ * --------------------
+ * What the live site logs without anything being wrong with the page
+ * under test: blocked or failing ad/analytics requests, and the inline
+ * ad snippets that throw once their script was blocked.
+ */
+const DEMOQA_CONSOLE_NOISE = [
+    /(^|[/.])(googlesyndication\.com|doubleclick\.net|googletagservices\.com|googletagmanager\.com|google-analytics\.com|adservice\.google\.[a-z.]+|amazon-adsystem\.com|adplus\.io|ad\.plus)\//,
+    /\b(adsbygoogle|googletag|gtag|__tcfapi)\b.*(not defined|undefined)/,
+];
+
+/* console.* types that count; log/info/debug never fail a test */
+const CONSOLE_TYPES = ['error', 'warning'];
+
+/* HAR replay aborts requests missing from the HAR and reports them itself */
+const HAR_REPLAY_NOISE = /net::ERR_INTERNET_DISCONNECTED/;
+
+function describeEntry(entry) {
+    const where = entry.source || entry.page;
+    return `${entry.kind} ${JSON.stringify(entry.text)}${where ? ` (${where})` : ''}`;
+}
+
+function sourceOf(location) {
+    if (!location || !location.url) return '';
+    return location.lineNumber ? `${location.url}:${location.lineNumber + 1}` : location.url;
+}
+
+/**
+ * COLLECT
+ * -------
+ * browserLogs as one list of { kind, text, source, page }; console
+ * messages other than errors and warnings are left out.
+ */
+function collect(logs) {
+    const consoleEntries = logs.console
+        .filter(message => CONSOLE_TYPES.includes(message.type))
+        .map(message => ({ kind: `console.${message.type === 'warning' ? 'warn' : message.type}`, text: message.text, source: sourceOf(message.location), page: message.page }));
+    const pageErrors = logs.pageErrors
+        .map(error => ({ kind: 'pageerror', text: error.message, source: '', page: error.page }));
+    return [...consoleEntries, ...pageErrors];
+}
+
+function allowedBy(entry, allowlist) {
+    const pattern = allowlist.find(regex => [entry.text, entry.source].some(value => value && regex.test(value)));
+    return pattern ? String(pattern) : null;
+}
+
+const consoleFixtures = {
+    /**
+     * OPTIONS
+     * -------
+     * consoleAllowlist defaults to DEMOQA_CONSOLE_NOISE; a project or
+     * test.use() that sets it replaces the whole list.
+     *   test.use({ failOnConsoleErrors: false });
+     * still collects and attaches the log.
+     */
+    consoleAllowlist: [DEMOQA_CONSOLE_NOISE, { option: true }],
+    failOnConsoleErrors: [true, { option: true }],
+
+    /**
+     * CONSOLE GUARD (auto)
+     * --------------------
+     * Value:
+     *   allow(...regexes)   add to the allowlist for this test only
+     *   entries()           errors/warnings so far, each with allowedBy
+     *   unexpected()        the entries that would fail the test
+     */
+    consoleGuard: [async ({ browserLogs, consoleAllowlist, failOnConsoleErrors, harMode }, use, testInfo) => {
+        const allowlist = [...consoleAllowlist];
+        if (harMode === 'replay' || harMode === 'refresh') allowlist.push(HAR_REPLAY_NOISE);
+        const entries = () => collect(browserLogs).map(entry => ({ ...entry, allowedBy: allowedBy(entry, allowlist) }));
+
+        await use({
+            allow: (...patterns) => {
+                for (const pattern of patterns) {
+                    if (!(pattern instanceof RegExp)) throw new TypeError(`consoleGuard.allow() takes regexes, got ${JSON.stringify(pattern)}`);
+                    allowlist.push(pattern);
+                }
+            },
+            entries,
+            unexpected: () => entries().filter(entry => !entry.allowedBy),
+        });
+
+        const log = entries();
+        if (log.length) {
+            await testInfo.attach('console-log.json', { body: JSON.stringify(log, null, 2), contentType: 'application/json' });
+        }
+        const offending = log.filter(entry => !entry.allowedBy);
+        if (failOnConsoleErrors && offending.length) {
+            const lines = offending.map(entry => `  - ${describeEntry(entry)}`);
+            const noun = offending.length === 1 ? 'error' : 'errors';
+            throw new Error(`${offending.length} unexpected browser ${noun}:\n${lines.join('\n')}\n` +
+                'Fix them, or allow known noise with consoleGuard.allow(/.../) or the consoleAllowlist option.');
+        }
+    }, { auto: true }],
+};
+
+module.exports = { consoleFixtures, DEMOQA_CONSOLE_NOISE };
@@ -0,0 +1,218 @@
+/**
+ * DEMOQA FIXTURES
+ * ===============
+ * Everyday fixtures shared by all specs:
+ *
+ * - demoqaPage(route, options)  Navigate with one consistent waitUntil
+ * - artifacts                   Per-test scratch directory
+ * - browserLogs                 Console messages + uncaught page errors
+ * - suppressAds                 Block ad hosts and hide fixed overlays
+ * - contextHooks / context      Context setup for the auto fixtures, run
+ *                               only once the test opens a context
+ * - MAIN_REGION (export)        Selector of the centre column, for specs
+ *
+ * PLAYWRIGHT FEATURES COVERED:
+ * - Function fixtures (a fixture whose value is a helper)
+ * - Option fixtures ({ option: true }) configurable per project/file
+ * - Auto fixtures ({ auto: true }) that run without being requested
+ * - Overriding the built-in context fixture
+ * - context.route(), context.addInitScript(), context.on('console')
+ * - testInfo.outputPath() and testInfo.attach()
+ *
+ * INTERVIEW TIP: A fixture that returns a function is the idiomatic
+ * replacement for "helper methods on a base page class" - no Page
+ * Object Model needed, and each test only pays for what it asks for.
+ */
+
+const fs = require('fs');
+
+/**
+ * AD HOSTS & OVERLAYS
+ * -------------------
+ * DemoQA loads Google ads plus a fixed banner and footer that sit on
+ * top of form buttons and intercept clicks.
+ */
+const AD_HOSTS = /(^|\.)(googlesyndication\.com|doubleclick\.net|googletagservices\.com|googletagmanager\.com|google-analytics\.com|adservice\.google\.[a-z.]+|amazon-adsystem\.com|adplus\.io|ad\.plus)$/;
+
+const OVERLAY_CSS = `
+    #fixedban, #adplus-anchor, .adsbygoogle, [id^="google_ads_iframe"],
+    iframe[src*="googlesyndication"], iframe[src*="doubleclick"], footer {
+        display: none !important;
+    }`;
+
+function isAdRequest(url) {
+    try {
+        return AD_HOSTS.test(new URL(url).hostname);
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * CONTEXT HOOKS
+ * -------------
+ * An auto fixture that asks for `context` makes every test launch a
+ * browser, request-only and pure-Node ones included. The auto fixtures
+ * here register a hook instead:
+ *
+ *   await contextHooks.add(async context => {
+ *       context.on('console', onConsole);
+ *       return async () => context.off('console', onConsole);
+ *   });
+ *
+ * The `context` override runs the hooks once the test (or its page)
+ * asks for a context, and their cleanups in reverse order before the
+ * context closes. A hook added after that runs straight away.
+ */
+function createContextHooks() {
+    const hooks = [];
+    const cleanups = [];
+    let current = null;
+
+    const run = async hook => {
+        const cleanup = await hook(current);
+        if (cleanup) cleanups.push(cleanup);
+    };
+
+    return {
+        add: async hook => {
+            hooks.push(hook);
+            if (current) await run(hook);
+        },
+        attach: async context => {
+            current = context;
+            for (const hook of hooks) await run(hook);
+        },
+        detach: async () => {
+            current = null;
+            while (cleanups.length) await cleanups.pop()();
+        },
+    };
+}
+
+/**
+ * MAIN REGION
+ * -----------
+ * DemoQA has no <main>; the centre column holds the heading and the
+ * widget. Direct children only - nested .col-md-6 grids (11 of them on
+ * /select-menu) and the left panel's .accordion stay out.
+ */
+const MAIN_REGION = '.playgound-body > .row > .col-md-6';
+
+const demoqaFixtures = {
+    /**
+     * OPTIONS
+     * -------
+     * Override in playwright.config.js or per file:
+     *   test.use({ demoqaWaitUntil: 'load', suppressAds: false });
+     */
+    demoqaWaitUntil: ['domcontentloaded', { option: true }],
+    suppressAds: [true, { option: true }],
+
+    /**
+     * CONTEXT HOOKS + CONTEXT
+     * -----------------------
+     * contextHooks is the per-test registry; the context override wraps
+     * the built-in (or HAR-routed) context and runs it.
+     */
+    contextHooks: async ({}, use) => {
+        await use(createContextHooks());
+    },
+
+    context: async ({ context, contextHooks }, use) => {
+        await contextHooks.attach(context);
+        await use(context);
+        await contextHooks.detach();
+    },
+
+    /**
+     * AD / OVERLAY SUPPRESSION (auto)
+     * -------------------------------
+     * Aborts ad requests and injects a stylesheet before any page
+     * script runs. Registered on the context so popups are covered too.
+     */
+    adBlocker: [async ({ contextHooks, suppressAds }, use) => {
+        if (suppressAds) {
+            await contextHooks.add(async context => {
+                await context.route(url => isAdRequest(url.href), route => route.abort('blockedbyclient'));
+                await context.addInitScript(css => {
+                    const inject = () => {
+                        const style = document.createElement('style');
+                        style.setAttribute('data-test-overlays', '');
+                        style.textContent = css;
+                        document.documentElement.appendChild(style);
+                    };
+                    if (document.documentElement) inject();
+                    else document.addEventListener('DOMContentLoaded', inject);
+                }, OVERLAY_CSS);
+            });
+        }
+        await use();
+    }, { auto: true }],
+
+    /**
+     * DEMOQA PAGE
+     * -----------
+     * await demoqaPage('/text-box') navigates with the configured
+     * waitUntil, asserts the response is OK and returns the page.
+     * Extra goto() options (timeout, referer, waitUntil) pass through.
+     */
+    demoqaPage: async ({ page, demoqaWaitUntil }, use) => {
+        await use(async (route, options = {}) => {
+            const response = await page.goto(route, { waitUntil: demoqaWaitUntil, ...options });
+            if (response && !response.ok()) {
+                throw new Error(`demoqaPage('${route}') answered ${response.status()} ${response.statusText()}`);
+            }
+            return page;
+        });
+    },
+
+    /**
+     * ARTIFACTS
+     * ---------
+     * Empty directory unique to this test (and retry) inside
+     * test-results/, so it is kept next to the trace on failure and
+     * wiped on the next run.
+     */
+    artifacts: async ({}, use, testInfo) => {
+        const dir = testInfo.outputPath('artifacts');
+        fs.mkdirSync(dir, { recursive: true });
+        await use(dir);
+    },
+
+    /**
+     * BROWSER LOGS (auto)
+     * -------------------
+     * Collects console messages and uncaught page errors from every
+     * page of the test. Attached as browser-logs.json when the test
+     * fails; tests can also assert on it directly:
+     *
+     *   expect(browserLogs.pageErrors).toEqual([]);
+     */
+    browserLogs: [async ({ contextHooks }, use, testInfo) => {
+        const logs = { console: [], pageErrors: [] };
+        const onConsole = message => {
+            logs.console.push({ type: message.type(), text: message.text(), location: message.location(), page: message.page() && message.page().url() });
+        };
+        const onPage = page => page.on('pageerror', error => {
+            logs.pageErrors.push({ message: error.message, stack: error.stack, page: page.url() });
+        });
+        await contextHooks.add(async context => {
+            context.on('console', onConsole);
+            context.on('page', onPage);
+            context.pages().forEach(onPage);
+            return async () => {
+                context.off('console', onConsole);
+                context.off('page', onPage);
+            };
+        });
+
+        await use(logs);
+
+        if (testInfo.status !== testInfo.expectedStatus && (logs.console.length || logs.pageErrors.length)) {
+            await testInfo.attach('browser-logs.json', { body: JSON.stringify(logs, null, 2), contentType: 'application/json' });
+        }
+    }, { auto: true }],
+};
+
+module.exports = { demoqaFixtures, isAdRequest, MAIN_REGION };
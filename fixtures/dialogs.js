@@ -0,0 +1,106 @@
+/**
+ * DIALOG FIXTURES
+ * ===============
+ * - dialogGuard                Fails the test on unhandled or unexpected dialogs (auto)
+ * - failOnUnexpectedDialogs    Option to turn the failure off
+ *
+ * A dialog counts as:
+ * - handled     matched by expectDialog() (helpers/dialogs.js) or
+ *               answered by the test's own page.on('dialog') handler
+ * - unexpected  arrived while expectDialog() waited for a different one
+ * - unhandled   nobody answered it within DIALOG_GRACE_MS - the guard
+ *               dismisses it (accepts a beforeunload, like Playwright's
+ *               default) so the page does not hang
+ * - unanswered  matched by expectDialog(), but its accept() / dismiss()
+ *               had not run within DIALOG_GRACE_MS - dismissed the same way
+ *
+ * Teardown judges dialogs still in their grace period at once, so a
+ * test does not pay for the grace period after it ended.
+ *
+ * At teardown the test fails with one line per offending dialog:
+ *
+ *   2 unexpected dialogs:
+ *     - alert dialog "You clicked a button" (unhandled)
+ *     - confirm dialog "Do you confirm action?" (unexpected)
+ *
+ * PLAYWRIGHT FEATURES COVERED:
+ * - context.on('dialog') - sees dialogs from every page and popup
+ * - Throwing from an auto fixture's teardown to fail the test
+ *
+ * INTERVIEW TIP: Without a listener Playwright auto-dismisses dialogs,
+ * which hides them. A context-level listener that insists every dialog
+ * was answered turns a silent wrong branch into a failure.
+ */
+
+const { dialogVerdict, describeDialog } = require('../helpers/dialogs');
+
+/* How long the test's own handlers get before the guard steps in */
+const DIALOG_GRACE_MS = 1000;
+
+const dialogFixtures = {
+    /**
+     * OPTIONS
+     * -------
+     *   test.use({ failOnUnexpectedDialogs: false });
+     * still records (and dismisses) offending dialogs in dialogGuard.
+     */
+    failOnUnexpectedDialogs: [true, { option: true }],
+
+    /**
+     * DIALOG GUARD (auto)
+     * -------------------
+     * Value is the list of offending dialogs so far:
+     *   [{ type, message, reason: 'unhandled' | 'unanswered' | 'unexpected', page }]
+     */
+    dialogGuard: [async ({ contextHooks, failOnUnexpectedDialogs }, use) => {
+        const offending = [];
+        const pending = new Set();
+        let endGrace;
+        const teardown = new Promise(resolve => { endGrace = resolve; });
+
+        const judge = async dialog => {
+            let timer;
+            await Promise.race([new Promise(resolve => { timer = setTimeout(resolve, DIALOG_GRACE_MS); }), teardown]);
+            clearTimeout(timer);
+            const entry = { type: dialog.type(), message: dialog.message(), page: dialog.page() && dialog.page().url() };
+            const verdict = dialogVerdict(dialog);
+            if (verdict === 'answered') return;
+            if (verdict === 'unexpected') {
+                offending.push({ ...entry, reason: 'unexpected' });
+                return;
+            }
+            try {
+                if (dialog.type() === 'beforeunload') await dialog.accept();
+                else await dialog.dismiss();
+            } catch (error) {
+                // Already answered by the test's own handler
+                return;
+            }
+            offending.push({ ...entry, reason: verdict === 'expected' ? 'unanswered' : 'unhandled' });
+        };
+        const onDialog = dialog => {
+            const check = judge(dialog);
+            pending.add(check);
+            check.finally(() => pending.delete(check));
+        };
+        await contextHooks.add(async context => {
+            context.on('dialog', onDialog);
+            return async () => {
+                // Judged now, while the context is open - an unhandled dialog still gets dismissed
+                endGrace();
+                await Promise.all(pending);
+                context.off('dialog', onDialog);
+            };
+        });
+
+        await use(offending);
+
+        if (failOnUnexpectedDialogs && offending.length) {
+            const lines = offending.map(entry => `  - ${describeDialog(entry)} (${entry.reason})`);
+            const noun = offending.length === 1 ? 'dialog' : 'dialogs';
+            throw new Error(`${offending.length} unexpected ${noun}:\n${lines.join('\n')}`);
+        }
+    }, { auto: true }],
+};
+
+module.exports = { dialogFixtures };
@@ -0,0 +1,155 @@
+/**
+ * DOWNLOAD FIXTURES
+ * =================
+ * - downloads    Captures every download of the test (auto)
+ *
+ * Each download is saved to test-results/<test>/downloads/ and
+ * described by a record:
+ *
+ *   {
+ *     suggestedFilename: 'sampleFile.jpeg',
+ *     url: 'https://demoqa.com/files/sampleFile.jpeg',
+ *     path: '.../downloads/sampleFile.jpeg',
+ *     size: 11472,
+ *     mimeType: 'image/jpeg',          // sniffed from the bytes
+ *     sha256: '3f1c...',
+ *     failure: null,                   // or Playwright's failure text
+ *   }
+ *
+ * Usage:
+ *   test('...', async ({ page, downloads }) => {
+ *       const file = await downloads.capture(() => page.locator('#downloadButton').click());
+ *       expect(file.mimeType).toBe('image/jpeg');
+ *       expect(downloads.parse(file)).toMatchObject({ width: 640, height: 480 });
+ *   });
+ *
+ * All records are attached as downloads.json, and every file as
+ * download-<name>, whether the test passes or fails.
+ *
+ * PLAYWRIGHT FEATURES COVERED:
+ * - page.on('download'), download.saveAs(), download.failure()
+ * - testInfo.outputPath() and testInfo.attach({ path })
+ *
+ * INTERVIEW TIP: "The file exists" proves little. Size, hash and the
+ * sniffed type catch an empty file, a stale cached copy and an HTML
+ * error page saved as .jpeg.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { sniffMimeType, parseFile } = require('../helpers/file-types');
+
+const DEFAULT_CAPTURE_TIMEOUT = 10000;
+
+/* sampleFile.jpeg, then sampleFile-2.jpeg, ... */
+function uniquePath(dir, filename, taken) {
+    const { name, ext } = path.parse(filename);
+    let candidate = filename;
+    for (let copy = 2; taken.has(candidate); copy++) candidate = `${name}-${copy}${ext}`;
+    taken.add(candidate);
+    return path.join(dir, candidate);
+}
+
+const downloadsFixtures = {
+    /**
+     * DOWNLOADS (auto)
+     * ----------------
+     * - capture(action, { timeout })  Runs the action, resolves with the
+     *                                 record of the next download
+     * - all()                         Every record so far (waits for saves)
+     * - parse(record)                 helpers/file-types parseFile() on it
+     * - dir                           The per-test download directory
+     */
+    downloads: [async ({ contextHooks }, use, testInfo) => {
+        const dir = testInfo.outputPath('downloads');
+        const taken = new Set();
+        const saves = [];
+        const waiters = [];
+
+        const save = async download => {
+            const record = {
+                suggestedFilename: download.suggestedFilename(),
+                url: download.url(),
+                path: null,
+                size: null,
+                mimeType: null,
+                sha256: null,
+                failure: await download.failure(),
+            };
+            if (record.failure) return record;
+            fs.mkdirSync(dir, { recursive: true });
+            record.path = uniquePath(dir, record.suggestedFilename, taken);
+            await download.saveAs(record.path);
+            const buffer = fs.readFileSync(record.path);
+            record.size = buffer.length;
+            record.mimeType = sniffMimeType(buffer);
+            record.sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+            return record;
+        };
+
+        const onDownload = download => {
+            const saved = save(download);
+            // Failures surface through capture() / all() and in downloads.json
+            saved.catch(() => {});
+            saves.push(saved);
+            const waiter = waiters.shift();
+            if (waiter) waiter(saved);
+        };
+        const onPage = page => page.on('download', onDownload);
+        const settled = () => Promise.all(saves.map(saved => saved.catch(error => ({ failure: error.message }))));
+        await contextHooks.add(async context => {
+            context.on('page', onPage);
+            context.pages().forEach(onPage);
+            return async () => {
+                context.off('page', onPage);
+                context.pages().forEach(page => page.off('download', onDownload));
+                // saveAs() needs the context, so finish saving before it closes
+                await settled();
+            };
+        });
+
+        await use({
+            dir,
+            capture: async (action, { timeout = DEFAULT_CAPTURE_TIMEOUT } = {}) => {
+                let waiter;
+                let timer;
+                const stopWaiting = () => {
+                    clearTimeout(timer);
+                    const index = waiters.indexOf(waiter);
+                    if (index !== -1) waiters.splice(index, 1);
+                };
+                const next = new Promise((resolve, reject) => {
+                    waiter = resolve;
+                    timer = setTimeout(() => {
+                        stopWaiting();
+                        reject(new Error(`No download started within ${timeout}ms`));
+                    }, timeout);
+                });
+                next.catch(() => {});
+                waiters.push(waiter);
+                try {
+                    await action();
+                    return await next;
+                } finally {
+                    stopWaiting();
+                }
+            },
+            all: () => Promise.all(saves),
+            parse: record => {
+                if (!record.path) throw new Error(`Download of ${record.suggestedFilename} failed: ${record.failure}`);
+                return parseFile(fs.readFileSync(record.path), record.mimeType);
+            },
+        });
+
+        const records = await settled();
+        if (records.length) {
+            await testInfo.attach('downloads.json', { body: JSON.stringify(records, null, 2), contentType: 'application/json' });
+            for (const record of records.filter(entry => entry.path)) {
+                await testInfo.attach(`download-${path.basename(record.path)}`, { path: record.path, contentType: record.mimeType });
+            }
+        }
+    }, { auto: true }],
+};
+
+module.exports = { downloadsFixtures };
@@ -0,0 +1,120 @@
+/**
+ * FILE FIXTURES
+ * =============
+ * - files    Generated upload files in a per-test temp directory
+ *
+ * Every generator of helpers/file-factory.js, writing to disk:
+ *
+ *   test('...', async ({ page, files }) => {
+ *       await page.locator('#uploadFile').setInputFiles(files.png({ width: 120, height: 80 }));
+ *       files.pdf();                       // '/tmp/demoqa-files/<worker>/<test>/document.pdf'
+ *       files.unicode();                   // 'résumé 履歴書 📄.txt'
+ *       files.large({ megabytes: 5 });
+ *       files.csv({ inMemory: true });     // { name, mimeType, buffer } - nothing on disk
+ *   });
+ *
+ * File names are kept exactly (the page shows them); a second file with
+ * the same name goes into a numbered sub-folder.
+ *
+ * CLEANUP:
+ * - the test's folder is removed at test teardown
+ * - the worker's folder at worker teardown or process exit
+ * - a worker killed outright (crash, SIGKILL) leaves its folder behind;
+ *   the next worker to start removes every folder whose process is gone
+ *
+ * PLAYWRIGHT FEATURES COVERED:
+ * - Worker-scoped fixtures ({ scope: 'worker' })
+ * - setInputFiles() with a path or an in-memory payload
+ *
+ * INTERVIEW TIP: Never write temp files next to the spec - parallel
+ * workers collide on the name and a crash leaves them in git status.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const factory = require('../helpers/file-factory');
+
+const FILES_ROOT = path.join(os.tmpdir(), 'demoqa-files');
+
+function isAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+}
+
+/* Folders are named <pid>-<random>; remove those of dead processes */
+function sweepOrphans() {
+    if (!fs.existsSync(FILES_ROOT)) return;
+    for (const entry of fs.readdirSync(FILES_ROOT)) {
+        const pid = Number(entry.split('-')[0]);
+        if (Number.isInteger(pid) && pid > 0 && !isAlive(pid)) {
+            fs.rmSync(path.join(FILES_ROOT, entry), { recursive: true, force: true });
+        }
+    }
+}
+
+const filesFixtures = {
+    /**
+     * FILES ROOT (worker)
+     * -------------------
+     * This worker's folder under <tmp>/demoqa-files/.
+     */
+    filesRoot: [async ({}, use) => {
+        sweepOrphans();
+        const root = path.join(FILES_ROOT, `${process.pid}-${crypto.randomBytes(4).toString('hex')}`);
+        fs.mkdirSync(root, { recursive: true });
+        const remove = () => fs.rmSync(root, { recursive: true, force: true });
+        process.once('exit', remove);
+
+        await use(root);
+
+        process.off('exit', remove);
+        remove();
+    }, { scope: 'worker' }],
+
+    /**
+     * FILES
+     * -----
+     * png / jpeg / pdf / csv / text / empty / large / unicode - each
+     * takes the file-factory options plus inMemory, and returns a path
+     * (or the payload with inMemory: true). dir is the test's folder.
+     */
+    files: async ({ filesRoot }, use, testInfo) => {
+        const dir = path.join(filesRoot, `${testInfo.testId}-${testInfo.retry}`);
+        fs.mkdirSync(dir, { recursive: true });
+        let folders = 0;
+
+        const write = payload => {
+            let target = path.join(dir, payload.name);
+            if (fs.existsSync(target)) target = path.join(dir, String(++folders), payload.name);
+            fs.mkdirSync(path.dirname(target), { recursive: true });
+            fs.writeFileSync(target, payload.buffer);
+            return target;
+        };
+        const generator = build => ({ inMemory = false, ...options } = {}) => {
+            const payload = build(options);
+            return inMemory ? payload : write(payload);
+        };
+
+        await use({
+            dir,
+            png: generator(factory.png),
+            jpeg: generator(factory.jpeg),
+            pdf: generator(factory.pdf),
+            csv: generator(factory.csv),
+            text: generator(factory.text),
+            empty: generator(factory.empty),
+            large: generator(factory.large),
+            unicode: generator(options => factory.text({ name: factory.UNICODE_NAME, ...options })),
+        });
+
+        fs.rmSync(dir, { recursive: true, force: true });
+    },
+};
+
+module.exports = { filesFixtures };
@@ -0,0 +1,15 @@
+/**
+ * HAR GLOBAL TEARDOWN
+ * ===================
+ * Runs once after all workers finish (record / refresh modes only, see
+ * playwright.config.js) and merges the per-test part files into one HAR
+ * per spec.
+ */
+
+const { mergeHarParts } = require('./har');
+
+module.exports = async function globalTeardown() {
+    for (const { file, entries } of mergeHarParts(process.env.DEMOQA_HAR)) {
+        console.log(`HAR updated: ${file} (${entries} entries)`);
+    }
+};
@@ -0,0 +1,263 @@
+/**
+ * HAR RECORD & REPLAY
+ * ===================
+ * Records every network exchange of a spec into hars/<spec>.har and
+ * replays it with routeFromHAR() on later runs, so specs run offline
+ * and against frozen responses.
+ *
+ * Selected with DEMOQA_HAR (read in playwright.config.js as `harMode`):
+ * - record   Hit the network, save every exchange (newest entry wins)
+ * - replay   Serve from the HAR only; anything missing is aborted,
+ *            attached as har-missing.json and first-party misses fail
+ *            the test instead of hanging
+ * - refresh  Replay fresh entries, re-fetch missing entries and entries
+ *            older than DEMOQA_HAR_MAX_AGE_DAYS (default 7) from the
+ *            network and write them back
+ *
+ * Parallel tests of one spec write separate part files under
+ * hars/.parts/; the global teardown (har-teardown.js) merges them into
+ * the per-spec HAR once all workers are done.
+ *
+ * Only the `context` fixture (and its pages) is routed. Contexts made
+ * with browser.newContext() inside a test still hit the network.
+ *
+ * PLAYWRIGHT FEATURES COVERED:
+ * - context.routeFromHAR() with update / notFound options
+ * - Route ordering (last registered runs first) and route.fallback()
+ * - route.fetch() + route.fulfill({ response })
+ * - Fixture overrides and testInfo.attach()
+ *
+ * INTERVIEW TIP: HAR replay gives you deterministic responses without
+ * writing a single mock by hand - but re-record regularly, or you end
+ * up testing against a site that no longer exists.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const HAR_DIR = path.join(__dirname, '..', 'hars');
+const PARTS_DIR = path.join(HAR_DIR, '.parts');
+const HAR_MODES = ['off', 'record', 'replay', 'refresh'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function maxAgeMs() {
+    return (Number(process.env.DEMOQA_HAR_MAX_AGE_DAYS) || 7) * DAY_MS;
+}
+
+/**
+ * SPEC PATHS
+ * ----------
+ * tests/01-basic/navigation.spec.js -> hars/01-basic/navigation.har
+ */
+function specKey(testInfo) {
+    return path.relative(testInfo.project.testDir, testInfo.file).replace(/\.(spec|test)\.[jt]s$/, '');
+}
+
+function harPathFor(testInfo) {
+    return path.join(HAR_DIR, `${specKey(testInfo)}.har`);
+}
+
+function partPathFor(testInfo) {
+    return path.join(PARTS_DIR, specKey(testInfo), `${testInfo.testId}-${testInfo.retry}.har`);
+}
+
+function readHar(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function writeHar(file, entries) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const har = { log: { version: '1.2', creator: { name: 'playwright-demoqa-har', version: '1.0' }, entries } };
+    fs.writeFileSync(file, JSON.stringify(har, null, 2));
+}
+
+function isFresh(entry, now = Date.now()) {
+    return now - new Date(entry.startedDateTime).getTime() <= maxAgeMs();
+}
+
+/**
+ * HAR ENTRY FROM A FETCHED RESPONSE
+ * ---------------------------------
+ * Used in refresh mode, where route.fetch() replaces the network.
+ * Bodies are embedded as base64 so the HAR stays self-contained.
+ */
+function toHarEntry(request, response, body, startedAt) {
+    const toPairs = headers => headers.map(({ name, value }) => ({ name, value }));
+    const url = new URL(request.url());
+    const postData = request.postData();
+    return {
+        startedDateTime: startedAt.toISOString(),
+        time: Date.now() - startedAt.getTime(),
+        request: {
+            method: request.method(),
+            url: request.url(),
+            httpVersion: 'HTTP/1.1',
+            cookies: [],
+            headers: Object.entries(request.headers()).map(([name, value]) => ({ name, value })),
+            queryString: [...url.searchParams].map(([name, value]) => ({ name, value })),
+            ...(postData === null ? {} : { postData: { mimeType: request.headers()['content-type'] || '', text: postData } }),
+            headersSize: -1,
+            bodySize: postData === null ? 0 : Buffer.byteLength(postData),
+        },
+        response: {
+            status: response.status(),
+            statusText: response.statusText(),
+            httpVersion: 'HTTP/1.1',
+            cookies: [],
+            headers: toPairs(response.headersArray()),
+            content: {
+                size: body.length,
+                mimeType: response.headers()['content-type'] || 'x-unknown',
+                text: body.toString('base64'),
+                encoding: 'base64',
+            },
+            redirectURL: response.headers().location || '',
+            headersSize: -1,
+            bodySize: body.length,
+        },
+        cache: {},
+        timings: { send: 0, wait: Date.now() - startedAt.getTime(), receive: 0 },
+    };
+}
+
+/**
+ * MERGE PARTS
+ * -----------
+ * Folds hars/.parts/<spec>/*.har into hars/<spec>.har. One entry per
+ * method + URL + body, newest wins. In refresh mode stale entries that
+ * no test asked for again are dropped.
+ */
+function entryKey(entry) {
+    const body = entry.request.postData ? entry.request.postData.text : '';
+    return `${entry.request.method} ${entry.request.url} ${body}`;
+}
+
+function listParts(dir) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(item => {
+        const full = path.join(dir, item.name);
+        return item.isDirectory() ? listParts(full) : [full];
+    }).filter(file => file.endsWith('.har'));
+}
+
+function mergeHarParts(mode) {
+    const bySpec = new Map();
+    for (const part of listParts(PARTS_DIR)) {
+        const key = path.relative(PARTS_DIR, path.dirname(part));
+        bySpec.set(key, [...(bySpec.get(key) || []), part]);
+    }
+
+    const merged = [];
+    for (const [key, parts] of bySpec) {
+        const target = path.join(HAR_DIR, `${key}.har`);
+        let entries = fs.existsSync(target) ? readHar(target).log.entries : [];
+        if (mode === 'refresh') entries = entries.filter(entry => isFresh(entry));
+        for (const part of parts) entries.push(...readHar(part).log.entries);
+
+        const newest = new Map();
+        for (const entry of entries) {
+            const current = newest.get(entryKey(entry));
+            if (!current || new Date(entry.startedDateTime) >= new Date(current.startedDateTime)) {
+                newest.set(entryKey(entry), entry);
+            }
+        }
+        const sorted = [...newest.values()].sort((a, b) => new Date(a.startedDateTime) - new Date(b.startedDateTime));
+        writeHar(target, sorted);
+        merged.push({ file: path.relative(process.cwd(), target), entries: sorted.length });
+    }
+    fs.rmSync(PARTS_DIR, { recursive: true, force: true });
+    return merged;
+}
+
+/**
+ * MODES
+ * -----
+ * Each returns a teardown callback run after the test body.
+ */
+async function startRecording(context, testInfo) {
+    // update: true writes the part file when the context closes
+    await context.routeFromHAR(partPathFor(testInfo), { update: true, updateContent: 'embed', updateMode: 'full' });
+    return async () => {};
+}
+
+async function startReplay(context, testInfo, { refresh }) {
+    const harPath = harPathFor(testInfo);
+    if (!fs.existsSync(harPath) && !refresh) {
+        throw new Error(`No HAR recorded for this spec (${path.relative(process.cwd(), harPath)}). ` +
+            'Record it first with DEMOQA_HAR=record.');
+    }
+
+    const missing = [];
+    const refetched = [];
+    const firstParty = testInfo.project.use.baseURL ? new URL(testInfo.project.use.baseURL).host : null;
+
+    // Registered first, so it only sees what the HAR route fell back on
+    await context.route('**/*', async route => {
+        const request = route.request();
+        if (!refresh) {
+            missing.push({ method: request.method(), url: request.url(), resourceType: request.resourceType() });
+            await route.abort('internetdisconnected');
+            return;
+        }
+        const startedAt = new Date();
+        try {
+            const response = await route.fetch({ maxRedirects: 0 });
+            refetched.push(toHarEntry(request, response, await response.body(), startedAt));
+            await route.fulfill({ response });
+        } catch (error) {
+            missing.push({ method: request.method(), url: request.url(), resourceType: request.resourceType(), error: error.message });
+            await route.abort().catch(() => {});
+        }
+    });
+
+    if (fs.existsSync(harPath)) {
+        let source = harPath;
+        if (refresh) {
+            // Serve only fresh entries; stale ones fall through and are re-fetched
+            source = testInfo.outputPath('fresh.har');
+            writeHar(source, readHar(harPath).log.entries.filter(entry => isFresh(entry)));
+        }
+        await context.routeFromHAR(source, { notFound: 'fallback' });
+    }
+
+    return async () => {
+        if (refetched.length) writeHar(partPathFor(testInfo), refetched);
+        if (!missing.length) return;
+
+        await testInfo.attach('har-missing.json', {
+            body: JSON.stringify({ har: path.relative(process.cwd(), harPath), missing }, null, 2),
+            contentType: 'application/json',
+        });
+        const blocking = missing.filter(item => new URL(item.url).host === firstParty);
+        if (blocking.length && testInfo.status === testInfo.expectedStatus) {
+            throw new Error(`${blocking.length} first-party request(s) not found in ${path.relative(process.cwd(), harPath)}:\n` +
+                blocking.map(item => `  ${item.method} ${item.url}`).join('\n') +
+                '\nRe-record with DEMOQA_HAR=refresh (or DEMOQA_HAR=record).');
+        }
+    };
+}
+
+/**
+ * FIXTURES
+ * --------
+ * harMode  Option, set from DEMOQA_HAR in playwright.config.js
+ * context  Overridden so every page of the test is routed
+ */
+const harFixtures = {
+    harMode: ['off', { option: true }],
+
+    context: async ({ context, harMode }, use, testInfo) => {
+        if (!HAR_MODES.includes(harMode)) {
+            throw new Error(`Unknown HAR mode "${harMode}". Use one of: ${HAR_MODES.join(', ')}.`);
+        }
+        let finish = async () => {};
+        if (harMode === 'record') finish = await startRecording(context, testInfo);
+        if (harMode === 'replay') finish = await startReplay(context, testInfo, { refresh: false });
+        if (harMode === 'refresh') finish = await startReplay(context, testInfo, { refresh: true });
+
+        await use(context);
+        await finish();
+    },
+};
+
+module.exports = { harFixtures, mergeHarParts, HAR_DIR, HAR_MODES };
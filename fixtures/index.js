@@ -0,0 +1,64 @@
+/**
+ * SHARED FIXTURES
+ * ===============
+ * Drop-in replacement for '@playwright/test' - specs import from here:
+ *
+ *   const { test, expect } = require('../../fixtures');
+ *
+ * Everything @playwright/test exports is re-exported; `test` is
+ * extended with the suite's own fixtures and `expect` with its matchers.
+ *
+ * FIXTURES:
+ * - demoqaPage(route)  Navigation with consistent waitUntil (fixtures/demoqa.js)
+ * - artifacts          Per-test scratch directory
+ * - browserLogs        Console + pageerror collection (auto)
+ * - contextHooks       Lets auto fixtures set up the context only when a test opens one
+ * - suppressAds        Ad/overlay blocking option (on by default)
+ * - consoleGuard       Fails on console errors/warnings and page errors (auto, fixtures/console.js)
+ * - dialogGuard        Fails on unhandled/unexpected dialogs (auto, fixtures/dialogs.js)
+ * - downloads          Saves, hashes and attaches every download (auto, fixtures/downloads.js)
+ * - files              Generated upload files in a temp dir (fixtures/files.js)
+ * - network            Request recorder + expectRequests() (auto, fixtures/network.js)
+ * - throttle           CPU/network profile option + throttling.apply() (fixtures/throttling.js)
+ * - vitals             Web Vitals against performance/budgets.js (fixtures/vitals.js)
+ * - harMode / context  HAR record & replay (fixtures/har.js)
+ *
+ * MATCHERS:
+ * - expect(page).toPassA11yAudit({ rules, exclude })  Accessibility rules (fixtures/a11y.js)
+ * - expect(page).toPassContrastAudit({ level, exclude })  WCAG text contrast (fixtures/a11y.js)
+ * - expect(locator).toConformToAriaPattern(pattern, { items })  WAI-ARIA pattern scorecard (fixtures/a11y.js)
+ *
+ * INTERVIEW TIP: test.extend() is Playwright's dependency injection.
+ * Fixtures are set up only when a test asks for them (or when marked
+ * auto) and are torn down in reverse order, even when the test fails.
+ */
+
+const base = require('@playwright/test');
+const { harFixtures } = require('./har');
+const { demoqaFixtures } = require('./demoqa');
+const { consoleFixtures } = require('./console');
+const { dialogFixtures } = require('./dialogs');
+const { downloadsFixtures } = require('./downloads');
+const { filesFixtures } = require('./files');
+const { networkFixtures } = require('./network');
+const { throttlingFixtures } = require('./throttling');
+const { vitalsFixtures } = require('./vitals');
+const { a11yMatchers } = require('./a11y');
+
+// Two layers: demoqaFixtures overrides `context` again, on top of the HAR one
+const test = base.test.extend(harFixtures).extend({
+    ...demoqaFixtures,
+    ...consoleFixtures,
+    ...dialogFixtures,
+    ...downloadsFixtures,
+    ...filesFixtures,
+    ...networkFixtures,
+    ...throttlingFixtures,
+    ...vitalsFixtures,
+});
+
+const expect = base.expect.extend({
+    ...a11yMatchers,
+});
+
+module.exports = { ...base, test, expect };
@@ -0,0 +1,252 @@
+/**
+ * NETWORK FIXTURES
+ * ================
+ * - network            Records every request of the test (auto)
+ * - firstPartyHosts    Option: hosts that count as "ours" besides baseURL's
+ *
+ * Each request is described by a record:
+ *
+ *   {
+ *     method: 'POST',
+ *     url: 'https://demoqa.com/Account/v1/Login',
+ *     host: 'demoqa.com',
+ *     firstParty: true,
+ *     resourceType: 'fetch',
+ *     initiator: { type: 'document', url: 'https://demoqa.com/login' },
+ *     startedAt: 1532,                 // ms after the test started
+ *     duration: 88,                    // ms until the response ended, null if unknown
+ *     status: 200,                     // null when the request failed
+ *     failure: null,                   // or 'net::ERR_BLOCKED_BY_CLIENT', ...
+ *     bytes: { request: 412, response: 1024, transferred: 1337 },
+ *   }
+ *
+ * initiator.type is 'navigation' (url: the frame), 'redirect' (url: the
+ * redirecting request) or 'document' (url: the frame that asked for it).
+ *
+ * Assertions wait for requests still in flight, then check the matching
+ * records - a filter picks them by method, url (a page.route() glob or a
+ * RegExp), host, resourceType and firstParty:
+ *
+ *   await network.expectRequests({ method: 'POST', url: /\/Account\/v1\/Login$/ }).toHaveCount(1);
+ *   await network.expectRequests({ firstParty: true }).toSucceed();          // no 4xx/5xx, no failures
+ *   await network.expectRequests({ host: 'googlesyndication.com' }).toBeEmpty();
+ *   await network.expectRequests().toTransferLessThan(2 * 1024 * 1024);
+ *   const images = await network.requests({ resourceType: 'image' });
+ *
+ * The recording is attached as network.json when the test fails.
+ *
+ * PLAYWRIGHT FEATURES COVERED:
+ * - context.on('request' / 'requestfinished' / 'requestfailed')
+ * - request.timing(), request.sizes(), request.redirectedFrom()
+ *
+ * INTERVIEW TIP: The UI can look right while the page fires the login
+ * POST twice or swallows a 500. Asserting on the traffic catches what
+ * the screen hides.
+ */
+
+const { expect } = require('@playwright/test');
+
+/* How long an assertion waits for requests still in flight */
+const SETTLE_TIMEOUT = 5000;
+
+/* Same rules as page.route(): ** crosses slashes, * does not, {a,b} is either */
+function globToRegExp(glob) {
+    let source = '';
+    let inGroup = false;
+    for (let index = 0; index < glob.length; index++) {
+        const character = glob[index];
+        if (character === '*' && glob[index + 1] === '*') {
+            source += '.*';
+            index++;
+        } else if (character === '*') {
+            source += '[^/]*';
+        } else if (character === '{') {
+            source += '(';
+            inGroup = true;
+        } else if (character === '}' && inGroup) {
+            source += ')';
+            inGroup = false;
+        } else if (character === ',' && inGroup) {
+            source += '|';
+        } else {
+            source += character.replace(/[.+^$()|[\]\\?{}]/, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+function hostMatches(host, pattern) {
+    if (pattern instanceof RegExp) return pattern.test(host);
+    return host === pattern || host.endsWith(`.${pattern}`);
+}
+
+/**
+ * FILTER
+ * ------
+ * { method, url, host, resourceType, firstParty } - every given key
+ * has to match; an empty filter matches everything.
+ */
+function matchesFilter(record, filter) {
+    if (filter.method && record.method !== filter.method.toUpperCase()) return false;
+    if (filter.url) {
+        const pattern = typeof filter.url === 'string' ? globToRegExp(filter.url) : filter.url;
+        if (!pattern.test(record.url)) return false;
+    }
+    if (filter.host && !hostMatches(record.host, filter.host)) return false;
+    if (filter.resourceType && record.resourceType !== filter.resourceType) return false;
+    if (filter.firstParty !== undefined && record.firstParty !== filter.firstParty) return false;
+    return true;
+}
+
+function describeFilter(filter) {
+    const parts = [filter.method, filter.url, filter.host && `host ${filter.host}`, filter.resourceType,
+        filter.firstParty !== undefined && (filter.firstParty ? 'first-party' : 'third-party')];
+    return parts.filter(Boolean).map(String).join(' ') || 'any';
+}
+
+function describeRecord(record) {
+    return `${record.method} ${record.url} ${record.failure || record.status}`;
+}
+
+function initiatorOf(request) {
+    if (request.redirectedFrom()) return { type: 'redirect', url: request.redirectedFrom().url() };
+    let frame = null;
+    try {
+        frame = request.frame();
+    } catch (error) {
+        // A popup's first navigation is issued before its frame exists
+    }
+    return { type: request.isNavigationRequest() ? 'navigation' : 'document', url: frame ? frame.url() : null };
+}
+
+const networkFixtures = {
+    /**
+     * OPTIONS
+     * -------
+     * baseURL's host (and its subdomains) is always first-party; add
+     * more per project or file:
+     *   test.use({ firstPartyHosts: ['demoqa.com', 'toolsqa.com'] });
+     */
+    firstPartyHosts: [[], { option: true }],
+
+    /**
+     * NETWORK (auto)
+     * --------------
+     * - expectRequests(filter)  Assertions on the matching requests:
+     *     .toHaveCount(n)             exactly n of them
+     *     .toBeEmpty()                none at all
+     *     .toSucceed()                none failed or answered 4xx/5xx
+     *     .toTransferLessThan(bytes)  their transferred bytes add up to less
+     * - requests(filter)        The matching records, once in-flight ones ended
+     * - all()                   Every record so far, as is
+     */
+    network: [async ({ contextHooks, baseURL, firstPartyHosts }, use, testInfo) => {
+        const ours = [...(baseURL ? [new URL(baseURL).hostname] : []), ...firstPartyHosts];
+        const testStart = Date.now();
+        const records = [];
+        const byRequest = new Map();
+        const inFlight = new Set();
+
+        const onRequest = request => {
+            const url = new URL(request.url());
+            const record = {
+                method: request.method(),
+                url: request.url(),
+                host: url.hostname,
+                firstParty: ours.some(host => hostMatches(url.hostname, host)),
+                resourceType: request.resourceType(),
+                initiator: initiatorOf(request),
+                startedAt: Date.now() - testStart,
+                duration: null,
+                status: null,
+                failure: null,
+                bytes: null,
+            };
+            let done;
+            const ended = new Promise(resolve => { done = resolve; });
+            records.push(record);
+            byRequest.set(request, { record, done });
+            inFlight.add(ended);
+            ended.then(() => inFlight.delete(ended));
+        };
+        const finish = async (request, failure) => {
+            const entry = byRequest.get(request);
+            if (!entry) return;
+            const { record, done } = entry;
+            try {
+                const response = failure ? null : await request.response();
+                record.status = response ? response.status() : null;
+                record.failure = failure ? failure.errorText : null;
+                const { responseEnd } = request.timing();
+                record.duration = responseEnd >= 0 ? Math.round(responseEnd) : null;
+                const sizes = await request.sizes();
+                record.bytes = {
+                    request: sizes.requestHeadersSize + sizes.requestBodySize,
+                    response: sizes.responseBodySize,
+                    transferred: sizes.responseHeadersSize + sizes.responseBodySize,
+                };
+            } catch (error) {
+                // The page or context closed before the details arrived
+            }
+            done();
+        };
+        const onFinished = request => finish(request, null);
+        const onFailed = request => finish(request, request.failure());
+        const settle = async () => {
+            let timer;
+            const timeout = new Promise(resolve => { timer = setTimeout(resolve, SETTLE_TIMEOUT); });
+            await Promise.race([Promise.all(inFlight), timeout]);
+            clearTimeout(timer);
+        };
+        await contextHooks.add(async context => {
+            context.on('request', onRequest);
+            context.on('requestfinished', onFinished);
+            context.on('requestfailed', onFailed);
+            return async () => {
+                // In-flight requests end through these listeners, so wait for them first
+                await settle();
+                context.off('request', onRequest);
+                context.off('requestfinished', onFinished);
+                context.off('requestfailed', onFailed);
+            };
+        });
+        const requests = async (filter = {}) => {
+            await settle();
+            return records.filter(record => matchesFilter(record, filter));
+        };
+
+        await use({
+            all: () => [...records],
+            requests,
+            expectRequests: (filter = {}) => {
+                const what = describeFilter(filter);
+                return {
+                    toHaveCount: async count => {
+                        const matches = await requests(filter);
+                        expect(matches.map(describeRecord), `Expected ${count} request(s) matching ${what}`).toHaveLength(count);
+                    },
+                    toBeEmpty: async () => {
+                        const matches = await requests(filter);
+                        expect(matches.map(describeRecord), `Expected no request matching ${what}`).toEqual([]);
+                    },
+                    toSucceed: async () => {
+                        const matches = await requests(filter);
+                        const failed = matches.filter(record => record.failure || record.status >= 400);
+                        expect(failed.map(describeRecord), `Expected every request matching ${what} to succeed`).toEqual([]);
+                    },
+                    toTransferLessThan: async bytes => {
+                        const matches = await requests(filter);
+                        const total = matches.reduce((sum, record) => sum + (record.bytes ? record.bytes.transferred : 0), 0);
+                        expect(total, `Bytes transferred by ${matches.length} request(s) matching ${what}`).toBeLessThan(bytes);
+                    },
+                };
+            },
+        });
+
+        if (testInfo.status !== testInfo.expectedStatus && records.length) {
+            await testInfo.attach('network.json', { body: JSON.stringify(records, null, 2), contentType: 'application/json' });
+        }
+    }, { auto: true }],
+};
+
+module.exports = { networkFixtures };
@@ -0,0 +1,173 @@
+/**
+ * THROTTLING FIXTURES
+ * ===================
+ * - throttle      Option: profile name(s) applied to every page of the test
+ * - throttling    apply() / reset() to change conditions mid-test
+ *
+ * Named profiles, as in Chrome DevTools:
+ *
+ *   'Slow 3G'            2000ms latency, 400 kbit/s down and up
+ *   'Fast 4G'            165ms latency, 8.1 Mbit/s down, 1.35 Mbit/s up
+ *   'Offline'            context.setOffline(true) - works in every browser
+ *   '4x CPU slowdown'    Main thread runs four times slower
+ *
+ * Per project (playwright.config.js) or per file / describe:
+ *
+ *   use: { throttle: 'Fast 4G' }
+ *   test.use({ throttle: ['Slow 3G', '4x CPU slowdown'] });
+ *
+ * Or from inside a test, e.g. load fast and then go slow:
+ *
+ *   await page.goto('/books');
+ *   await throttling.apply('Slow 3G');
+ *   await page.reload();
+ *   await throttling.reset();
+ *
+ * Network and CPU throttling go through a CDP session, so they only
+ * exist in Chromium; a test that asks for them elsewhere is skipped
+ * with the reason, instead of silently running at full speed.
+ *
+ * PLAYWRIGHT FEATURES COVERED:
+ * - context.newCDPSession(page)
+ * - Network.emulateNetworkConditions, Emulation.setCPUThrottlingRate
+ * - Overriding the built-in page fixture
+ * - testInfo.skip() from a fixture
+ *
+ * INTERVIEW TIP: Developers test on fast laptops and fibre. A spinner
+ * that flashes for 5ms locally is the whole experience on a train -
+ * throttle to see what users on slow devices actually get.
+ */
+
+/* kbit/s -> bytes/s, the unit CDP expects */
+const kbps = value => Math.round((value * 1000) / 8);
+
+/**
+ * PROFILES
+ * --------
+ * network: CDP Network.emulateNetworkConditions parameters
+ * cpu:     CDP Emulation.setCPUThrottlingRate rate
+ * offline: context.setOffline()
+ */
+const THROTTLING_PROFILES = {
+    'Slow 3G': { network: { latency: 2000, downloadThroughput: kbps(400), uploadThroughput: kbps(400) } },
+    'Fast 4G': { network: { latency: 165, downloadThroughput: kbps(8100), uploadThroughput: kbps(1350) } },
+    'Offline': { offline: true },
+    '4x CPU slowdown': { cpu: 4 },
+};
+
+const NO_THROTTLING = { latency: 0, downloadThroughput: -1, uploadThroughput: -1 };
+
+/**
+ * RESOLVE
+ * -------
+ * One name or a list of names -> one merged profile. Unknown names
+ * fail with the list of known ones.
+ */
+function resolveProfile(names) {
+    const list = [].concat(names || []);
+    for (const name of list) {
+        if (!THROTTLING_PROFILES[name]) {
+            throw new Error(`Unknown throttling profile "${name}". Use one of: ${Object.keys(THROTTLING_PROFILES).join(', ')}.`);
+        }
+    }
+    return { names: list, ...Object.assign({}, ...list.map(name => THROTTLING_PROFILES[name])) };
+}
+
+function needsCdp(profile) {
+    return Boolean(profile.network || profile.cpu);
+}
+
+/**
+ * THROTTLER
+ * ---------
+ * Applies one profile to a context and each of its pages; pages opened
+ * later (popups) get it too. A CDP session is opened per page, once.
+ * Outside Chromium a profile that needs CDP skips the test.
+ */
+function createThrottler(context, { browserName, testInfo }) {
+    const sessions = new Map();
+    let current = resolveProfile(null);
+
+    const sessionFor = page => {
+        if (!sessions.has(page)) sessions.set(page, context.newCDPSession(page));
+        return sessions.get(page);
+    };
+    const applyToPage = async page => {
+        if (!needsCdp(current) && !sessions.has(page)) return;
+        const session = await sessionFor(page);
+        await session.send('Network.enable');
+        await session.send('Network.emulateNetworkConditions', { offline: false, ...(current.network || NO_THROTTLING) });
+        await session.send('Emulation.setCPUThrottlingRate', { rate: current.cpu || 1 });
+    };
+    const onPage = page => {
+        // A popup that closes straight away has nothing left to throttle
+        applyToPage(page).catch(() => {});
+    };
+    context.on('page', onPage);
+
+    return {
+        get profile() {
+            return current;
+        },
+        async apply(names) {
+            const profile = resolveProfile(names);
+            if (needsCdp(profile) && browserName !== 'chromium') {
+                testInfo.skip(true, `Throttling profile "${profile.names.join(' + ')}" needs Chromium (CDP), not ${browserName}`);
+            }
+            current = profile;
+            await context.setOffline(Boolean(current.offline));
+            await Promise.all(context.pages().map(applyToPage));
+        },
+        stop() {
+            context.off('page', onPage);
+        },
+    };
+}
+
+const throttlingFixtures = {
+    /**
+     * OPTIONS
+     * -------
+     * null (no throttling), a profile name or a list of names.
+     */
+    throttle: [null, { option: true }],
+
+    /* One throttler per test, shared by the page override and `throttling` */
+    throttler: async ({ context, browserName }, use, testInfo) => {
+        const throttler = createThrottler(context, { browserName, testInfo });
+        await use(throttler);
+        throttler.stop();
+    },
+
+    /**
+     * PAGE (override)
+     * ---------------
+     * Applies `throttle` before the test touches the page.
+     */
+    page: async ({ page, throttle, throttler }, use, testInfo) => {
+        if (throttle) {
+            await throttler.apply(throttle);
+            testInfo.annotations.push({ type: 'throttle', description: throttler.profile.names.join(' + ') });
+        }
+        await use(page);
+    },
+
+    /**
+     * THROTTLING
+     * ----------
+     * - apply(names)   Switch every page of the test to the profile(s)
+     * - reset()        Back to full speed and online
+     * - profile        The profile in effect ({ names, network, cpu, offline })
+     */
+    throttling: async ({ page, throttler }, use) => {
+        await use({
+            apply: names => throttler.apply(names),
+            reset: () => throttler.apply(null),
+            get profile() {
+                return throttler.profile;
+            },
+        });
+    },
+};
+
+module.exports = { throttlingFixtures, THROTTLING_PROFILES, resolveProfile };
@@ -0,0 +1,23 @@
+/**
+ * WEB VITALS GLOBAL TEARDOWN
+ * ==========================
+ * Runs once after all workers finish and merges the per-test
+ * measurements into this run's trend file, performance/runs/<timestamp>.json,
+ * then prints each route's LCP next to the previous run's.
+ */
+
+const path = require('path');
+const { mergeVitalsParts } = require('./vitals');
+const { formatMetric } = require('../helpers/web-vitals');
+
+module.exports = async function globalTeardown() {
+    const merged = mergeVitalsParts();
+    if (!merged) return;
+    console.log(`Web vitals: ${path.relative(process.cwd(), merged.file)}` +
+        (merged.previous ? ` (previous: ${path.relative(process.cwd(), merged.previous.file)})` : ' (first run)'));
+    for (const [key, { metrics }] of Object.entries(merged.results)) {
+        const before = merged.previous && merged.previous.run.results[key];
+        const was = before ? ` (was ${formatMetric('lcp', before.metrics.lcp)})` : '';
+        console.log(`  ${key}: LCP ${formatMetric('lcp', metrics.lcp)}${was}`);
+    }
+};
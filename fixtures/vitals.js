@@ -0,0 +1,167 @@
+/**
+ * WEB VITALS FIXTURES
+ * ===================
+ * - vitals    Measures a route's Web Vitals and checks its budget
+ *
+ *   test('books', async ({ vitals }) => {
+ *       await vitals.expectWithinBudget('/books');
+ *       const metrics = await vitals.measure('/text-box', {
+ *           interact: page => page.locator('#userName').fill('John'),   // gives INP a value
+ *       });
+ *   });
+ *
+ * Budgets live in performance/budgets.js (helpers/web-vitals.js has the
+ * metrics). Every measurement is:
+ * - attached as web-vitals.txt: budget, previous run, this run, change
+ * - shown as a `web-vitals` annotation in the report
+ * - written to performance/runs/.parts/; the global teardown
+ *   (vitals-teardown.js) merges the parts into one trend file per run,
+ *   performance/runs/<timestamp>.json
+ *
+ * "Previous run" is the newest trend file for the same target (live
+ * site or DEMOQA_TARGET=local) - the current run's file is only
+ * written once every worker is done.
+ *
+ * PLAYWRIGHT FEATURES COVERED:
+ * - context.addInitScript() to observe the page from its first byte
+ * - testInfo.annotations and testInfo.attach()
+ * - globalTeardown to combine results of parallel workers
+ *
+ * INTERVIEW TIP: A single slow run proves nothing; a number that keeps
+ * creeping up run after run is a regression. Keep the history.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { expect } = require('@playwright/test');
+const { installVitals, readVitals, checkBudget, describeViolation, compareRuns, formatMetric } = require('../helpers/web-vitals');
+const budgets = require('../performance/budgets');
+
+const RUNS_DIR = path.join(__dirname, '..', 'performance', 'runs');
+const PARTS_DIR = path.join(RUNS_DIR, '.parts');
+const MAX_RUNS = 30;
+
+/* Time for late layout shifts and long tasks after the load event */
+const DEFAULT_SETTLE_MS = 1000;
+
+function currentTarget() {
+    return process.env.DEMOQA_TARGET === 'local' ? 'local' : 'live';
+}
+
+/**
+ * BUDGET FOR ROUTE
+ * ----------------
+ * defaults + the route's overrides; unknown routes are an error, so a
+ * new route cannot slip through unbudgeted.
+ */
+function budgetFor(route) {
+    if (!budgets.routes[route]) {
+        throw new Error(`No performance budget for "${route}" - add it to performance/budgets.js (budgeted: ${Object.keys(budgets.routes).join(', ')})`);
+    }
+    return { ...budgets.defaults, ...budgets.routes[route] };
+}
+
+/**
+ * TREND FILES
+ * -----------
+ * performance/runs/<timestamp>.json:
+ *   { run, target, results: { '<project> <route>': { project, route, metrics, measuredAt } } }
+ */
+function listRuns() {
+    if (!fs.existsSync(RUNS_DIR)) return [];
+    return fs.readdirSync(RUNS_DIR).filter(name => name.endsWith('.json')).sort()
+        .map(name => path.join(RUNS_DIR, name));
+}
+
+function previousRun(target = currentTarget()) {
+    for (const file of listRuns().reverse()) {
+        const run = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (run.target === target) return { file, run };
+    }
+    return null;
+}
+
+/**
+ * MERGE PARTS
+ * -----------
+ * Folds performance/runs/.parts/*.json into this run's trend file and
+ * keeps the newest MAX_RUNS files. Returns null when nothing was measured.
+ */
+function mergeVitalsParts() {
+    if (!fs.existsSync(PARTS_DIR)) return null;
+    const results = {};
+    for (const name of fs.readdirSync(PARTS_DIR).sort()) {
+        Object.assign(results, JSON.parse(fs.readFileSync(path.join(PARTS_DIR, name), 'utf8')));
+    }
+    fs.rmSync(PARTS_DIR, { recursive: true, force: true });
+    if (!Object.keys(results).length) return null;
+
+    const previous = previousRun();
+    const run = new Date().toISOString();
+    const file = path.join(RUNS_DIR, `${run.replace(/[:.]/g, '-')}.json`);
+    fs.writeFileSync(file, JSON.stringify({ run, target: currentTarget(), results }, null, 2));
+    for (const old of listRuns().slice(0, -MAX_RUNS)) fs.rmSync(old);
+    return { file, results, previous };
+}
+
+const vitalsFixtures = {
+    /**
+     * VITALS
+     * ------
+     * - measure(route, { interact, settle })  Load the route (waitUntil
+     *     'load'), wait `settle` ms, run `interact(page)` - by default a
+     *     Tab press, so INP has an interaction - and return the metrics
+     * - expectWithinBudget(route, options)    measure() and fail on any
+     *     metric above the route's budget; returns the metrics
+     * - budgetFor(route)                      The route's budget
+     */
+    vitals: async ({ context, page }, use, testInfo) => {
+        await installVitals(context);
+        const previous = previousRun();
+        const measured = {};
+        const reports = [];
+
+        const measure = async (route, { interact = p => p.keyboard.press('Tab'), settle = DEFAULT_SETTLE_MS } = {}) => {
+            await page.goto(route, { waitUntil: 'load' });
+            await page.waitForTimeout(settle);
+            await interact(page);
+            // Event timing entries are delivered after the next frame
+            await page.waitForTimeout(250);
+            const metrics = await readVitals(page);
+
+            const key = `${testInfo.project.name} ${route}`;
+            const before = previous && previous.run.results[key] ? previous.run.results[key].metrics : null;
+            measured[key] = { project: testInfo.project.name, route, metrics, measuredAt: new Date().toISOString() };
+            reports.push(`${route}\n${compareRuns(metrics, before, budgets.routes[route] ? budgetFor(route) : {})}`);
+            testInfo.annotations.push({
+                type: 'web-vitals',
+                description: `${route}: LCP ${formatMetric('lcp', metrics.lcp)}, CLS ${formatMetric('cls', metrics.cls)}, ` +
+                    `TBT ${formatMetric('tbt', metrics.tbt)}` + (before ? ` (previous LCP ${formatMetric('lcp', before.lcp)})` : ' (no previous run)'),
+            });
+            return metrics;
+        };
+
+        await use({
+            measure,
+            budgetFor,
+            expectWithinBudget: async (route, options) => {
+                const budget = budgetFor(route);
+                const metrics = await measure(route, options);
+                const violations = checkBudget(metrics, budget);
+                expect(violations.map(describeViolation), `${route} exceeds its performance budget (performance/budgets.js)`).toEqual([]);
+                return metrics;
+            },
+        });
+
+        if (!reports.length) return;
+        const source = previous ? path.relative(process.cwd(), previous.file) : 'none';
+        await testInfo.attach('web-vitals.txt', {
+            body: `Previous run: ${source}\n\n${reports.join('\n\n')}\n`,
+            contentType: 'text/plain',
+        });
+        fs.mkdirSync(PARTS_DIR, { recursive: true });
+        fs.writeFileSync(path.join(PARTS_DIR, `${testInfo.testId}-${testInfo.retry}.json`), JSON.stringify(measured, null, 2));
+    },
+};
+
+module.exports = { vitalsFixtures, mergeVitalsParts, budgetFor, RUNS_DIR };
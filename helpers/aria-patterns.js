@@ -0,0 +1,531 @@
+/**
+ * ARIA PATTERN CONFORMANCE HELPER
+ * ===============================
+ * Checks a widget against its WAI-ARIA Authoring Practices pattern -
+ * tabs, accordion, menu (and menubar) or listbox - and returns a
+ * scorecard: required roles, states and properties, ownership and the
+ * keyboard interactions, each check passed or failed with a reason.
+ *
+ * Usage (expect(locator).toConformToAriaPattern() in fixtures/a11y.js wraps this):
+ *   const { checkAriaPattern, formatScorecard } = require('../../helpers/aria-patterns');
+ *
+ *   const card = await checkAriaPattern(page.getByRole('tablist'), 'tabs');
+ *   // { pattern: 'tabs', root: 'nav[role=tablist]', conforms: false, passed: 13, total: 16,
+ *   //   failures: ['tablist-name', 'end', 'home'],
+ *   //   checks: [{ category: 'roles', id: 'tablist-role', pass: true, optional: false,
+ *   //              message: 'Root has role tablist' }, ...] }
+ *   await testInfo.attach('tabs.txt', { body: formatScorecard(card) });
+ *
+ * The root is the widget itself: the tablist, the element around the
+ * accordion headers, the menu/menubar or the listbox. Items are found by
+ * role (tab, heading > button, menuitem*, option); pass { items } with a
+ * CSS selector to score a widget that does not expose them at all:
+ *   await checkAriaPattern(page.locator('#nav'), 'menu', { items: '#nav > li > a' });
+ *
+ * Keyboard checks press real keys, starting from programmatic focus on
+ * an item (or on the listbox itself), and leave the widget in whatever
+ * state the keys put it. Disabled items are expected to be skipped by
+ * the arrow keys. Checks the APG marks optional are scored separately
+ * and never fail the card.
+ *
+ * INTERVIEW TIP: role="tab" on a div is a promise to screen reader
+ * users that the arrow keys work. The roles are the easy half - the
+ * keyboard contract is what most custom widgets break.
+ */
+
+const { accessibleRoleAndName } = require('./a11y-audit');
+
+const CATEGORIES = ['roles', 'states', 'ownership', 'keyboard'];
+
+const MENUITEM_ROLES = ['menuitem', 'menuitemcheckbox', 'menuitemradio'];
+
+/**
+ * INSPECT (runs in the page)
+ * --------------------------
+ * Roles, states and relationships of the root and its items, and which
+ * item is active: focused, the aria-activedescendant, or the selected
+ * option of a native <select>. Focuses `focus` first - an item index
+ * or 'root'.
+ */
+function inspectWidget(root, { containerRoles, items, topLevel, focus }) {
+    const IMPLICIT_ROLES = { BUTTON: 'button', OPTION: 'option', OPTGROUP: 'group', UL: 'list', OL: 'list', LI: 'listitem', NAV: 'navigation' };
+    const PASS_THROUGH = ['none', 'presentation', 'group', null];
+
+    const roleOf = element => {
+        const explicit = (element.getAttribute('role') || '').trim().split(/\s+/)[0];
+        if (explicit) return explicit;
+        if (element.tagName === 'SELECT') return element.multiple || element.size > 1 ? 'listbox' : 'combobox';
+        if (element.tagName === 'A') return element.hasAttribute('href') ? 'link' : null;
+        if (/^H[1-6]$/.test(element.tagName)) return 'heading';
+        return IMPLICIT_ROLES[element.tagName] || null;
+    };
+    const ids = value => (value || '').trim().split(/\s+/).filter(Boolean);
+    const visible = element => element.getClientRects().length > 0 && getComputedStyle(element).visibility !== 'hidden';
+    const describe = element => {
+        if (element.id) return `#${element.id}`;
+        const role = element.getAttribute('role');
+        if (role) return `${element.tagName.toLowerCase()}[role=${role}]`;
+        const className = typeof element.className === 'string' ? element.className.trim().split(/\s+/)[0] : '';
+        return `${element.tagName.toLowerCase()}${className ? `.${className}` : ''}`;
+    };
+
+    // Items of nested containers (submenus) belong to those containers
+    let list = [...root.querySelectorAll(items)];
+    if (topLevel) {
+        list = list.filter(item => {
+            for (let node = item.parentElement; node && node !== root; node = node.parentElement) {
+                if (containerRoles.includes(roleOf(node))) return false;
+            }
+            return true;
+        });
+    }
+
+    if (focus === 'root') root.focus();
+    else if (typeof focus === 'number' && list[focus]) list[focus].focus();
+
+    const activeElement = document.activeElement;
+    let active = list.indexOf(activeElement);
+    if (active === -1 && activeElement === root) {
+        const descendant = document.getElementById(root.getAttribute('aria-activedescendant') || '');
+        if (descendant) active = list.indexOf(descendant);
+        else if (root.tagName === 'SELECT') active = list.indexOf(root.options[root.selectedIndex]);
+    }
+
+    const inspectItem = item => {
+        const controls = document.getElementById(ids(item.getAttribute('aria-controls'))[0] || '');
+        const parent = item.parentElement;
+        const popup = controls
+            || item.querySelector(':scope > [role="menu"], :scope > ul')
+            || (parent !== root ? parent.querySelector(':scope > [role="menu"], :scope > ul') : null);
+        const owners = [];
+        for (let node = item.parentElement; node && node !== root; node = node.parentElement) {
+            const role = roleOf(node);
+            if (!PASS_THROUGH.includes(role)) owners.push(role);
+        }
+        return {
+            label: item.textContent.trim().replace(/\s+/g, ' ').slice(0, 40),
+            role: roleOf(item),
+            owners,
+            inHeading: Boolean(item.closest('h1, h2, h3, h4, h5, h6, [role="heading"]')),
+            disabled: item.disabled === true || item.getAttribute('aria-disabled') === 'true',
+            selected: item.tagName === 'OPTION' ? String(item.selected) : item.getAttribute('aria-selected'),
+            expanded: item.getAttribute('aria-expanded'),
+            haspopup: item.getAttribute('aria-haspopup'),
+            tabbable: item.tabIndex >= 0,
+            controls: controls && {
+                role: roleOf(controls),
+                visible: visible(controls),
+                labelledBy: Boolean(item.id) && ids(controls.getAttribute('aria-labelledby')).includes(item.id),
+            },
+            popup: popup && { role: roleOf(popup), visible: visible(popup), focused: popup.contains(activeElement) },
+        };
+    };
+
+    return {
+        root: {
+            description: describe(root),
+            role: roleOf(root),
+            orientation: root.getAttribute('aria-orientation'),
+            multiselectable: root.getAttribute('aria-multiselectable') === 'true' || root.multiple === true,
+            native: root.tagName === 'SELECT',
+            tabbable: root.tabIndex >= 0,
+        },
+        items: list.map(inspectItem),
+        active,
+    };
+}
+
+/* "pass" when every item satisfies `test`; otherwise the first few that do not */
+function every(items, test, noun, passMessage, failMessage) {
+    if (!items.length) return [false, `No ${noun}s found`];
+    const failing = items.filter(item => !test(item));
+    if (!failing.length) return [true, passMessage];
+    const names = failing.slice(0, 3).map(item => `"${item.label}"`).join(', ');
+    const more = failing.length > 3 ? ` and ${failing.length - 3} more` : '';
+    return [false, `${failMessage}: ${names}${more}`];
+}
+
+function roleCheck(model, expected) {
+    const role = model.root.role;
+    return [expected.includes(role), expected.includes(role)
+        ? `Root has role ${role}`
+        : `Root ${model.root.description} has role ${role || 'none'}, expected ${expected.join(' or ')}`];
+}
+
+async function nameCheck(ctx, noun) {
+    const node = await accessibleRoleAndName(ctx.root);
+    const name = node && node.name;
+    return [Boolean(name), name ? `${noun} is named "${name}"` : `${noun} has no accessible name (aria-label or aria-labelledby)`];
+}
+
+/* Indexes of the items the arrow keys should visit */
+function enabledIndexes(model) {
+    return model.items.map((item, index) => (item.disabled ? -1 : index)).filter(index => index !== -1);
+}
+
+/**
+ * PRESS
+ * -----
+ * Focuses item `from` (undefined: leave focus where it is), presses
+ * `key`, and returns the widget before and after.
+ */
+async function press(ctx, from, key) {
+    const before = await ctx.inspect(from);
+    await ctx.page.keyboard.press(key);
+    const after = await ctx.inspect();
+    return { before, after };
+}
+
+function labelOf(model, index) {
+    return index === -1 ? 'nothing' : `"${model.items[index].label}"`;
+}
+
+/* Scores one key press: focus should end on item `expected` */
+function reportMove(ctx, add, { id, key, from, optional }, { before, after }, expected) {
+    if (ctx.roving && before.active !== from) {
+        add('keyboard', id, false, `${labelOf(before, from)} cannot take focus, so ${key} was not checked`, optional);
+    } else if (!ctx.roving && before.active === expected) {
+        add('keyboard', id, false, `${key} could not be checked: focus was already on ${labelOf(before, expected)}`, optional);
+    } else if (after.active === expected) {
+        add('keyboard', id, true, `${key} moves focus from ${labelOf(before, before.active)} to ${labelOf(after, expected)}`, optional);
+    } else {
+        add('keyboard', id, false, `${key} from ${labelOf(before, before.active)} leaves focus on ${labelOf(after, after.active)}, expected ${labelOf(after, expected)}`, optional);
+    }
+}
+
+/**
+ * NAVIGATION KEYS
+ * ---------------
+ * Next/previous arrow, optional wrap-around from the first item to the
+ * last, End and Home. Roving widgets (focus moves between items) start
+ * each press from a focused item; a listbox with aria-activedescendant
+ * or a native <select> keeps focus on the root, so the presses run in
+ * sequence from wherever the active option is.
+ */
+async function navigationChecks(ctx, add, nav, { nextKey, previousKey, wrap = false, optional = false, homeEndOptional = optional }) {
+    const first = nav[0];
+    const last = nav[nav.length - 1];
+    const move = (index, offset) => nav[Math.min(Math.max(nav.indexOf(index) + offset, 0), nav.length - 1)];
+    const steps = [
+        { id: 'arrow-next', key: nextKey, from: first, to: before => (before === -1 ? first : move(before, 1)), optional },
+        { id: 'arrow-previous', key: previousKey, from: nav[1], to: before => move(before, -1), optional },
+        ...(wrap ? [{ id: 'wrap', key: previousKey, from: first, to: () => last, optional }] : []),
+        { id: 'end', key: 'End', from: first, to: () => last, optional: homeEndOptional },
+        { id: 'home', key: 'Home', from: last, to: () => first, optional: homeEndOptional },
+    ];
+    if (!ctx.roving) {
+        // Land on an option first, so "next" is measured from a real position
+        await ctx.inspect('root');
+        await ctx.page.keyboard.press(nextKey);
+    }
+    for (const step of steps) {
+        const result = await press(ctx, ctx.roving ? step.from : undefined, step.key);
+        reportMove(ctx, add, step, result, step.to(result.before.active));
+    }
+}
+
+function orientationKeys(orientation) {
+    return orientation === 'vertical' ? { nextKey: 'ArrowDown', previousKey: 'ArrowUp' } : { nextKey: 'ArrowRight', previousKey: 'ArrowLeft' };
+}
+
+/**
+ * TABS
+ * ----
+ * tablist > tab, each tab aria-controls its tabpanel; one tab selected;
+ * only the selected tab in the Tab sequence; arrows wrap; Enter/Space
+ * activate unless the arrows already do (automatic activation).
+ */
+async function checkTabs(ctx, model, add) {
+    const tabs = model.items;
+    add('roles', 'tablist-role', ...roleCheck(model, ['tablist']));
+    add('roles', 'tab-role', ...every(tabs, tab => tab.role === 'tab', 'tab', 'Every tab has role tab', 'Not role tab'));
+    add('roles', 'tabpanel-role', ...every(tabs, tab => tab.controls && tab.controls.role === 'tabpanel', 'tab',
+        'Every tab controls a tabpanel (aria-controls)', 'No tabpanel in aria-controls'));
+
+    const selected = tabs.filter(tab => tab.selected === 'true');
+    add('states', 'aria-selected', ...every(tabs, tab => tab.selected === 'true' || tab.selected === 'false', 'tab',
+        'Every tab has aria-selected', 'No aria-selected'));
+    add('states', 'single-selection', selected.length === 1, selected.length === 1
+        ? `One selected tab: "${selected[0].label}"`
+        : `${selected.length} tabs have aria-selected="true", expected 1`);
+    add('states', 'panel-visibility', ...every(tabs, tab => tab.controls && tab.controls.visible === (tab.selected === 'true'), 'tab',
+        'Only the selected tab\'s panel is visible', 'Panel visibility does not follow aria-selected'));
+    add('states', 'tablist-name', ...await nameCheck(ctx, 'Tablist'));
+
+    add('ownership', 'tab-owned', ...every(tabs, tab => !tab.owners.length, 'tab',
+        'Every tab is owned by the tablist', 'Owned by another role'));
+    add('ownership', 'panel-labelled', ...every(tabs, tab => tab.controls && tab.controls.labelledBy, 'tab',
+        'Every tabpanel is aria-labelledby its tab', 'Panel not labelled by its tab'));
+
+    const tabbable = tabs.filter(tab => tab.tabbable);
+    add('keyboard', 'roving-tabindex', tabbable.length === 1 && tabbable[0].selected === 'true', tabbable.length === 1 && tabbable[0].selected === 'true'
+        ? 'Only the selected tab is in the Tab sequence'
+        : `${tabbable.length} tab(s) in the Tab sequence, expected only the selected one (tabindex="-1" on the others)`);
+
+    const nav = enabledIndexes(model);
+    if (nav.length < 2) return;
+    const keys = orientationKeys(model.root.orientation || 'horizontal');
+    await navigationChecks(ctx, add, nav, { ...keys, wrap: true });
+
+    const arrowed = await press(ctx, nav[0], keys.nextKey);
+    if (arrowed.after.active === nav[1] && arrowed.after.items[nav[1]].selected === 'true') {
+        add('keyboard', 'enter-space', true, 'The arrow keys select the focused tab (automatic activation)');
+        return;
+    }
+    const failures = [];
+    for (const key of ['Enter', 'Space']) {
+        const current = await ctx.inspect();
+        const target = nav.find(index => current.items[index].selected !== 'true');
+        if (target === undefined) break;
+        const { after } = await press(ctx, target, key);
+        if (after.items[target].selected !== 'true') failures.push(`${key} does not select ${labelOf(after, target)}`);
+    }
+    add('keyboard', 'enter-space', !failures.length, failures.join('; ') || 'Enter and Space select the focused tab (manual activation)');
+}
+
+/* aria-expanded, or the visibility of the controlled panel when it is missing */
+function expandedState(item) {
+    if (item.expanded === 'true' || item.expanded === 'false') return item.expanded;
+    return item.controls ? String(item.controls.visible) : null;
+}
+
+/**
+ * ACCORDION
+ * ---------
+ * heading > button per section, aria-expanded and aria-controls on the
+ * button; Enter and Space toggle. Arrow keys, Home and End between
+ * headers are optional in the APG.
+ */
+async function checkAccordion(ctx, model, add) {
+    const headers = model.items;
+    add('roles', 'button-role', ...every(headers, header => header.role === 'button', 'header',
+        'Every header is a button', 'Not a button'));
+    add('roles', 'heading', ...every(headers, header => header.inHeading, 'header',
+        'Every header button is inside a heading', 'Not inside a heading'));
+
+    add('states', 'aria-expanded', ...every(headers, header => header.expanded === 'true' || header.expanded === 'false', 'header',
+        'Every header has aria-expanded', 'No aria-expanded'));
+    add('states', 'panel-visibility', ...every(headers, header => header.controls && header.controls.visible === (header.expanded === 'true'), 'header',
+        'Each panel is shown exactly when its header is expanded', 'aria-expanded does not follow the panel'));
+
+    add('ownership', 'aria-controls', ...every(headers, header => header.controls, 'header',
+        'Every header controls its panel (aria-controls)', 'No panel in aria-controls'));
+    add('ownership', 'region-labelled', ...every(headers, header => header.controls && header.controls.labelledBy, 'header',
+        'Every panel is aria-labelledby its header', 'Panel not labelled by its header'), true);
+
+    add('keyboard', 'focusable', ...every(headers, header => header.tabbable, 'header',
+        'Every header is in the Tab sequence', 'Not focusable'));
+    if (headers.length) {
+        for (const [id, key] of [['enter', 'Enter'], ['space', 'Space']]) {
+            const { before, after } = await press(ctx, 0, key);
+            const was = expandedState(before.items[0]);
+            const now = expandedState(after.items[0]);
+            if (before.active !== 0) add('keyboard', id, false, `${labelOf(before, 0)} cannot take focus, so ${key} was not checked`);
+            else if (was === null) add('keyboard', id, false, `${key}: ${labelOf(after, 0)} exposes no expanded state to check`);
+            else add('keyboard', id, was !== now, was !== now
+                ? `${key} ${now === 'true' ? 'expands' : 'collapses'} ${labelOf(after, 0)}`
+                : `${key} does not toggle ${labelOf(after, 0)}`);
+        }
+    }
+
+    const nav = enabledIndexes(model);
+    if (nav.length >= 2) await navigationChecks(ctx, add, nav, { nextKey: 'ArrowDown', previousKey: 'ArrowUp', optional: true });
+}
+
+/**
+ * MENU / MENUBAR
+ * --------------
+ * menu or menubar > menuitem*, one item in the Tab sequence, arrows by
+ * orientation, Home/End; items with a submenu declare aria-haspopup and
+ * aria-expanded, Enter opens the submenu (Space optionally) and Escape
+ * closes it, back on the parent item.
+ */
+async function checkMenu(ctx, model, add) {
+    const items = model.items;
+    const parents = items.filter(item => item.popup);
+    add('roles', 'menu-role', ...roleCheck(model, ['menu', 'menubar']));
+    add('roles', 'menuitem-role', ...every(items, item => MENUITEM_ROLES.includes(item.role), 'menu item',
+        'Every item has role menuitem, menuitemcheckbox or menuitemradio', 'Not a menu item'));
+    if (parents.length) {
+        add('roles', 'submenu-role', ...every(parents, item => item.popup.role === 'menu', 'submenu',
+            'Every submenu has role menu', 'Submenu is not role menu'));
+    }
+
+    add('states', 'menu-name', ...await nameCheck(ctx, 'Menu'));
+    if (parents.length) {
+        add('states', 'aria-haspopup', ...every(parents, item => item.haspopup === 'true' || item.haspopup === 'menu', 'submenu',
+            'Every item with a submenu has aria-haspopup', 'No aria-haspopup'));
+        add('states', 'aria-expanded', ...every(parents, item => item.expanded !== null && (item.expanded === 'true') === item.popup.visible, 'submenu',
+            'aria-expanded follows each submenu', 'aria-expanded missing or wrong'));
+    }
+
+    add('ownership', 'menuitem-owned', ...every(items, item => !item.owners.length, 'menu item',
+        'Every item is owned by the menu', 'Owned by another role'));
+
+    const tabbable = items.filter(item => item.tabbable);
+    add('keyboard', 'roving-tabindex', tabbable.length === 1, tabbable.length === 1
+        ? 'Exactly one item is in the Tab sequence'
+        : `${tabbable.length} items in the Tab sequence, expected 1 (tabindex="-1" on the others)`);
+
+    const nav = enabledIndexes(model);
+    const orientation = model.root.orientation || (model.root.role === 'menubar' ? 'horizontal' : 'vertical');
+    if (nav.length >= 2) await navigationChecks(ctx, add, nav, orientationKeys(orientation));
+
+    if (!parents.length) return;
+    const parent = items.indexOf(parents[0]);
+    const opened = (await press(ctx, parent, 'Enter')).after;
+    const open = opened.items[parent].popup.visible && opened.items[parent].popup.focused;
+    add('keyboard', 'enter-submenu', open, open
+        ? `Enter opens the submenu of ${labelOf(opened, parent)} and moves focus into it`
+        : `Enter does not open the submenu of ${labelOf(opened, parent)} with focus inside`);
+    if (open) {
+        const closed = (await press(ctx, undefined, 'Escape')).after;
+        const back = !closed.items[parent].popup.visible && closed.active === parent;
+        add('keyboard', 'escape', back, back
+            ? `Escape closes the submenu and returns focus to ${labelOf(closed, parent)}`
+            : `Escape leaves the submenu ${closed.items[parent].popup.visible ? 'open' : 'closed'} with focus on ${labelOf(closed, closed.active)}`);
+    } else {
+        add('keyboard', 'escape', false, 'The submenu did not open, so Escape was not checked');
+    }
+    const spaced = (await press(ctx, parent, 'Space')).after;
+    const spaceOpens = spaced.items[parent].popup.visible && spaced.items[parent].popup.focused;
+    add('keyboard', 'space-submenu', spaceOpens, spaceOpens
+        ? `Space opens the submenu of ${labelOf(spaced, parent)}`
+        : `Space does not open the submenu of ${labelOf(spaced, parent)}`, true);
+    if (spaceOpens) await ctx.page.keyboard.press('Escape');
+}
+
+/**
+ * LISTBOX
+ * -------
+ * listbox > option (native <select multiple> counts), selection exposed
+ * with aria-selected, a name, ArrowDown/ArrowUp (no wrap), Home/End
+ * (optional), and an option that can be selected from the keyboard.
+ */
+async function checkListbox(ctx, model, add) {
+    const options = model.items;
+    add('roles', 'listbox-role', ...roleCheck(model, ['listbox']));
+    add('roles', 'option-role', ...every(options, option => option.role === 'option', 'option',
+        'Every option has role option', 'Not role option'));
+
+    add('states', 'listbox-name', ...await nameCheck(ctx, 'Listbox'));
+    const selected = options.filter(option => option.selected === 'true');
+    if (model.root.native) {
+        add('states', 'aria-selected', true, 'Native <select>: the browser exposes the selection');
+    } else if (model.root.multiselectable) {
+        add('states', 'aria-selected', ...every(options, option => option.selected === 'true' || option.selected === 'false', 'option',
+            'Every option of the multi-select listbox has aria-selected', 'No aria-selected'));
+    } else {
+        add('states', 'aria-selected', selected.length <= 1, selected.length <= 1
+            ? 'At most one option has aria-selected="true"'
+            : `${selected.length} options have aria-selected="true" without aria-multiselectable`);
+    }
+
+    add('ownership', 'option-owned', ...every(options, option => !option.owners.length, 'option',
+        'Every option is owned by the listbox (directly or through a group)', 'Owned by another role'));
+
+    const roving = options.some(option => option.tabbable);
+    add('keyboard', 'focusable', model.root.tabbable || roving, model.root.tabbable || roving
+        ? 'The listbox is in the Tab sequence'
+        : 'Neither the listbox nor any option is in the Tab sequence');
+
+    const nav = enabledIndexes(model);
+    if (nav.length < 2) return;
+    ctx.roving = roving && !model.root.tabbable;
+    await navigationChecks(ctx, add, nav, { nextKey: 'ArrowDown', previousKey: 'ArrowUp', homeEndOptional: true });
+
+    const current = await ctx.inspect();
+    if (current.active === -1) {
+        add('keyboard', 'selection', false, 'No option is active, so selection was not checked');
+        return;
+    }
+    if (current.items[current.active].selected === 'true') {
+        add('keyboard', 'selection', true, `Selection follows focus (${labelOf(current, current.active)})`);
+        return;
+    }
+    for (const key of ['Space', 'Enter']) {
+        const { after } = await press(ctx, undefined, key);
+        if (after.active !== -1 && after.items[after.active].selected === 'true') {
+            add('keyboard', 'selection', true, `${key} selects ${labelOf(after, after.active)}`);
+            return;
+        }
+    }
+    add('keyboard', 'selection', false, `Neither focus, Space nor Enter selects ${labelOf(current, current.active)}`);
+}
+
+/**
+ * PATTERNS
+ * --------
+ * Container roles (nested ones own their own items), default item
+ * selector, and the checks.
+ */
+const PATTERNS = {
+    tabs: { roles: ['tablist'], items: '[role="tab"]', check: checkTabs },
+    accordion: { roles: [], items: ':is(h1, h2, h3, h4, h5, h6, [role="heading"]) :is(button, [role="button"])', check: checkAccordion },
+    menu: { roles: ['menu', 'menubar'], items: MENUITEM_ROLES.map(role => `[role="${role}"]`).join(', '), check: checkMenu },
+    listbox: { roles: ['listbox'], items: '[role="option"], option', check: checkListbox },
+};
+
+/**
+ * CHECK
+ * -----
+ * Scores the widget at `root` against `pattern` and returns the
+ * scorecard; passed/total and failures count required checks only.
+ * Options:
+ * - items   CSS selector (inside root) for the items, instead of the roles
+ */
+async function checkAriaPattern(root, pattern, { items } = {}) {
+    const spec = PATTERNS[pattern];
+    if (!spec) throw new Error(`Unknown ARIA pattern "${pattern}". Use any of: ${Object.keys(PATTERNS).join(', ')}.`);
+
+    const args = { containerRoles: spec.roles, items: items || spec.items, topLevel: !items };
+    const ctx = { page: root.page(), root, roving: true, inspect: focus => root.evaluate(inspectWidget, { ...args, focus }) };
+    const model = await ctx.inspect();
+
+    const checks = [];
+    const add = (category, id, pass, message, optional = false) => checks.push({ category, id, pass: Boolean(pass), optional, message });
+    await spec.check(ctx, model, add);
+    checks.sort((a, b) => CATEGORIES.indexOf(a.category) - CATEGORIES.indexOf(b.category));
+
+    const required = checks.filter(check => !check.optional);
+    const failures = required.filter(check => !check.pass).map(check => check.id);
+    return {
+        pattern,
+        root: model.root.description,
+        conforms: failures.length === 0,
+        passed: required.length - failures.length,
+        total: required.length,
+        failures,
+        checks,
+    };
+}
+
+/**
+ * FORMAT
+ * ------
+ * One block per scorecard, checks grouped by category:
+ *   tabs pattern on nav[role=tablist]: 13/16 required checks
+ *     keyboard
+ *       FAIL  home            Home from "Use" leaves focus on "Use", expected "What"
+ */
+function formatScorecard(cards) {
+    const blocks = [].concat(cards).map(card => {
+        const optional = card.checks.filter(check => check.optional);
+        const extra = optional.length ? `, ${optional.filter(check => check.pass).length}/${optional.length} optional` : '';
+        const lines = [`${card.pattern} pattern on ${card.root}: ${card.passed}/${card.total} required checks${extra}`];
+        const width = Math.max(0, ...card.checks.map(check => check.id.length));
+        for (const category of CATEGORIES) {
+            const checks = card.checks.filter(check => check.category === category);
+            if (!checks.length) continue;
+            lines.push(`  ${category}`);
+            for (const check of checks) {
+                const status = check.pass ? 'pass' : check.optional ? 'warn' : 'FAIL';
+                lines.push(`    ${status}  ${check.id.padEnd(width)}  ${check.message}`);
+            }
+        }
+        return lines.join('\n');
+    });
+    return `${blocks.join('\n\n')}\n`;
+}
+
+module.exports = { PATTERNS, checkAriaPattern, formatScorecard };
@@ -0,0 +1,54 @@
+/**
+ * BASELINE HELPERS
+ * ================
+ * File baselines (toMatchSnapshot, toMatchAriaSnapshot) are kept per
+ * target - the live site or the local replica - and a target may not
+ * have its set yet. Playwright's default would write the missing file
+ * from whatever the page shows and fail the test, leaving an
+ * unreviewed baseline in the source tree.
+ *
+ * Usage (first line of the test):
+ *   const { skipWithoutBaseline, targetCommand } = require('../../helpers/baselines');
+ *
+ *   skipWithoutBaseline(testInfo, 'text-box-focus-order.txt', {
+ *       update: targetCommand('npx playwright test keyboard-navigation --update-snapshots'),
+ *   });
+ *   skipWithoutBaseline(testInfo, 'tabs.aria.yml', { kind: 'aria', update: 'npm run test:aria:update:live' });
+ *
+ * The test is skipped with the path it looked for and the command that
+ * records it; with --update-snapshots it runs and writes the file.
+ *
+ * INTERVIEW TIP: A baseline is a reviewed expectation. One written by
+ * the first run that happened to miss it only pins whatever was on the
+ * screen at that moment.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/* updateSnapshots modes that create missing files on purpose */
+const UPDATING = ['all', 'changed'];
+
+/**
+ * TARGET COMMAND
+ * --------------
+ * The command as it has to be run for the current DEMOQA_TARGET.
+ */
+function targetCommand(command) {
+    return process.env.DEMOQA_TARGET === 'local' ? `DEMOQA_TARGET=local ${command}` : command;
+}
+
+/**
+ * SKIP WITHOUT BASELINE
+ * ---------------------
+ * kind is 'snapshot' (toMatchSnapshot), 'aria' or 'screenshot', as for
+ * testInfo.snapshotPath().
+ */
+function skipWithoutBaseline(testInfo, name, { kind = 'snapshot', update }) {
+    if (UPDATING.includes(testInfo.config.updateSnapshots)) return;
+    const file = testInfo.snapshotPath(name, { kind });
+    testInfo.skip(!fs.existsSync(file),
+        `No baseline at ${path.relative(process.cwd(), file)} - record it, then review it, with: ${update}`);
+}
+
+module.exports = { skipWithoutBaseline, targetCommand };
@@ -0,0 +1,144 @@
+/**
+ * CHECKBOX TREE REFERENCE MODEL
+ * =============================
+ * An in-memory model of react-checkbox-tree's tri-state propagation,
+ * used to check the /checkbox widget against random operation
+ * sequences (see tests/02-forms/checkbox-tree-model.spec.js).
+ *
+ * Usage:
+ *   const { createTreeModel, randomOperations, applyOperation } = require('../../helpers/checkbox-tree-model');
+ *
+ *   const model = createTreeModel(await checkboxTree.dumpTree(tree));
+ *   await checkboxTree.collapseAll(tree);    // back to the model's start
+ *   const steps = randomOperations(model, random, 15);
+ *   // [{ type: 'check', path: 'Home/Documents/Office' }, { type: 'expand', path: 'Home/Desktop' }, ...]
+ *   for (const step of steps) {
+ *       model.apply(step);
+ *       await applyOperation(tree, step);
+ *   }
+ *   expect(await checkboxTree.dumpTree(tree, { expand: false })).toEqual(model.dump());
+ *
+ * Only the tree's shape (labels, values) is read from the page; the
+ * rules live here:
+ * - Only leaves hold a checked flag; a parent is checked when all of
+ *   its leaves are, half when some are, unchecked when none are.
+ * - check / uncheck set every leaf under the node.
+ * - Operations open the node's ancestors first (the helper has to, to
+ *   reach it); expand also opens the node itself.
+ *
+ * INTERVIEW TIP: A reference model turns "click around and eyeball it"
+ * into an oracle - any sequence the generator invents has a known
+ * expected state.
+ */
+
+const checkboxTree = require('./checkbox-tree');
+
+const OPERATIONS = ['expand', 'check', 'uncheck'];
+
+/**
+ * CREATE TREE MODEL
+ * -----------------
+ * Takes the shape from a dumpTree() result. Starts with everything
+ * collapsed and unchecked, like a freshly loaded page.
+ */
+function createTreeModel(shape) {
+    const nodes = new Map();
+    const index = (node, path) => {
+        const children = node.children ? node.children.map(child => index(child, `${path}/${child.label}`)) : null;
+        const entry = { label: node.label, value: node.value, path, children };
+        nodes.set(path, entry);
+        return entry;
+    };
+    const root = index(shape, shape.label);
+    const checkedLeaves = new Set();
+    const expanded = new Set();
+
+    const leavesOf = entry => (entry.children ? entry.children.flatMap(leavesOf) : [entry.path]);
+
+    const stateOf = entry => {
+        const leaves = leavesOf(entry);
+        const checked = leaves.filter(path => checkedLeaves.has(path)).length;
+        if (checked === 0) return 'unchecked';
+        return checked === leaves.length ? 'checked' : 'half';
+    };
+
+    const get = path => {
+        const entry = nodes.get(path);
+        if (!entry) throw new Error(`Model has no node "${path}"`);
+        return entry;
+    };
+
+    const openAncestors = path => {
+        const segments = path.split('/');
+        for (let depth = 1; depth < segments.length; depth++) {
+            expanded.add(segments.slice(0, depth).join('/'));
+        }
+    };
+
+    const render = entry => {
+        const node = { label: entry.label, value: entry.value, state: stateOf(entry) };
+        if (entry.children) {
+            node.expanded = expanded.has(entry.path);
+            node.children = node.expanded ? entry.children.map(render) : [];
+        }
+        return node;
+    };
+
+    const collectSelected = entry => {
+        const own = stateOf(entry) === 'checked' ? [entry.value] : [];
+        return own.concat(...(entry.children || []).map(collectSelected));
+    };
+
+    return {
+        paths: () => [...nodes.keys()],
+        parentPaths: () => [...nodes.values()].filter(entry => entry.children).map(entry => entry.path),
+
+        apply({ type, path }) {
+            const entry = get(path);
+            openAncestors(path);
+            if (type === 'expand') {
+                if (entry.children) expanded.add(path);
+            } else if (type === 'check' || type === 'uncheck') {
+                for (const leaf of leavesOf(entry)) {
+                    if (type === 'check') checkedLeaves.add(leaf); else checkedLeaves.delete(leaf);
+                }
+            } else {
+                throw new Error(`Unknown tree operation "${type}" - use one of: ${OPERATIONS.join(', ')}`);
+            }
+        },
+
+        /* Same shape as checkboxTree.dumpTree(tree, { expand: false }) */
+        dump: () => render(root),
+
+        /* What the result panel should list - collapsed nodes included */
+        selectedValues: () => collectSelected(root),
+    };
+}
+
+/**
+ * RANDOM OPERATIONS
+ * -----------------
+ * `count` operations drawn from `random` (helpers/property.js):
+ * expand targets parents only; check / uncheck target any node.
+ */
+function randomOperations(model, random, count) {
+    const parents = model.parentPaths();
+    const everything = model.paths();
+    return Array.from({ length: count }, () => {
+        const type = random.pick(OPERATIONS);
+        return { type, path: random.pick(type === 'expand' ? parents : everything) };
+    });
+}
+
+async function applyOperation(tree, { type, path }) {
+    if (type === 'expand') await checkboxTree.expand(tree, path);
+    else if (type === 'check') await checkboxTree.check(tree, path);
+    else if (type === 'uncheck') await checkboxTree.uncheck(tree, path);
+    else throw new Error(`Unknown tree operation "${type}" - use one of: ${OPERATIONS.join(', ')}`);
+}
+
+function describeOperations(steps) {
+    return steps.map((step, index) => `${index + 1}. ${step.type} ${step.path}`).join('\n');
+}
+
+module.exports = { createTreeModel, randomOperations, applyOperation, describeOperations };
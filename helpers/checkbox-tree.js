@@ -0,0 +1,230 @@
+/**
+ * CHECKBOX TREE HELPER
+ * ====================
+ * Drives the react-checkbox-tree on /checkbox by label path instead of
+ * ad-hoc selectors, and reads the whole tree back as data.
+ *
+ * Usage:
+ *   const checkboxTree = require('../../helpers/checkbox-tree');
+ *
+ *   const tree = page.locator('#tree-node');
+ *   await checkboxTree.check(tree, 'Home/Documents/WorkSpace/React');
+ *   await checkboxTree.uncheck(tree, 'Home/Desktop');
+ *   await checkboxTree.expand(tree, 'Home/Downloads');
+ *   await checkboxTree.expandAll(tree);
+ *
+ *   const dump = await checkboxTree.dumpTree(tree);
+ *   // { label: 'Home', value: 'home', state: 'half', expanded: true, children: [...] }
+ *   checkboxTree.flattenTree(dump);
+ *   // { 'Home': 'half', 'Home/Desktop': 'unchecked', ..., 'Home/Documents/WorkSpace/React': 'checked' }
+ *   await checkboxTree.readResult(tree);  // ['react'] - the "You have selected" panel
+ *
+ * States are 'checked', 'unchecked' or 'half' (some descendants
+ * checked), read from the rct-icon the widget shows.
+ *
+ * Expanding along the path is automatic: collapsed children are not
+ * rendered at all, so "Home/Desktop/Notes" needs Home and Desktop open.
+ *
+ * INTERVIEW TIP: Compare the whole tree in one toEqual() - a single
+ * diff shows every node whose tri-state propagation went wrong.
+ */
+
+const { expect } = require('@playwright/test');
+
+const STATE_ICONS = {
+    'rct-icon-check': 'checked',
+    'rct-icon-uncheck': 'unchecked',
+    'rct-icon-half-check': 'half',
+};
+
+function splitPath(path) {
+    const segments = path.split('/').map(segment => segment.trim()).filter(Boolean);
+    if (!segments.length) throw new Error(`Empty checkbox tree path: "${path}"`);
+    return segments;
+}
+
+/*
+ * Finds the checkbox id of the child labelled `label` under the node
+ * whose checkbox id is `parentId` (or a top-level node). Returns the
+ * sibling labels instead when there is no match.
+ */
+function childId(root, { parentId, label }) {
+    const list = parentId
+        ? root.querySelector(`#${CSS.escape(parentId)}`).closest('li').querySelector(':scope > ol')
+        : root.querySelector(':scope > ol');
+    const items = list ? [...list.children] : [];
+    const titles = items.map(li => li.querySelector(':scope > .rct-text .rct-title').textContent.trim());
+    const index = titles.indexOf(label);
+    return index === -1
+        ? { id: null, siblings: titles }
+        : { id: items[index].querySelector(':scope > .rct-text input').id };
+}
+
+function nodeParts(tree, id) {
+    const input = tree.locator(`#${id}`);
+    const node = input.locator('xpath=ancestor::li[1]');
+    return {
+        node,
+        label: tree.locator(`label[for="${id}"]`),
+        toggle: node.locator(':scope > .rct-text > button.rct-collapse-btn'),
+        icon: node.locator(':scope > .rct-text .rct-checkbox .rct-icon'),
+    };
+}
+
+async function isExpanded(node) {
+    return node.evaluate(li => li.classList.contains('rct-node-expanded'));
+}
+
+async function expandNode(parts) {
+    if (!(await parts.toggle.count()) || await isExpanded(parts.node)) return;
+    await parts.toggle.click();
+    await expect(parts.node).toHaveClass(/rct-node-expanded/);
+}
+
+/**
+ * RESOLVE
+ * -------
+ * Walks the path one level at a time, expanding each parent on the way.
+ * Returns the node's locators; unknown segments fail with the labels
+ * that were available at that level.
+ */
+async function resolve(tree, path) {
+    const segments = splitPath(path);
+    let id = null;
+    for (const [index, label] of segments.entries()) {
+        if (id) await expandNode(nodeParts(tree, id));
+        const found = await tree.evaluate(childId, { parentId: id, label });
+        if (!found.id) {
+            const at = segments.slice(0, index).join('/') || 'the top level';
+            throw new Error(`No "${label}" under ${at} - found: ${found.siblings.join(', ') || 'no children'}`);
+        }
+        id = found.id;
+    }
+    return nodeParts(tree, id);
+}
+
+async function readIconState(icon) {
+    const classes = await icon.getAttribute('class');
+    const match = Object.keys(STATE_ICONS).find(name => classes.split(/\s+/).includes(name));
+    return STATE_ICONS[match];
+}
+
+/**
+ * STATE / CHECK / UNCHECK
+ * -----------------------
+ * Clicking a half-checked node checks everything below it, so
+ * unchecking one takes two clicks; setChecked() clicks until the
+ * node reaches the wanted state.
+ */
+async function state(tree, path) {
+    return readIconState((await resolve(tree, path)).icon);
+}
+
+async function setChecked(tree, path, checked) {
+    const parts = await resolve(tree, path);
+    const wanted = checked ? 'checked' : 'unchecked';
+    for (let click = 0; click < 2; click++) {
+        if (await readIconState(parts.icon) === wanted) return;
+        await parts.label.click();
+    }
+    await expect.poll(() => readIconState(parts.icon), { message: `"${path}" did not become ${wanted}` }).toBe(wanted);
+}
+
+async function check(tree, path) {
+    await setChecked(tree, path, true);
+}
+
+async function uncheck(tree, path) {
+    await setChecked(tree, path, false);
+}
+
+/**
+ * EXPAND / COLLAPSE
+ * -----------------
+ * expand() opens the node and every ancestor; collapse() closes just
+ * the node. The *All variants use the widget's own toolbar buttons.
+ */
+async function expand(tree, path) {
+    await expandNode(await resolve(tree, path));
+}
+
+async function collapse(tree, path) {
+    const parts = await resolve(tree, path);
+    if (!(await parts.toggle.count()) || !(await isExpanded(parts.node))) return;
+    await parts.toggle.click();
+    await expect(parts.node).toHaveClass(/rct-node-collapsed/);
+}
+
+async function expandAll(tree) {
+    await tree.locator('button[title="Expand all"]').click();
+    await expect(tree.locator('li.rct-node-collapsed')).toHaveCount(0);
+}
+
+async function collapseAll(tree) {
+    await tree.locator('button[title="Collapse all"]').click();
+    await expect(tree.locator('li.rct-node-expanded')).toHaveCount(0);
+}
+
+/**
+ * DUMP TREE
+ * ---------
+ * Expands everything (collapsed children are not in the DOM) and
+ * returns the root node as nested JSON. Pass { expand: false } to dump
+ * only what is currently rendered.
+ */
+async function dumpTree(tree, { expand: expandFirst = true } = {}) {
+    if (expandFirst) await expandAll(tree);
+    return tree.evaluate((root, icons) => {
+        const read = li => {
+            const text = li.querySelector(':scope > .rct-text');
+            const iconClasses = [...text.querySelector('.rct-checkbox .rct-icon').classList];
+            const node = {
+                label: text.querySelector('.rct-title').textContent.trim(),
+                value: text.querySelector('input').id.replace(/^tree-node-/, ''),
+                state: icons[iconClasses.find(name => icons[name])],
+            };
+            if (li.classList.contains('rct-node-parent')) {
+                node.expanded = li.classList.contains('rct-node-expanded');
+                const list = li.querySelector(':scope > ol');
+                node.children = list ? [...list.children].map(read) : [];
+            }
+            return node;
+        };
+        return read(root.querySelector(':scope > ol > li'));
+    }, STATE_ICONS);
+}
+
+/**
+ * FLATTEN / SELECTED VALUES
+ * -------------------------
+ * flattenTree(dump)    -> { 'Home/Desktop': 'half', ... }
+ * selectedValues(dump) -> values the result panel should list: every
+ *                         fully checked node, parents before children
+ */
+function flattenTree(node, prefix = '') {
+    const path = prefix ? `${prefix}/${node.label}` : node.label;
+    return (node.children || []).reduce(
+        (states, child) => ({ ...states, ...flattenTree(child, path) }),
+        { [path]: node.state });
+}
+
+function selectedValues(node) {
+    const own = node.state === 'checked' ? [node.value] : [];
+    return own.concat(...(node.children || []).map(selectedValues));
+}
+
+/**
+ * READ RESULT
+ * -----------
+ * Values listed under "You have selected :" ([] when the panel is empty).
+ */
+async function readResult(tree) {
+    const values = tree.page().locator('#result .text-success');
+    return (await values.allTextContents()).map(text => text.trim());
+}
+
+module.exports = {
+    check, uncheck, setChecked, state,
+    expand, collapse, expandAll, collapseAll,
+    dumpTree, flattenTree, selectedValues, readResult,
+};
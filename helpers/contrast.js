@@ -0,0 +1,291 @@
+/**
+ * COLOR CONTRAST HELPER
+ * =====================
+ * WCAG 2.x contrast ratios for every visible piece of text on a page,
+ * worked out from computed styles - no screenshots, no axe-core.
+ *
+ * Usage (expect(page).toPassContrastAudit() in fixtures/a11y.js wraps this):
+ *   const { auditContrast, contrastFailures, formatContrastReport } = require('../../helpers/contrast');
+ *
+ *   const results = await auditContrast(page, { exclude: ['.left-pannel'] });
+ *   // [{ path: 'button#doubleClickBtn', text: 'Double Click Me',
+ *   //    foreground: '#ffffff', background: '#007bff', ratio: 3.98, large: false,
+ *   //    aa: false, aaa: false, reason: null }, ...]
+ *   contrastFailures(results, 'AA');          // the ones below 4.5:1 (3:1 for large text)
+ *   formatContrastReport(results, 'AA');      // plain-text table for an attachment
+ *
+ * The colors are the ones actually painted:
+ * - the background is every ancestor's background-color layered over
+ *   the canvas (white, or #121212 under a dark color-scheme)
+ * - opacity on the element or any ancestor fades both text and
+ *   background into what lies below, as the browser composites it
+ * - a background-image (gradient, picture) that no opaque color covers
+ *   cannot be resolved; such text is reported with ratio null and a reason
+ *
+ * Text inside disabled controls is skipped - WCAG exempts inactive UI.
+ *
+ * INTERVIEW TIP: Contrast is the most common WCAG failure on the web,
+ * and a designer's palette change can break it on every page at once -
+ * cheap to check on every run.
+ */
+
+/**
+ * THRESHOLDS (WCAG 2.x, 1.4.3 and 1.4.6)
+ * --------------------------------------
+ * Large text: at least 24px, or at least 18.66px (14pt) and bold.
+ */
+const WCAG_THRESHOLDS = {
+    AA: { normal: 4.5, large: 3 },
+    AAA: { normal: 7, large: 4.5 },
+};
+
+const WHITE = { r: 255, g: 255, b: 255, a: 1 };
+const DARK_CANVAS = { r: 18, g: 18, b: 18, a: 1 };
+const TRANSPARENT = { r: 0, g: 0, b: 0, a: 0 };
+
+/**
+ * PARSE COLOR
+ * -----------
+ * Computed colors come back as rgb()/rgba() (legacy or space syntax) or
+ * color(srgb ...). Anything else (lab(), oklch()) returns null.
+ */
+function parseColor(value) {
+    if (!value || value === 'transparent') return { ...TRANSPARENT };
+    const channel = text => (text.endsWith('%') ? parseFloat(text) / 100 : parseFloat(text));
+    let match = value.match(/^rgba?\(([^)]+)\)$/);
+    if (match) {
+        const [r, g, b, a = '1'] = match[1].split(/[\s,/]+/).filter(Boolean);
+        return { r: parseFloat(r), g: parseFloat(g), b: parseFloat(b), a: channel(a) };
+    }
+    match = value.match(/^color\(srgb ([^)]+)\)$/);
+    if (match) {
+        const [r, g, b, a = '1'] = match[1].split(/[\s/]+/).filter(Boolean);
+        return { r: channel(r) * 255, g: channel(g) * 255, b: channel(b) * 255, a: channel(a) };
+    }
+    return null;
+}
+
+function toHex({ r, g, b }) {
+    return `#${[r, g, b].map(value => Math.round(value).toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * LUMINANCE / RATIO
+ * -----------------
+ * Relative luminance and (L1 + 0.05) / (L2 + 0.05), as WCAG defines
+ * them. Ratios are not rounded before comparing: 4.49:1 fails AA.
+ */
+function relativeLuminance({ r, g, b }) {
+    const linear = value => {
+        const channel = value / 255;
+        return channel <= 0.04045 ? channel / 12.92 : ((channel + 0.055) / 1.055) ** 2.4;
+    };
+    return 0.2126 * linear(r) + 0.7152 * linear(g) + 0.0722 * linear(b);
+}
+
+function contrastRatio(foreground, background) {
+    const [light, dark] = [relativeLuminance(foreground), relativeLuminance(background)].sort((a, b) => b - a);
+    return (light + 0.05) / (dark + 0.05);
+}
+
+/*
+ * Compositing works on premultiplied colors: source-over is then
+ * `top + bottom * (1 - top.a)` per channel, and opacity is a multiply.
+ */
+const premultiply = color => ({ r: color.r * color.a, g: color.g * color.a, b: color.b * color.a, a: color.a });
+const over = (top, bottom) => {
+    const keep = 1 - top.a;
+    return { r: top.r + bottom.r * keep, g: top.g + bottom.g * keep, b: top.b + bottom.b * keep, a: top.a + bottom.a * keep };
+};
+const fade = (color, opacity) => ({ r: color.r * opacity, g: color.g * opacity, b: color.b * opacity, a: color.a * opacity });
+
+/**
+ * COMPOSITE
+ * ---------
+ * `layers` runs from the root element down to the text's element, each
+ * { background, opacity } with a parsed background. An element's
+ * opacity applies to its background and everything inside it, so each
+ * layer is a group: (inner content over own background) * opacity.
+ * `top` is the text color, or null for the bare background.
+ */
+function composite(layers, canvas, top = null) {
+    const group = index => {
+        if (index === layers.length) return top ? premultiply(top) : { ...TRANSPARENT };
+        const { background, opacity } = layers[index];
+        return fade(over(group(index + 1), premultiply(background)), opacity);
+    };
+    const { r, g, b } = over(group(0), premultiply(canvas));
+    return { r, g, b, a: 1 };
+}
+
+/**
+ * COLLECT (runs in the page)
+ * --------------------------
+ * One entry per element that directly holds visible text: its color,
+ * font, and the background/opacity of every ancestor.
+ */
+function collectText({ exclude }) {
+    const root = document.documentElement;
+    const scheme = getComputedStyle(root).colorScheme;
+    const prefersDark = matchMedia('(prefers-color-scheme: dark)').matches;
+    const darkCanvas = /dark/.test(scheme) && (!/light/.test(scheme) || prefersDark);
+
+    const pathOf = element => {
+        const steps = [];
+        for (let node = element; node && node !== root; node = node.parentElement) {
+            const tag = node.tagName.toLowerCase();
+            if (node.id) {
+                steps.unshift(`${tag}#${node.id}`);
+                break;
+            }
+            const className = typeof node.className === 'string' ? node.className.trim().split(/\s+/)[0] : '';
+            steps.unshift(className ? `${tag}.${className}` : tag);
+        }
+        return steps.join(' > ');
+    };
+
+    const seen = new Set();
+    const entries = [];
+    const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+        const element = node.parentElement;
+        if (!element || seen.has(element) || !node.textContent.trim()) continue;
+        seen.add(element);
+        if (exclude.some(selector => element.closest(selector))) continue;
+        if (element.closest('script, style, noscript, template, option, :disabled, [aria-disabled="true"]')) continue;
+
+        // Off-layout and screen-reader-only (1px clipped) text paints nothing to check
+        const range = document.createRange();
+        range.selectNodeContents(node);
+        const box = range.getBoundingClientRect();
+        const style = getComputedStyle(element);
+        if (box.width <= 1 || box.height <= 1 || style.visibility !== 'visible') continue;
+
+        const layers = [];
+        for (let ancestor = element; ancestor; ancestor = ancestor.parentElement) {
+            const ancestorStyle = getComputedStyle(ancestor);
+            layers.unshift({
+                background: ancestorStyle.backgroundColor,
+                image: ancestorStyle.backgroundImage !== 'none',
+                opacity: Number(ancestorStyle.opacity),
+            });
+        }
+        if (layers.some(layer => layer.opacity === 0)) continue;
+
+        const text = [...element.childNodes].filter(child => child.nodeType === Node.TEXT_NODE)
+            .map(child => child.textContent).join(' ').replace(/\s+/g, ' ').trim();
+        entries.push({
+            path: pathOf(element),
+            text: text.length > 40 ? `${text.slice(0, 37)}...` : text,
+            color: style.color,
+            fontSize: parseFloat(style.fontSize),
+            fontWeight: Number(style.fontWeight) || 400,
+            layers,
+            darkCanvas,
+        });
+    }
+    return entries;
+}
+
+/**
+ * MEASURE
+ * -------
+ * Collected entry -> result with the painted colors, ratio and the
+ * AA/AAA verdicts. Unresolvable entries get ratio null and a reason.
+ */
+function measure(entry) {
+    const large = entry.fontSize >= 24 || (entry.fontSize >= 18.66 && entry.fontWeight >= 700);
+    const result = {
+        path: entry.path,
+        text: entry.text,
+        fontSize: entry.fontSize,
+        fontWeight: entry.fontWeight,
+        large,
+        foreground: null,
+        background: null,
+        ratio: null,
+        aa: null,
+        aaa: null,
+        reason: null,
+    };
+    const color = parseColor(entry.color);
+    const layers = entry.layers.map(layer => ({ ...layer, background: parseColor(layer.background) }));
+    if (!color || layers.some(layer => !layer.background)) {
+        return { ...result, reason: 'color format not supported' };
+    }
+    // An image shows through unless a later (inner) layer paints an opaque color over it
+    const lastImage = layers.map(layer => layer.image).lastIndexOf(true);
+    if (lastImage !== -1 && !layers.slice(lastImage + 1).some(layer => layer.background.a === 1)) {
+        return { ...result, reason: 'background image' };
+    }
+
+    const canvas = entry.darkCanvas ? DARK_CANVAS : WHITE;
+    const background = composite(layers, canvas);
+    const foreground = composite(layers, canvas, color);
+    const ratio = contrastRatio(foreground, background);
+    const size = large ? 'large' : 'normal';
+    return {
+        ...result,
+        foreground: toHex(foreground),
+        background: toHex(background),
+        ratio: Math.round(ratio * 100) / 100,
+        aa: ratio >= WCAG_THRESHOLDS.AA[size],
+        aaa: ratio >= WCAG_THRESHOLDS.AAA[size],
+    };
+}
+
+/**
+ * AUDIT
+ * -----
+ * Every visible text element of the page's main frame, measured.
+ * Options:
+ * - exclude   CSS selector(s); text inside matching elements is skipped
+ */
+async function auditContrast(page, { exclude = [] } = {}) {
+    const entries = await page.evaluate(collectText, { exclude: [].concat(exclude) });
+    return entries.map(measure);
+}
+
+function checkLevel(level) {
+    if (!WCAG_THRESHOLDS[level]) throw new Error(`Unknown WCAG level "${level}". Use AA or AAA.`);
+}
+
+function requiredRatio(result, level) {
+    checkLevel(level);
+    return WCAG_THRESHOLDS[level][result.large ? 'large' : 'normal'];
+}
+
+/**
+ * FAILURES
+ * --------
+ * Results below the level's ratio. AAA is stricter, so it includes
+ * every AA failure.
+ */
+function contrastFailures(results, level = 'AA') {
+    checkLevel(level);
+    const verdict = level === 'AAA' ? 'aaa' : 'aa';
+    return results.filter(result => result.ratio !== null && !result[verdict]);
+}
+
+/**
+ * FORMAT REPORT
+ * -------------
+ * Summary line, then one line per failure at `level` and per result
+ * that could not be resolved.
+ */
+function formatContrastReport(results, level = 'AA') {
+    const failures = contrastFailures(results, level);
+    const unresolved = results.filter(result => result.ratio === null);
+    const lines = [`Checked ${results.length} text element(s): ${failures.length} below WCAG ${level}, ${unresolved.length} unresolved`];
+    for (const result of failures) {
+        const verdict = result.aa ? 'FAIL AAA' : 'FAIL AA ';
+        lines.push(`  ${verdict} ${result.ratio.toFixed(2)}:1 (needs ${requiredRatio(result, level)}:1${result.large ? ', large text' : ''})  ` +
+            `${result.foreground} on ${result.background}  ${result.path}  "${result.text}"`);
+    }
+    for (const result of unresolved) {
+        lines.push(`  ???      ${result.reason}  ${result.path}  "${result.text}"`);
+    }
+    return lines.join('\n');
+}
+
+module.exports = { WCAG_THRESHOLDS, parseColor, contrastRatio, auditContrast, contrastFailures, formatContrastReport };
@@ -0,0 +1,277 @@
+/**
+ * REACT DATE PICKER HELPER
+ * ========================
+ * Selects any date (and time) in a react-datepicker input, the widget
+ * behind #datePickerMonthYearInput, #dateAndTimePickerInput and the
+ * practice form's #dateOfBirthInput.
+ *
+ * Usage:
+ *   const { pickDate, readDate } = require('../../helpers/date-picker');
+ *
+ *   await pickDate(page.locator('#datePickerMonthYearInput'), '2022-07-15');
+ *   await pickDate(page.locator('#dateAndTimePickerInput'), new Date(2022, 2, 15, 10, 0));
+ *   await pickDate(input, '1990-06-15', { strategy: 'type' });
+ *   const value = await readDate(input); // Date or null
+ *
+ * STRATEGIES:
+ * - calendar (default)  Click through the UI: month/year dropdowns
+ *                       (<select> or scrolling lists) or the arrows,
+ *                       then the day cell, then the time list item
+ * - type                Fill the formatted text and press Enter
+ *
+ * Day cells are matched by their aria-label ("Choose Friday, July 15th,
+ * 2022"), so an outside-month day already on screen is clicked directly
+ * and a "15" from the neighbouring month is never picked by mistake.
+ * Every pick is read back and compared, so a silent mis-selection fails
+ * right here rather than three steps later.
+ *
+ * INTERVIEW TIP: Hide widget mechanics behind one function that takes
+ * the *value* (a Date), not the clicks. Tests read as intent, and a
+ * widget upgrade is fixed in one place.
+ */
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December'];
+
+/* Formats used on DemoQA, detected from the input's current value */
+const KNOWN_FORMATS = [
+    { format: 'MM/dd/yyyy', pattern: /^\d{2}\/\d{2}\/\d{4}$/ },
+    { format: 'dd MMM yyyy', pattern: /^\d{1,2} [A-Z][a-z]{2} \d{4}$/ },
+    { format: 'MMMM d, yyyy h:mm aa', pattern: /^[A-Z][a-z]+ \d{1,2}, \d{4} \d{1,2}:\d{2} [AP]M$/ },
+];
+
+const TOKENS = /yyyy|MMMM|MMM|MM|dd|d|HH|h|mm|aa/g;
+const TIME_STEP_MINUTES = 15;
+const MAX_NAVIGATION_STEPS = 240;
+
+function pad(value) {
+    return String(value).padStart(2, '0');
+}
+
+function ordinal(day) {
+    const suffix = day % 10 === 1 && day !== 11 ? 'st'
+        : day % 10 === 2 && day !== 12 ? 'nd'
+            : day % 10 === 3 && day !== 13 ? 'rd' : 'th';
+    return `${day}${suffix}`;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * TO DATE
+ * -------
+ * Accepts a Date or an ISO string. Date-only ISO strings are read as
+ * local dates - new Date('2022-07-15') would be UTC midnight and can
+ * land on the 14th west of Greenwich.
+ */
+function toDate(value) {
+    let date;
+    if (value instanceof Date) {
+        date = new Date(value.getTime());
+    } else if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        const [year, month, day] = value.split('-').map(Number);
+        date = new Date(year, month - 1, day);
+    } else {
+        date = new Date(value);
+    }
+    if (Number.isNaN(date.getTime())) throw new TypeError(`Not a valid date: ${value}`);
+    return date;
+}
+
+/**
+ * FORMAT / PARSE
+ * --------------
+ * The date-fns tokens DemoQA's pickers use: yyyy MMMM MMM MM dd d HH h mm aa.
+ */
+function formatDate(date, format) {
+    const hours12 = date.getHours() % 12 || 12;
+    const values = {
+        yyyy: String(date.getFullYear()),
+        MMMM: MONTHS[date.getMonth()],
+        MMM: MONTHS[date.getMonth()].slice(0, 3),
+        MM: pad(date.getMonth() + 1),
+        dd: pad(date.getDate()),
+        d: String(date.getDate()),
+        HH: pad(date.getHours()),
+        h: String(hours12),
+        mm: pad(date.getMinutes()),
+        aa: date.getHours() < 12 ? 'AM' : 'PM',
+    };
+    return format.replace(TOKENS, token => values[token]);
+}
+
+function parseDate(text, format) {
+    const order = [];
+    const source = format.split(TOKENS);
+    const tokens = format.match(TOKENS) || [];
+    let pattern = '';
+    source.forEach((literal, index) => {
+        pattern += escapeRegExp(literal);
+        const token = tokens[index];
+        if (!token) return;
+        order.push(token);
+        pattern += { yyyy: '(\\d{4})', MMMM: '([A-Za-z]+)', MMM: '([A-Za-z]{3})', aa: '(AM|PM)' }[token] || '(\\d{1,2})';
+    });
+    const match = new RegExp(`^${pattern}$`).exec(text.trim());
+    if (!match) return null;
+
+    const parts = { year: 0, month: 0, day: 1, hours: 0, minutes: 0, meridiem: null };
+    order.forEach((token, index) => {
+        const value = match[index + 1];
+        if (token === 'yyyy') parts.year = Number(value);
+        if (token === 'MMMM' || token === 'MMM') parts.month = MONTHS.findIndex(name => name.startsWith(value));
+        if (token === 'MM') parts.month = Number(value) - 1;
+        if (token === 'dd' || token === 'd') parts.day = Number(value);
+        if (token === 'HH' || token === 'h') parts.hours = Number(value);
+        if (token === 'mm') parts.minutes = Number(value);
+        if (token === 'aa') parts.meridiem = value;
+    });
+    if (parts.meridiem) parts.hours = (parts.hours % 12) + (parts.meridiem === 'PM' ? 12 : 0);
+    return new Date(parts.year, parts.month, parts.day, parts.hours, parts.minutes);
+}
+
+function detectFormat(text) {
+    const known = KNOWN_FORMATS.find(({ pattern }) => pattern.test(text.trim()));
+    return known ? known.format : null;
+}
+
+async function resolveFormat(input, format) {
+    if (format) return format;
+    const current = await input.inputValue();
+    const detected = detectFormat(current);
+    if (!detected) {
+        throw new Error(`Cannot detect the date format of "${current}" - pass { format } (e.g. 'MM/dd/yyyy')`);
+    }
+    return detected;
+}
+
+function hasTime(format) {
+    return /h|H/.test(format);
+}
+
+/**
+ * CALENDAR NAVIGATION
+ * -------------------
+ * Three header variants: <select> dropdowns, scrolling read-view
+ * lists (year list shows 11 years and shifts with its arrows), or
+ * just the previous/next month arrows.
+ */
+async function navigateTo(calendar, date) {
+    const year = date.getFullYear();
+    const month = date.getMonth();
+
+    if (await calendar.locator('.react-datepicker__year-select').count()) {
+        await calendar.locator('.react-datepicker__year-select').selectOption(String(year));
+        await calendar.locator('.react-datepicker__month-select').selectOption(String(month));
+        return;
+    }
+
+    if (await calendar.locator('.react-datepicker__year-read-view').count()) {
+        await calendar.locator('.react-datepicker__year-read-view').click();
+        const yearOption = calendar.locator('.react-datepicker__year-option', { hasText: new RegExp(`^✓?${year}$`) });
+        for (let step = 0; !(await yearOption.count()); step++) {
+            if (step > MAX_NAVIGATION_STEPS) throw new Error(`Year ${year} never appeared in the year list`);
+            const listed = (await calendar.locator('.react-datepicker__year-option').allTextContents())
+                .map(text => Number(text.replace('✓', ''))).filter(Boolean);
+            const direction = year > Math.max(...listed) ? 'upcoming' : 'previous';
+            await calendar.locator(`.react-datepicker__navigation--years-${direction}`).click();
+        }
+        await yearOption.click();
+
+        await calendar.locator('.react-datepicker__month-read-view').click();
+        await calendar.locator('.react-datepicker__month-option', { hasText: new RegExp(`^✓?${MONTHS[month]}$`) }).click();
+        return;
+    }
+
+    const header = calendar.locator('.react-datepicker__current-month');
+    for (let step = 0; step <= MAX_NAVIGATION_STEPS; step++) {
+        const [shownMonth, shownYear] = (await header.textContent()).trim().split(' ');
+        const offset = (year - Number(shownYear)) * 12 + (month - MONTHS.indexOf(shownMonth));
+        if (offset === 0) return;
+        await calendar.locator(offset > 0 ? '.react-datepicker__navigation--next' : '.react-datepicker__navigation--previous').click();
+    }
+    throw new Error(`Could not reach ${MONTHS[month]} ${year} with the month arrows`);
+}
+
+function dayCell(calendar, date, { inMonth = false } = {}) {
+    const label = `${MONTHS[date.getMonth()]} ${ordinal(date.getDate())}, ${date.getFullYear()}`;
+    const outside = inMonth ? ':not(.react-datepicker__day--outside-month)' : '';
+    return calendar.locator(`.react-datepicker__day${outside}[aria-label$="${label}"]`);
+}
+
+async function pickWithCalendar(input, date, format) {
+    const page = input.page();
+    const calendar = page.locator('.react-datepicker-popper .react-datepicker');
+
+    if (!(await calendar.isVisible())) await input.click();
+    await calendar.waitFor({ state: 'visible' });
+
+    // Already on screen (including as an outside-month day)? Click it directly.
+    let cell = dayCell(calendar, date);
+    if (!(await cell.count())) {
+        await navigateTo(calendar, date);
+        cell = dayCell(calendar, date, { inMonth: true });
+    }
+    await cell.first().click();
+
+    if (!hasTime(format)) return;
+
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    if (minutes % TIME_STEP_MINUTES !== 0) {
+        throw new Error(`The time list only offers ${TIME_STEP_MINUTES}-minute steps; ` +
+            `use { strategy: 'type' } for ${pad(date.getHours())}:${pad(date.getMinutes())}`);
+    }
+    if (!(await calendar.isVisible())) await input.click();
+    const label = `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    await calendar.locator('.react-datepicker__time-list').getByText(label, { exact: true }).click();
+}
+
+async function pickByTyping(input, date, format) {
+    await input.fill(formatDate(date, format));
+    await input.press('Enter');
+    const calendar = input.page().locator('.react-datepicker-popper .react-datepicker');
+    if (await calendar.isVisible()) await input.press('Escape');
+}
+
+/**
+ * READ DATE
+ * ---------
+ * Parses the input's current text. Returns null for an empty input.
+ */
+async function readDate(input, { format } = {}) {
+    const text = await input.inputValue();
+    if (!text.trim()) return null;
+    const used = format || detectFormat(text);
+    if (!used) throw new Error(`Cannot detect the date format of "${text}" - pass { format }`);
+    return parseDate(text, used);
+}
+
+/**
+ * PICK DATE
+ * ---------
+ * Options:
+ * - strategy  'calendar' (default) or 'type'
+ * - format    date-fns style format; detected from the current value
+ *             when omitted
+ *
+ * Resolves with the Date read back from the input.
+ */
+async function pickDate(input, value, { strategy = 'calendar', format } = {}) {
+    const date = toDate(value);
+    const used = await resolveFormat(input, format);
+
+    if (strategy === 'calendar') await pickWithCalendar(input, date, used);
+    else if (strategy === 'type') await pickByTyping(input, date, used);
+    else throw new Error(`Unknown date picker strategy "${strategy}" - use 'calendar' or 'type'`);
+
+    const expected = formatDate(date, used);
+    const actual = await readDate(input, { format: used });
+    if (!actual || formatDate(actual, used) !== expected) {
+        throw new Error(`Date picker shows "${await input.inputValue()}" after picking "${expected}" (${strategy})`);
+    }
+    return actual;
+}
+
+module.exports = { pickDate, readDate, formatDate, parseDate, toDate };
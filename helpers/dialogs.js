@@ -0,0 +1,116 @@
+/**
+ * DIALOG HELPER
+ * =============
+ * One call that states which JavaScript dialog (alert / confirm /
+ * prompt / beforeunload) an action should open, checks it, and answers
+ * it - instead of a hand-written page.on('dialog') per test.
+ *
+ * Usage:
+ *   const { expectDialog } = require('../../helpers/dialogs');
+ *
+ *   const confirm = expectDialog(page, { type: 'confirm', message: 'Do you confirm action?' });
+ *   await Promise.all([confirm.dismiss(), page.locator('#confirmButton').click()]);
+ *
+ *   const prompt = expectDialog(page, { type: 'prompt', message: /enter your name/, defaultValue: '' });
+ *   const [seen] = await Promise.all([prompt.accept('John Doe'), page.locator('#promtButton').click()]);
+ *   // seen -> { type: 'prompt', message: 'Please enter your name', defaultValue: '' }
+ *
+ * Call expectDialog() BEFORE the action and answer alongside it: a
+ * dialog blocks the page, so the click that opens it does not resolve
+ * until accept() / dismiss() has run.
+ *
+ * Failures:
+ * - No dialog within `timeout` (default 5000ms):
+ *     Expected confirm dialog "Do you confirm action?" but no dialog appeared within 5000ms
+ * - A different dialog: it is dismissed (so the page is not stuck) and
+ *     Expected confirm dialog "Do you confirm action?" but got alert dialog "You clicked a button"
+ *
+ * The dialogGuard fixture (fixtures/dialogs.js) fails the test for any
+ * dialog that nobody answered - an expected one whose accept() /
+ * dismiss() never ran included - and for the mismatches above.
+ *
+ * INTERVIEW TIP: Playwright dismisses dialogs silently when nothing
+ * listens - a confirm() you forgot about just returns false and the
+ * test carries on down the wrong branch. Expect dialogs explicitly.
+ */
+
+const DEFAULT_TIMEOUT = 5000;
+
+/* dialog -> 'expected' | 'answered' | 'unexpected', read by the dialogGuard fixture */
+const verdicts = new WeakMap();
+
+function describeDialog({ type, message }) {
+    const kind = type ? `${type} dialog` : 'a dialog';
+    if (message === undefined) return kind;
+    return `${kind} ${message instanceof RegExp ? message : `"${message}"`}`;
+}
+
+function infoOf(dialog) {
+    return { type: dialog.type(), message: dialog.message(), defaultValue: dialog.defaultValue() };
+}
+
+/* First mismatch between the dialog and the expectation, or null */
+function mismatchOf(info, { type, message, defaultValue }) {
+    if (type !== undefined && info.type !== type) return 'type';
+    if (message instanceof RegExp ? !message.test(info.message) : message !== undefined && info.message !== message) return 'message';
+    if (defaultValue !== undefined && info.defaultValue !== defaultValue) return 'defaultValue';
+    return null;
+}
+
+/**
+ * DIALOG VERDICT
+ * --------------
+ * 'expected' once expectDialog() matched the dialog, 'answered' once its
+ * accept() / dismiss() went through, 'unexpected' when it arrived while
+ * a different one was expected, undefined otherwise.
+ */
+function dialogVerdict(dialog) {
+    return verdicts.get(dialog);
+}
+
+/**
+ * EXPECT DIALOG
+ * -------------
+ * Options: type, message (string or RegExp), defaultValue (prompts),
+ * timeout. Every option is optional; leave one out to accept any value.
+ *
+ * Returns a handle; answer with exactly one of:
+ * - accept(promptText)  OK (with text for prompts)
+ * - dismiss()           Cancel
+ * Both wait for the dialog and resolve with { type, message, defaultValue }.
+ */
+function expectDialog(page, { type, message, defaultValue, timeout = DEFAULT_TIMEOUT } = {}) {
+    const expected = { type, message, defaultValue };
+    const arrival = page.waitForEvent('dialog', { timeout }).then(async dialog => {
+        const info = infoOf(dialog);
+        const mismatch = mismatchOf(info, expected);
+        if (!mismatch) {
+            verdicts.set(dialog, 'expected');
+            return { dialog, info };
+        }
+        verdicts.set(dialog, 'unexpected');
+        await dialog.dismiss().catch(() => {});
+        const detail = mismatch === 'defaultValue'
+            ? ` with default value "${info.defaultValue}" (expected "${defaultValue}")`
+            : '';
+        throw new Error(`Expected ${describeDialog(expected)} but got ${describeDialog(info)}${detail}`);
+    }, error => {
+        if (error.name !== 'TimeoutError') throw error;
+        throw new Error(`Expected ${describeDialog(expected)} but no dialog appeared within ${timeout}ms`);
+    });
+    // Reported through accept() / dismiss(); never an unhandled rejection
+    arrival.catch(() => {});
+
+    const answer = async respond => {
+        const { dialog, info } = await arrival;
+        await respond(dialog);
+        verdicts.set(dialog, 'answered');
+        return info;
+    };
+    return {
+        accept: promptText => answer(dialog => dialog.accept(promptText)),
+        dismiss: () => answer(dialog => dialog.dismiss()),
+    };
+}
+
+module.exports = { expectDialog, dialogVerdict, describeDialog };
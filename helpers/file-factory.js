@@ -0,0 +1,230 @@
+/**
+ * FILE FACTORY
+ * ============
+ * Builds small but valid test files in memory - no fixtures folder of
+ * binary blobs to keep in git. Every generator returns the payload
+ * shape setInputFiles() accepts:
+ *
+ *   { name: 'photo.jpg', mimeType: 'image/jpeg', buffer: <Buffer ...> }
+ *
+ * Usage:
+ *   const factory = require('../../helpers/file-factory');
+ *
+ *   await input.setInputFiles(factory.png({ width: 120, height: 80 }));
+ *   factory.jpeg({ width: 32, height: 32, gray: 200 });
+ *   factory.pdf({ text: 'Invoice #42' });
+ *   factory.csv({ rows: [{ name: 'Ann', age: 30 }] });
+ *   factory.empty({ name: 'empty.txt' });                // zero bytes
+ *   factory.text({ name: factory.UNICODE_NAME });       // non-ASCII file name
+ *   factory.large({ megabytes: 5 });                     // seeded, incompressible
+ *
+ * The tests' `files` fixture (fixtures/files.js) writes these to a
+ * temp directory when a real path is needed.
+ *
+ * INTERVIEW TIP: Uploading "fake-image-data" named .png only tests the
+ * happy path of a server that never looks inside. Real headers make
+ * type checks, thumbnails and size limits testable.
+ */
+
+const zlib = require('zlib');
+const { createRandom } = require('./property');
+
+/* Accents, CJK, emoji and a space - the usual suspects for encoding bugs */
+const UNICODE_NAME = 'résumé 履歴書 📄.txt';
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * PNG
+ * ---
+ * Solid-colour 8-bit RGB image. color is [r, g, b].
+ */
+function png({ name = 'image.png', width = 16, height = 16, color = [46, 139, 87] } = {}) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header.set([8, 2, 0, 0, 0], 8);        // bit depth 8, RGB, deflate, no filter, no interlace
+    const row = Buffer.concat([Buffer.from([0]), Buffer.from(Array.from({ length: width }, () => color).flat())]);
+    const pixels = Buffer.concat(Array.from({ length: height }, () => row));
+    const buffer = Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', zlib.deflateSync(pixels)),
+        pngChunk('IEND', Buffer.alloc(0)),
+    ]);
+    return { name, mimeType: 'image/png', buffer };
+}
+
+function segment(marker, data) {
+    const length = Buffer.alloc(2);
+    length.writeUInt16BE(data.length + 2);
+    return Buffer.concat([Buffer.from([0xff, marker]), length, data]);
+}
+
+/* Appends `count` bits of `value` to a JPEG entropy-coded bit stream */
+function bitWriter() {
+    const bytes = [];
+    let current = 0;
+    let used = 0;
+    const write = (value, count) => {
+        for (let bit = count - 1; bit >= 0; bit--) {
+            current = (current << 1) | ((value >> bit) & 1);
+            if (++used === 8) {
+                bytes.push(current);
+                if (current === 0xff) bytes.push(0x00);   // byte stuffing
+                current = 0;
+                used = 0;
+            }
+        }
+    };
+    const finish = () => {
+        if (used) write(0xff, 8 - used);                  // pad with 1 bits
+        return Buffer.from(bytes);
+    };
+    return { write, finish };
+}
+
+/**
+ * JPEG
+ * ----
+ * Solid grey baseline JPEG (gray 0-255). With one flat colour every
+ * 8x8 block is a single DC value, so tiny hand-made Huffman tables
+ * are enough: the first block carries the value, the rest say "same
+ * again, end of block".
+ */
+function jpeg({ name = 'image.jpg', width = 16, height = 16, gray = 128 } = {}) {
+    const dc = 8 * (gray - 128);                          // DCT of a flat block, quantised by 1
+    const category = dc === 0 ? 0 : Math.floor(Math.log2(Math.abs(dc))) + 1;
+    const blocks = Math.ceil(width / 8) * Math.ceil(height / 8);
+
+    // DC table: category 0 -> '0', the value's category -> '10'; AC table: EOB -> '0'
+    const dcSymbols = category === 0 ? [0, 1] : [0, category];
+    const dht = Buffer.concat([
+        Buffer.from([0x00, 1, 1, ...new Array(14).fill(0), ...dcSymbols]),
+        Buffer.from([0x10, 1, ...new Array(15).fill(0), 0x00]),
+    ]);
+
+    const frame = Buffer.alloc(9);
+    frame[0] = 8;
+    frame.writeUInt16BE(height, 1);
+    frame.writeUInt16BE(width, 3);
+    frame.set([1, 1, 0x11, 0], 5);                        // one component, 1x1 sampling, table 0
+
+    const bits = bitWriter();
+    for (let block = 0; block < blocks; block++) {
+        if (block === 0 && category !== 0) {
+            bits.write(0b10, 2);
+            bits.write(dc > 0 ? dc : dc - 1, category);   // negative values are one's complement
+        } else {
+            bits.write(0, 1);
+        }
+        bits.write(0, 1);                                 // EOB
+    }
+
+    const buffer = Buffer.concat([
+        Buffer.from([0xff, 0xd8]),
+        segment(0xe0, Buffer.from([0x4a, 0x46, 0x49, 0x46, 0x00, 1, 1, 0, 0, 1, 0, 1, 0, 0])),   // JFIF
+        segment(0xdb, Buffer.from([0x00, ...new Array(64).fill(1)])),
+        segment(0xc0, frame),
+        segment(0xc4, dht),
+        segment(0xda, Buffer.from([1, 1, 0x00, 0, 63, 0])),
+        bits.finish(),
+        Buffer.from([0xff, 0xd9]),
+    ]);
+    return { name, mimeType: 'image/jpeg', buffer };
+}
+
+function pdfString(text) {
+    return `(${String(text).replace(/[\\()]/g, character => `\\${character}`)})`;
+}
+
+/**
+ * PDF
+ * ---
+ * One Letter-size page with a line of Helvetica text and a correct
+ * xref table, so strict parsers accept it too.
+ */
+function pdf({ name = 'document.pdf', text = 'Test document' } = {}) {
+    const content = `BT /F1 24 Tf 72 720 Td ${pdfString(text)} Tj ET`;
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+        `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>',
+    ];
+    let body = '%PDF-1.4\n';
+    const offsets = objects.map((object, index) => {
+        const offset = Buffer.byteLength(body, 'latin1');
+        body += `${index + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+    });
+    const xref = Buffer.byteLength(body, 'latin1');
+    body += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    body += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    body += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return { name, mimeType: 'application/pdf', buffer: Buffer.from(body, 'latin1') };
+}
+
+function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV
+ * ---
+ * rows as objects (header from the first row's keys) or arrays (pass
+ * headers, or none). RFC 4180 quoting, CRLF line endings.
+ */
+function csv({ name = 'data.csv', rows = [{ id: 1, name: 'Alice' }, { id: 2, name: 'Bob' }], headers } = {}) {
+    const columns = headers || (rows.length && !Array.isArray(rows[0]) ? Object.keys(rows[0]) : null);
+    const lines = rows.map(row => (Array.isArray(row) ? row : columns.map(column => row[column])));
+    if (columns) lines.unshift(columns);
+    const text = lines.map(line => line.map(csvField).join(',')).join('\r\n') + '\r\n';
+    return { name, mimeType: 'text/csv', buffer: Buffer.from(text, 'utf8') };
+}
+
+function text({ name = 'file.txt', content = 'Test file content' } = {}) {
+    return { name, mimeType: 'text/plain', buffer: Buffer.from(content, 'utf8') };
+}
+
+function empty({ name = 'empty.txt', mimeType = 'text/plain' } = {}) {
+    return { name, mimeType, buffer: Buffer.alloc(0) };
+}
+
+/**
+ * LARGE
+ * -----
+ * Seeded pseudo-random bytes: the same seed gives the same file, and
+ * it does not compress, so upload size limits really see the size.
+ */
+function large({ name = 'large.bin', megabytes = 5, seed = 1 } = {}) {
+    const buffer = Buffer.alloc(Math.round(megabytes * 1024 * 1024));
+    const random = createRandom(seed);
+    for (let offset = 0; offset + 4 <= buffer.length; offset += 4) {
+        buffer.writeUInt32LE(Math.floor(random.next() * 0x100000000), offset);
+    }
+    return { name, mimeType: 'application/octet-stream', buffer };
+}
+
+module.exports = { UNICODE_NAME, png, jpeg, pdf, csv, text, empty, large };
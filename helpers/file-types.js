@@ -0,0 +1,140 @@
+/**
+ * FILE TYPE HELPERS
+ * =================
+ * Identify a file by its content (magic bytes), not its name, and read
+ * the interesting part back: image dimensions, text, JSON.
+ *
+ * Usage:
+ *   const { sniffMimeType, imageSize, parseFile } = require('../../helpers/file-types');
+ *
+ *   const buffer = fs.readFileSync(filePath);
+ *   sniffMimeType(buffer);   // 'image/jpeg'
+ *   imageSize(buffer);       // { width: 640, height: 480 }
+ *   parseFile(buffer);       // { mimeType: 'image/jpeg', width: 640, height: 480 }
+ *   parseFile(jsonBuffer);   // { mimeType: 'application/json', text: '{...}', json: {...} }
+ *
+ * Recognised: JPEG, PNG, GIF, PDF, ZIP, JSON, plain text; anything else
+ * is application/octet-stream.
+ *
+ * INTERVIEW TIP: A server can name a file "report.pdf" and send an
+ * HTML error page. Checking the first bytes catches that; checking the
+ * extension or the Content-Type header does not.
+ */
+
+const SIGNATURES = [
+    { mimeType: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+    { mimeType: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+    { mimeType: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] },          // GIF8
+    { mimeType: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] }, // %PDF-
+    { mimeType: 'application/zip', bytes: [0x50, 0x4b, 0x03, 0x04] },       // PK..
+];
+
+function startsWith(buffer, bytes) {
+    return buffer.length >= bytes.length && bytes.every((byte, index) => buffer[index] === byte);
+}
+
+/* Strict UTF-8 without NUL bytes, or null */
+function decodeText(buffer) {
+    if (buffer.includes(0)) return null;
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    } catch (error) {
+        return null;
+    }
+}
+
+function parseJson(text) {
+    if (!/^\s*[[{]/.test(text)) return undefined;
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        return undefined;
+    }
+}
+
+/**
+ * SNIFF MIME TYPE
+ * ---------------
+ * Binary signatures first, then text (JSON when it parses as an
+ * object or array). An empty file is text/plain.
+ */
+function sniffMimeType(buffer) {
+    const signature = SIGNATURES.find(({ bytes }) => startsWith(buffer, bytes));
+    if (signature) return signature.mimeType;
+    const text = decodeText(buffer);
+    if (text === null) return 'application/octet-stream';
+    return parseJson(text) === undefined ? 'text/plain' : 'application/json';
+}
+
+/*
+ * JPEG: walk the segments to the first start-of-frame marker (C0-CF
+ * except DHT C4, JPG C8 and DAC CC); height comes before width there.
+ */
+function jpegSize(buffer) {
+    let offset = 2;
+    while (offset + 4 <= buffer.length) {
+        if (buffer[offset] !== 0xff) return null;
+        const marker = buffer[offset + 1];
+        if (marker === 0xff) {
+            offset++;          // fill byte
+            continue;
+        }
+        if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd9)) {
+            offset += 2;       // standalone marker, no length
+            continue;
+        }
+        const length = buffer.readUInt16BE(offset + 2);
+        const isFrame = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+        if (isFrame && offset + 9 <= buffer.length) {
+            return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+        }
+        offset += 2 + length;
+    }
+    return null;
+}
+
+/* PNG: the IHDR chunk always comes first - width and height at 16 / 20 */
+function pngSize(buffer) {
+    if (buffer.length < 24 || buffer.toString('ascii', 12, 16) !== 'IHDR') return null;
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+}
+
+/**
+ * IMAGE SIZE
+ * ----------
+ * { width, height } of a JPEG or PNG; throws for anything else or a
+ * truncated header.
+ */
+function imageSize(buffer) {
+    const mimeType = sniffMimeType(buffer);
+    const size = mimeType === 'image/jpeg' ? jpegSize(buffer)
+        : mimeType === 'image/png' ? pngSize(buffer)
+        : undefined;
+    if (size === undefined) throw new Error(`imageSize() reads JPEG and PNG only, got ${mimeType}`);
+    if (!size) throw new Error(`Could not find the dimensions in this ${mimeType} (truncated or corrupt?)`);
+    return size;
+}
+
+/**
+ * PARSE FILE
+ * ----------
+ * Everything the helpers can read from the content:
+ * - images  { mimeType, width, height }
+ * - text    { mimeType, text }
+ * - JSON    { mimeType, text, json }
+ * - other   { mimeType }
+ */
+function parseFile(buffer, mimeType = sniffMimeType(buffer)) {
+    if (mimeType === 'image/jpeg' || mimeType === 'image/png') return { mimeType, ...imageSize(buffer) };
+    if (mimeType === 'text/plain' || mimeType === 'application/json') {
+        const text = decodeText(buffer);
+        if (text === null) throw new Error(`File is not valid UTF-8 text (declared ${mimeType})`);
+        if (mimeType === 'text/plain') return { mimeType, text };
+        const json = parseJson(text);
+        if (json === undefined) throw new Error('File is not valid JSON');
+        return { mimeType, text, json };
+    }
+    return { mimeType };
+}
+
+module.exports = { sniffMimeType, imageSize, parseFile };
@@ -0,0 +1,230 @@
+/**
+ * FOCUS ORDER HELPER
+ * ==================
+ * Keyboard-only crawl of a page: presses Tab until focus comes back
+ * around, then Shift+Tab the same way, and records every stop with its
+ * role and accessible name.
+ *
+ * Usage (right after page.goto(), before anything has focus):
+ *   const { crawlFocusOrder, formatFocusOrder } = require('../../helpers/focus-order');
+ *
+ *   const map = await crawlFocusOrder(page);
+ *   // { cycled: true,
+ *   //   forward:  [{ selector: '#userName', role: 'textbox', name: 'Full Name', frame: '', box, hidden: null }, ...],
+ *   //   backward: [...],
+ *   //   issues:   [{ type: 'invisible', selector: '#skip', message: 'Focused element is off-screen' }] }
+ *   expect(formatFocusOrder(map)).toMatchSnapshot('text-box-focus-order.txt');
+ *
+ * Issues:
+ * - trap        Tab stops moving, or loops through part of the page
+ *               without ever getting back to the first stop
+ * - invisible   A focused element with no size, hidden, transparent or
+ *               off-screen - the user cannot see where they are
+ * - order       Focus moves up (and not into a new column to the right)
+ *               or leftwards within a row, against reading order
+ * - asymmetric  Shift+Tab does not visit the stops in reverse
+ *
+ * Focus inside iframes is followed: each stop records its frame's URL
+ * ('' for the main frame).
+ *
+ * INTERVIEW TIP: Unplug the mouse for five minutes. Tab order bugs are
+ * invisible to every click-driven test, and they lock keyboard and
+ * screen reader users out of the page.
+ */
+
+const { accessibleRoleAndName } = require('./a11y-audit');
+
+/* Tab presses per direction before giving up on finding a cycle */
+const MAX_STOPS = 150;
+
+/**
+ * ACTIVE ELEMENT (runs in every frame)
+ * ------------------------------------
+ * The frame's focused element, or null when the frame does not have
+ * focus, or focus sits on the body or on a child iframe. Ids matching
+ * `unstableIds` ({ source, flags } of a RegExp) are left out of the
+ * selector.
+ */
+function describeActiveElement(unstableIds) {
+    const element = document.activeElement;
+    const unstable = unstableIds ? new RegExp(unstableIds.source, unstableIds.flags) : null;
+    if (!document.hasFocus() || !element || element === document.body || element === document.documentElement) return null;
+    if (element.tagName === 'IFRAME' || element.tagName === 'FRAME') return null;
+
+    const selectorOf = node => {
+        const steps = [];
+        for (; node && node.nodeType === Node.ELEMENT_NODE; node = node.parentElement) {
+            if (node.id && !(unstable && unstable.test(node.id)) && document.querySelectorAll(`#${CSS.escape(node.id)}`).length === 1) {
+                steps.unshift(`#${CSS.escape(node.id)}`);
+                break;
+            }
+            const tag = node.tagName.toLowerCase();
+            if (tag === 'body' || tag === 'html') {
+                steps.unshift(tag);
+                break;
+            }
+            const sameTag = [...node.parentElement.children].filter(sibling => sibling.tagName === node.tagName);
+            steps.unshift(sameTag.length > 1 ? `${tag}:nth-of-type(${sameTag.indexOf(node) + 1})` : tag);
+        }
+        return steps.join(' > ');
+    };
+
+    const invisibility = target => {
+        const box = target.getBoundingClientRect();
+        if (box.width <= 1 || box.height <= 1) return 'has no size';
+        if (getComputedStyle(target).visibility !== 'visible') return 'is visibility: hidden';
+        if (box.bottom <= 0 || box.right <= 0 || box.top >= innerHeight || box.left >= innerWidth) return 'is off-screen';
+        for (let node = target; node; node = node.parentElement) {
+            if (Number(getComputedStyle(node).opacity) === 0) return 'is transparent (opacity: 0)';
+        }
+        return null;
+    };
+    // Custom checkboxes and radios hide the input and draw focus on its label
+    const labels = element.labels ? [...element.labels] : [];
+    const reason = invisibility(element);
+    const hidden = reason && !labels.some(label => !invisibility(label)) ? reason : null;
+
+    const rect = element.getBoundingClientRect();
+    return {
+        selector: selectorOf(element),
+        box: { x: Math.round(rect.left + scrollX), y: Math.round(rect.top + scrollY), width: Math.round(rect.width), height: Math.round(rect.height) },
+        hidden,
+    };
+}
+
+/**
+ * FOCUSED STOP
+ * ------------
+ * The one frame whose focused element is not an iframe decides; role
+ * and name come from the aria snapshot of its :focus element.
+ */
+async function focusedStop(page, unstableIds) {
+    for (const frame of page.frames()) {
+        const active = await frame.evaluate(describeActiveElement, unstableIds).catch(() => null);
+        if (!active) continue;
+        const node = await accessibleRoleAndName(frame.locator(':focus'));
+        const frameUrl = frame === page.mainFrame() ? '' : frame.url();
+        return { ...active, role: node ? node.role : null, name: node ? node.name : null, frame: frameUrl, key: `${frameUrl} ${active.selector}` };
+    }
+    return null;
+}
+
+/**
+ * WALK
+ * ----
+ * Presses `key` until focus returns to the first stop, passes the end
+ * of the document (focus back on the body) or revisits another stop.
+ */
+async function walk(page, key, { maxStops, unstableIds }) {
+    const stops = [];
+    const initial = await focusedStop(page, unstableIds);
+    if (initial) stops.push(initial);
+    let idle = 0;
+    for (let press = 0; press < maxStops; press++) {
+        await page.keyboard.press(key);
+        const stop = await focusedStop(page, unstableIds);
+        if (!stop) {
+            // Past the last element focus rests on the document; twice in a row means nothing is focusable
+            if (stops.length || ++idle > 1) return { stops, cycled: true };
+            continue;
+        }
+        const seenAt = stops.findIndex(previous => previous.key === stop.key);
+        if (seenAt === 0 && stops.length > 1) return { stops, cycled: true };
+        if (seenAt !== -1) {
+            const loop = stops.slice(seenAt).map(previous => previous.selector);
+            const message = seenAt === stops.length - 1
+                ? `${key} does not move focus away from ${stop.selector}`
+                : `${key} loops through ${loop.join(' -> ')} without reaching the rest of the page`;
+            return { stops, cycled: false, trap: { type: 'trap', selector: stop.selector, message } };
+        }
+        stops.push(stop);
+    }
+    const trap = { type: 'trap', selector: stops[stops.length - 1].selector, message: `${key} did not come back around within ${maxStops} stops` };
+    return { stops, cycled: false, trap };
+}
+
+/**
+ * VISUAL ORDER
+ * ------------
+ * Between two consecutive stops in the same frame: moving up is fine
+ * only into a new column to the right; within a row, only rightwards.
+ */
+function orderIssue(previous, next) {
+    if (previous.frame !== next.frame) return null;
+    const a = previous.box;
+    const b = next.box;
+    const sameRow = b.y < a.y + a.height && a.y < b.y + b.height;
+    if (sameRow && b.x + b.width <= a.x) {
+        return { type: 'order', selector: next.selector, message: `Focus moves left from ${previous.selector} within a row` };
+    }
+    if (!sameRow && b.y + b.height <= a.y && b.x < a.x + a.width) {
+        return { type: 'order', selector: next.selector, message: `Focus jumps up from ${previous.selector}` };
+    }
+    return null;
+}
+
+/* Shift+Tab may start anywhere in the cycle, so compare as rotations */
+function isReverseCycle(forward, backward) {
+    if (forward.length !== backward.length) return false;
+    if (!forward.length) return true;
+    const reversed = forward.map(stop => stop.key).reverse();
+    const keys = backward.map(stop => stop.key);
+    const offset = reversed.indexOf(keys[0]);
+    return offset !== -1 && keys.every((key, index) => key === reversed[(offset + index) % reversed.length]);
+}
+
+/**
+ * CRAWL
+ * -----
+ * Tab from wherever focus is now (nothing focused: the top of the
+ * page), then Shift+Tab, and collect the issues.
+ * Options:
+ * - maxStops     Presses per direction before declaring a trap (default 150)
+ * - unstableIds  RegExp of generated ids that change on every load; such
+ *                elements get a structural selector so baselines hold
+ */
+async function crawlFocusOrder(page, { maxStops = MAX_STOPS, unstableIds = null } = {}) {
+    const options = { maxStops, unstableIds: unstableIds && { source: unstableIds.source, flags: unstableIds.flags } };
+    const forward = await walk(page, 'Tab', options);
+    const backward = await walk(page, 'Shift+Tab', options);
+
+    const issues = [];
+    if (forward.trap) issues.push(forward.trap);
+    if (backward.trap) issues.push(backward.trap);
+    for (const stop of forward.stops) {
+        if (stop.hidden) issues.push({ type: 'invisible', selector: stop.selector, message: `Focused element ${stop.hidden}` });
+    }
+    // An invisible stop has no place in the reading order - compare its neighbours instead
+    const visible = forward.stops.filter(stop => !stop.hidden);
+    visible.slice(1).forEach((stop, index) => {
+        const issue = orderIssue(visible[index], stop);
+        if (issue) issues.push(issue);
+    });
+    if (forward.cycled && backward.cycled && !isReverseCycle(forward.stops, backward.stops)) {
+        issues.push({ type: 'asymmetric', selector: null, message: 'Shift+Tab does not visit the Tab stops in reverse' });
+    }
+    return { cycled: forward.cycled && backward.cycled, forward: forward.stops, backward: backward.stops, issues };
+}
+
+/**
+ * FORMAT
+ * ------
+ * Stable text for a baseline: stops with role, name and selector (no
+ * coordinates), then the issues.
+ */
+function formatFocusOrder(map) {
+    const describe = stop => `${stop.role || '?'}${stop.name ? ` "${stop.name}"` : ''}`;
+    const width = Math.max(0, ...map.forward.map(stop => describe(stop).length));
+    const lines = [`Tab order: ${map.forward.length} stop(s), ${map.cycled ? 'cycles' : 'does not cycle'}`];
+    map.forward.forEach((stop, index) => {
+        const where = stop.frame ? `${stop.selector} (frame ${stop.frame})` : stop.selector;
+        lines.push(`${String(index + 1).padStart(3)}. ${describe(stop).padEnd(width)}  ${where}`);
+    });
+    lines.push(`Issues: ${map.issues.length || 'none'}`);
+    for (const issue of map.issues) {
+        lines.push(`  - ${issue.type}: ${issue.message}${issue.selector ? ` [${issue.selector}]` : ''}`);
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+module.exports = { crawlFocusOrder, formatFocusOrder };
@@ -0,0 +1,184 @@
+/**
+ * PRACTICE FORM HELPER
+ * ====================
+ * Seeded student data for /automation-practice-form, one call to fill
+ * and submit it, and a parser for the "Thanks for submitting the form"
+ * modal - so input and output can be compared as two objects.
+ *
+ * Usage:
+ *   const practiceForm = require('../../helpers/practice-form');
+ *   const { createRandom } = require('../../helpers/property');
+ *
+ *   const student = practiceForm.createStudent(createRandom(42));
+ *   // { firstName: 'Priya', lastName: 'Sharma', gender: 'Female', mobile: '9876543210',
+ *   //   dateOfBirth: Date, subjects: ['Maths'], hobbies: ['Reading'],
+ *   //   picture: { name, mimeType, buffer } | null, state: 'Haryana', city: 'Panipat', ... }
+ *   await practiceForm.submitStudent(page, student);
+ *   expect(await practiceForm.readResultModal(page)).toEqual(practiceForm.expectedResult(student));
+ *
+ * The result object uses camelCase keys for the modal's labels:
+ *   { studentName, studentEmail, gender, mobile, dateOfBirth, subjects,
+ *     hobbies, picture, address, stateAndCity }
+ *
+ * INTERVIEW TIP: Generated data finds the inputs nobody typed by hand -
+ * an apostrophe in a surname, a leap-day birthday, the one city whose
+ * name the app spells differently.
+ */
+
+const { expect } = require('@playwright/test');
+const { pickDate } = require('./date-picker');
+const reactSelect = require('./react-select');
+const factory = require('./file-factory');
+
+const GENDERS = ['Male', 'Female', 'Other'];
+const HOBBIES = ['Sports', 'Reading', 'Music'];
+const SUBJECTS = ['Hindi', 'English', 'Maths', 'Physics', 'Chemistry', 'Biology', 'Computer Science',
+    'Commerce', 'Accounting', 'Economics', 'Arts', 'Social Studies', 'History', 'Civics'];
+
+/* The site's own state -> city mapping, spellings included ("Merrut", "Jaiselmer") */
+const STATE_CITIES = {
+    'NCR': ['Delhi', 'Gurgaon', 'Noida'],
+    'Uttar Pradesh': ['Agra', 'Lucknow', 'Merrut'],
+    'Haryana': ['Karnal', 'Panipat'],
+    'Rajasthan': ['Jaipur', 'Jaiselmer'],
+};
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December'];
+
+const FIRST_NAMES = ['Aarav', 'Priya', 'John', 'Mei', 'Olusegun', 'Zoë', 'Jean-Luc', 'Ana María', 'Li', 'Fatima'];
+const LAST_NAMES = ['Sharma', 'Doe', "O'Brien", 'Nguyen', 'Müller', 'Smith-Jones', 'Kowalski', 'Okafor', 'Rossi', 'Singh'];
+const STREETS = ['MG Road', 'Main Street', 'Park Avenue', 'Sector 17', 'Connaught Place'];
+
+const RESULT_KEYS = {
+    'Student Name': 'studentName',
+    'Student Email': 'studentEmail',
+    'Gender': 'gender',
+    'Mobile': 'mobile',
+    'Date of Birth': 'dateOfBirth',
+    'Subjects': 'subjects',
+    'Hobbies': 'hobbies',
+    'Picture': 'picture',
+    'Address': 'address',
+    'State and City': 'stateAndCity',
+};
+
+/* `count` distinct items of `list`, in the order they were drawn */
+function sample(random, list, count) {
+    const pool = [...list];
+    return Array.from({ length: count }, () => pool.splice(random.int(0, pool.length - 1), 1)[0]);
+}
+
+function digits(random, count) {
+    return Array.from({ length: count }, () => random.int(0, 9)).join('');
+}
+
+/**
+ * CREATE STUDENT
+ * --------------
+ * A valid student from a helpers/property.js random source. Required
+ * fields (name, gender, mobile, date of birth) are always set; email,
+ * subjects, hobbies, picture, address and state/city are sometimes
+ * left out, and a city is only picked together with its state.
+ * `overrides` replaces any field.
+ */
+function createStudent(random, overrides = {}) {
+    const firstName = random.pick(FIRST_NAMES);
+    const lastName = random.pick(LAST_NAMES);
+    const handle = `${firstName}.${lastName}`.normalize('NFD').replace(/[^a-zA-Z.]/g, '').toLowerCase();
+    const state = random.chance(0.8) ? random.pick(Object.keys(STATE_CITIES)) : null;
+    const pictureKind = random.pick(['png', 'jpeg']);
+
+    return {
+        firstName,
+        lastName,
+        email: random.chance(0.8) ? `${handle}${random.int(1, 999)}@example.com` : '',
+        gender: random.pick(GENDERS),
+        mobile: `${random.int(6, 9)}${digits(random, 9)}`,
+        dateOfBirth: new Date(random.int(1950, 2010), random.int(0, 11), random.int(1, 28)),
+        subjects: sample(random, SUBJECTS, random.int(0, 3)),
+        hobbies: HOBBIES.filter(() => random.chance(0.5)),
+        picture: random.chance(0.5)
+            ? factory[pictureKind]({ name: `photo-${random.int(1, 9999)}.${pictureKind === 'png' ? 'png' : 'jpg'}`, width: 24, height: 32 })
+            : null,
+        address: random.chance(0.7) ? `${random.int(1, 999)}, ${random.pick(STREETS)}` : '',
+        state,
+        city: state && random.chance(0.9) ? random.pick(STATE_CITIES[state]) : null,
+        ...overrides,
+    };
+}
+
+/**
+ * FILL / SUBMIT
+ * -------------
+ * Fills every field of a fresh form (call on a newly loaded page) and
+ * submits; submitStudent() also waits for the result modal.
+ * dateStrategy is passed to pickDate() ('calendar' or 'type').
+ */
+async function fillStudent(page, student, { dateStrategy = 'calendar' } = {}) {
+    await page.locator('#firstName').fill(student.firstName);
+    await page.locator('#lastName').fill(student.lastName);
+    await page.locator('#userEmail').fill(student.email);
+    await page.locator(`label[for="gender-radio-${GENDERS.indexOf(student.gender) + 1}"]`).click();
+    await page.locator('#userNumber').fill(student.mobile);
+    await pickDate(page.locator('#dateOfBirthInput'), student.dateOfBirth, { strategy: dateStrategy });
+    if (student.subjects.length) await reactSelect.chooseMany(page.locator('#subjectsContainer'), student.subjects);
+    for (const hobby of student.hobbies) {
+        await page.locator(`label[for="hobbies-checkbox-${HOBBIES.indexOf(hobby) + 1}"]`).click();
+    }
+    if (student.picture) await page.locator('#uploadPicture').setInputFiles(student.picture);
+    await page.locator('#currentAddress').fill(student.address);
+    if (student.state) await reactSelect.choose(page.locator('#state'), student.state);
+    if (student.city) await reactSelect.choose(page.locator('#city'), student.city);
+}
+
+async function submitStudent(page, student, options) {
+    await fillStudent(page, student, options);
+    await page.locator('#submit').click();
+    await expect(page.locator('.modal-content')).toBeVisible();
+}
+
+/**
+ * EXPECTED RESULT
+ * ---------------
+ * What the modal should show for `student`, in readResultModal() shape.
+ * Subjects keep the order they were chosen in; hobbies follow the
+ * checkbox order.
+ */
+function expectedResult(student) {
+    const dob = student.dateOfBirth;
+    return {
+        studentName: `${student.firstName} ${student.lastName}`,
+        studentEmail: student.email,
+        gender: student.gender,
+        mobile: student.mobile,
+        dateOfBirth: `${String(dob.getDate()).padStart(2, '0')} ${MONTHS[dob.getMonth()]},${dob.getFullYear()}`,
+        subjects: student.subjects.join(', '),
+        hobbies: HOBBIES.filter(hobby => student.hobbies.includes(hobby)).join(', '),
+        picture: student.picture ? student.picture.name : '',
+        address: student.address,
+        stateAndCity: [student.state, student.city].filter(Boolean).join(' '),
+    };
+}
+
+/**
+ * READ RESULT MODAL
+ * -----------------
+ * The confirmation table as { studentName: 'John Doe', ... }. Fails
+ * when the modal is missing or shows a label this helper does not know.
+ */
+async function readResultModal(page) {
+    const modal = page.locator('.modal-content');
+    await expect(modal.locator('.modal-title')).toHaveText('Thanks for submitting the form');
+    const rows = await modal.locator('tbody tr').evaluateAll(trs => trs.map(tr => [...tr.cells].map(cell => cell.textContent)));
+    return Object.fromEntries(rows.map(([label, value]) => {
+        const key = RESULT_KEYS[label.trim()];
+        if (!key) throw new Error(`Unknown result row "${label}" - expected one of: ${Object.keys(RESULT_KEYS).join(', ')}`);
+        return [key, value.trim()];
+    }));
+}
+
+module.exports = {
+    GENDERS, HOBBIES, SUBJECTS, STATE_CITIES,
+    createStudent, fillStudent, submitStudent, expectedResult, readResultModal,
+};
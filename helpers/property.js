@@ -0,0 +1,99 @@
+/**
+ * PROPERTY TESTING HELPERS
+ * ========================
+ * The small toolkit behind seeded, reproducible random tests: a seeded
+ * random source, a seed that can be pinned from the environment, and a
+ * shrinker that cuts a failing sequence down to a minimal repro.
+ *
+ * Usage:
+ *   const { createRandom, resolveSeed, shrinkList } = require('../../helpers/property');
+ *
+ *   const seed = resolveSeed('TREE_SEED');   // env value, or a fresh one
+ *   const random = createRandom(seed);
+ *   random.int(1, 6); random.pick(['a', 'b']); random.chance(0.25);
+ *
+ *   const minimal = await shrinkList(steps, async candidate => await replayFails(candidate));
+ *
+ * Same seed, same sequence - always print the seed when a run fails so
+ * it can be replayed with e.g. TREE_SEED=1234 npx playwright test ...
+ *
+ * INTERVIEW TIP: Random tests are only useful when they are
+ * reproducible. Never call Math.random() in a test; derive everything
+ * from one logged seed.
+ */
+
+/**
+ * CREATE RANDOM
+ * -------------
+ * mulberry32 - tiny, fast and good enough for test data. Not crypto.
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    const next = () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    return {
+        seed,
+        next,
+        /* Integer in [min, max], both inclusive */
+        int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+        pick: list => list[Math.floor(next() * list.length)],
+        chance: probability => next() < probability,
+    };
+}
+
+/**
+ * RESOLVE SEED
+ * ------------
+ * The named environment variable when set (to replay a failure),
+ * otherwise a new seed per run.
+ */
+function resolveSeed(envName) {
+    const pinned = process.env[envName];
+    if (pinned !== undefined && pinned !== '') {
+        const seed = Number(pinned);
+        if (!Number.isInteger(seed)) throw new Error(`${envName} must be an integer seed, got "${pinned}"`);
+        return seed;
+    }
+    return Math.floor(Math.random() * 2 ** 31);
+}
+
+/**
+ * SHRINK LIST
+ * -----------
+ * Removes chunks (halves, then quarters, ... then single items) as
+ * long as `fails(candidate)` still resolves true. The result fails and
+ * no single item can be dropped from it. maxAttempts bounds the number
+ * of replays for slow (browser) checks.
+ */
+async function shrinkList(list, fails, { maxAttempts = 200 } = {}) {
+    let current = [...list];
+    let attempts = 0;
+    let chunk = Math.max(1, Math.floor(current.length / 2));
+
+    while (attempts < maxAttempts) {
+        let removedAny = false;
+        let start = 0;
+        while (start < current.length && attempts < maxAttempts) {
+            const candidate = [...current.slice(0, start), ...current.slice(start + chunk)];
+            attempts++;
+            if (candidate.length && await fails(candidate)) {
+                current = candidate;
+                removedAny = true;
+            } else {
+                start += chunk;
+            }
+        }
+        if (!removedAny) {
+            if (chunk === 1) break;
+            chunk = Math.max(1, Math.floor(chunk / 2));
+        }
+    }
+    return current;
+}
+
+module.exports = { createRandom, resolveSeed, shrinkList };
@@ -0,0 +1,171 @@
+/**
+ * REACT-SELECT HELPER
+ * ===================
+ * One way to drive every react-select instance on DemoQA: the Select
+ * Menu page (#withOptGroup, #selectOne, #multiSelect) and the practice
+ * form (#subjectsContainer, #state, #city).
+ *
+ * Usage:
+ *   const reactSelect = require('../../helpers/react-select');
+ *
+ *   const state = page.locator('#state');
+ *   await reactSelect.choose(state, 'NCR');
+ *   await reactSelect.chooseMany(page.locator('#multiSelect'), ['Green', 'Blue']);
+ *   await reactSelect.removeValue(page.locator('#multiSelect'), 'Green');
+ *   await reactSelect.clear(page.locator('#multiSelect'));
+ *   const values = await reactSelect.readSelection(state); // ['NCR']
+ *
+ * The container is any element around (or equal to) the react-select
+ * root. Parts are found by react-select's emotion class suffixes
+ * (-control, -menu, -multiValue, -singleValue) and option ids
+ * (react-select-<n>-option-<group>-<index>), which do not change
+ * between instances, unlike the hashed class prefixes.
+ *
+ * No force: true anywhere - if an option cannot be clicked, that is a
+ * real bug (an overlay, a closed menu) and the test should say so.
+ *
+ * INTERVIEW TIP: Custom dropdowns are not <select> elements, so
+ * selectOption() does not work. Type to filter, then click the option:
+ * it avoids scrolling long menus and works for async (server-filtered)
+ * menus too.
+ */
+
+const { expect } = require('@playwright/test');
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function exactText(text) {
+    return new RegExp(`^${escapeRegExp(text)}$`);
+}
+
+/**
+ * PARTS
+ * -----
+ * Locators for the pieces of one react-select instance.
+ */
+function parts(container) {
+    const menu = container.locator('[class*="-menu"]').first();
+    return {
+        control: container.locator('[class*="-control"]').first(),
+        input: container.locator('input:not([type="hidden"])').first(),
+        menu,
+        options: menu.locator('[id^="react-select-"][id*="-option-"]'),
+        noOptions: menu.getByText('No options', { exact: true }),
+        singleValue: container.locator('[class*="-singleValue"]'),
+        chips: container.locator('[class*="-multiValue"]'),
+        indicators: container.locator('[class*="-indicatorContainer"]'),
+    };
+}
+
+function option(container, label) {
+    return parts(container).options.filter({ hasText: exactText(label) });
+}
+
+/**
+ * OPEN MENU
+ * ---------
+ * Clicks the control; instances with openMenuOnClick=false (Subjects)
+ * open on ArrowDown instead.
+ */
+async function openMenu(container) {
+    const { control, input, menu } = parts(container);
+    if (await menu.isVisible()) return;
+    await control.click();
+    if (!(await menu.isVisible())) await input.press('ArrowDown');
+    await expect(menu, 'react-select menu did not open').toBeVisible();
+}
+
+/**
+ * MENU OPTIONS
+ * ------------
+ * Labels currently offered ([] when the menu says "No options").
+ */
+async function menuOptions(container) {
+    const { menu, options } = parts(container);
+    if (!(await menu.isVisible())) return [];
+    return (await options.allTextContents()).map(text => text.trim());
+}
+
+/**
+ * SEARCH
+ * ------
+ * Types into the react-select input (waits until it is enabled, e.g.
+ * #city after a state is chosen) and returns the offered labels.
+ */
+async function search(container, text) {
+    const { input, menu, options, noOptions } = parts(container);
+    await input.fill(text);
+    await expect(menu, `react-select menu did not open for "${text}"`).toBeVisible();
+    // Async menus show "Loading..." first; wait for a final state
+    await expect(options.first().or(noOptions)).toBeVisible();
+    return menuOptions(container);
+}
+
+/**
+ * READ SELECTION
+ * --------------
+ * Chip labels for multi selects, [label] or [] for single selects.
+ */
+async function readSelection(container) {
+    const { chips, singleValue } = parts(container);
+    if (await chips.count()) {
+        return (await chips.allTextContents()).map(text => text.trim());
+    }
+    return (await singleValue.allTextContents()).map(text => text.trim());
+}
+
+/**
+ * CHOOSE
+ * ------
+ * Options:
+ * - search  true (default): type the label to filter first
+ *           false: open the menu and click the option as listed
+ */
+async function choose(container, label, { search: typeToSearch = true } = {}) {
+    if (typeToSearch) {
+        const offered = await search(container, label);
+        if (!offered.includes(label)) {
+            throw new Error(`react-select does not offer "${label}" - searching it offered: ${JSON.stringify(offered)}`);
+        }
+    } else {
+        await openMenu(container);
+    }
+    await option(container, label).click();
+    await expect.poll(() => readSelection(container), { message: `"${label}" was not selected` }).toContain(label);
+}
+
+async function chooseMany(container, labels, options) {
+    for (const label of labels) {
+        await choose(container, label, options);
+    }
+}
+
+/**
+ * REMOVE VALUE
+ * ------------
+ * Clicks the × on one multi-value chip.
+ */
+async function removeValue(container, label) {
+    const chip = parts(container).chips.filter({ has: container.page().getByText(label, { exact: true }) });
+    await chip.locator(':scope > div').last().click();
+    await expect.poll(() => readSelection(container), { message: `"${label}" chip was not removed` }).not.toContain(label);
+}
+
+/**
+ * CLEAR
+ * -----
+ * The clear indicator (×) is the first indicator and only exists
+ * while something is selected.
+ */
+async function clear(container) {
+    const { indicators } = parts(container);
+    if ((await indicators.count()) < 2) {
+        throw new Error('react-select has no clear indicator (nothing selected, or not clearable)');
+    }
+    await indicators.first().click();
+    await expect.poll(() => readSelection(container), { message: 'react-select was not cleared' }).toEqual([]);
+}
+
+module.exports = { openMenu, menuOptions, search, readSelection, choose, chooseMany, removeValue, clear };
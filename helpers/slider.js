@@ -0,0 +1,214 @@
+/**
+ * SLIDER HELPER
+ * =============
+ * Sets a native <input type="range"> to an exact value the way a user
+ * would - dragging the thumb - and checks the result in the mirror
+ * field (#sliderValue on /slider).
+ *
+ * Usage:
+ *   const slider = require('../../helpers/slider');
+ *
+ *   const range = page.locator('input[type="range"]');
+ *   await slider.readRange(range);            // { min: 0, max: 100, step: 1, value: 25 }
+ *   await slider.setValue(range, 75);         // { value: 75, method: 'drag' }
+ *   await slider.setValue(range, 40, { strategy: 'keyboard' });
+ *   const report = await slider.walkAllValues(range);
+ *   // { values: 101, unreachableByMouse: [], unreachableByKeyboard: [], mirrorMismatches: [] }
+ *
+ * VALUE -> PIXEL:
+ * The thumb's centre travels from thumbWidth/2 to width - thumbWidth/2
+ * of the content box, so
+ *   x = left + thumbWidth / 2 + (value - min) / (max - min) * (width - thumbWidth)
+ * The browser's thumb width is not readable from script, so a landing
+ * that is off by a step or two is corrected with the arrow keys (and
+ * reported as method 'drag+keyboard'). Anything further off throws.
+ *
+ * INTERVIEW TIP: fill() on a range input sets the value without any
+ * pointer events. Great for setup, useless for testing the drag itself.
+ */
+
+const { expect } = require('@playwright/test');
+
+const DEFAULT_THUMB_WIDTH = 16;
+const MAX_KEYBOARD_CORRECTION = 2;
+
+function mirrorOf(range, mirror) {
+    return mirror === undefined ? range.page().locator('#sliderValue') : mirror;
+}
+
+function decimalsOf(step) {
+    const text = String(step);
+    return text.includes('.') ? text.split('.')[1].length : 0;
+}
+
+/**
+ * READ RANGE
+ * ----------
+ * min / max / step / value as numbers, with the HTML defaults
+ * (0, 100, 1) for missing attributes.
+ */
+async function readRange(range) {
+    return range.evaluate(input => ({
+        min: input.min === '' ? 0 : Number(input.min),
+        max: input.max === '' ? 100 : Number(input.max),
+        step: input.step === '' || input.step === 'any' ? 1 : Number(input.step),
+        value: Number(input.value),
+    }));
+}
+
+/* Every value the step allows, min to max inclusive */
+function allValues({ min, max, step }) {
+    const count = Math.floor((max - min) / step + 1e-9);
+    const decimals = decimalsOf(step);
+    return Array.from({ length: count + 1 }, (_, index) => Number((min + index * step).toFixed(decimals)));
+}
+
+function stepsBetween(from, to, step) {
+    return Math.round((to - from) / step);
+}
+
+/**
+ * PIXEL FOR VALUE
+ * ---------------
+ * Viewport coordinates of the thumb centre for `value`.
+ */
+async function pixelFor(range, value, { thumbWidth = DEFAULT_THUMB_WIDTH } = {}) {
+    const { min, max } = await readRange(range);
+    if (value < min || value > max) throw new Error(`Slider value ${value} is outside ${min}..${max}`);
+    await range.scrollIntoViewIfNeeded();
+    const box = await range.evaluate(input => {
+        const rect = input.getBoundingClientRect();
+        const style = getComputedStyle(input);
+        const left = rect.left + parseFloat(style.borderLeftWidth) + parseFloat(style.paddingLeft);
+        const right = rect.right - parseFloat(style.borderRightWidth) - parseFloat(style.paddingRight);
+        return { left, width: right - left, y: rect.top + rect.height / 2 };
+    });
+    const fraction = max === min ? 0 : (value - min) / (max - min);
+    return { x: box.left + thumbWidth / 2 + fraction * (box.width - thumbWidth), y: box.y };
+}
+
+/**
+ * VERIFY
+ * ------
+ * The input and its mirror must both show the value.
+ */
+async function expectValue(range, value, mirror) {
+    await expect(range).toHaveValue(String(value));
+    if (mirror) await expect(mirror).toHaveValue(String(value));
+}
+
+async function pressArrows(range, count) {
+    await range.focus();
+    const key = count > 0 ? 'ArrowRight' : 'ArrowLeft';
+    for (let i = 0; i < Math.abs(count); i++) {
+        await range.press(key);
+    }
+}
+
+/**
+ * DRAG TO
+ * -------
+ * Presses on the thumb's current position and drags to the target
+ * pixel. Resolves with the value the input landed on.
+ */
+async function dragTo(range, value, options = {}) {
+    const page = range.page();
+    const { value: current } = await readRange(range);
+    const start = await pixelFor(range, current, options);
+    const end = await pixelFor(range, value, options);
+    await page.mouse.move(start.x, start.y);
+    await page.mouse.down();
+    await page.mouse.move(end.x, end.y, { steps: 5 });
+    await page.mouse.up();
+    return (await readRange(range)).value;
+}
+
+/**
+ * SET VALUE
+ * ---------
+ * Options:
+ * - strategy    'drag' (default) or 'keyboard'
+ * - mirror      Locator showing the value; defaults to #sliderValue,
+ *               pass null when there is none
+ * - thumbWidth  Thumb width in px for the pixel mapping (default 16)
+ *
+ * Resolves with { value, method }.
+ */
+async function setValue(range, value, { strategy = 'drag', mirror, thumbWidth } = {}) {
+    const mirrorField = mirrorOf(range, mirror);
+    const { step } = await readRange(range);
+    let method;
+
+    if (strategy === 'keyboard') {
+        const { value: current } = await readRange(range);
+        await pressArrows(range, stepsBetween(current, value, step));
+        method = 'keyboard';
+    } else if (strategy === 'drag') {
+        const landed = await dragTo(range, value, { thumbWidth });
+        const offBy = stepsBetween(landed, value, step);
+        if (Math.abs(offBy) > MAX_KEYBOARD_CORRECTION) {
+            throw new Error(`Dragging to ${value} landed on ${landed} (${offBy} steps off) - check { thumbWidth }`);
+        }
+        method = 'drag';
+        if (offBy !== 0) {
+            await pressArrows(range, offBy);
+            method = 'drag+keyboard';
+        }
+    } else {
+        throw new Error(`Unknown slider strategy "${strategy}" - use 'drag' or 'keyboard'`);
+    }
+
+    await expectValue(range, value, mirrorField);
+    return { value, method };
+}
+
+/**
+ * WALK ALL VALUES
+ * ---------------
+ * Confirms every value from min to max can be reached:
+ * - by mouse: a click at the computed pixel per value, nudged a pixel
+ *   at a time on a miss (no keyboard correction)
+ * - by keyboard: Home, then ArrowRight one step at a time
+ * The mirror is compared with the input at every stop.
+ */
+async function walkAllValues(range, { mirror, thumbWidth } = {}) {
+    const page = range.page();
+    const mirrorField = mirrorOf(range, mirror);
+    const values = allValues(await readRange(range));
+    const readMirror = async () => (mirrorField ? Number(await mirrorField.inputValue()) : null);
+    const report = { values: values.length, unreachableByMouse: [], unreachableByKeyboard: [], mirrorMismatches: [] };
+
+    const record = async (list, expected, method) => {
+        const actual = (await readRange(range)).value;
+        if (actual !== expected) list.push({ expected, actual });
+        const mirrored = await readMirror();
+        if (mirrorField && mirrored !== actual) report.mirrorMismatches.push({ method, value: actual, mirror: mirrored });
+    };
+
+    // A miss is retried a pixel at a time towards the value, up to one
+    // step's worth of pixels - "reachable" means some pixel lands on it
+    const { x: firstX } = await pixelFor(range, values[0], { thumbWidth });
+    const { x: lastX } = await pixelFor(range, values[values.length - 1], { thumbWidth });
+    const pixelsPerStep = Math.max(1, Math.ceil(Math.abs(lastX - firstX) / Math.max(1, values.length - 1)));
+    for (const value of values) {
+        const { x, y } = await pixelFor(range, value, { thumbWidth });
+        await page.mouse.click(x, y);
+        for (let nudge = 1; nudge <= pixelsPerStep; nudge++) {
+            const landed = (await readRange(range)).value;
+            if (landed === value) break;
+            await page.mouse.click(x + (landed < value ? nudge : -nudge), y);
+        }
+        await record(report.unreachableByMouse, value, 'mouse');
+    }
+
+    await range.focus();
+    await range.press('Home');
+    await record(report.unreachableByKeyboard, values[0], 'keyboard');
+    for (const value of values.slice(1)) {
+        await range.press('ArrowRight');
+        await record(report.unreachableByKeyboard, value, 'keyboard');
+    }
+    return report;
+}
+
+module.exports = { readRange, allValues, pixelFor, setValue, walkAllValues };
@@ -0,0 +1,242 @@
+/**
+ * WEB TABLE HELPER
+ * ================
+ * Reads and edits the react-table (v6) grids on DemoQA - Web Tables
+ * and the Book Store - as data instead of cell positions.
+ *
+ * Usage:
+ *   const webTable = require('../../helpers/web-table');
+ *
+ *   const table = page.locator('.ReactTable');
+ *   const rows = await webTable.readRows(table);
+ *   // [{ 'First Name': 'Cierra', 'Last Name': 'Vega', Age: 39, ... }]
+ *
+ *   await webTable.addRecord(table, { 'First Name': 'John', Age: 30, ... });
+ *   await webTable.editRecord(table, row => row.Email === 'john@example.com', { Salary: 60000 });
+ *   await webTable.deleteRecord(table, row => row['First Name'] === 'John');
+ *   const kierra = await webTable.findBy(table, row => row.Age < 30);
+ *
+ *   await webTable.setRowsPerPage(table, 5);
+ *   const everyone = await webTable.readAllRows(table); // walks every page
+ *   await webTable.sortBy(table, 'Salary', 'desc');
+ *
+ * Rows are keyed by header text; the Action column and react-table's
+ * empty "-padRow" filler rows are left out. Age and Salary come back
+ * as numbers - pass { types } to type other columns.
+ *
+ * INTERVIEW TIP: Assert on data, not on .rt-td:nth-child(4). When the
+ * column order changes, a header-keyed model still reads "Email".
+ */
+
+const { expect } = require('@playwright/test');
+
+const COLUMN_TYPES = { Age: Number, Salary: Number };
+const SKIPPED_HEADERS = ['Action', ''];
+
+/* Registration Form inputs behind Add / Edit, by column header */
+const FORM_FIELDS = {
+    'First Name': '#firstName',
+    'Last Name': '#lastName',
+    Email: '#userEmail',
+    Age: '#age',
+    Salary: '#salary',
+    Department: '#department',
+};
+
+function parts(table) {
+    return {
+        headers: table.locator('.rt-thead.-header .rt-th'),
+        rowGroups: table.locator('.rt-tbody .rt-tr-group'),
+        dataRows: table.locator('.rt-tbody .rt-tr:not(.-padRow)'),
+        next: table.locator('.-pagination .-next .-btn'),
+        pageJump: table.locator('.-pagination .-pageJump input'),
+        totalPages: table.locator('.-pagination .-totalPages'),
+        rowsPerPage: table.locator('select[aria-label="rows per page"]'),
+    };
+}
+
+async function readHeaders(table) {
+    return (await parts(table).headers.allTextContents()).map(text => text.trim());
+}
+
+/**
+ * READ ROWS
+ * ---------
+ * Data rows on the current page, in display order.
+ */
+async function readRows(table, { types = COLUMN_TYPES } = {}) {
+    const headers = await readHeaders(table);
+    const cells = await parts(table).dataRows.evaluateAll(rows => rows.map(row =>
+        [...row.querySelectorAll('.rt-td')].map(cell => cell.textContent.replace(/\u00a0/g, ' ').trim())));
+
+    return cells
+        .filter(values => values.some(Boolean))
+        .map(values => {
+            const row = {};
+            headers.forEach((header, index) => {
+                if (SKIPPED_HEADERS.includes(header)) return;
+                const convert = types[header];
+                row[header] = convert && values[index] !== '' ? convert(values[index]) : values[index];
+            });
+            return row;
+        });
+}
+
+/**
+ * PAGING
+ * ------
+ * pageInfo() -> { page, pages } (1-based). goToPage() uses the page
+ * jump input, the same way a user types a page number.
+ */
+async function pageInfo(table) {
+    const { pageJump, totalPages } = parts(table);
+    return {
+        page: Number(await pageJump.inputValue()),
+        pages: Number((await totalPages.textContent()).trim()),
+    };
+}
+
+async function goToPage(table, page) {
+    const { pages } = await pageInfo(table);
+    if (page < 1 || page > pages) {
+        throw new Error(`Page ${page} does not exist - the table has ${pages} page(s)`);
+    }
+    const { pageJump } = parts(table);
+    await pageJump.fill(String(page));
+    await pageJump.press('Enter');
+    await expect(pageJump).toHaveValue(String(page));
+}
+
+async function nextPage(table) {
+    const { next, pageJump } = parts(table);
+    const { page } = await pageInfo(table);
+    await next.click();
+    await expect(pageJump).toHaveValue(String(page + 1));
+}
+
+async function setRowsPerPage(table, size) {
+    await parts(table).rowsPerPage.selectOption(String(size));
+    await expect(parts(table).rowGroups).toHaveCount(size);
+}
+
+/**
+ * READ ALL ROWS
+ * -------------
+ * Starts at page 1 and clicks Next until it is disabled.
+ */
+async function readAllRows(table, options) {
+    await goToPage(table, 1);
+    const rows = [];
+    for (;;) {
+        rows.push(...await readRows(table, options));
+        if (await parts(table).next.isDisabled()) return rows;
+        await nextPage(table);
+    }
+}
+
+/**
+ * LOCATE
+ * ------
+ * First row (across pages) matching the predicate: the row object and
+ * the .rt-tr-group holding it, left on screen for Edit / Delete.
+ */
+async function locate(table, predicate, options) {
+    await goToPage(table, 1);
+    for (;;) {
+        const rows = await readRows(table, options);
+        const index = rows.findIndex(predicate);
+        if (index !== -1) return { row: rows[index], element: parts(table).rowGroups.nth(index) };
+        if (await parts(table).next.isDisabled()) return null;
+        await nextPage(table);
+    }
+}
+
+async function findBy(table, predicate, options) {
+    const found = await locate(table, predicate, options);
+    return found ? found.row : undefined;
+}
+
+async function locateOrThrow(table, predicate) {
+    const found = await locate(table, predicate);
+    if (!found) {
+        const rows = await readAllRows(table);
+        throw new Error(`No table row matches ${predicate} - rows: ${JSON.stringify(rows)}`);
+    }
+    return found;
+}
+
+/**
+ * REGISTRATION FORM
+ * -----------------
+ * Fills the given fields and submits. An invalid form stays open with
+ * "was-validated"; report which inputs the browser rejected.
+ */
+async function submitForm(page, values) {
+    const modal = page.locator('.modal-content');
+    await expect(modal).toBeVisible();
+    for (const [header, value] of Object.entries(values)) {
+        if (!FORM_FIELDS[header]) {
+            throw new Error(`"${header}" is not in the Registration Form - use one of: ${Object.keys(FORM_FIELDS).join(', ')}`);
+        }
+        await modal.locator(FORM_FIELDS[header]).fill(String(value));
+    }
+    await modal.locator('#submit').click();
+
+    // Either the modal closes or the form is marked was-validated
+    const invalid = modal.locator('form.was-validated :invalid');
+    await expect.poll(async () => !(await modal.isVisible()) || (await invalid.count()) > 0).toBe(true);
+    if (await invalid.count()) {
+        const ids = await invalid.evaluateAll(inputs => inputs.map(input => input.id));
+        throw new Error(`Registration Form rejected: ${ids.join(', ')}`);
+    }
+    await expect(modal).toBeHidden();
+}
+
+async function addRecord(table, record) {
+    await table.page().locator('#addNewRecordButton').click();
+    await submitForm(table.page(), record);
+}
+
+async function editRecord(table, predicate, changes) {
+    const { element } = await locateOrThrow(table, predicate);
+    await element.locator('[title="Edit"]').click();
+    await submitForm(table.page(), changes);
+}
+
+async function deleteRecord(table, predicate) {
+    const { element, row } = await locateOrThrow(table, predicate);
+    const before = await readRows(table);
+    await element.locator('[title="Delete"]').click();
+    // Later pages may shift a row up, so compare the whole page
+    await expect.poll(() => readRows(table), { message: `row ${JSON.stringify(row)} was not deleted` })
+        .not.toEqual(before);
+    return row;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * SORT BY
+ * -------
+ * Clicks the header until react-table marks it -sort-asc / -sort-desc.
+ */
+async function sortBy(table, header, direction = 'asc') {
+    if (!['asc', 'desc'].includes(direction)) {
+        throw new Error(`Unknown sort direction "${direction}" - use 'asc' or 'desc'`);
+    }
+    const column = parts(table).headers.filter({ hasText: new RegExp(`^\\s*${escapeRegExp(header)}\\s*$`) });
+    await expect(column, `no "${header}" column`).toHaveCount(1);
+    for (let click = 0; click < 2; click++) {
+        if (await column.evaluate((th, name) => th.classList.contains(name), `-sort-${direction}`)) return;
+        await column.click();
+    }
+    await expect(column).toHaveClass(new RegExp(`-sort-${direction}`));
+}
+
+module.exports = {
+    readHeaders, readRows, readAllRows, findBy,
+    pageInfo, goToPage, nextPage, setRowsPerPage,
+    addRecord, editRecord, deleteRecord, sortBy,
+};
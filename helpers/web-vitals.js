@@ -0,0 +1,163 @@
+/**
+ * WEB VITALS HELPER
+ * =================
+ * Collects Core Web Vitals and load timings in the page with the
+ * browser's own PerformanceObserver API - no web-vitals package - and
+ * checks them against a budget.
+ *
+ * Usage (the `vitals` fixture in fixtures/vitals.js does all of this):
+ *   await installVitals(context);          // before the page loads
+ *   await page.goto('/books', { waitUntil: 'load' });
+ *   const metrics = await readVitals(page);
+ *   // { ttfb: 212, domContentLoaded: 640, lcp: 1180, cls: 0.0123, inp: 24,
+ *   //   tbt: 90, longTasks: 3, jsHeap: 9437184 }
+ *   checkBudget(metrics, { lcp: 2500, cls: 0.1 });   // [] or the violations
+ *
+ * Times are milliseconds from navigation start, jsHeap is bytes, cls
+ * has no unit. A metric the browser cannot measure (no longtask entries
+ * outside Chromium, no INP without an interaction) is null and never
+ * fails a budget.
+ *
+ * INTERVIEW TIP: Lab numbers are not field numbers - CI machines are
+ * slow and noisy. Budget generously, and watch the trend between runs
+ * rather than a single measurement.
+ */
+
+/**
+ * METRICS
+ * -------
+ * Name, unit and how to print a value - the order is the report order.
+ */
+const METRICS = {
+    ttfb: { label: 'TTFB', unit: 'ms' },
+    domContentLoaded: { label: 'DOMContentLoaded', unit: 'ms' },
+    lcp: { label: 'LCP', unit: 'ms' },
+    cls: { label: 'CLS', unit: '' },
+    inp: { label: 'INP', unit: 'ms' },
+    tbt: { label: 'TBT', unit: 'ms' },
+    longTasks: { label: 'Long tasks', unit: '' },
+    jsHeap: { label: 'JS heap', unit: 'MB' },
+};
+
+function formatMetric(name, value) {
+    if (value === null || value === undefined) return 'n/a';
+    if (name === 'jsHeap') return `${(value / 1024 / 1024).toFixed(1)} MB`;
+    if (name === 'cls') return value.toFixed(3);
+    return `${value}${METRICS[name].unit}`;
+}
+
+/**
+ * COLLECTOR (runs in the page)
+ * ----------------------------
+ * Buffered observers, so entries from before the script ran still
+ * count. CLS uses session windows (gap < 1s, window < 5s, largest
+ * wins) and INP the slowest interaction, as the web-vitals library does
+ * for pages with few interactions.
+ */
+function collector() {
+    if (window !== window.top || window.__webVitals) return;
+    const supported = (typeof PerformanceObserver !== 'undefined' && PerformanceObserver.supportedEntryTypes) || [];
+    const vitals = { supported, fcp: null, lcp: null, cls: 0, longTasks: [], interactions: {} };
+    window.__webVitals = vitals;
+
+    const observe = (type, callback, options = {}) => {
+        if (!supported.includes(type)) return;
+        new PerformanceObserver(list => list.getEntries().forEach(callback)).observe({ type, buffered: true, ...options });
+    };
+    observe('paint', entry => {
+        if (entry.name === 'first-contentful-paint') vitals.fcp = entry.startTime;
+    });
+    observe('largest-contentful-paint', entry => {
+        vitals.lcp = entry.startTime;
+    });
+    let session = { value: 0, first: 0, last: 0 };
+    observe('layout-shift', entry => {
+        if (entry.hadRecentInput) return;
+        if (session.value && entry.startTime - session.last < 1000 && entry.startTime - session.first < 5000) {
+            session.value += entry.value;
+            session.last = entry.startTime;
+        } else {
+            session = { value: entry.value, first: entry.startTime, last: entry.startTime };
+        }
+        vitals.cls = Math.max(vitals.cls, session.value);
+    });
+    observe('longtask', entry => {
+        vitals.longTasks.push({ startTime: entry.startTime, duration: entry.duration });
+    });
+    observe('event', entry => {
+        if (!entry.interactionId) return;
+        vitals.interactions[entry.interactionId] = Math.max(vitals.interactions[entry.interactionId] || 0, entry.duration);
+    }, { durationThreshold: 16 });
+}
+
+/**
+ * INSTALL / READ
+ * --------------
+ * installVitals() takes a page or a context; install before navigating.
+ * readVitals() turns what the collector saw into the metrics object.
+ */
+async function installVitals(target) {
+    await target.addInitScript(collector);
+}
+
+async function readVitals(page) {
+    return page.evaluate(() => {
+        const vitals = window.__webVitals;
+        if (!vitals) throw new Error('Web vitals collector not installed - call installVitals() before navigating');
+        const [navigation] = performance.getEntriesByType('navigation');
+        const has = type => vitals.supported.includes(type);
+        const afterFcp = vitals.longTasks.filter(task => task.startTime >= (vitals.fcp || 0));
+        const durations = Object.values(vitals.interactions);
+        return {
+            ttfb: navigation ? Math.round(navigation.responseStart) : null,
+            domContentLoaded: navigation ? Math.round(navigation.domContentLoadedEventEnd) : null,
+            lcp: vitals.lcp === null ? null : Math.round(vitals.lcp),
+            cls: has('layout-shift') ? Math.round(vitals.cls * 10000) / 10000 : null,
+            inp: durations.length ? Math.round(Math.max(...durations)) : null,
+            tbt: has('longtask') ? Math.round(afterFcp.reduce((sum, task) => sum + Math.max(0, task.duration - 50), 0)) : null,
+            longTasks: has('longtask') ? vitals.longTasks.length : null,
+            jsHeap: performance.memory ? performance.memory.usedJSHeapSize : null,
+        };
+    });
+}
+
+/**
+ * CHECK BUDGET
+ * ------------
+ * [{ metric, value, budget }] for every metric above its budget.
+ */
+function checkBudget(metrics, budget) {
+    return Object.keys(METRICS)
+        .filter(name => budget[name] !== undefined && metrics[name] !== null && metrics[name] !== undefined)
+        .filter(name => metrics[name] > budget[name])
+        .map(name => ({ metric: name, value: metrics[name], budget: budget[name] }));
+}
+
+function describeViolation({ metric, value, budget }) {
+    return `${METRICS[metric].label} ${formatMetric(metric, value)} > budget ${formatMetric(metric, budget)}`;
+}
+
+/**
+ * COMPARE RUNS
+ * ------------
+ * Plain-text table of one route's metrics: budget, previous run,
+ * this run and the change.
+ */
+function compareRuns(current, previous, budget = {}) {
+    const rows = [['Metric', 'Budget', 'Previous', 'Current', 'Change']];
+    for (const name of Object.keys(METRICS)) {
+        const before = previous ? previous[name] : null;
+        const now = current[name];
+        let change = '';
+        if (typeof before === 'number' && typeof now === 'number') {
+            const delta = now - before;
+            const percent = before ? ` (${delta >= 0 ? '+' : ''}${Math.round((delta / before) * 100)}%)` : '';
+            change = `${delta >= 0 ? '+' : '-'}${formatMetric(name, Math.abs(name === 'cls' ? delta : Math.round(delta)))}${percent}`;
+        }
+        rows.push([METRICS[name].label, budget[name] === undefined ? '-' : formatMetric(name, budget[name]), formatMetric(name, before), formatMetric(name, now), change]);
+    }
+    const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+    return rows.map(row => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd()).join('\n');
+}
+
+module.exports = { METRICS, formatMetric, installVitals, readVitals, checkBudget, describeViolation, compareRuns };
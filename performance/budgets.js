@@ -0,0 +1,45 @@
+/**
+ * PERFORMANCE BUDGETS
+ * ===================
+ * One budget per route, checked by the `vitals` fixture
+ * (fixtures/vitals.js) and the specs in
+ * tests/08-interview-scenarios/performance-budgets.spec.js.
+ *
+ * Each route's budget is `defaults` plus its own overrides. Units:
+ * milliseconds for times, bytes for jsHeap, a count for longTasks; CLS
+ * has no unit. Leave a metric out to not budget it.
+ *
+ * The numbers are for the live site with ads blocked on a CI machine,
+ * well above Google's "good" thresholds (LCP 2500, CLS 0.1, INP 200).
+ * Tighten a route once its trend (performance/runs/) is stable.
+ *
+ * INTERVIEW TIP: A budget is a contract, not a benchmark - pick numbers
+ * the page meets today and fail the build when it gets worse.
+ */
+
+const MB = 1024 * 1024;
+
+const defaults = {
+    ttfb: 1500,
+    domContentLoaded: 4000,
+    lcp: 4000,
+    cls: 0.1,
+    inp: 500,
+    tbt: 600,
+    longTasks: 20,
+    jsHeap: 60 * MB,
+};
+
+const routes = {
+    '/': {},
+
+    // Table filled from GET /BookStore/v1/Books after load
+    '/books': { lcp: 4500, cls: 0.15 },
+
+    // Client-side table with sorting, search and the registration modal
+    '/webtables': { tbt: 800 },
+
+    '/text-box': { lcp: 3000, tbt: 400 },
+};
+
+module.exports = { defaults, routes };
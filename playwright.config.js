@@ -11,6 +11,37 @@
  */
 
 const { defineConfig, devices } = require('@playwright/test');
+const { DEMOQA_CONSOLE_NOISE } = require('./fixtures/console');
+
+/**
+ * TEST TARGET
+ * -----------
+ * DEMOQA_TARGET=local runs the same specs against the offline replica
+ * in server/ instead of the live site. DEMOQA_PORT changes the port.
+ *
+ * Example:
+ *   DEMOQA_TARGET=local npx playwright test
+ *
+ * INTERVIEW TIP: Keep the target in config (baseURL) and use relative
+ * URLs in specs - one switch then moves the whole suite between
+ * environments (local, staging, production).
+ */
+const isLocal = process.env.DEMOQA_TARGET === 'local';
+const localURL = `http://localhost:${process.env.DEMOQA_PORT || 3000}`;
+
+/* Baselines differ between the live site and the replica, and between browsers */
+const snapshotPath = `{testDir}/{testFileDir}/{testFileName}-snapshots/${isLocal ? 'local' : 'live'}/{projectName}/{arg}{ext}`;
+
+/**
+ * HAR MODE
+ * --------
+ * DEMOQA_HAR=record   Save every network exchange to hars/<spec>.har
+ * DEMOQA_HAR=replay   Serve responses from those HARs (works offline)
+ * DEMOQA_HAR=refresh  Replay, but re-fetch missing and stale entries
+ *
+ * See fixtures/har.js. Stale = older than DEMOQA_HAR_MAX_AGE_DAYS (7).
+ */
+const harMode = process.env.DEMOQA_HAR || 'off';
 
 /**
  * @see https://playwright.dev/docs/test-configuration
@@ -90,8 +121,11 @@ module.exports = defineConfig({
          * Base URL used for all relative URLs in tests.
          * Instead of page.goto('https://demoqa.com/text-box')
          * You can use page.goto('/text-box')
+         *
+         * Contexts created with browser.newContext() do NOT inherit it -
+         * use the `baseURL` fixture there.
          */
-        baseURL: 'https://demoqa.com',
+        baseURL: isLocal ? localURL : 'https://demoqa.com',
 
         /**
          * TRACE
@@ -169,6 +203,15 @@ module.exports = defineConfig({
          * Useful when testing sites with self-signed certificates.
          */
         ignoreHTTPSErrors: true,
+
+        /**
+         * HAR MODE (custom option)
+         * ------------------------
+         * Custom options are declared with { option: true } in a
+         * test.extend() fixture (fixtures/har.js) and set here like
+         * any built-in option - per project if needed.
+         */
+        harMode,
     },
 
     /**
@@ -182,11 +225,18 @@ module.exports = defineConfig({
      * - Chromium (Chrome, Edge)
      * - Firefox
      * - WebKit (Safari)
+     *
+     * consoleAllowlist (fixtures/console.js) is per project because
+     * each browser words its console noise differently - Chromium adds
+     * [Intervention] warnings when it blocks ad scripts' document.write.
      */
     projects: [
         {
             name: 'chromium',
-            use: { ...devices['Desktop Chrome'] },
+            use: {
+                ...devices['Desktop Chrome'],
+                consoleAllowlist: [...DEMOQA_CONSOLE_NOISE, /^\[Intervention\]/],
+            },
         },
 
         /**
@@ -201,6 +251,17 @@ module.exports = defineConfig({
         //   use: { ...devices['Desktop Safari'] },
         // },
 
+        /**
+         * THROTTLED RUNS
+         * --------------
+         * The same suite on a slow connection and device. Profiles are
+         * in fixtures/throttling.js; Chromium only (CDP).
+         */
+        // {
+        //   name: 'chromium-slow-3g',
+        //   use: { ...devices['Desktop Chrome'], throttle: ['Slow 3G', '4x CPU slowdown'] },
+        // },
+
         /**
          * MOBILE TESTING
          * --------------
@@ -233,8 +294,23 @@ module.exports = defineConfig({
      */
     expect: {
         timeout: 10000,
+
+        // ARIA baselines (tests/03-widgets/aria-snapshots.spec.js): one set
+        // per target and project. Refresh: npm run test:aria:update:live / :local
+        toMatchAriaSnapshot: {
+            pathTemplate: snapshotPath,
+        },
     },
 
+    /**
+     * SNAPSHOT PATHS
+     * --------------
+     * toMatchSnapshot() baselines (the focus-order maps in
+     * keyboard-navigation.spec.js) are split the same way:
+     *   <spec>-snapshots/{live,local}/<project>/<name>
+     */
+    snapshotPathTemplate: snapshotPath,
+
     /**
      * OUTPUT DIRECTORY
      * ----------------
@@ -243,16 +319,30 @@ module.exports = defineConfig({
     outputDir: 'test-results/',
 
     /**
-     * WEB SERVER (Optional)
-     * ---------------------
+     * GLOBAL TEARDOWN
+     * ---------------
+     * Runs once after all workers finish. When recording HARs it merges
+     * the per-test parts into one HAR per spec; the vitals teardown
+     * writes this run's Web Vitals trend file (performance/runs/).
+     */
+    globalTeardown: [
+        ...(['record', 'refresh'].includes(harMode) ? [require.resolve('./fixtures/har-teardown')] : []),
+        require.resolve('./fixtures/vitals-teardown'),
+    ],
+
+    /**
+     * WEB SERVER
+     * ----------
      * Start a local server before running tests.
-     * Useful for testing local development builds.
-     * 
-     * Example:
-     * webServer: {
-     *   command: 'npm run start',
-     *   url: 'http://localhost:3000',
-     *   reuseExistingServer: !process.env.CI,
-     * },
+     * Only used when DEMOQA_TARGET=local: Playwright starts the replica,
+     * waits for the URL to respond and stops it after the run.
+     *
+     * reuseExistingServer: attach to an already running `npm run serve`
+     * instead of starting a second one (always start fresh on CI).
      */
+    webServer: isLocal ? {
+        command: 'node server',
+        url: localURL,
+        reuseExistingServer: !process.env.CI,
+    } : undefined,
 });
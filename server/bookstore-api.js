@@ -0,0 +1,456 @@
+/**
+ * BOOK STORE API STUB
+ * ===================
+ * In-memory stand-in for the DemoQA Book Store REST API. Status codes,
+ * error codes and payload shapes follow the live service so the same
+ * specs (and the /login, /books and /profile pages) work against both.
+ *
+ * ENDPOINTS:
+ * - POST   /Account/v1/User             Create user (201)
+ * - GET    /Account/v1/User/{UUID}      User + book collection (auth)
+ * - DELETE /Account/v1/User/{UUID}      Delete user (auth, 204)
+ * - POST   /Account/v1/GenerateToken    Issue a JWT for userName/password
+ * - POST   /Account/v1/Authorized       true when a valid token exists
+ * - POST   /Account/v1/Login            User details + token
+ * - GET    /BookStore/v1/Books          Seeded catalogue
+ * - POST   /BookStore/v1/Books          Add ISBNs to a collection (auth, 201)
+ * - DELETE /BookStore/v1/Books?UserId=  Empty a collection (auth, 204)
+ * - GET    /BookStore/v1/Book?ISBN=     One book
+ * - DELETE /BookStore/v1/Book           Remove one ISBN (auth, 204)
+ * - PUT    /BookStore/v1/Books/{ISBN}   Swap one ISBN for another (auth)
+ *
+ * Authenticated endpoints accept "Authorization: Bearer <token>" or
+ * Basic auth, exactly like the live API.
+ *
+ * TOKEN EXPIRY:
+ * Tokens live BOOKSTORE_TOKEN_TTL seconds (default 7 days, like live).
+ * Expired tokens answer 401 and Authorized returns false.
+ *
+ * SCRIPTED FAILURES (no page.route needed):
+ * - Header "X-BookStore-Fault: 500" on any API request answers with that
+ *   status. Per request, so it is safe with parallel workers - set it
+ *   with request.get(url, { headers }) or page.setExtraHTTPHeaders().
+ * - POST /__bookstore/faults { method, path, status, body, times }
+ *   fails the next `times` (default 1) matching calls for every client.
+ *   DELETE /__bookstore/faults removes all rules.
+ * - POST /__bookstore/expire { userName } expires that user's tokens now.
+ * - POST /__bookstore/reset drops all users, tokens and fault rules.
+ *
+ * INTERVIEW TIP: A deterministic backend stub turns "the API was down"
+ * flakiness into explicit, reviewable test cases for each error path.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const { sendJson, sendEmpty } = require('./respond');
+
+const BOOKS = require('./data/books.json').books;
+
+const DEFAULT_TOKEN_TTL_SECONDS = 7 * 24 * 60 * 60;
+const TOKEN_SECRET = crypto.randomBytes(32);
+const PASSWORD_RULE = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[^A-Za-z0-9]).{8,}$/;
+
+/**
+ * LIVE ERROR PAYLOADS
+ * -------------------
+ * Codes and messages copied from the real service.
+ */
+const ERRORS = {
+    credentialsRequired: { code: '1200', message: 'UserName and Password required.' },
+    notAuthorized: { code: '1200', message: 'User not authorized!' },
+    weakPassword: {
+        code: '1300',
+        message: "Passwords must have at least one non alphanumeric character, one digit ('0'-'9'), one uppercase ('A'-'Z'), one lowercase ('a'-'z'), one special character and Password must be eight characters or longer.",
+    },
+    userExists: { code: '1204', message: 'User exists!' },
+    userNotFound: { code: '1207', message: 'User not found!' },
+    userIdIncorrect: { code: '1207', message: 'User Id not correct!' },
+    isbnNotInStore: { code: '1205', message: 'ISBN supplied is not available in Books Collection!' },
+    isbnNotInCollection: { code: '1206', message: "ISBN supplied is not available in User's Collection!" },
+    isbnAlreadyPresent: { code: '1210', message: "ISBN already present in the User's Collection!" },
+};
+
+/* Canned bodies for scripted failures */
+const FAULT_BODIES = {
+    401: ERRORS.notAuthorized,
+    404: ERRORS.userNotFound,
+};
+
+const users = new Map();   // userId -> { userId, username, password, isbns, createdDate }
+const tokens = new Map();  // token -> { userId, expires }
+let faults = [];
+
+function tokenTtlMs() {
+    return (Number(process.env.BOOKSTORE_TOKEN_TTL) || DEFAULT_TOKEN_TTL_SECONDS) * 1000;
+}
+
+function findBook(isbn) {
+    return BOOKS.find(book => book.isbn === isbn);
+}
+
+function findUserByName(userName) {
+    return [...users.values()].find(user => user.username === userName);
+}
+
+function publicUser(user) {
+    return { userId: user.userId, username: user.username, books: user.isbns.map(findBook) };
+}
+
+/**
+ * TOKENS
+ * ------
+ * HS256 JWTs, so specs can decode the payload like they would live.
+ * The server keeps its own expiry per token; /__bookstore/expire
+ * shortens it without touching the token string.
+ */
+function base64Url(value) {
+    return Buffer.from(value).toString('base64url');
+}
+
+function issueToken(user) {
+    const issuedAt = Date.now();
+    const expires = new Date(issuedAt + tokenTtlMs());
+    const header = base64Url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const payload = base64Url(JSON.stringify({
+        userName: user.username,
+        iat: Math.floor(issuedAt / 1000),
+        exp: Math.floor(expires.getTime() / 1000),
+        jti: crypto.randomUUID(),
+    }));
+    const signature = crypto.createHmac('sha256', TOKEN_SECRET).update(`${header}.${payload}`).digest('base64url');
+    const token = `${header}.${payload}.${signature}`;
+    tokens.set(token, { userId: user.userId, expires });
+    return { token, expires };
+}
+
+function isLive(entry) {
+    return Boolean(entry) && entry.expires.getTime() > Date.now() && users.has(entry.userId);
+}
+
+function liveTokenFor(user) {
+    for (const [token, entry] of tokens) {
+        if (entry.userId === user.userId && isLive(entry)) return { token, expires: entry.expires };
+    }
+    return null;
+}
+
+/**
+ * AUTHENTICATION
+ * --------------
+ * Returns the user behind the Authorization header, or null.
+ */
+function authenticate(req) {
+    const header = req.headers.authorization || '';
+    const [scheme, value = ''] = header.split(' ');
+    if (/^bearer$/i.test(scheme)) {
+        const entry = tokens.get(value);
+        return isLive(entry) ? users.get(entry.userId) : null;
+    }
+    if (/^basic$/i.test(scheme)) {
+        const decoded = Buffer.from(value, 'base64').toString('utf8');
+        const separator = decoded.indexOf(':');
+        const user = findUserByName(decoded.slice(0, separator));
+        return user && user.password === decoded.slice(separator + 1) ? user : null;
+    }
+    return null;
+}
+
+/**
+ * CREDENTIAL CHECK
+ * ----------------
+ * Shared by GenerateToken, Authorized and Login. Sends the 400 for
+ * missing fields itself and returns undefined in that case.
+ */
+function checkCredentials(res, body) {
+    if (!body.userName || !body.password) {
+        sendJson(res, 400, ERRORS.credentialsRequired);
+        return undefined;
+    }
+    const user = findUserByName(body.userName);
+    return user && user.password === body.password ? user : null;
+}
+
+/**
+ * AUTHORIZED OWNER
+ * ----------------
+ * Book collection endpoints need a valid token AND that token must
+ * belong to the userId being changed.
+ */
+function requireOwner(req, res, userId) {
+    const user = authenticate(req);
+    if (!user) {
+        sendJson(res, 401, ERRORS.notAuthorized);
+        return null;
+    }
+    if (user.userId !== userId) {
+        sendJson(res, 401, ERRORS.userIdIncorrect);
+        return null;
+    }
+    return user;
+}
+
+/* ---------- Account/v1 ---------- */
+
+function createUser(req, res, { body }) {
+    if (!body.userName || !body.password) return sendJson(res, 400, ERRORS.credentialsRequired);
+    if (!PASSWORD_RULE.test(body.password)) return sendJson(res, 400, ERRORS.weakPassword);
+    if (findUserByName(body.userName)) return sendJson(res, 406, ERRORS.userExists);
+    const user = {
+        userId: crypto.randomUUID(),
+        username: body.userName,
+        password: body.password,
+        isbns: [],
+        createdDate: new Date(),
+    };
+    users.set(user.userId, user);
+    return sendJson(res, 201, { userID: user.userId, username: user.username, books: [] });
+}
+
+function getUser(req, res, { params }) {
+    const user = authenticate(req);
+    if (!user) return sendJson(res, 401, ERRORS.notAuthorized);
+    if (user.userId !== params[0]) return sendJson(res, 401, ERRORS.userNotFound);
+    return sendJson(res, 200, publicUser(user));
+}
+
+function deleteUser(req, res, { params }) {
+    const user = authenticate(req);
+    if (!user) return sendJson(res, 401, ERRORS.notAuthorized);
+    // Live quirk: a wrong id is a 200 with an error body
+    if (user.userId !== params[0]) return sendJson(res, 200, ERRORS.userIdIncorrect);
+    users.delete(user.userId);
+    for (const [token, entry] of tokens) {
+        if (entry.userId === user.userId) tokens.delete(token);
+    }
+    return sendEmpty(res, 204);
+}
+
+function generateToken(req, res, { body }) {
+    const user = checkCredentials(res, body);
+    if (user === undefined) return undefined;
+    if (!user) {
+        return sendJson(res, 200, { token: null, expires: null, status: 'Failed', result: 'User authorization failed.' });
+    }
+    const { token, expires } = issueToken(user);
+    return sendJson(res, 200, { token, expires: expires.toISOString(), status: 'Success', result: 'User authorized successfully.' });
+}
+
+function authorized(req, res, { body }) {
+    const user = checkCredentials(res, body);
+    if (user === undefined) return undefined;
+    if (!user) return sendJson(res, 404, ERRORS.userNotFound);
+    return sendJson(res, 200, Boolean(liveTokenFor(user)));
+}
+
+function login(req, res, { body }) {
+    const user = checkCredentials(res, body);
+    if (user === undefined) return undefined;
+    if (!user) return sendJson(res, 404, ERRORS.userNotFound);
+    const { token, expires } = liveTokenFor(user) || issueToken(user);
+    return sendJson(res, 200, {
+        userId: user.userId,
+        username: user.username,
+        password: user.password,
+        token,
+        expires: expires.toISOString(),
+        created_date: user.createdDate.toISOString(),
+        isActive: false,
+    });
+}
+
+/* ---------- BookStore/v1 ---------- */
+
+function listBooks(req, res) {
+    return sendJson(res, 200, { books: BOOKS });
+}
+
+function getBook(req, res, { url }) {
+    const book = findBook(url.searchParams.get('ISBN'));
+    return book ? sendJson(res, 200, book) : sendJson(res, 400, ERRORS.isbnNotInStore);
+}
+
+function addBooks(req, res, { body }) {
+    const user = requireOwner(req, res, body.userId);
+    if (!user) return undefined;
+    if (body.collectionOfIsbns !== undefined && !Array.isArray(body.collectionOfIsbns)) {
+        return sendJson(res, 400, { code: '400', message: 'collectionOfIsbns must be an array.' });
+    }
+    const isbns = (body.collectionOfIsbns || []).map(item => item && item.isbn);
+    if (!isbns.length || isbns.some(isbn => !findBook(isbn))) return sendJson(res, 400, ERRORS.isbnNotInStore);
+    // The same ISBN twice in one request would otherwise be stored twice
+    if (new Set(isbns).size !== isbns.length || isbns.some(isbn => user.isbns.includes(isbn))) {
+        return sendJson(res, 400, ERRORS.isbnAlreadyPresent);
+    }
+    user.isbns.push(...isbns);
+    return sendJson(res, 201, { books: isbns.map(isbn => ({ isbn })) });
+}
+
+function clearBooks(req, res, { url }) {
+    const user = requireOwner(req, res, url.searchParams.get('UserId'));
+    if (!user) return undefined;
+    user.isbns = [];
+    return sendEmpty(res, 204);
+}
+
+function deleteBook(req, res, { body }) {
+    const user = requireOwner(req, res, body.userId);
+    if (!user) return undefined;
+    if (!user.isbns.includes(body.isbn)) return sendJson(res, 400, ERRORS.isbnNotInCollection);
+    user.isbns = user.isbns.filter(isbn => isbn !== body.isbn);
+    return sendEmpty(res, 204);
+}
+
+function replaceBook(req, res, { body, params }) {
+    const user = requireOwner(req, res, body.userId);
+    if (!user) return undefined;
+    if (!findBook(body.isbn)) return sendJson(res, 400, ERRORS.isbnNotInStore);
+    if (!user.isbns.includes(params[0])) return sendJson(res, 400, ERRORS.isbnNotInCollection);
+    if (user.isbns.includes(body.isbn)) return sendJson(res, 400, ERRORS.isbnAlreadyPresent);
+    user.isbns = user.isbns.map(isbn => (isbn === params[0] ? body.isbn : isbn));
+    return sendJson(res, 200, publicUser(user));
+}
+
+/* ---------- Stub control ---------- */
+
+function addFault(req, res, { body }) {
+    const status = Number(body.status);
+    if (!body.path || !(status >= 100 && status <= 599)) {
+        return sendJson(res, 400, { message: 'path and a valid status are required' });
+    }
+    const fault = {
+        id: crypto.randomUUID(),
+        method: (body.method || '*').toUpperCase(),
+        path: body.path,
+        status,
+        body: body.body,
+        times: Number(body.times) || 1,
+    };
+    faults.push(fault);
+    return sendJson(res, 201, fault);
+}
+
+function clearFaults(req, res) {
+    faults = [];
+    return sendEmpty(res, 204);
+}
+
+function expireTokens(req, res, { body }) {
+    const user = findUserByName(body.userName);
+    if (!user) return sendJson(res, 404, ERRORS.userNotFound);
+    const past = new Date(Date.now() - 1000);
+    for (const entry of tokens.values()) {
+        if (entry.userId === user.userId) entry.expires = past;
+    }
+    return sendEmpty(res, 204);
+}
+
+function reset(req, res) {
+    users.clear();
+    tokens.clear();
+    faults = [];
+    return sendEmpty(res, 204);
+}
+
+/**
+ * ROUTE TABLE
+ * -----------
+ * Patterns match the path only; capture groups become `params`.
+ */
+const ROUTES = [
+    { method: 'POST', pattern: /^\/Account\/v1\/User$/, handler: createUser },
+    { method: 'GET', pattern: /^\/Account\/v1\/User\/([^/]+)$/, handler: getUser },
+    { method: 'DELETE', pattern: /^\/Account\/v1\/User\/([^/]+)$/, handler: deleteUser },
+    { method: 'POST', pattern: /^\/Account\/v1\/GenerateToken$/, handler: generateToken },
+    { method: 'POST', pattern: /^\/Account\/v1\/Authorized$/, handler: authorized },
+    { method: 'POST', pattern: /^\/Account\/v1\/Login$/, handler: login },
+    { method: 'GET', pattern: /^\/BookStore\/v1\/Books$/, handler: listBooks },
+    { method: 'POST', pattern: /^\/BookStore\/v1\/Books$/, handler: addBooks },
+    { method: 'DELETE', pattern: /^\/BookStore\/v1\/Books$/, handler: clearBooks },
+    { method: 'PUT', pattern: /^\/BookStore\/v1\/Books\/([^/]+)$/, handler: replaceBook },
+    { method: 'GET', pattern: /^\/BookStore\/v1\/Book$/, handler: getBook },
+    { method: 'DELETE', pattern: /^\/BookStore\/v1\/Book$/, handler: deleteBook },
+    { method: 'POST', pattern: /^\/__bookstore\/faults$/, handler: addFault },
+    { method: 'DELETE', pattern: /^\/__bookstore\/faults$/, handler: clearFaults },
+    { method: 'POST', pattern: /^\/__bookstore\/expire$/, handler: expireTokens },
+    { method: 'POST', pattern: /^\/__bookstore\/reset$/, handler: reset },
+];
+
+const API_PREFIX = /^\/(Account|BookStore)\/v1\//;
+
+/**
+ * SCRIPTED FAILURE
+ * ----------------
+ * Header fault first (per request), then the first matching rule.
+ * Returns true when a failure was sent instead of the real response.
+ */
+function sendFault(req, res, url) {
+    const headerStatus = Number(req.headers['x-bookstore-fault']);
+    if (headerStatus >= 100 && headerStatus <= 599) {
+        sendJson(res, headerStatus, FAULT_BODIES[headerStatus] || { code: String(headerStatus), message: http.STATUS_CODES[headerStatus] });
+        return true;
+    }
+    const fault = faults.find(rule => rule.path === url.pathname && (rule.method === '*' || rule.method === req.method));
+    if (!fault) return false;
+    fault.times -= 1;
+    if (fault.times <= 0) faults = faults.filter(rule => rule !== fault);
+    sendJson(res, fault.status, fault.body !== undefined
+        ? fault.body
+        : FAULT_BODIES[fault.status] || { code: String(fault.status), message: http.STATUS_CODES[fault.status] });
+    return true;
+}
+
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('error', reject);
+        req.on('end', () => {
+            const text = Buffer.concat(chunks).toString('utf8');
+            try {
+                const parsed = text ? JSON.parse(text) : {};
+                resolve(parsed && typeof parsed === 'object' ? parsed : {});
+            } catch (error) {
+                resolve(null);
+            }
+        });
+    });
+}
+
+/**
+ * HANDLE BOOK STORE API
+ * ---------------------
+ * Returns true when the request belongs to the API (the response is
+ * then sent asynchronously), false to let the page server handle it.
+ */
+function handleBookStoreApi(req, res, url) {
+    const isApi = API_PREFIX.test(url.pathname);
+    const route = ROUTES.find(r => r.method === req.method && r.pattern.test(url.pathname));
+    if (!isApi && !route) return false;
+
+    if (isApi && sendFault(req, res, url)) return true;
+    if (!route) {
+        sendJson(res, 404, { code: '404', message: `No route for ${req.method} ${url.pathname}` });
+        return true;
+    }
+
+    let params;
+    try {
+        params = route.pattern.exec(url.pathname).slice(1).map(decodeURIComponent);
+    } catch (error) {
+        // URIError from a malformed escape such as %E0%A4%A - the client's fault, not a 500
+        sendJson(res, 400, { code: '400', message: `Malformed percent-encoding in ${url.pathname}` });
+        return true;
+    }
+
+    readJsonBody(req)
+        .then(body => {
+            if (body === null) return sendJson(res, 400, { code: '400', message: 'Request body is not valid JSON.' });
+            return route.handler(req, res, { body, params, url });
+        })
+        .catch(error => {
+            if (!res.headersSent) sendJson(res, 500, { code: '500', message: error.message });
+        });
+    return true;
+}
+
+module.exports = { handleBookStoreApi };
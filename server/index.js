@@ -0,0 +1,139 @@
+/**
+ * OFFLINE DEMOQA REPLICA SERVER
+ * =============================
+ * A dependency-free Node server that serves local replicas of the
+ * DemoQA pages used by this suite, so the same specs can run against
+ * https://demoqa.com or against this machine.
+ *
+ * Usage:
+ *   node server                     # http://localhost:3000
+ *   DEMOQA_PORT=4000 node server    # custom port
+ *
+ * Playwright starts it automatically through the `webServer` block in
+ * playwright.config.js when DEMOQA_TARGET=local is set.
+ *
+ * LAYOUT:
+ * - pages.js          Route registry (left panel groups + replica pages)
+ * - layout.js         Shared DemoQA chrome (header, left panel, footer)
+ * - bookstore-api.js  Account/BookStore REST API stub
+ * - respond.js        Response helpers shared by both
+ * - pages/            One HTML fragment per replica page
+ * - public/           CSS, widget scripts, images and downloadable files
+ * - data/             Seed data (Book Store books)
+ *
+ * INTERVIEW TIP: Running against a local replica removes network
+ * flakiness, ads and third-party outages from the equation. Tests
+ * then fail only when *your* code or expectations are wrong.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { findPage } = require('./pages');
+const { renderPage, renderNotFound } = require('./layout');
+const { handleBookStoreApi } = require('./bookstore-api');
+const { MIME_TYPES, send, sendEmpty } = require('./respond');
+
+const DEFAULT_PORT = 3000;
+const PUBLIC_DIR = path.join(__dirname, 'public');
+const PAGES_DIR = path.join(__dirname, 'pages');
+
+/**
+ * STATIC FILES
+ * ------------
+ * Serves /css, /js, /images and /files from server/public.
+ * Path traversal outside the public directory is rejected.
+ */
+function serveStatic(res, pathname) {
+    const filePath = path.normalize(path.join(PUBLIC_DIR, pathname));
+    if (!filePath.startsWith(PUBLIC_DIR + path.sep) || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+        return false;
+    }
+    const contentType = MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+    send(res, 200, fs.readFileSync(filePath), contentType);
+    return true;
+}
+
+/**
+ * API LINK TARGETS
+ * ----------------
+ * The "send an api call" links on /links. /moved answers 301 without
+ * a Location header so fetch() reports the status instead of following.
+ */
+const LINK_STATUSES = {
+    '/created': 201,
+    '/no-content': 204,
+    '/moved': 301,
+    '/bad-request': 400,
+    '/unauthorized': 401,
+    '/forbidden': 403,
+    '/invalid-url': 404,
+};
+
+/**
+ * REQUEST HANDLER
+ * ---------------
+ * Order matters: Book Store API → static assets → status-code helpers → pages.
+ */
+function handleRequest(req, res) {
+    let url;
+    try {
+        url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    } catch (error) {
+        // e.g. "GET //" or a malformed Host header - an uncaught throw here stops the server
+        send(res, 400, `Bad request URL: ${req.url}`, 'text/plain; charset=utf-8');
+        return;
+    }
+
+    if (handleBookStoreApi(req, res, url)) return;
+    if (req.method === 'GET' && serveStatic(res, url.pathname)) return;
+
+    // Targets for the "broken link" examples on /broken
+    const statusMatch = url.pathname.match(/^\/status_codes\/(\d{3})$/);
+    if (statusMatch) {
+        const status = Number(statusMatch[1]);
+        send(res, status, `This page returned a ${status} status code.`, MIME_TYPES['.html']);
+        return;
+    }
+
+    if (LINK_STATUSES[url.pathname]) {
+        sendEmpty(res, LINK_STATUSES[url.pathname]);
+        return;
+    }
+
+    const page = findPage(url.pathname);
+    if (!page) {
+        send(res, 404, renderNotFound(url.pathname), MIME_TYPES['.html']);
+        return;
+    }
+
+    const fragment = fs.readFileSync(path.join(PAGES_DIR, page.file), 'utf8')
+        .replace(/\{\{origin\}\}/g, url.origin);
+    send(res, 200, page.standalone ? fragment : renderPage(page, fragment), MIME_TYPES['.html']);
+}
+
+/**
+ * START SERVER
+ * ------------
+ * Resolves with the listening http.Server so callers (or tests)
+ * can close it again.
+ */
+function startServer(port = Number(process.env.DEMOQA_PORT) || DEFAULT_PORT) {
+    return new Promise((resolve, reject) => {
+        const server = http.createServer(handleRequest);
+        server.once('error', reject);
+        server.listen(port, () => resolve(server));
+    });
+}
+
+if (require.main === module) {
+    startServer().then(server => {
+        console.log(`DemoQA replica listening on http://localhost:${server.address().port}`);
+    }).catch(error => {
+        const port = Number(process.env.DEMOQA_PORT) || DEFAULT_PORT;
+        console.error(error.code === 'EADDRINUSE' ? `Port ${port} is in use - stop the other server or set DEMOQA_PORT` : error.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { startServer, handleRequest, DEFAULT_PORT };
@@ -0,0 +1,120 @@
+/**
+ * REPLICA LAYOUT
+ * ==============
+ * Wraps a page fragment in the DemoQA chrome: header, collapsible
+ * left panel, centre column with the <h1>, ad column and footer.
+ *
+ * The markup (class names, ids, nesting) follows the live site so
+ * selectors such as '.element-group', 'li:has-text("Text Box")'
+ * or 'h1.text-center' resolve the same way in both targets.
+ */
+
+const { GROUPS } = require('./pages');
+
+const GROUP_ICON = '<svg stroke="currentColor" fill="currentColor" stroke-width="0" viewBox="0 0 448 512" height="1em" width="1em" xmlns="http://www.w3.org/2000/svg"><path d="M16 132h416c8.837 0 16-7.163 16-16V76c0-8.837-7.163-16-16-16H16C7.163 60 0 67.163 0 76v40c0 8.837 7.163 16 16 16zm0 160h416c8.837 0 16-7.163 16-16v-40c0-8.837-7.163-16-16-16H16c-8.837 0-16 7.163-16 16v40c0 8.837 7.163 16 16 16zm0 160h416c8.837 0 16-7.163 16-16v-40c0-8.837-7.163-16-16-16H16c-8.837 0-16 7.163-16 16v40c0 8.837 7.163 16 16 16z"></path></svg>';
+const ITEM_ICON = '<svg stroke="currentColor" fill="currentColor" stroke-width="0" viewBox="0 0 1024 1024" height="1em" width="1em" xmlns="http://www.w3.org/2000/svg"><path d="M872 474H152c-4.4 0-8 3.6-8 8v60c0 4.4 3.6 8 8 8h720c4.4 0 8-3.6 8-8v-60c0-4.4-3.6-8-8-8z"></path></svg>';
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * DOCUMENT SHELL
+ * --------------
+ * Every replica page shares the live site's <title>: "DEMOQA".
+ */
+function renderDocument(body, scripts = []) {
+    const scriptTags = ['layout.js', ...scripts]
+        .map(src => `<script src="/js/${src}"></script>`)
+        .join('\n    ');
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>DEMOQA</title>
+    <link rel="stylesheet" href="/css/demoqa.css">
+</head>
+<body>
+    <div id="app">
+        <header>
+            <a href="/"><img src="/images/Toolsqa.jpg" alt="TOOLSQA"></a>
+        </header>
+        <div class="body-height">
+${body}
+        </div>
+        <footer><span>© 2013-2020 TOOLSQA.COM | ALL RIGHTS RESERVED.</span></footer>
+    </div>
+    ${scriptTags}
+</body>
+</html>
+`;
+}
+
+/**
+ * LEFT PANEL
+ * ----------
+ * The group that owns the current page is expanded, the others are
+ * collapsed — same behaviour as the live React app.
+ */
+function renderLeftPanel(activePage) {
+    const groups = GROUPS.map(group => {
+        const isOpen = group.name === activePage.group;
+        // Item ids restart at item-0 in every group, as on the live site
+        const items = group.items.map((item, index) => {
+            const active = item.path === activePage.path ? ' active' : '';
+            return `<li class="btn btn-light${active}" id="item-${index}" data-path="${item.path}">${ITEM_ICON}<span class="text">${escapeHtml(item.text)}</span></li>`;
+        }).join('');
+        return `<div class="element-group">
+                            <span class="group-header"><div class="header-wrapper"><div class="icon">${GROUP_ICON}</div><div class="header-text">${escapeHtml(group.name)}</div><div class="header-right"></div></div></span>
+                            <div class="element-list collapse${isOpen ? ' show' : ''}"><ul class="menu-list">${items}</ul></div>
+                        </div>`;
+    }).join('\n                        ');
+    return `<div class="left-pannel"><div class="accordion">
+                        ${groups}
+                    </div></div>`;
+}
+
+/**
+ * RENDER PAGE
+ * -----------
+ * Builds a full replica page from a registry entry and its fragment.
+ */
+function renderPage(page, fragment) {
+    if (page.bare) {
+        return renderDocument(fragment, page.scripts);
+    }
+    const heading = page.heading ? `<h1 class="text-center">${escapeHtml(page.heading)}</h1>` : '';
+    const body = `            <div id="fixedban"></div>
+            <div class="container playgound-body">
+                <div class="row">
+                    <div class="col-12 mt-4 col-md-3">
+                    ${renderLeftPanel(page)}
+                    </div>
+                    <div class="col-12 mt-4 col-md-6">
+                        ${heading}
+${fragment}
+                    </div>
+                    <div class="col-md-3 col-md-3"><div id="Ad.Plus-300x250"></div></div>
+                </div>
+            </div>`;
+    return renderDocument(body, page.scripts);
+}
+
+/**
+ * 404 PAGE
+ * --------
+ * Returned for menu items that are not replicated (yet).
+ */
+function renderNotFound(pathname) {
+    return renderDocument(`            <div class="container playgound-body">
+                <h1 class="text-center">Not Found</h1>
+                <p class="text-center">${escapeHtml(pathname)} is not part of the offline DemoQA replica.</p>
+            </div>`);
+}
+
+module.exports = { renderPage, renderNotFound, escapeHtml };
@@ -0,0 +1,128 @@
+/**
+ * REPLICA ROUTE REGISTRY
+ * ======================
+ * Mirrors the DemoQA left-panel menu. Every menu item is listed so the
+ * navigation chrome looks like the live site; items with a `file` are
+ * replicated locally, the rest return the replica's 404 page.
+ *
+ * Page fields:
+ * - path        URL path (e.g. '/text-box')
+ * - heading     <h1> text rendered by the layout
+ * - file        HTML fragment in server/pages/
+ * - scripts     Widget/page scripts loaded from server/public/js/
+ * - bare        Header and footer only, no left panel (home page)
+ * - standalone  Fragment is a full document (no DemoQA chrome)
+ */
+
+const GROUPS = [
+    {
+        name: 'Elements',
+        path: '/elements',
+        items: [
+            { text: 'Text Box', path: '/text-box', file: 'text-box.html', scripts: ['text-box.js'] },
+            { text: 'Check Box', path: '/checkbox', file: 'checkbox.html', scripts: ['checkbox-tree.js'] },
+            { text: 'Radio Button', path: '/radio-button', file: 'radio-button.html', scripts: ['radio-button.js'] },
+            { text: 'Web Tables', path: '/webtables', file: 'webtables.html', scripts: ['react-table.js', 'webtables.js'] },
+            { text: 'Buttons', path: '/buttons', file: 'buttons.html', scripts: ['buttons.js'] },
+            { text: 'Links', path: '/links', file: 'links.html', scripts: ['links.js'] },
+            { text: 'Broken Links - Images', heading: 'Broken Links - Images', path: '/broken', file: 'broken.html' },
+            { text: 'Upload and Download', path: '/upload-download', file: 'upload-download.html', scripts: ['upload-download.js'] },
+            { text: 'Dynamic Properties', path: '/dynamic-properties', file: 'dynamic-properties.html', scripts: ['dynamic-properties.js'] },
+        ],
+    },
+    {
+        name: 'Forms',
+        path: '/forms',
+        items: [
+            {
+                text: 'Practice Form',
+                path: '/automation-practice-form',
+                file: 'automation-practice-form.html',
+                scripts: ['date-picker.js', 'react-select.js', 'practice-form.js'],
+            },
+        ],
+    },
+    {
+        name: 'Alerts, Frame & Windows',
+        path: '/alertsWindows',
+        items: [
+            { text: 'Browser Windows', path: '/browser-windows', file: 'browser-windows.html', scripts: ['browser-windows.js'] },
+            { text: 'Alerts', path: '/alerts', file: 'alerts.html', scripts: ['alerts.js'] },
+            { text: 'Frames', path: '/frames', file: 'frames.html' },
+            { text: 'Nested Frames', path: '/nestedframes', file: 'nestedframes.html' },
+            { text: 'Modal Dialogs', path: '/modal-dialogs', file: 'modal-dialogs.html', scripts: ['modal-dialogs.js'] },
+        ],
+    },
+    {
+        name: 'Widgets',
+        path: '/widgets',
+        items: [
+            { text: 'Accordian', path: '/accordian', file: 'accordian.html', scripts: ['accordian.js'] },
+            { text: 'Auto Complete', path: '/auto-complete' },
+            { text: 'Date Picker', path: '/date-picker', file: 'date-picker.html', scripts: ['date-picker.js', 'date-picker-page.js'] },
+            { text: 'Slider', path: '/slider', file: 'slider.html', scripts: ['slider.js'] },
+            { text: 'Progress Bar', path: '/progress-bar', file: 'progress-bar.html', scripts: ['progress-bar.js'] },
+            { text: 'Tabs', path: '/tabs', file: 'tabs.html', scripts: ['tabs.js'] },
+            { text: 'Tool Tips', path: '/tool-tips', file: 'tool-tips.html', scripts: ['tool-tips.js'] },
+            { text: 'Menu', path: '/menu', file: 'menu.html' },
+            { text: 'Select Menu', path: '/select-menu', file: 'select-menu.html', scripts: ['react-select.js', 'select-menu.js'] },
+        ],
+    },
+    {
+        name: 'Interactions',
+        path: '/interaction',
+        items: [
+            { text: 'Sortable', path: '/sortable' },
+            { text: 'Selectable', path: '/selectable' },
+            { text: 'Resizable', path: '/resizable' },
+            { text: 'Droppable', path: '/droppable', file: 'droppable.html', scripts: ['droppable.js'] },
+            { text: 'Dragabble', path: '/dragabble' },
+        ],
+    },
+    {
+        name: 'Book Store Application',
+        path: '/books',
+        items: [
+            { text: 'Login', path: '/login', file: 'login.html', scripts: ['book-store.js', 'login.js'] },
+            { text: 'Book Store', heading: '', path: '/books', file: 'books.html', scripts: ['react-table.js', 'book-store.js', 'books.js'] },
+            { text: 'Profile', path: '/profile', file: 'profile.html', scripts: ['react-table.js', 'book-store.js', 'profile.js'] },
+            { text: 'Book Store API', path: '/swagger' },
+        ],
+    },
+];
+
+/**
+ * PAGES OUTSIDE THE MENU
+ * ----------------------
+ * Home page, category landing pages and the frame/window targets.
+ */
+const EXTRA_PAGES = [
+    { path: '/', file: 'home.html', bare: true, scripts: ['home.js'] },
+    { path: '/sample', file: 'sample.html', standalone: true },
+    { path: '/sampleiframe', file: 'sampleiframe.html', standalone: true },
+    ...GROUPS.filter(group => group.path !== '/books').map(group => ({
+        path: group.path,
+        heading: '',
+        file: 'category.html',
+        group: group.name,
+    })),
+];
+
+const PAGES = [
+    ...EXTRA_PAGES,
+    ...GROUPS.flatMap(group => group.items
+        .filter(item => item.file)
+        .map(item => ({ heading: item.text, scripts: [], ...item, group: group.name }))),
+];
+
+/**
+ * FIND PAGE
+ * ---------
+ * Resolves a URL path (trailing slash tolerated) to a page entry.
+ */
+function findPage(pathname) {
+    const normalized = pathname.length > 1 ? pathname.replace(/\/+$/, '') : pathname;
+    return PAGES.find(page => page.path === normalized);
+}
+
+module.exports = { GROUPS, PAGES, findPage };
@@ -0,0 +1,16 @@
+/*
+ * ACCORDIAN (sic — the live URL is misspelled too)
+ * One section open at a time; clicking the open heading closes it.
+ * The .collapse parent of #sectionNContent carries the "show" class.
+ */
+(function () {
+    const headings = [...document.querySelectorAll('.accordion .card-header')];
+    headings.forEach(heading => {
+        heading.addEventListener('click', () => {
+            const collapse = heading.nextElementSibling;
+            const willOpen = !collapse.classList.contains('show');
+            headings.forEach(other => other.nextElementSibling.classList.remove('show'));
+            collapse.classList.toggle('show', willOpen);
+        });
+    });
+})();
@@ -0,0 +1,29 @@
+/*
+ * ALERTS
+ * Native alert/confirm/prompt dialogs. Note the live site's "promt"
+ * typo in the prompt button id, kept here on purpose.
+ */
+(function () {
+    function showResult(id, prefix, value) {
+        const result = document.getElementById(id);
+        const span = document.createElement('span');
+        span.className = 'text-success';
+        span.textContent = value;
+        result.replaceChildren(prefix, span);
+        result.hidden = false;
+    }
+
+    document.getElementById('alertButton').addEventListener('click', () => {
+        alert('You clicked a button');
+    });
+    document.getElementById('timerAlertButton').addEventListener('click', () => {
+        setTimeout(() => alert('This alert appeared after 5 seconds'), 5000);
+    });
+    document.getElementById('confirmButton').addEventListener('click', () => {
+        showResult('confirmResult', 'You selected ', confirm('Do you confirm action?') ? 'Ok' : 'Cancel');
+    });
+    document.getElementById('promtButton').addEventListener('click', () => {
+        const name = prompt('Please enter your name');
+        if (name) showResult('promptResult', 'You entered ', name);
+    });
+})();
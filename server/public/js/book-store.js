@@ -0,0 +1,77 @@
+/*
+ * BOOK STORE SESSION
+ * Shared by the Login, Book Store and Profile pages. Like the live
+ * app, the session is four cookies (userID, userName, token, expires)
+ * and every call goes to the same-origin Book Store API.
+ */
+(function () {
+    const COOKIES = ['userID', 'userName', 'token', 'expires'];
+
+    function readCookie(name) {
+        const match = document.cookie.split('; ').find(part => part.startsWith(`${name}=`));
+        return match ? decodeURIComponent(match.slice(name.length + 1)) : null;
+    }
+
+    window.BookStore = {
+        /* The logged-in user, or null when any session cookie is missing */
+        session() {
+            const values = COOKIES.map(readCookie);
+            if (values.some(value => !value)) return null;
+            const [userId, userName, token, expires] = values;
+            return { userId, userName, token, expires };
+        },
+
+        saveSession({ userId, username, token, expires }) {
+            const values = { userID: userId, userName: username, token, expires };
+            COOKIES.forEach(name => {
+                document.cookie = `${name}=${encodeURIComponent(values[name])}; path=/`;
+            });
+        },
+
+        clearSession() {
+            COOKIES.forEach(name => {
+                document.cookie = `${name}=; path=/; expires=Thu, 01 Jan 1970 00:00:00 GMT`;
+            });
+        },
+
+        /* fetch() wrapper: JSON in, { status, body } out, bearer token when logged in */
+        async api(method, path, body) {
+            const session = this.session();
+            const headers = { 'Content-Type': 'application/json' };
+            if (session) headers.Authorization = `Bearer ${session.token}`;
+            const response = await fetch(path, {
+                method,
+                headers,
+                body: body === undefined ? undefined : JSON.stringify(body),
+            });
+            const text = await response.text();
+            let json = null;
+            try {
+                json = text ? JSON.parse(text) : null;
+            } catch (error) {
+                json = null;
+            }
+            return { status: response.status, body: json };
+        },
+
+        /* "User Name : <name>" plus the Log out button shown above books/profile */
+        renderUserBar(container) {
+            const session = this.session();
+            if (!session) {
+                container.innerHTML = '<div class="text-right"><button id="login" type="button" class="btn btn-primary">Login</button></div>';
+                container.querySelector('#login').addEventListener('click', () => { window.location.href = '/login'; });
+                return null;
+            }
+            container.innerHTML = `<div class="mb-3 row">
+                <div class="col-md-6 col-sm-12"><label class="form-label" id="userName-label">User Name : </label> <label class="form-label" id="userName-value"></label></div>
+                <div class="text-right col-md-6 col-sm-12"><button id="submit" type="button" class="btn btn-primary">Log out</button></div>
+            </div>`;
+            container.querySelector('#userName-value').textContent = session.userName;
+            container.querySelector('#submit').addEventListener('click', () => {
+                this.clearSession();
+                window.location.href = '/login';
+            });
+            return session;
+        },
+    };
+})();
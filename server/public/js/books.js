@@ -0,0 +1,70 @@
+/*
+ * BOOK STORE
+ * The table is filled client-side from GET /BookStore/v1/Books.
+ * /books?book=<isbn> shows one book with "Add To Your Collection".
+ */
+(function () {
+    const { escapeHtml } = window.ReactTable;
+    const session = window.BookStore.renderUserBar(document.getElementById('bookStoreUser'));
+    const isbn = new URLSearchParams(window.location.search).get('book');
+
+    if (isbn) {
+        showBook(isbn);
+        return;
+    }
+
+    const table = new window.ReactTable(document.getElementById('bookTable'), {
+        columns: [
+            { id: 'image', header: 'Image', sortable: false, cell: () => '<img src="/images/Toolsqa.jpg" alt="image" width="100%">' },
+            { id: 'title', header: 'Title', accessor: b => b.title, cell: b => `<div class="action-buttons"><span id="see-book-${escapeHtml(b.title)}"><a href="/books?book=${b.isbn}">${escapeHtml(b.title)}</a></span></div>` },
+            { id: 'author', header: 'Author', accessor: b => b.author },
+            { id: 'publisher', header: 'Publisher', accessor: b => b.publisher },
+        ],
+    });
+    document.getElementById('searchBox').addEventListener('input', event => table.setFilter(event.target.value));
+
+    window.BookStore.api('GET', '/BookStore/v1/Books').then(({ body }) => {
+        table.setData((body && body.books) || []);
+    });
+
+    async function showBook(bookIsbn) {
+        document.getElementById('bookStoreList').hidden = true;
+        const detail = document.getElementById('bookDetail');
+        detail.hidden = false;
+        const { status, body } = await window.BookStore.api('GET', `/BookStore/v1/Book?ISBN=${encodeURIComponent(bookIsbn)}`);
+        if (status !== 200) {
+            detail.innerHTML = '<p class="mb-1">Book not found!</p>';
+            return;
+        }
+        const fields = [
+            ['ISBN', 'ISBN', body.isbn],
+            ['title', 'Title', body.title],
+            ['subtitle', 'Sub Title', body.subTitle],
+            ['author', 'Author', body.author],
+            ['publisher', 'Publisher', body.publisher],
+            ['pages', 'Total Pages', body.pages],
+            ['description', 'Description', body.description],
+            ['website', 'Website', body.website],
+        ];
+        detail.innerHTML = `<div class="profile-wrapper">${fields.map(([id, label, value]) => `<div class="mt-2 row" id="${id}-wrapper">
+                <div class="col-md-3 col-sm-12"><label class="form-label" id="${id}-label">${label} : </label></div>
+                <div class="col-md-9 col-sm-12"><label class="form-label" id="userName-value">${escapeHtml(value)}</label></div>
+            </div>`).join('')}
+            <div class="mt-2 fullButtonWrap row">
+                <div class="text-left col-md-6 col-sm-12"><button id="addNewRecordButton" type="button" class="btn btn-primary">Back To Book Store</button></div>
+                ${session ? '<div class="text-right col-md-6 col-sm-12"><button id="addNewRecordButton" type="button" class="btn btn-primary">Add To Your Collection</button></div>' : ''}
+            </div>
+        </div>`;
+        const [back, add] = detail.querySelectorAll('button');
+        back.addEventListener('click', () => { window.location.href = '/books'; });
+        if (add) {
+            add.addEventListener('click', async () => {
+                const result = await window.BookStore.api('POST', '/BookStore/v1/Books', {
+                    userId: session.userId,
+                    collectionOfIsbns: [{ isbn: body.isbn }],
+                });
+                alert(result.status === 201 ? 'Book added to your collection.' : 'Book already present in the your collection!');
+            });
+        }
+    }
+})();
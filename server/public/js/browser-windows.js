@@ -0,0 +1,18 @@
+/*
+ * BROWSER WINDOWS
+ * New tab / new window both open /sample; the message window is an
+ * about:blank popup filled with document.write().
+ */
+(function () {
+    document.getElementById('tabButton').addEventListener('click', () => {
+        window.open('/sample', '_blank');
+    });
+    document.getElementById('windowButton').addEventListener('click', () => {
+        window.open('/sample', '_blank', 'width=800,height=600');
+    });
+    document.getElementById('messageWindowButton').addEventListener('click', () => {
+        const popup = window.open('', 'MsgWindow', 'width=500,height=300');
+        popup.document.write('<p>Knowledge increases by sharing but not by saving. Please share this website with your friends and in your organization.</p>');
+        popup.document.close();
+    });
+})();
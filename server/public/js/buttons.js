@@ -0,0 +1,18 @@
+/*
+ * BUTTONS
+ * The "Click Me" button gets a random id on every load, which is
+ * why the suite locates it by role and name.
+ */
+(function () {
+    const dynamicButton = document.querySelector('[data-dynamic-click]');
+    dynamicButton.id = Math.random().toString(36).slice(2, 7);
+    dynamicButton.removeAttribute('data-dynamic-click');
+
+    const show = id => { document.getElementById(id).hidden = false; };
+    document.getElementById('doubleClickBtn').addEventListener('dblclick', () => show('doubleClickMessage'));
+    document.getElementById('rightClickBtn').addEventListener('contextmenu', event => {
+        event.preventDefault();
+        show('rightClickMessage');
+    });
+    dynamicButton.addEventListener('click', () => show('dynamicClickMessage'));
+})();
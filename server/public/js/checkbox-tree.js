@@ -0,0 +1,142 @@
+/*
+ * CHECK BOX TREE (react-checkbox-tree replica)
+ * Tri-state propagation: checking a parent checks every descendant,
+ * a parent is checked when all of its children are, half-checked
+ * when only some are. Collapsed children are not rendered at all,
+ * matching the live widget.
+ */
+(function () {
+    const TREE = {
+        value: 'home', label: 'Home', children: [
+            { value: 'desktop', label: 'Desktop', children: [
+                { value: 'notes', label: 'Notes' },
+                { value: 'commands', label: 'Commands' },
+            ] },
+            { value: 'documents', label: 'Documents', children: [
+                { value: 'workspace', label: 'WorkSpace', children: [
+                    { value: 'react', label: 'React' },
+                    { value: 'angular', label: 'Angular' },
+                    { value: 'veu', label: 'Veu' },
+                ] },
+                { value: 'office', label: 'Office', children: [
+                    { value: 'public', label: 'Public' },
+                    { value: 'private', label: 'Private' },
+                    { value: 'classified', label: 'Classified' },
+                    { value: 'general', label: 'General' },
+                ] },
+            ] },
+            { value: 'downloads', label: 'Downloads', children: [
+                { value: 'wordFile', label: 'Word File.doc' },
+                { value: 'excelFile', label: 'Excel File.doc' },
+            ] },
+        ],
+    };
+
+    const ICONS = {
+        check: '<svg stroke="currentColor" fill="currentColor" stroke-width="0" viewBox="0 0 448 512" class="rct-icon rct-icon-check" height="1em" width="1em" xmlns="http://www.w3.org/2000/svg"><path d="M400 32H48C21.49 32 0 53.49 0 80v352c0 26.51 21.49 48 48 48h352c26.51 0 48-21.49 48-48V80c0-26.51-21.49-48-48-48zm0 400H48V80h352v352zm-35.864-241.724L191.547 361.48c-4.705 4.667-12.303 4.637-16.97-.068l-90.781-91.516c-4.667-4.705-4.637-12.303.069-16.971l22.719-22.536c4.705-4.667 12.303-4.637 16.97.069l59.792 60.277 141.352-140.216c4.705-4.667 12.303-4.637 16.97.068l22.536 22.718c4.667 4.706 4.637 12.304-.068 16.971z"></path></svg>',
+        uncheck: '<svg stroke="currentColor" fill="currentColor" stroke-width="0" viewBox="0 0 448 512" class="rct-icon rct-icon-uncheck" height="1em" width="1em" xmlns="http://www.w3.org/2000/svg"><path d="M400 32H48C21.5 32 0 53.5 0 80v352c0 26.5 21.5 48 48 48h352c26.5 0 48-21.5 48-48V80c0-26.5-21.5-48-48-48zm-6 400H54c-3.3 0-6-2.7-6-6V86c0-3.3 2.7-6 6-6h340c3.3 0 6 2.7 6 6v340c0 3.3-2.7 6-6 6z"></path></svg>',
+        half: '<svg stroke="currentColor" fill="currentColor" stroke-width="0" viewBox="0 0 448 512" class="rct-icon rct-icon-half-check" height="1em" width="1em" xmlns="http://www.w3.org/2000/svg"><path d="M400 32H48C21.5 32 0 53.5 0 80v352c0 26.5 21.5 48 48 48h352c26.5 0 48-21.5 48-48V80c0-26.5-21.5-48-48-48zm-6 400H54c-3.3 0-6-2.7-6-6V86c0-3.3 2.7-6 6-6h340c3.3 0 6 2.7 6 6v340c0 3.3-2.7 6-6 6zM112 240h224v32H112z"></path></svg>',
+        expandClose: '<svg stroke="currentColor" fill="currentColor" stroke-width="0" viewBox="0 0 320 512" class="rct-icon rct-icon-expand-close" height="1em" width="1em" xmlns="http://www.w3.org/2000/svg"><path d="M285.476 272.971L91.132 467.314c-9.373 9.373-24.569 9.373-33.941 0l-22.667-22.667c-9.357-9.357-9.375-24.522-.04-33.901L188.505 256 34.484 101.255c-9.335-9.379-9.317-24.544.04-33.901l22.667-22.667c9.373-9.373 24.569-9.373 33.941 0L285.475 239.03c9.373 9.372 9.373 24.568.001 33.941z"></path></svg>',
+        expandOpen: '<svg stroke="currentColor" fill="currentColor" stroke-width="0" viewBox="0 0 448 512" class="rct-icon rct-icon-expand-open" height="1em" width="1em" xmlns="http://www.w3.org/2000/svg"><path d="M207.029 381.476L12.686 187.132c-9.373-9.373-9.373-24.569 0-33.941l22.667-22.667c9.357-9.357 24.522-9.375 33.901-.04L224 284.505l154.745-154.021c9.379-9.335 24.544-9.317 33.901.04l22.667 22.667c9.373 9.373 9.373 24.569 0 33.941L240.971 381.476c-9.373 9.372-24.569 9.372-33.942 0z"></path></svg>',
+        parentClose: '<svg stroke="currentColor" fill="currentColor" stroke-width="0" viewBox="0 0 512 512" class="rct-icon rct-icon-parent-close" height="1em" width="1em" xmlns="http://www.w3.org/2000/svg"><path d="M464 128H272l-64-64H48C21.49 64 0 85.49 0 112v288c0 26.51 21.49 48 48 48h416c26.51 0 48-21.49 48-48V176c0-26.51-21.49-48-48-48z"></path></svg>',
+        parentOpen: '<svg stroke="currentColor" fill="currentColor" stroke-width="0" viewBox="0 0 576 512" class="rct-icon rct-icon-parent-open" height="1em" width="1em" xmlns="http://www.w3.org/2000/svg"><path d="M572.694 292.093L500.27 416.248A63.997 63.997 0 0 1 444.989 448H45.025c-18.523 0-30.064-20.093-20.731-36.093l72.424-124.155A64 64 0 0 1 152 256h399.964c18.523 0 30.064 20.093 20.73 36.093z"></path></svg>',
+        leaf: '<svg stroke="currentColor" fill="currentColor" stroke-width="0" viewBox="0 0 384 512" class="rct-icon rct-icon-leaf-close" height="1em" width="1em" xmlns="http://www.w3.org/2000/svg"><path d="M224 136V0H24C10.7 0 0 10.7 0 24v464c0 13.3 10.7 24 24 24h336c13.3 0 24-10.7 24-24V160H248c-13.2 0-24-10.8-24-24z"></path></svg>',
+        expandAll: '<svg stroke="currentColor" fill="currentColor" stroke-width="0" viewBox="0 0 448 512" class="rct-icon rct-icon-expand-all" height="1em" width="1em" xmlns="http://www.w3.org/2000/svg"><path d="M400 32H48C21.5 32 0 53.5 0 80v352c0 26.5 21.5 48 48 48h352c26.5 0 48-21.5 48-48V80c0-26.5-21.5-48-48-48zm-32 252c0 6.6-5.4 12-12 12h-92v92c0 6.6-5.4 12-12 12h-56c-6.6 0-12-5.4-12-12v-92H92c-6.6 0-12-5.4-12-12v-56c0-6.6 5.4-12 12-12h92v-92c0-6.6 5.4-12 12-12h56c6.6 0 12 5.4 12 12v92h92c6.6 0 12 5.4 12 12v56z"></path></svg>',
+        collapseAll: '<svg stroke="currentColor" fill="currentColor" stroke-width="0" viewBox="0 0 448 512" class="rct-icon rct-icon-collapse-all" height="1em" width="1em" xmlns="http://www.w3.org/2000/svg"><path d="M400 32H48C21.5 32 0 53.5 0 80v352c0 26.5 21.5 48 48 48h352c26.5 0 48-21.5 48-48V80c0-26.5-21.5-48-48-48zM92 296c-6.6 0-12-5.4-12-12v-56c0-6.6 5.4-12 12-12h264c6.6 0 12 5.4 12 12v56c0 6.6-5.4 12-12 12H92z"></path></svg>',
+    };
+
+    const checkedLeaves = new Set();
+    const expanded = new Set();
+    const root = document.getElementById('tree-node');
+    const result = document.getElementById('result');
+
+    function leavesOf(node) {
+        return node.children ? node.children.flatMap(leavesOf) : [node.value];
+    }
+
+    function stateOf(node) {
+        const leaves = leavesOf(node);
+        const checkedCount = leaves.filter(value => checkedLeaves.has(value)).length;
+        if (checkedCount === 0) return 0;
+        return checkedCount === leaves.length ? 1 : 2;
+    }
+
+    function allParents(node) {
+        return node.children ? [node.value, ...node.children.flatMap(allParents)] : [];
+    }
+
+    function renderNode(node) {
+        const state = stateOf(node);
+        const isParent = Boolean(node.children);
+        const isOpen = expanded.has(node.value);
+        const li = document.createElement('li');
+        li.className = 'rct-node ' + (isParent ? `rct-node-parent ${isOpen ? 'rct-node-expanded' : 'rct-node-collapsed'}` : 'rct-node-leaf');
+
+        const collapse = isParent
+            ? `<button aria-label="Toggle" title="Toggle" type="button" class="rct-collapse rct-collapse-btn">${isOpen ? ICONS.expandOpen : ICONS.expandClose}</button>`
+            : '<span class="rct-collapse"><span class="rct-icon"></span></span>';
+        const checkIcon = [ICONS.uncheck, ICONS.check, ICONS.half][state];
+        const nodeIcon = isParent ? (isOpen ? ICONS.parentOpen : ICONS.parentClose) : ICONS.leaf;
+        li.innerHTML = `<span class="rct-text">${collapse}<label for="tree-node-${node.value}"><input id="tree-node-${node.value}" type="checkbox"><span class="rct-checkbox">${checkIcon}</span><span class="rct-node-icon">${nodeIcon}</span><span class="rct-title">${node.label}</span></label></span>`;
+
+        const input = li.querySelector('input');
+        input.checked = state === 1;
+        input.indeterminate = state === 2;
+        input.addEventListener('change', () => {
+            const checkAll = state !== 1;
+            for (const value of leavesOf(node)) {
+                if (checkAll) checkedLeaves.add(value); else checkedLeaves.delete(value);
+            }
+            render();
+        });
+        if (isParent) {
+            li.querySelector('.rct-collapse-btn').addEventListener('click', () => {
+                if (isOpen) expanded.delete(node.value); else expanded.add(node.value);
+                render();
+            });
+        }
+        if (isParent && isOpen) {
+            const ol = document.createElement('ol');
+            node.children.forEach(child => ol.appendChild(renderNode(child)));
+            li.appendChild(ol);
+        }
+        return li;
+    }
+
+    function checkedValues(node) {
+        const own = stateOf(node) === 1 ? [node.value] : [];
+        return node.children ? own.concat(node.children.flatMap(checkedValues)) : own;
+    }
+
+    function renderResult() {
+        const values = checkedValues(TREE);
+        result.innerHTML = '';
+        if (!values.length) return;
+        result.innerHTML = '<span>You have selected :</span>' +
+            values.map(value => `<span class="text-success">${value}</span>`).join('');
+    }
+
+    function render() {
+        root.innerHTML = '';
+        const ol = document.createElement('ol');
+        ol.appendChild(renderNode(TREE));
+        root.appendChild(ol);
+        const options = document.createElement('div');
+        options.className = 'rct-options';
+        options.innerHTML =
+            `<button aria-label="Expand all" title="Expand all" type="button" class="rct-option rct-option-expand-all">${ICONS.expandAll}</button>` +
+            `<button aria-label="Collapse all" title="Collapse all" type="button" class="rct-option rct-option-collapse-all">${ICONS.collapseAll}</button>`;
+        options.querySelector('.rct-option-expand-all').addEventListener('click', () => {
+            allParents(TREE).forEach(value => expanded.add(value));
+            render();
+        });
+        options.querySelector('.rct-option-collapse-all').addEventListener('click', () => {
+            expanded.clear();
+            render();
+        });
+        root.appendChild(options);
+        renderResult();
+    }
+
+    render();
+})();
@@ -0,0 +1,16 @@
+/*
+ * DATE PICKER PAGE
+ * A date-only picker with <select> month/year dropdowns and a
+ * date-and-time picker with scrolling dropdowns and a time list.
+ */
+(function () {
+    new window.ReactDatePicker(document.getElementById('datePickerMonthYearInput'), {
+        format: 'MM/dd/yyyy',
+        dropdownMode: 'select',
+    });
+    new window.ReactDatePicker(document.getElementById('dateAndTimePickerInput'), {
+        format: 'MMMM d, yyyy h:mm aa',
+        dropdownMode: 'scroll',
+        showTime: true,
+    });
+})();
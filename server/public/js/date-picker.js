@@ -0,0 +1,361 @@
+/*
+ * REACT-DATEPICKER REPLICA
+ * Reproduces the markup and behaviour of react-datepicker as used on
+ * DemoQA: the calendar popper, month/year dropdowns in "select" or
+ * "scroll" mode, an optional 15-minute time list, keyboard navigation
+ * and free typing into the input.
+ *
+ * Usage:
+ *   new ReactDatePicker(input, { format, dropdownMode: 'select', showTime: false });
+ */
+(function () {
+    const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June',
+        'July', 'August', 'September', 'October', 'November', 'December'];
+    const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+    const pad = n => String(n).padStart(2, '0');
+
+    function ordinal(n) {
+        const suffix = n % 10 === 1 && n !== 11 ? 'st' : n % 10 === 2 && n !== 12 ? 'nd' : n % 10 === 3 && n !== 13 ? 'rd' : 'th';
+        return `${n}${suffix}`;
+    }
+
+    function sameDay(a, b) {
+        return Boolean(a && b) && a.getFullYear() === b.getFullYear() && a.getMonth() === b.getMonth() && a.getDate() === b.getDate();
+    }
+
+    function addDays(date, days) {
+        const next = new Date(date);
+        next.setDate(next.getDate() + days);
+        return next;
+    }
+
+    function addMonths(date, months) {
+        const next = new Date(date);
+        const day = next.getDate();
+        next.setDate(1);
+        next.setMonth(next.getMonth() + months);
+        next.setDate(Math.min(day, new Date(next.getFullYear(), next.getMonth() + 1, 0).getDate()));
+        return next;
+    }
+
+    /*
+     * Formats used on the site (date-fns tokens in the original):
+     *   "MM/dd/yyyy"            → 06/15/2023
+     *   "MMMM d, yyyy h:mm aa"  → March 15, 2022 10:00 AM
+     *   "dd MMM yyyy"           → 15 Jun 1990
+     */
+    const FORMATS = {
+        'MM/dd/yyyy': date => `${pad(date.getMonth() + 1)}/${pad(date.getDate())}/${date.getFullYear()}`,
+        'MMMM d, yyyy h:mm aa': date => {
+            const hours = date.getHours() % 12 || 12;
+            const meridiem = date.getHours() < 12 ? 'AM' : 'PM';
+            return `${MONTHS[date.getMonth()]} ${date.getDate()}, ${date.getFullYear()} ${hours}:${pad(date.getMinutes())} ${meridiem}`;
+        },
+        'dd MMM yyyy': date => `${pad(date.getDate())} ${MONTHS[date.getMonth()].slice(0, 3)} ${date.getFullYear()}`,
+    };
+
+    function parse(value, format) {
+        const text = value.trim();
+        if (format === 'MM/dd/yyyy') {
+            const match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+            if (!match) return null;
+            const date = new Date(Number(match[3]), Number(match[1]) - 1, Number(match[2]));
+            return date.getMonth() === Number(match[1]) - 1 ? date : null;
+        }
+        // Non-strict parsing falls back to the Date constructor, as react-datepicker does
+        const date = new Date(text);
+        return text && !Number.isNaN(date.getTime()) ? date : null;
+    }
+
+    class ReactDatePicker {
+        constructor(input, { format = 'MM/dd/yyyy', dropdownMode = 'select', showTime = false, selected = new Date() } = {}) {
+            this.input = input;
+            this.format = format;
+            this.dropdownMode = dropdownMode;
+            this.showTime = showTime;
+            this.selected = selected;
+            this.preSelection = selected;
+            this.view = new Date(selected.getFullYear(), selected.getMonth(), 1);
+            this.openDropdown = null;
+            this.yearListCenter = null;
+            this.popper = null;
+
+            this.wrapper = input.closest('.react-datepicker-wrapper');
+            this.input.value = FORMATS[format](selected);
+            this.input.setAttribute('autocomplete', 'off');
+
+            this.input.addEventListener('focus', () => this.open());
+            this.input.addEventListener('click', () => this.open());
+            this.input.addEventListener('input', () => this.handleTyping());
+            this.input.addEventListener('keydown', event => this.handleKeyDown(event));
+            document.addEventListener('mousedown', event => {
+                if (this.popper && !this.popper.contains(event.target) && !this.wrapper.contains(event.target)) {
+                    this.close();
+                }
+            });
+        }
+
+        open() {
+            if (this.popper) return;
+            this.preSelection = this.selected || new Date();
+            this.view = new Date(this.preSelection.getFullYear(), this.preSelection.getMonth(), 1);
+            this.popper = document.createElement('div');
+            this.popper.className = 'react-datepicker__tab-loop';
+            this.wrapper.after(this.popper);
+            this.render();
+        }
+
+        close() {
+            if (!this.popper) return;
+            this.popper.remove();
+            this.popper = null;
+            this.openDropdown = null;
+            this.input.value = this.selected ? FORMATS[this.format](this.selected) : '';
+        }
+
+        /*
+         * Day clicks keep the popper open when a time list is shown
+         * (the time click closes it), otherwise the popper closes.
+         */
+        selectDay(date) {
+            if (this.showTime && this.selected) {
+                date.setHours(this.selected.getHours(), this.selected.getMinutes(), 0, 0);
+            }
+            this.commit(date, this.showTime);
+        }
+
+        commit(date, keepOpen) {
+            this.selected = date;
+            this.preSelection = date;
+            this.view = new Date(date.getFullYear(), date.getMonth(), 1);
+            this.input.value = FORMATS[this.format](date);
+            this.input.dispatchEvent(new Event('change', { bubbles: true }));
+            if (keepOpen) this.render();
+            else this.close();
+        }
+
+        handleTyping() {
+            if (!this.popper) this.open();
+            const value = this.input.value;
+            if (value === '') {
+                this.selected = null;
+                this.render();
+                return;
+            }
+            const date = parse(value, this.format);
+            if (date) {
+                this.selected = date;
+                this.preSelection = date;
+                this.view = new Date(date.getFullYear(), date.getMonth(), 1);
+                this.render();
+            }
+        }
+
+        handleKeyDown(event) {
+            if (!this.popper) {
+                if (event.key.startsWith('Arrow') || event.key === 'Enter') this.open();
+                return;
+            }
+            const moves = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -7, ArrowDown: 7 };
+            if (event.key in moves) {
+                event.preventDefault();
+                this.preSelection = addDays(this.preSelection, moves[event.key]);
+            } else if (event.key === 'PageUp' || event.key === 'PageDown') {
+                event.preventDefault();
+                this.preSelection = addMonths(this.preSelection, event.key === 'PageUp' ? -1 : 1);
+            } else if (event.key === 'Enter') {
+                event.preventDefault();
+                this.commit(new Date(this.preSelection), false);
+                return;
+            } else if (event.key === 'Escape' || event.key === 'Tab') {
+                this.close();
+                return;
+            } else {
+                return;
+            }
+            this.view = new Date(this.preSelection.getFullYear(), this.preSelection.getMonth(), 1);
+            this.render();
+        }
+
+        renderDropdowns() {
+            const month = this.view.getMonth();
+            const year = this.view.getFullYear();
+            if (this.dropdownMode === 'select') {
+                const months = MONTHS.map((name, i) => `<option value="${i}"${i === month ? ' selected' : ''}>${name}</option>`).join('');
+                const years = [];
+                for (let y = 1900; y <= 2100; y++) years.push(`<option value="${y}"${y === year ? ' selected' : ''}>${y}</option>`);
+                return `<div class="react-datepicker__header__dropdown react-datepicker__header__dropdown--select">
+                    <div class="react-datepicker__month-dropdown-container react-datepicker__month-dropdown-container--select"><select class="react-datepicker__month-select">${months}</select></div>
+                    <div class="react-datepicker__year-dropdown-container react-datepicker__year-dropdown-container--select"><select class="react-datepicker__year-select">${years.join('')}</select></div>
+                </div>`;
+            }
+
+            let monthView = `<div class="react-datepicker__month-read-view" style="visibility: visible;"><span class="react-datepicker__month-read-view--down-arrow"></span><span class="react-datepicker__month-read-view--selected-month">${MONTHS[month]}</span></div>`;
+            if (this.openDropdown === 'month') {
+                monthView = `<div class="react-datepicker__month-dropdown">${MONTHS.map((name, i) => i === month
+                    ? `<div class="react-datepicker__month-option react-datepicker__month-option--selected_month" data-month="${i}"><span class="react-datepicker__month-option--selected">✓</span>${name}</div>`
+                    : `<div class="react-datepicker__month-option" data-month="${i}">${name}</div>`).join('')}</div>`;
+            }
+            let yearView = `<div class="react-datepicker__year-read-view" style="visibility: visible;"><span class="react-datepicker__year-read-view--down-arrow"></span><span class="react-datepicker__year-read-view--selected-year">${year}</span></div>`;
+            if (this.openDropdown === 'year') {
+                const options = [];
+                const center = this.yearListCenter ?? year;
+                for (let y = center + 5; y >= center - 5; y--) {
+                    options.push(y === year
+                        ? `<div class="react-datepicker__year-option react-datepicker__year-option--selected_year" data-year="${y}"><span class="react-datepicker__year-option--selected">✓</span>${y}</div>`
+                        : `<div class="react-datepicker__year-option" data-year="${y}">${y}</div>`);
+                }
+                yearView = `<div class="react-datepicker__year-dropdown">
+                    <div class="react-datepicker__year-option" data-shift="1"><a class="react-datepicker__navigation react-datepicker__navigation--years react-datepicker__navigation--years-upcoming"></a></div>
+                    ${options.join('')}
+                    <div class="react-datepicker__year-option" data-shift="-1"><a class="react-datepicker__navigation react-datepicker__navigation--years react-datepicker__navigation--years-previous"></a></div>
+                </div>`;
+            }
+            return `<div class="react-datepicker__header__dropdown react-datepicker__header__dropdown--scroll">
+                <div class="react-datepicker__month-dropdown-container react-datepicker__month-dropdown-container--scroll">${monthView}</div>
+                <div class="react-datepicker__year-dropdown-container react-datepicker__year-dropdown-container--scroll">${yearView}</div>
+            </div>`;
+        }
+
+        renderWeeks() {
+            const month = this.view.getMonth();
+            const today = new Date();
+            const lastOfMonth = new Date(this.view.getFullYear(), month + 1, 0);
+            let day = addDays(this.view, -this.view.getDay());
+            const weeks = [];
+            while (day <= lastOfMonth) {
+                const cells = [];
+                for (let i = 0; i < 7; i++) {
+                    const classes = ['react-datepicker__day', `react-datepicker__day--${String(day.getDate()).padStart(3, '0')}`];
+                    if (sameDay(day, this.preSelection)) classes.push('react-datepicker__day--keyboard-selected');
+                    if (sameDay(day, this.selected)) classes.push('react-datepicker__day--selected');
+                    if (sameDay(day, today)) classes.push('react-datepicker__day--today');
+                    if (day.getDay() === 0 || day.getDay() === 6) classes.push('react-datepicker__day--weekend');
+                    if (day.getMonth() !== month) classes.push('react-datepicker__day--outside-month');
+                    const label = `Choose ${DAYS[day.getDay()]}, ${MONTHS[day.getMonth()]} ${ordinal(day.getDate())}, ${day.getFullYear()}`;
+                    const selected = sameDay(day, this.selected);
+                    cells.push(`<div class="${classes.join(' ')}" tabindex="${sameDay(day, this.preSelection) ? 0 : -1}" aria-label="${label}" role="option" aria-disabled="false" aria-selected="${selected}" data-date="${day.getFullYear()}-${day.getMonth()}-${day.getDate()}">${day.getDate()}</div>`);
+                    day = addDays(day, 1);
+                }
+                weeks.push(`<div class="react-datepicker__week">${cells.join('')}</div>`);
+            }
+            return weeks.join('');
+        }
+
+        renderTimes() {
+            if (!this.showTime) return '';
+            const items = [];
+            for (let minutes = 0; minutes < 24 * 60; minutes += 15) {
+                const label = `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+                const selected = this.selected && this.selected.getHours() * 60 + this.selected.getMinutes() === minutes;
+                items.push(`<li class="react-datepicker__time-list-item ${selected ? 'react-datepicker__time-list-item--selected' : ''}" data-minutes="${minutes}">${label}</li>`);
+            }
+            return `<div class="react-datepicker__time-container ">
+                <div class="react-datepicker__header react-datepicker__header--time"><div class="react-datepicker-time__header">Time</div></div>
+                <div class="react-datepicker__time"><div class="react-datepicker__time-box"><ul class="react-datepicker__time-list">${items.join('')}</ul></div></div>
+            </div>`;
+        }
+
+        render() {
+            if (!this.popper) return;
+            const timeClass = this.showTime ? ' react-datepicker__navigation--next--with-time' : '';
+            const monthLabel = `${MONTHS[this.view.getMonth()]} ${this.view.getFullYear()}`;
+            const isoMonth = `${this.view.getFullYear()}-${pad(this.view.getMonth() + 1)}`;
+            this.popper.innerHTML = `<div class="react-datepicker__tab-loop__start" tabindex="0"></div>
+                <div class="react-datepicker-popper" data-placement="bottom-start">
+                    <div class="react-datepicker">
+                        <div class="react-datepicker__triangle"></div>
+                        <button type="button" class="react-datepicker__navigation react-datepicker__navigation--previous" aria-label="Previous Month">Previous Month</button>
+                        <button type="button" class="react-datepicker__navigation react-datepicker__navigation--next${timeClass}" aria-label="Next Month">Next Month</button>
+                        <div class="react-datepicker__month-container">
+                            <div class="react-datepicker__header">
+                                <div class="react-datepicker__current-month react-datepicker__current-month--hasYearDropdown react-datepicker__current-month--hasMonthDropdown">${monthLabel}</div>
+                                ${this.renderDropdowns()}
+                                <div class="react-datepicker__day-names">${['Su', 'Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa'].map(d => `<div class="react-datepicker__day-name">${d}</div>`).join('')}</div>
+                            </div>
+                            <div class="react-datepicker__month" role="listbox" aria-label="month  ${isoMonth}">${this.renderWeeks()}</div>
+                        </div>
+                        ${this.renderTimes()}
+                    </div>
+                </div>
+                <div class="react-datepicker__tab-loop__end" tabindex="0"></div>`;
+            this.bindEvents();
+        }
+
+        bindEvents() {
+            const root = this.popper;
+            root.querySelector('.react-datepicker__navigation--previous').addEventListener('click', () => {
+                this.view = addMonths(this.view, -1);
+                this.render();
+            });
+            root.querySelector('.react-datepicker__navigation--next').addEventListener('click', () => {
+                this.view = addMonths(this.view, 1);
+                this.render();
+            });
+            root.querySelectorAll('.react-datepicker__day').forEach(cell => {
+                cell.addEventListener('click', () => {
+                    const [y, m, d] = cell.dataset.date.split('-').map(Number);
+                    this.selectDay(new Date(y, m, d));
+                });
+            });
+
+            const monthSelect = root.querySelector('.react-datepicker__month-select');
+            if (monthSelect) {
+                monthSelect.addEventListener('change', () => {
+                    this.view = new Date(this.view.getFullYear(), Number(monthSelect.value), 1);
+                    this.render();
+                });
+                const yearSelect = root.querySelector('.react-datepicker__year-select');
+                yearSelect.addEventListener('change', () => {
+                    this.view = new Date(Number(yearSelect.value), this.view.getMonth(), 1);
+                    this.render();
+                });
+            }
+
+            const monthRead = root.querySelector('.react-datepicker__month-read-view');
+            if (monthRead) monthRead.addEventListener('click', () => { this.openDropdown = 'month'; this.render(); });
+            const yearRead = root.querySelector('.react-datepicker__year-read-view');
+            if (yearRead) {
+                yearRead.addEventListener('click', () => {
+                    this.openDropdown = 'year';
+                    this.yearListCenter = this.view.getFullYear();
+                    this.render();
+                });
+            }
+            root.querySelectorAll('.react-datepicker__month-option').forEach(option => {
+                option.addEventListener('click', () => {
+                    this.view = new Date(this.view.getFullYear(), Number(option.dataset.month), 1);
+                    this.openDropdown = null;
+                    this.render();
+                });
+            });
+            root.querySelectorAll('.react-datepicker__year-option').forEach(option => {
+                option.addEventListener('click', () => {
+                    if (option.dataset.shift) {
+                        // The arrows scroll the year list without changing the view
+                        this.yearListCenter += Number(option.dataset.shift);
+                    } else {
+                        this.view = new Date(Number(option.dataset.year), this.view.getMonth(), 1);
+                        this.openDropdown = null;
+                    }
+                    this.render();
+                });
+            });
+
+            root.querySelectorAll('.react-datepicker__time-list-item').forEach(item => {
+                item.addEventListener('click', () => {
+                    const minutes = Number(item.dataset.minutes);
+                    const date = new Date(this.selected || this.preSelection);
+                    date.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+                    this.commit(date, false);
+                });
+            });
+            const selectedTime = root.querySelector('.react-datepicker__time-list-item--selected');
+            if (selectedTime) {
+                root.querySelector('.react-datepicker__time-list').scrollTop = selectedTime.offsetTop - 60;
+            }
+        }
+    }
+
+    window.ReactDatePicker = ReactDatePicker;
+})();
@@ -0,0 +1,33 @@
+/*
+ * DROPPABLE
+ * jQuery UI style mouse drag (mousedown → mousemove → mouseup), which
+ * is exactly what locator.dragTo() and page.mouse produce. Dropping
+ * inside the target highlights it and changes the text to "Dropped!".
+ */
+(function () {
+    const draggable = document.getElementById('draggable');
+    const droppable = document.getElementById('droppable');
+    let start = null;
+
+    draggable.addEventListener('mousedown', event => {
+        start = { x: event.clientX, y: event.clientY };
+        draggable.style.position = 'relative';
+        event.preventDefault();
+    });
+    document.addEventListener('mousemove', event => {
+        if (!start) return;
+        draggable.style.left = `${event.clientX - start.x}px`;
+        draggable.style.top = `${event.clientY - start.y}px`;
+    });
+    document.addEventListener('mouseup', event => {
+        if (!start) return;
+        start = null;
+        const box = droppable.getBoundingClientRect();
+        const inside = event.clientX >= box.left && event.clientX <= box.right
+            && event.clientY >= box.top && event.clientY <= box.bottom;
+        if (inside) {
+            droppable.classList.add('ui-state-highlight');
+            droppable.querySelector('p').textContent = 'Dropped!';
+        }
+    });
+})();
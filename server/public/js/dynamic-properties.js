@@ -0,0 +1,19 @@
+/*
+ * DYNAMIC PROPERTIES
+ * Random paragraph id on every load, then after 5 seconds: enable a
+ * button, turn another red (.text-danger) and render a third.
+ */
+(function () {
+    document.getElementById('dynamic-text').id = Math.random().toString(36).slice(2, 7);
+
+    setTimeout(() => {
+        document.getElementById('enableAfter').disabled = false;
+        document.getElementById('colorChange').classList.add('text-danger');
+        const button = document.createElement('button');
+        button.id = 'visibleAfter';
+        button.type = 'button';
+        button.className = 'mt-4 btn btn-primary';
+        button.textContent = 'Visible After 5 Seconds';
+        document.getElementById('visibleAfter-slot').replaceWith(button);
+    }, 5000);
+})();
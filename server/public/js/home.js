@@ -0,0 +1,11 @@
+/*
+ * HOME PAGE
+ * Category cards navigate to their landing page.
+ */
+(function () {
+    document.querySelectorAll('.category-cards .card[data-path]').forEach(card => {
+        card.addEventListener('click', () => {
+            window.location.href = card.dataset.path;
+        });
+    });
+})();
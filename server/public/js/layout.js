@@ -0,0 +1,60 @@
+/*
+ * LEFT PANEL BEHAVIOUR
+ * Group headers toggle their item list; items navigate like the
+ * live site's React router links (they are <li>, not <a>).
+ */
+(function () {
+    document.querySelectorAll('.left-pannel .element-group').forEach(group => {
+        group.querySelector('.group-header').addEventListener('click', () => {
+            group.querySelector('.element-list').classList.toggle('show');
+        });
+    });
+    document.querySelectorAll('.left-pannel li[data-path]').forEach(item => {
+        item.addEventListener('click', () => {
+            window.location.href = item.dataset.path;
+        });
+    });
+})();
+
+/*
+ * MODAL HELPER
+ * React-Bootstrap style modal shared by the replica pages:
+ * <div class="fade modal show" role="dialog"> + .modal-backdrop.
+ * Returns a handle whose close() removes both from the DOM.
+ */
+window.DemoQA = window.DemoQA || {};
+window.DemoQA.openModal = function ({ size = 'modal-lg', titleId, title, body, footer = '', closeButton = true }) {
+    const backdrop = document.createElement('div');
+    backdrop.className = 'fade modal-backdrop show';
+    const modal = document.createElement('div');
+    modal.setAttribute('role', 'dialog');
+    modal.setAttribute('aria-modal', 'true');
+    modal.setAttribute('aria-labelledby', titleId);
+    modal.className = 'fade modal show';
+    modal.tabIndex = -1;
+    modal.innerHTML = `<div role="document" class="modal-dialog ${size}"><div class="modal-content">
+        <div class="modal-header"><div class="modal-title h4" id="${titleId}">${title}</div>${closeButton ? '<button type="button" class="close"><span aria-hidden="true">×</span><span class="sr-only">Close</span></button>' : ''}</div>
+        <div class="modal-body">${body}</div>
+        ${footer ? `<div class="modal-footer">${footer}</div>` : ''}
+    </div></div>`;
+    document.body.append(backdrop, modal);
+    document.body.classList.add('modal-open');
+    // react-bootstrap moves focus to the dialog container on open
+    modal.focus();
+
+    const handle = {
+        element: modal,
+        close() {
+            backdrop.remove();
+            modal.remove();
+            document.body.classList.remove('modal-open');
+        },
+    };
+    const close = modal.querySelector('.close');
+    if (close) close.addEventListener('click', handle.close);
+    // Clicking outside the dialog closes it, like the live site
+    modal.addEventListener('click', event => {
+        if (event.target === modal) handle.close();
+    });
+    return handle;
+};
@@ -0,0 +1,15 @@
+/*
+ * LINKS
+ * The API links call same-origin endpoints and report the status:
+ * "Link has responded with staus 201 and status text Created"
+ * (the "staus" typo is the live site's).
+ */
+(function () {
+    const output = document.getElementById('linkResponse');
+    document.querySelectorAll('a[href="javascript:void(0)"]').forEach(link => {
+        link.addEventListener('click', async () => {
+            const response = await fetch(`/${link.id}`);
+            output.innerHTML = `Link has responded with staus <b>${response.status}</b> and status text <b>${response.statusText}</b>`;
+        });
+    });
+})();
@@ -0,0 +1,39 @@
+/*
+ * LOGIN
+ * Empty fields get .is-invalid; otherwise POST /Account/v1/Login.
+ * A user object with a token starts the session and opens /profile.
+ */
+(function () {
+    const userName = document.getElementById('userName');
+    const password = document.getElementById('password');
+    const output = document.getElementById('output');
+
+    if (window.BookStore.session()) {
+        output.innerHTML = '<label id="loading-label" class="form-label">You are already logged in. View your <a href="/profile">profile</a>.</label>';
+    }
+
+    async function login() {
+        userName.classList.toggle('is-invalid', !userName.value);
+        password.classList.toggle('is-invalid', !password.value);
+        if (!userName.value || !password.value) return;
+
+        const { status, body } = await window.BookStore.api('POST', '/Account/v1/Login', {
+            userName: userName.value,
+            password: password.value,
+        });
+        if (status === 200 && body && body.token) {
+            window.BookStore.saveSession(body);
+            window.location.href = '/profile';
+            return;
+        }
+        output.innerHTML = '<p class="mb-1" id="name">Invalid username or password!</p>';
+    }
+
+    document.getElementById('login').addEventListener('click', login);
+    password.addEventListener('keydown', event => {
+        if (event.key === 'Enter') login();
+    });
+    document.getElementById('newUser').addEventListener('click', () => {
+        window.location.href = '/register';
+    });
+})();
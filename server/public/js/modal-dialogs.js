@@ -0,0 +1,27 @@
+/*
+ * MODAL DIALOGS
+ * Small and large react-bootstrap modals; each has a header close
+ * (×) button and a footer "Close" button with its own id.
+ */
+(function () {
+    const LOREM = 'Lorem Ipsum is simply dummy text of the printing and typesetting industry. Lorem Ipsum has been the industry\'s standard dummy text ever since the 1500s, when an unknown printer took a galley of type and scrambled it to make a type specimen book. It has survived not only five centuries, but also the leap into electronic typesetting, remaining essentially unchanged.';
+
+    function open(size, title, body, closeId) {
+        const suffix = size === 'sm' ? 'sm' : 'lg';
+        const modal = window.DemoQA.openModal({
+            size: `modal-${suffix}`,
+            titleId: `example-modal-sizes-title-${suffix}`,
+            title,
+            body,
+            footer: `<button id="${closeId}" type="button" class="btn btn-primary">Close</button>`,
+        });
+        modal.element.querySelector(`#${closeId}`).addEventListener('click', modal.close);
+    }
+
+    document.getElementById('showSmallModal').addEventListener('click', () => {
+        open('sm', 'Small Modal', 'This is a small modal. It has very less content', 'closeSmallModal');
+    });
+    document.getElementById('showLargeModal').addEventListener('click', () => {
+        open('lg', 'Large Modal', `<p>${LOREM}</p>`, 'closeLargeModal');
+    });
+})();
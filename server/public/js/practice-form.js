@@ -0,0 +1,100 @@
+/*
+ * PRACTICE FORM
+ * Wires the date picker and the three react-selects (subjects, state,
+ * city), runs Bootstrap-style validation on submit and shows the
+ * "Thanks for submitting the form" result modal.
+ */
+(function () {
+    const SUBJECTS = ['Hindi', 'English', 'Maths', 'Physics', 'Chemistry', 'Biology', 'Computer Science',
+        'Commerce', 'Accounting', 'Economics', 'Arts', 'Social Studies', 'History', 'Civics'];
+    const STATES = {
+        'NCR': ['Delhi', 'Gurgaon', 'Noida'],
+        'Uttar Pradesh': ['Agra', 'Lucknow', 'Merrut'],
+        'Haryana': ['Karnal', 'Panipat'],
+        'Rajasthan': ['Jaipur', 'Jaiselmer'],
+    };
+    const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June',
+        'July', 'August', 'September', 'October', 'November', 'December'];
+    const toOption = label => ({ label, value: label });
+
+    const datePicker = new window.ReactDatePicker(document.getElementById('dateOfBirthInput'), { format: 'dd MMM yyyy' });
+
+    const subjects = new window.ReactSelect(document.getElementById('subjectsContainer'), {
+        instanceId: 2,
+        inputId: 'subjectsInput',
+        options: SUBJECTS.map(toOption),
+        placeholder: '',
+        isMulti: true,
+        classNamePrefix: 'subjects-auto-complete',
+        openMenuOnClick: false,
+    });
+
+    const city = new window.ReactSelect(document.getElementById('city'), {
+        instanceId: 4,
+        options: [],
+        placeholder: 'Select City',
+        isDisabled: true,
+    });
+
+    const state = new window.ReactSelect(document.getElementById('state'), {
+        instanceId: 3,
+        options: Object.keys(STATES).map(toOption),
+        placeholder: 'Select State',
+        onChange: value => {
+            city.setOptions(value ? STATES[value.value].map(toOption) : []);
+            city.value = null;
+            city.setDisabled(!value);
+        },
+    });
+
+    const form = document.getElementById('userForm');
+    form.addEventListener('submit', event => {
+        event.preventDefault();
+        if (!form.checkValidity()) {
+            form.classList.add('was-validated');
+            return;
+        }
+        showResult();
+    });
+
+    function checkedLabels(selector) {
+        return [...form.querySelectorAll(selector)]
+            .filter(input => input.checked)
+            .map(input => form.querySelector(`label[for="${input.id}"]`).textContent);
+    }
+
+    function showResult() {
+        const value = id => document.getElementById(id).value;
+        const dob = datePicker.selected;
+        const picture = document.getElementById('uploadPicture').files[0];
+        const rows = [
+            ['Student Name', `${value('firstName')} ${value('lastName')}`],
+            ['Student Email', value('userEmail')],
+            ['Gender', checkedLabels('input[name="gender"]').join('')],
+            ['Mobile', value('userNumber')],
+            ['Date of Birth', dob ? `${String(dob.getDate()).padStart(2, '0')} ${MONTHS[dob.getMonth()]},${dob.getFullYear()}` : ''],
+            ['Subjects', subjects.value.map(option => option.label).join(', ')],
+            ['Hobbies', checkedLabels('input[type="checkbox"]').join(', ')],
+            ['Picture', picture ? picture.name : ''],
+            ['Address', value('currentAddress')],
+            ['State and City', [state.value && state.value.label, city.value && city.value.label].filter(Boolean).join(' ')],
+        ];
+
+        const modal = window.DemoQA.openModal({
+            titleId: 'example-modal-sizes-title-lg',
+            title: 'Thanks for submitting the form',
+            body: `<div class="table-responsive"><table class="table table-dark table-striped table-bordered table-hover">
+                <thead><tr><th>Label</th><th>Values</th></tr></thead>
+                <tbody>${rows.map(() => '<tr><td></td><td></td></tr>').join('')}</tbody>
+            </table></div>`,
+            footer: '<button id="closeLargeModal" type="button" class="btn btn-primary">Close</button>',
+            closeButton: false,
+        });
+        // Cell text is user input, so it is assigned as text rather than HTML
+        modal.element.querySelectorAll('tbody tr').forEach((tr, index) => {
+            tr.cells[0].textContent = rows[index][0];
+            tr.cells[1].textContent = rows[index][1];
+        });
+        modal.element.querySelector('#closeLargeModal').addEventListener('click', modal.close);
+    }
+})();
@@ -0,0 +1,62 @@
+/*
+ * PROFILE
+ * Without a session only the "not logged in" message is shown.
+ * With one, GET /Account/v1/User/{userId} fills the collection table;
+ * the trash icons and buttons call the matching DELETE endpoints.
+ */
+(function () {
+    const { escapeHtml } = window.ReactTable;
+    const session = window.BookStore.session();
+    if (!session) {
+        document.getElementById('notLoggin-wrapper').hidden = false;
+        return;
+    }
+    document.getElementById('profileContent').hidden = false;
+    window.BookStore.renderUserBar(document.getElementById('profileUser'));
+
+    const DELETE_ICON = '<svg stroke="currentColor" fill="currentColor" stroke-width="0" viewBox="0 0 448 512" height="1em" width="1em" xmlns="http://www.w3.org/2000/svg"><path d="M432 32H312l-9.4-18.7A24 24 0 0 0 281.1 0H166.8a23.72 23.72 0 0 0-21.4 13.3L136 32H16A16 16 0 0 0 0 48v32a16 16 0 0 0 16 16h416a16 16 0 0 0 16-16V48a16 16 0 0 0-16-16zM53.2 467a48 48 0 0 0 47.9 45h245.8a48 48 0 0 0 47.9-45L416 128H32z"></path></svg>';
+
+    const table = new window.ReactTable(document.getElementById('profileTable'), {
+        columns: [
+            { id: 'image', header: 'Image', sortable: false, cell: () => '<img src="/images/Toolsqa.jpg" alt="image" width="100%">' },
+            { id: 'title', header: 'Title', accessor: b => b.title, cell: b => `<a href="/profile?book=${b.isbn}">${escapeHtml(b.title)}</a>` },
+            { id: 'author', header: 'Author', accessor: b => b.author },
+            { id: 'publisher', header: 'Publisher', accessor: b => b.publisher },
+            { id: 'action', header: 'Action', sortable: false, cell: b => `<div class="action-buttons"><span id="delete-record-undefined" title="Delete" data-isbn="${b.isbn}">${DELETE_ICON}</span></div>` },
+        ],
+    });
+    document.getElementById('searchBox').addEventListener('input', event => table.setFilter(event.target.value));
+
+    async function load() {
+        const { status, body } = await window.BookStore.api('GET', `/Account/v1/User/${session.userId}`);
+        if (status !== 200) {
+            window.BookStore.clearSession();
+            window.location.reload();
+            return;
+        }
+        table.setData(body.books || []);
+    }
+
+    document.getElementById('profileTable').addEventListener('click', async event => {
+        const remove = event.target.closest('[data-isbn]');
+        if (!remove || !confirm('Do you want to delete this book?')) return;
+        await window.BookStore.api('DELETE', '/BookStore/v1/Book', { isbn: remove.dataset.isbn, userId: session.userId });
+        load();
+    });
+
+    const [deleteAccount, deleteAll] = document.querySelectorAll('#profileContent .buttonWrap #submit');
+    deleteAccount.addEventListener('click', async () => {
+        if (!confirm('Do you want to delete your account?')) return;
+        await window.BookStore.api('DELETE', `/Account/v1/User/${session.userId}`);
+        window.BookStore.clearSession();
+        window.location.href = '/login';
+    });
+    deleteAll.addEventListener('click', async () => {
+        if (!confirm('Do you want to delete all books?')) return;
+        await window.BookStore.api('DELETE', `/BookStore/v1/Books?UserId=${session.userId}`);
+        load();
+    });
+    document.getElementById('gotoStore').addEventListener('click', () => { window.location.href = '/books'; });
+
+    load();
+})();
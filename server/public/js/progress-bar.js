@@ -0,0 +1,45 @@
+/*
+ * PROGRESS BAR
+ * Start/Stop toggles a 100ms interval that adds 1%. At 100% the bar
+ * turns green and the same button becomes "Reset".
+ */
+(function () {
+    const bar = document.getElementById('progressBar');
+    const button = document.getElementById('startStopButton');
+    let value = 0;
+    let timer = null;
+
+    function render() {
+        bar.setAttribute('aria-valuenow', String(value));
+        bar.style.width = `${value}%`;
+        bar.textContent = `${value}%`;
+        bar.classList.toggle('bg-success', value === 100);
+        bar.classList.toggle('bg-info', value !== 100);
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    button.addEventListener('click', () => {
+        if (value === 100) {
+            value = 0;
+            render();
+            button.textContent = 'Start';
+        } else if (timer) {
+            stop();
+            button.textContent = 'Start';
+        } else {
+            button.textContent = 'Stop';
+            timer = setInterval(() => {
+                value += 1;
+                render();
+                if (value === 100) {
+                    stop();
+                    button.textContent = 'Reset';
+                }
+            }, 100);
+        }
+    });
+})();
@@ -0,0 +1,13 @@
+/*
+ * RADIO BUTTON
+ * The selected label is echoed in a .text-success span.
+ */
+(function () {
+    const result = document.getElementById('radioResult');
+    document.querySelectorAll('input[name="like"]').forEach(radio => {
+        radio.addEventListener('change', () => {
+            result.querySelector('.text-success').textContent = document.querySelector(`label[for="${radio.id}"]`).textContent;
+            result.hidden = false;
+        });
+    });
+})();
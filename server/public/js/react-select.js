@@ -0,0 +1,349 @@
+/*
+ * REACT-SELECT (v3) REPLICA
+ * Reproduces the DOM react-select renders on DemoQA: the emotion
+ * class names (css-2b097c-container, css-yk16xz-control, ...),
+ * optional classNamePrefix classes (subjects-auto-complete__option),
+ * react-select-N-input / react-select-N-option-G-I ids, grouped
+ * options, multi-value chips and keyboard handling.
+ *
+ * Usage:
+ *   new ReactSelect(container, { instanceId: 3, options, placeholder: 'Select Title' });
+ *
+ * Options are { label, value } or groups { label, options: [...] }.
+ */
+(function () {
+    const CHEVRON = '<svg height="20" width="20" viewBox="0 0 20 20" aria-hidden="true" focusable="false" class="css-19bqh2r"><path d="M4.516 7.548c0.436-0.446 1.043-0.481 1.576 0l3.908 3.747 3.908-3.747c0.533-0.481 1.141-0.446 1.574 0 0.436 0.445 0.408 1.197 0 1.615-0.406 0.418-4.695 4.502-4.695 4.502-0.217 0.223-0.502 0.335-0.787 0.335s-0.57-0.112-0.789-0.335c0 0-4.287-4.084-4.695-4.502s-0.436-1.17 0-1.615z"></path></svg>';
+    const CROSS = '<svg height="14" width="14" viewBox="0 0 20 20" aria-hidden="true" focusable="false" class="css-19bqh2r"><path d="M14.348 14.849c-0.469 0.469-1.229 0.469-1.697 0l-2.651-3.030-2.651 3.029c-0.469 0.469-1.229 0.469-1.697 0-0.469-0.469-0.469-1.229 0-1.697l2.758-3.15-2.759-3.152c-0.469-0.469-0.469-1.228 0-1.697s1.228-0.469 1.697 0l2.652 3.031 2.651-3.031c0.469-0.469 1.228-0.469 1.697 0s0.469 1.229 0 1.697l-2.758 3.152 2.758 3.15c0.469 0.469 0.469 1.229 0 1.698z"></path></svg>';
+
+    class ReactSelect {
+        constructor(container, {
+            instanceId,
+            inputId = `react-select-${instanceId}-input`,
+            options,
+            placeholder = 'Select...',
+            isMulti = false,
+            isDisabled = false,
+            classNamePrefix = '',
+            openMenuOnClick = true,
+            defaultValue = null,
+            onChange = () => {},
+        }) {
+            this.container = container;
+            this.instanceId = instanceId;
+            this.placeholder = placeholder;
+            this.isMulti = isMulti;
+            this.isDisabled = isDisabled;
+            this.prefix = classNamePrefix;
+            this.openMenuOnClick = openMenuOnClick;
+            this.onChange = onChange;
+            this.value = isMulti ? [].concat(defaultValue || []) : defaultValue;
+            this.menuOpen = false;
+            this.focused = false;
+            this.focusedOption = null;
+
+            this.setOptions(options);
+
+            container.classList.add('css-2b097c-container');
+            container.innerHTML = `<div class="${this.cls('control')}">
+                <div class="${this.cls('value-container')} css-1hwfws3">
+                    <div class="css-1g6gooi"><div class="" style="display: inline-block;"><input autocapitalize="none" autocomplete="off" autocorrect="off" id="${inputId}" spellcheck="false" tabindex="0" type="text" aria-autocomplete="list" value="" style="box-sizing: content-box; width: 2px; background: 0px center; border: 0px; font-size: inherit; opacity: 1; outline: 0px; padding: 0px; color: inherit;"></div></div>
+                </div>
+                <div class="${this.cls('indicators')} css-1hb7zxy-IndicatorsContainer"></div>
+            </div>`;
+            this.control = container.firstElementChild;
+            this.valueContainer = this.control.firstElementChild;
+            this.inputWrapper = this.valueContainer.firstElementChild;
+            this.input = container.querySelector('input');
+            this.input.disabled = isDisabled;
+            this.indicators = this.control.lastElementChild;
+            this.menu = null;
+
+            this.bindEvents();
+            this.render();
+        }
+
+        /* classNamePrefix classes, e.g. "subjects-auto-complete__option--is-focused" (empty without a prefix) */
+        cls(name, modifiers = []) {
+            if (!this.prefix) return '';
+            return [`${this.prefix}__${name}`, ...modifiers.map(m => `${this.prefix}__${name}--${m}`)].join(' ');
+        }
+
+        setOptions(options) {
+            this.groups = [];
+            this.flat = [];
+            options.forEach((entry, index) => {
+                if (entry.options) {
+                    const group = { label: entry.label, index, options: [] };
+                    entry.options.forEach((option, optionIndex) => {
+                        const item = { ...option, id: `react-select-${this.instanceId}-option-${index}-${optionIndex}`, group };
+                        group.options.push(item);
+                        this.flat.push(item);
+                    });
+                    this.groups.push(group);
+                } else {
+                    const item = { ...entry, id: `react-select-${this.instanceId}-option-${index}`, group: null };
+                    this.groups.push({ label: null, index, options: [item] });
+                    this.flat.push(item);
+                }
+            });
+        }
+
+        setDisabled(disabled) {
+            this.isDisabled = disabled;
+            this.input.disabled = disabled;
+            this.render();
+        }
+
+        isSelected(option) {
+            return this.isMulti ? this.value.some(v => v.value === option.value) : Boolean(this.value && this.value.value === option.value);
+        }
+
+        /* Case-insensitive "contains" filter; multi selects hide chosen options */
+        filtered() {
+            const needle = this.input.value.trim().toLowerCase();
+            return this.flat.filter(option => (!needle || option.label.toLowerCase().includes(needle))
+                && !(this.isMulti && this.isSelected(option)));
+        }
+
+        openMenu() {
+            if (this.isDisabled) return;
+            this.menuOpen = true;
+            const visible = this.filtered();
+            this.focusedOption = (!this.isMulti && this.value && visible.find(o => o.value === this.value.value)) || visible[0] || null;
+            this.render();
+        }
+
+        closeMenu() {
+            this.menuOpen = false;
+            this.focusedOption = null;
+            this.render();
+        }
+
+        choose(option) {
+            if (this.isMulti) {
+                this.value = [...this.value, option];
+            } else {
+                this.value = option;
+            }
+            this.input.value = '';
+            this.menuOpen = false;
+            this.focusedOption = null;
+            this.render();
+            this.onChange(this.value);
+        }
+
+        removeValue(option) {
+            this.value = this.value.filter(v => v.value !== option.value);
+            this.render();
+            this.onChange(this.value);
+        }
+
+        clearValue() {
+            this.value = this.isMulti ? [] : null;
+            this.render();
+            this.onChange(this.value);
+        }
+
+        hasValue() {
+            return this.isMulti ? this.value.length > 0 : Boolean(this.value);
+        }
+
+        bindEvents() {
+            this.control.addEventListener('mousedown', event => {
+                if (this.isDisabled || event.button !== 0) return;
+                if (event.target.closest('.css-xb97g8') || event.target.closest('[data-clear]')) return;
+                const onInput = event.target === this.input;
+                if (!onInput) event.preventDefault();
+                if (!this.focused) {
+                    this.input.focus();
+                    if (this.openMenuOnClick) this.openMenu();
+                } else if (this.menuOpen && !onInput) {
+                    this.closeMenu();
+                } else if (this.openMenuOnClick) {
+                    this.openMenu();
+                }
+            });
+
+            this.input.addEventListener('focus', () => {
+                this.focused = true;
+                this.render();
+            });
+            this.input.addEventListener('blur', () => {
+                this.focused = false;
+                this.menuOpen = false;
+                this.input.value = '';
+                this.render();
+            });
+            this.input.addEventListener('input', () => {
+                this.openMenu();
+            });
+            this.input.addEventListener('keydown', event => this.handleKeyDown(event));
+        }
+
+        handleKeyDown(event) {
+            const visible = this.filtered();
+            const index = visible.indexOf(this.focusedOption);
+            switch (event.key) {
+                case 'ArrowDown':
+                case 'ArrowUp':
+                    event.preventDefault();
+                    if (!this.menuOpen) {
+                        this.openMenu();
+                        return;
+                    }
+                    if (!visible.length) return;
+                    this.focusedOption = event.key === 'ArrowDown'
+                        ? visible[(index + 1) % visible.length]
+                        : visible[(index - 1 + visible.length) % visible.length];
+                    this.render();
+                    break;
+                case 'Enter':
+                    if (!this.menuOpen) return;
+                    event.preventDefault();
+                    if (this.focusedOption) this.choose(this.focusedOption);
+                    break;
+                case 'Tab':
+                    if (this.menuOpen && this.focusedOption) this.choose(this.focusedOption);
+                    break;
+                case 'Escape':
+                    if (this.menuOpen) {
+                        event.preventDefault();
+                        this.closeMenu();
+                    }
+                    break;
+                case 'Backspace':
+                    if (this.input.value) return;
+                    if (this.isMulti && this.value.length) {
+                        this.removeValue(this.value[this.value.length - 1]);
+                    } else if (!this.isMulti && this.value) {
+                        this.clearValue();
+                    }
+                    break;
+                default:
+            }
+        }
+
+        renderValues() {
+            [...this.valueContainer.children].forEach(child => {
+                if (child !== this.inputWrapper) child.remove();
+            });
+            const typing = this.input.value.length > 0;
+            const nodes = [];
+            if (!this.hasValue()) {
+                if (!typing) nodes.push(`<div class="${this.cls('placeholder')} css-1wa3eu0-placeholder">${this.placeholder}</div>`);
+            } else if (this.isMulti) {
+                this.value.forEach(option => {
+                    nodes.push(`<div class="${this.cls('multi-value')} css-1rhbuit-multiValue"><div class="${this.cls('multi-value__label')} css-12jo7m5">${option.label}</div><div class="${this.cls('multi-value__remove')} css-xb97g8" data-value="${option.value}">${CROSS}</div></div>`);
+                });
+            } else if (!typing) {
+                nodes.push(`<div class="${this.cls('single-value')} ${this.isDisabled ? 'css-107lb6w-singleValue' : 'css-1uccc91-singleValue'}">${this.value.label}</div>`);
+            }
+            this.inputWrapper.insertAdjacentHTML('beforebegin', nodes.join(''));
+            this.valueContainer.querySelectorAll('.css-xb97g8').forEach(remove => {
+                remove.addEventListener('mousedown', event => {
+                    event.preventDefault();
+                    event.stopPropagation();
+                });
+                remove.addEventListener('click', () => {
+                    this.removeValue(this.value.find(v => String(v.value) === remove.dataset.value));
+                });
+            });
+            this.input.style.width = `${Math.max(2, this.input.value.length * 9 + 2)}px`;
+        }
+
+        renderIndicators() {
+            const indicatorClass = this.focused ? 'css-1gtu0rj-indicatorContainer' : 'css-tlfecz-indicatorContainer';
+            const clear = this.isMulti && this.hasValue()
+                ? `<div aria-hidden="true" class="${this.cls('indicator')} ${this.cls('clear-indicator')} ${indicatorClass}" data-clear="true">${CROSS}</div>`
+                : '';
+            this.indicators.innerHTML = `${clear}<span class="${this.cls('indicator-separator')} css-1okebmr-indicatorSeparator"></span><div aria-hidden="true" class="${this.cls('indicator')} ${this.cls('dropdown-indicator')} ${indicatorClass}">${CHEVRON}</div>`;
+            const clearButton = this.indicators.querySelector('[data-clear]');
+            if (clearButton) {
+                clearButton.addEventListener('mousedown', event => {
+                    event.preventDefault();
+                    event.stopPropagation();
+                    this.clearValue();
+                });
+            }
+        }
+
+        renderMenu() {
+            if (this.menu) this.menu.remove();
+            this.menu = null;
+            if (!this.menuOpen) return;
+
+            const visible = new Set(this.filtered());
+            const parts = [];
+            this.groups.forEach(group => {
+                const options = group.options.filter(option => visible.has(option)).map(option => {
+                    let emotion = 'css-yt9ioa-option';
+                    const modifiers = [];
+                    if (option === this.focusedOption) {
+                        emotion = 'css-1n7v3ny-option';
+                        modifiers.push('is-focused');
+                    }
+                    if (!this.isMulti && this.isSelected(option)) {
+                        emotion = 'css-9gakcf-option';
+                        modifiers.push('is-selected');
+                    }
+                    return `<div class="${this.cls('option', modifiers)} ${emotion}" id="${option.id}" tabindex="-1">${option.label}</div>`;
+                });
+                if (!options.length) return;
+                if (group.label === null) {
+                    parts.push(options.join(''));
+                } else {
+                    parts.push(`<div class="${this.cls('group')} css-syji7d-Group"><div class="${this.cls('group-heading')} css-1s9izoc" id="react-select-${this.instanceId}-group-${group.index}-heading">${group.label}</div><div>${options.join('')}</div></div>`);
+                }
+            });
+            if (!parts.length) {
+                parts.push(`<div class="${this.cls('menu-notice')} ${this.cls('menu-notice--no-options')} css-1gl4k7y">No options</div>`);
+            }
+
+            this.menu = document.createElement('div');
+            this.menu.className = `${this.cls('menu')} css-26l3qy-menu`.trim();
+            this.menu.innerHTML = `<div class="${this.cls('menu-list', this.isMulti ? ['is-multi'] : [])} css-11unzgr">${parts.join('')}</div>`;
+            this.container.appendChild(this.menu);
+
+            this.menu.addEventListener('mousedown', event => event.preventDefault());
+            this.menu.querySelectorAll('[id*="-option-"]').forEach(element => {
+                const option = this.flat.find(o => o.id === element.id);
+                element.addEventListener('click', () => this.choose(option));
+                element.addEventListener('mouseover', () => {
+                    if (this.focusedOption === option) return;
+                    this.focusedOption = option;
+                    this.render();
+                });
+            });
+            // Keep the focused option inside the menu list's scroll area (the page itself never scrolls)
+            const list = this.menu.firstElementChild;
+            const focused = this.focusedOption && this.menu.querySelector(`#${this.focusedOption.id}`);
+            if (focused && focused.offsetTop < list.scrollTop) {
+                list.scrollTop = focused.offsetTop;
+            } else if (focused && focused.offsetTop + focused.offsetHeight > list.scrollTop + list.clientHeight) {
+                list.scrollTop = focused.offsetTop + focused.offsetHeight - list.clientHeight;
+            }
+        }
+
+        render() {
+            let controlEmotion = 'css-yk16xz-control';
+            if (this.isDisabled) controlEmotion = 'css-1fhf3k1-control';
+            else if (this.focused) controlEmotion = 'css-1pahdxg-control';
+            const controlModifiers = [];
+            if (this.focused) controlModifiers.push('is-focused');
+            if (this.menuOpen) controlModifiers.push('menu-is-open');
+            if (this.isDisabled) controlModifiers.push('is-disabled');
+            this.control.className = `${this.cls('control', controlModifiers)} ${controlEmotion}`.trim();
+
+            const valueModifiers = [];
+            if (this.isMulti) valueModifiers.push('is-multi');
+            if (this.hasValue()) valueModifiers.push('has-value');
+            this.valueContainer.className = `${this.cls('value-container', valueModifiers)} css-1hwfws3`.trim();
+
+            this.renderValues();
+            this.renderIndicators();
+            this.renderMenu();
+        }
+    }
+
+    window.ReactSelect = ReactSelect;
+})();
@@ -0,0 +1,172 @@
+/*
+ * REACT-TABLE (v6) REPLICA
+ * Renders the same div-based grid the live site uses:
+ * .rt-thead/.rt-th headers, .rt-tbody/.rt-tr-group rows, empty
+ * "-padRow" rows up to the page size, a -pagination footer and
+ * the "No rows found" overlay.
+ *
+ * Usage:
+ *   const table = new ReactTable(container, { columns, pageSize });
+ *   table.setData(rows);
+ *
+ * Column fields: { id, header, accessor(row) -> value, cell(row) -> html, sortable }
+ */
+(function () {
+    const PAGE_SIZES = [5, 10, 20, 25, 50, 100];
+
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    function compare(a, b) {
+        a = a === null || a === undefined ? '' : a;
+        b = b === null || b === undefined ? '' : b;
+        a = typeof a === 'string' ? a.toLowerCase() : a;
+        b = typeof b === 'string' ? b.toLowerCase() : b;
+        if (a > b) return 1;
+        if (a < b) return -1;
+        return 0;
+    }
+
+    class ReactTable {
+        constructor(container, { columns, pageSize = 10, filter = '' }) {
+            this.container = container;
+            this.columns = columns;
+            this.pageSize = pageSize;
+            this.page = 0;
+            this.sort = null;
+            this.filter = filter;
+            this.data = [];
+            this.render();
+        }
+
+        setData(rows) {
+            this.data = rows;
+            this.clampPage();
+            this.render();
+        }
+
+        setFilter(text) {
+            this.filter = text;
+            this.page = 0;
+            this.render();
+        }
+
+        visibleRows() {
+            const needle = this.filter.toLowerCase();
+            let rows = this.data.filter(row => !needle || this.columns.some(column =>
+                column.accessor && String(column.accessor(row) ?? '').toLowerCase().includes(needle)));
+            if (this.sort) {
+                const column = this.columns.find(c => c.id === this.sort.id);
+                rows = [...rows].sort((a, b) => compare(column.accessor(a), column.accessor(b)) * (this.sort.desc ? -1 : 1));
+            }
+            return rows;
+        }
+
+        pageCount() {
+            return Math.max(1, Math.ceil(this.visibleRows().length / this.pageSize));
+        }
+
+        clampPage() {
+            this.page = Math.min(this.page, this.pageCount() - 1);
+        }
+
+        render() {
+            const rows = this.visibleRows();
+            const pages = Math.max(1, Math.ceil(rows.length / this.pageSize));
+            const pageRows = rows.slice(this.page * this.pageSize, (this.page + 1) * this.pageSize);
+            const width = `flex: 100 0 auto; width: 100px;`;
+
+            const headers = this.columns.map(column => {
+                let sortClass = '';
+                if (this.sort && this.sort.id === column.id) sortClass = this.sort.desc ? ' -sort-desc' : ' -sort-asc';
+                const cursor = column.sortable === false ? '' : ' -cursor-pointer';
+                return `<div class="rt-th rt-resizable-header${cursor}${sortClass}" role="columnheader" tabindex="-1" style="${width}" data-column="${column.id}"><div class="rt-resizable-header-content">${escapeHtml(column.header)}</div><div class="rt-resizer"></div></div>`;
+            }).join('');
+
+            const body = [];
+            for (let i = 0; i < this.pageSize; i++) {
+                const row = pageRows[i];
+                const parity = i % 2 === 0 ? '-odd' : '-even';
+                const cells = this.columns.map(column => {
+                    if (!row) return `<div class="rt-td" role="gridcell" style="${width}"><span>&nbsp;</span></div>`;
+                    const content = column.cell ? column.cell(row) : escapeHtml(column.accessor(row) ?? '');
+                    return `<div class="rt-td" role="gridcell" style="${width}">${content}</div>`;
+                }).join('');
+                body.push(`<div class="rt-tr-group" role="rowgroup"><div class="rt-tr ${row ? '' : '-padRow '}${parity}" role="row">${cells}</div></div>`);
+            }
+
+            const sizeOptions = PAGE_SIZES
+                .map(size => `<option value="${size}"${size === this.pageSize ? ' selected' : ''}>${size} rows</option>`)
+                .join('');
+
+            this.container.innerHTML = `<div class="ReactTable -striped -highlight">
+                <div class="rt-table" role="grid">
+                    <div class="rt-thead -header" style="min-width: ${this.columns.length * 100}px;"><div class="rt-tr" role="row">${headers}</div></div>
+                    <div class="rt-tbody" style="min-width: ${this.columns.length * 100}px;">${body.join('')}</div>
+                </div>
+                <div class="pagination-bottom"><div class="-pagination">
+                    <div class="-previous"><button type="button" class="-btn"${this.page === 0 ? ' disabled' : ''}>Previous</button></div>
+                    <div class="-center">
+                        <span class="-pageInfo">Page <div class="-pageJump"><input aria-label="jump to page" type="number" value="${this.page + 1}"></div> of <span class="-totalPages">${pages}</span></span>
+                        <span class="select-wrap -pageSizeOptions"><select aria-label="rows per page">${sizeOptions}</select></span>
+                    </div>
+                    <div class="-next"><button type="button" class="-btn"${this.page >= pages - 1 ? ' disabled' : ''}>Next</button></div>
+                </div></div>
+                ${pageRows.length ? '' : '<div class="rt-noData">No rows found</div>'}
+                <div class="-loading"><div class="-loading-inner">Loading...</div></div>
+            </div>`;
+
+            this.bindEvents();
+        }
+
+        bindEvents() {
+            this.container.querySelectorAll('.rt-th').forEach(th => {
+                const column = this.columns.find(c => c.id === th.dataset.column);
+                if (column.sortable === false) return;
+                th.addEventListener('click', () => {
+                    const desc = this.sort && this.sort.id === column.id ? !this.sort.desc : false;
+                    this.sort = { id: column.id, desc };
+                    this.render();
+                });
+            });
+            this.container.querySelector('.-previous .-btn').addEventListener('click', () => {
+                this.page = Math.max(0, this.page - 1);
+                this.render();
+            });
+            this.container.querySelector('.-next .-btn').addEventListener('click', () => {
+                this.page = Math.min(this.pageCount() - 1, this.page + 1);
+                this.render();
+            });
+            const jump = this.container.querySelector('.-pageJump input');
+            const applyJump = () => {
+                const target = parseInt(jump.value, 10);
+                const page = Number.isNaN(target) ? this.page : Math.min(this.pageCount() - 1, Math.max(0, target - 1));
+                if (page === this.page) {
+                    // React keeps the DOM when nothing changed - re-rendering on every blur would drop Tab focus
+                    jump.value = String(this.page + 1);
+                    return;
+                }
+                this.page = page;
+                this.render();
+            };
+            jump.addEventListener('blur', applyJump);
+            jump.addEventListener('keydown', event => {
+                if (event.key === 'Enter') applyJump();
+            });
+            this.container.querySelector('select[aria-label="rows per page"]').addEventListener('change', event => {
+                const firstRow = this.page * this.pageSize;
+                this.pageSize = Number(event.target.value);
+                this.page = Math.floor(firstRow / this.pageSize);
+                this.render();
+            });
+        }
+    }
+
+    window.ReactTable = ReactTable;
+    window.ReactTable.escapeHtml = escapeHtml;
+})();
@@ -0,0 +1,32 @@
+/*
+ * SELECT MENU
+ * Three react-selects (grouped, single, multi) next to the two native
+ * <select> elements. Instance ids match the live page, so
+ * #react-select-2-input / #react-select-2-option-0-0 resolve the same.
+ */
+(function () {
+    const toOption = label => ({ label, value: label });
+
+    new window.ReactSelect(document.getElementById('withOptGroup'), {
+        instanceId: 2,
+        placeholder: 'Select Option',
+        options: [
+            { label: 'Group 1', options: ['Group 1, option 1', 'Group 1, option 2'].map(toOption) },
+            { label: 'Group 2', options: ['Group 2, option 1', 'Group 2, option 2'].map(toOption) },
+            toOption('A root option'),
+            toOption('Another root option'),
+        ],
+    });
+
+    new window.ReactSelect(document.getElementById('selectOne'), {
+        instanceId: 3,
+        placeholder: 'Select Title',
+        options: ['Dr.', 'Mr.', 'Mrs.', 'Ms.', 'Prof.', 'Other'].map(toOption),
+    });
+
+    new window.ReactSelect(document.getElementById('multiSelect'), {
+        instanceId: 4,
+        isMulti: true,
+        options: ['Green', 'Blue', 'Black', 'Red'].map(toOption),
+    });
+})();
@@ -0,0 +1,15 @@
+/*
+ * SLIDER
+ * A native range input mirrored into #sliderValue on every input
+ * event (mouse, keyboard and fill() all fire it).
+ */
+(function () {
+    const slider = document.querySelector('.range-slider');
+    const output = document.getElementById('sliderValue');
+    const label = document.querySelector('.range-slider__tooltip__label');
+    slider.addEventListener('input', () => {
+        output.value = slider.value;
+        label.textContent = slider.value;
+        slider.style.setProperty('--value', slider.value);
+    });
+})();
@@ -0,0 +1,43 @@
+/*
+ * TABS
+ * react-bootstrap <Tabs>: click or Enter selects, Arrow keys move to
+ * (and select) the neighbouring enabled tab, inactive tabs are
+ * removed from the Tab order with tabindex="-1".
+ */
+(function () {
+    const tabs = [...document.querySelectorAll('[role="tab"]')];
+    const enabled = () => tabs.filter(tab => !tab.classList.contains('disabled'));
+
+    function select(tab) {
+        if (tab.classList.contains('disabled')) return;
+        tabs.forEach(other => {
+            const active = other === tab;
+            other.classList.toggle('active', active);
+            other.setAttribute('aria-selected', String(active));
+            if (active) other.removeAttribute('tabindex');
+            else other.setAttribute('tabindex', '-1');
+            const pane = document.getElementById(other.getAttribute('aria-controls'));
+            pane.classList.toggle('active', active);
+            pane.classList.toggle('show', active);
+            pane.setAttribute('aria-hidden', String(!active));
+        });
+    }
+
+    tabs.forEach(tab => {
+        tab.addEventListener('click', event => {
+            event.preventDefault();
+            select(tab);
+        });
+        tab.addEventListener('keydown', event => {
+            const list = enabled();
+            const index = list.indexOf(tab);
+            let next = null;
+            if (event.key === 'ArrowRight' || event.key === 'ArrowDown') next = list[(index + 1) % list.length];
+            if (event.key === 'ArrowLeft' || event.key === 'ArrowUp') next = list[(index - 1 + list.length) % list.length];
+            if (!next) return;
+            event.preventDefault();
+            select(next);
+            next.focus();
+        });
+    });
+})();
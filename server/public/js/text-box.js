@@ -0,0 +1,42 @@
+/*
+ * TEXT BOX
+ * On submit the email is validated with the live site's regex; an
+ * invalid email gets the 'field-error' class and no output is shown.
+ * Output paragraphs reuse the input ids (duplicate ids are faithful).
+ */
+(function () {
+    const EMAIL_PATTERN = /^([a-zA-Z0-9_\-.]+)@([a-zA-Z0-9_\-.]+)\.([a-zA-Z]{2,5})$/;
+    const form = document.getElementById('userForm');
+    const output = document.getElementById('output');
+    const fields = [
+        { id: 'userName', outputId: 'name', label: 'Name:' },
+        { id: 'userEmail', outputId: 'email', label: 'Email:' },
+        { id: 'currentAddress', outputId: 'currentAddress', label: 'Current Address :' },
+        { id: 'permanentAddress', outputId: 'permanentAddress', label: 'Permananet Address :' },
+    ];
+
+    form.addEventListener('submit', event => {
+        event.preventDefault();
+        const email = form.querySelector('#userEmail');
+        if (email.value && !EMAIL_PATTERN.test(email.value)) {
+            email.classList.add('field-error');
+            return;
+        }
+        email.classList.remove('field-error');
+
+        output.innerHTML = '';
+        output.className = 'col-md-12 col-sm-12';
+        const box = document.createElement('div');
+        box.className = 'border col-md-12 col-sm-12';
+        for (const field of fields) {
+            const value = form.querySelector(`#${field.id}`).value;
+            if (!value) continue;
+            const p = document.createElement('p');
+            p.id = field.outputId;
+            p.className = 'mb-1';
+            p.textContent = field.label + value;
+            box.appendChild(p);
+        }
+        if (box.children.length) output.appendChild(box);
+    });
+})();
@@ -0,0 +1,28 @@
+/*
+ * TOOL TIPS
+ * react-bootstrap OverlayTrigger on hover: the tooltip is appended to
+ * <body> below its target and removed again on mouseleave.
+ */
+(function () {
+    document.querySelectorAll('[data-tooltip]').forEach(target => {
+        let tooltip = null;
+        target.addEventListener('mouseenter', () => {
+            tooltip = document.createElement('div');
+            tooltip.id = target.dataset.tooltipId;
+            tooltip.setAttribute('role', 'tooltip');
+            tooltip.className = 'fade show tooltip bs-tooltip-bottom';
+            tooltip.innerHTML = '<div class="arrow"></div><div class="tooltip-inner"></div>';
+            tooltip.querySelector('.tooltip-inner').textContent = target.dataset.tooltip;
+            const rect = target.getBoundingClientRect();
+            tooltip.style.left = `${rect.left + window.scrollX}px`;
+            tooltip.style.top = `${rect.bottom + window.scrollY + 4}px`;
+            document.body.appendChild(tooltip);
+            target.setAttribute('aria-describedby', tooltip.id);
+        });
+        target.addEventListener('mouseleave', () => {
+            if (tooltip) tooltip.remove();
+            tooltip = null;
+            target.removeAttribute('aria-describedby');
+        });
+    });
+})();
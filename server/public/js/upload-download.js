@@ -0,0 +1,13 @@
+/*
+ * UPLOAD AND DOWNLOAD
+ * The download is a plain <a download>; the upload echoes the
+ * browser's fake path (C:\fakepath\<name>) like the live page.
+ */
+(function () {
+    const input = document.getElementById('uploadFile');
+    const output = document.getElementById('uploadedFilePath');
+    input.addEventListener('change', () => {
+        output.textContent = input.value;
+        output.hidden = !input.value;
+    });
+})();
@@ -0,0 +1,103 @@
+/*
+ * WEB TABLES
+ * Seed rows, search box, and the "Registration Form" modal used for
+ * both Add and Edit. Records live in memory only, so every page load
+ * starts from the same three rows.
+ */
+(function () {
+    const { escapeHtml } = window.ReactTable;
+    const EDIT_ICON = '<svg stroke="currentColor" fill="currentColor" stroke-width="0" viewBox="0 0 512 512" height="1em" width="1em" xmlns="http://www.w3.org/2000/svg"><path d="M497.9 142.1l-46.1 46.1c-4.7 4.7-12.3 4.7-17 0l-111-111c-4.7-4.7-4.7-12.3 0-17l46.1-46.1c18.7-18.7 49.1-18.7 67.9 0l60.1 60.1c18.8 18.7 18.8 49.1 0 67.9zM284.2 99.8L21.6 362.4.4 483.9c-2.9 16.4 11.4 30.6 27.8 27.8l121.5-21.3 262.6-262.6c4.7-4.7 4.7-12.3 0-17l-111-111c-4.8-4.7-12.4-4.7-17.1 0z"></path></svg>';
+    const DELETE_ICON = '<svg stroke="currentColor" fill="currentColor" stroke-width="0" viewBox="0 0 448 512" height="1em" width="1em" xmlns="http://www.w3.org/2000/svg"><path d="M432 32H312l-9.4-18.7A24 24 0 0 0 281.1 0H166.8a23.72 23.72 0 0 0-21.4 13.3L136 32H16A16 16 0 0 0 0 48v32a16 16 0 0 0 16 16h416a16 16 0 0 0 16-16V48a16 16 0 0 0-16-16zM53.2 467a48 48 0 0 0 47.9 45h245.8a48 48 0 0 0 47.9-45L416 128H32z"></path></svg>';
+
+    let nextId = 4;
+    let records = [
+        { id: 1, firstName: 'Cierra', lastName: 'Vega', age: 39, email: 'cierra@example.com', salary: 10000, department: 'Insurance' },
+        { id: 2, firstName: 'Alden', lastName: 'Cantrell', age: 45, email: 'alden@example.com', salary: 12000, department: 'Compliance' },
+        { id: 3, firstName: 'Kierra', lastName: 'Gentry', age: 29, email: 'kierra@example.com', salary: 2000, department: 'Legal' },
+    ];
+
+    const table = new window.ReactTable(document.getElementById('webtable'), {
+        columns: [
+            { id: 'firstName', header: 'First Name', accessor: r => r.firstName },
+            { id: 'lastName', header: 'Last Name', accessor: r => r.lastName },
+            { id: 'age', header: 'Age', accessor: r => r.age },
+            { id: 'email', header: 'Email', accessor: r => r.email },
+            { id: 'salary', header: 'Salary', accessor: r => r.salary },
+            { id: 'department', header: 'Department', accessor: r => r.department },
+            {
+                id: 'action',
+                header: 'Action',
+                sortable: false,
+                cell: r => `<div class="action-buttons"><span class="mr-2" id="edit-record-${r.id}" title="Edit">${EDIT_ICON}</span><span id="delete-record-${r.id}" title="Delete">${DELETE_ICON}</span></div>`,
+            },
+        ],
+    });
+    table.setData(records);
+
+    document.getElementById('searchBox').addEventListener('input', event => table.setFilter(event.target.value));
+
+    document.getElementById('webtable').addEventListener('click', event => {
+        const edit = event.target.closest('[id^="edit-record-"]');
+        const remove = event.target.closest('[id^="delete-record-"]');
+        if (edit) {
+            openForm(records.find(r => r.id === Number(edit.id.replace('edit-record-', ''))));
+        } else if (remove) {
+            const id = Number(remove.id.replace('delete-record-', ''));
+            records = records.filter(r => r.id !== id);
+            table.setData(records);
+        }
+    });
+
+    document.getElementById('addNewRecordButton').addEventListener('click', () => openForm(null));
+
+    const FIELDS = [
+        { id: 'firstName', label: 'First Name', type: 'text', attrs: 'required' },
+        { id: 'lastName', label: 'Last Name', type: 'text', attrs: 'required' },
+        { id: 'userEmail', key: 'email', label: 'Email', type: 'text', placeholder: 'name@example.com', attrs: 'required pattern="^([a-zA-Z0-9_\\-\\.]+)@([a-zA-Z0-9_\\-\\.]+)\\.([a-zA-Z]{2,5})$"' },
+        { id: 'age', label: 'Age', type: 'text', attrs: 'required pattern="\\d{1,2}"' },
+        { id: 'salary', label: 'Salary', type: 'text', attrs: 'required pattern="\\d{1,10}"' },
+        { id: 'department', label: 'Department', type: 'text', attrs: 'required' },
+    ];
+
+    /*
+     * Registration form modal. Invalid submits add "was-validated"
+     * to the form (Bootstrap validation) and keep the modal open.
+     */
+    function openForm(record) {
+        const rows = FIELDS.map(field => {
+            const value = record ? record[field.key || field.id] : '';
+            return `<div class="mt-2 row" id="${field.id}-wrapper">
+                <div class="col-md-3 col-sm-12"><label class="form-label" id="${field.id}-label">${field.label}</label></div>
+                <div class="col-md-9 col-sm-12"><input ${field.attrs} autocomplete="off" placeholder="${field.placeholder || field.label}" type="${field.type}" id="${field.id}" class="mr-sm-2 form-control" value="${escapeHtml(value)}"></div>
+            </div>`;
+        }).join('');
+        const modal = window.DemoQA.openModal({
+            titleId: 'registration-form-modal',
+            title: 'Registration Form',
+            body: `<form id="userForm" novalidate>${rows}
+                <div class="mt-2 justify-content-end row"><div class="text-right col-md-2 col-sm-12"><button type="submit" id="submit" class="btn btn-primary">Submit</button></div></div>
+            </form>`,
+        });
+
+        const form = modal.element.querySelector('#userForm');
+        form.addEventListener('submit', event => {
+            event.preventDefault();
+            if (!form.checkValidity()) {
+                form.classList.add('was-validated');
+                return;
+            }
+            const values = {};
+            FIELDS.forEach(field => {
+                const raw = form.querySelector(`#${field.id}`).value;
+                values[field.key || field.id] = field.id === 'age' || field.id === 'salary' ? Number(raw) : raw;
+            });
+            if (record) {
+                Object.assign(record, values);
+            } else {
+                records.push({ id: nextId++, ...values });
+            }
+            table.setData(records);
+            modal.close();
+        });
+    }
+})();
@@ -0,0 +1,46 @@
+/**
+ * RESPONSE HELPERS
+ * ================
+ * Shared by the page server (index.js) and the Book Store API stub
+ * (bookstore-api.js).
+ */
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+};
+
+/**
+ * SEND HELPERS
+ * ------------
+ * Every response carries an explicit Content-Length so size-based
+ * assertions (e.g. "no image over 1MB") behave like they do live.
+ */
+function send(res, status, body, contentType, extraHeaders = {}) {
+    const buffer = Buffer.isBuffer(body) ? body : Buffer.from(String(body));
+    res.writeHead(status, {
+        'Content-Type': contentType,
+        'Content-Length': buffer.length,
+        'Cache-Control': 'no-store',
+        ...extraHeaders,
+    });
+    res.end(buffer);
+}
+
+function sendJson(res, status, payload) {
+    send(res, status, JSON.stringify(payload), MIME_TYPES['.json']);
+}
+
+/* 204 and friends: status line and headers only */
+function sendEmpty(res, status) {
+    res.writeHead(status, { 'Content-Length': 0, 'Cache-Control': 'no-store' });
+    res.end();
+}
+
+module.exports = { MIME_TYPES, send, sendJson, sendEmpty };
@@ -22,7 +22,7 @@
  * explicitly wait before asserting.
  */
 
-const { test, expect } = require('@playwright/test');
+const { test, expect } = require('../../fixtures');
 
 /**
  * beforeEach HOOK
@@ -30,9 +30,9 @@ const { test, expect } = require('@playwright/test');
  * Navigate to text-box page before each test.
  * This demonstrates the beforeEach pattern for common setup.
  */
-test.beforeEach(async ({ page }) => {
+test.beforeEach(async ({ demoqaPage }) => {
     // DemoQA is slow, give it time
-    await page.goto('/text-box', { timeout: 30000, waitUntil: 'domcontentloaded' });
+    await demoqaPage('/text-box', { timeout: 30000 });
 });
 
 /**
@@ -232,9 +232,9 @@ test('should assert CSS classes', async ({ page }) => {
  * Check current page URL.
  * Supports string or regex.
  */
-test('should assert page URL', async ({ page }) => {
+test('should assert page URL', async ({ page, baseURL }) => {
     // Exact URL
-    await expect(page).toHaveURL('https://demoqa.com/text-box');
+    await expect(page).toHaveURL(`${baseURL}/text-box`);
 
     // Regex pattern
     await expect(page).toHaveURL(/.*text-box/);
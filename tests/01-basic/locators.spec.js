@@ -18,7 +18,7 @@
  * They're more resilient to DOM changes.
  */
 
-const { test, expect } = require('@playwright/test');
+const { test, expect } = require('../../fixtures');
 
 /**
  * beforeEach HOOK
@@ -29,9 +29,9 @@ const { test, expect } = require('@playwright/test');
  * INTERVIEW TIP: Use beforeEach for DRY code.
  * Each test should be independent and not rely on other tests.
  */
-test.beforeEach(async ({ page }) => {
+test.beforeEach(async ({ page, demoqaPage }) => {
     // Navigate to elements page before each test
-    await page.goto('/elements');
+    await demoqaPage('/elements');
     // Expand the Elements menu to see all options
     await page.locator('.element-group').first().click();
 });
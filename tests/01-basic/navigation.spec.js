@@ -15,7 +15,7 @@
  * in config to make tests cleaner and more maintainable.
  */
 
-const { test, expect } = require('@playwright/test');
+const { test, expect } = require('../../fixtures');
 
 /**
  * BASIC NAVIGATION
@@ -47,7 +47,7 @@ test('should navigate to DemoQA homepage', async ({ page }) => {
  * - Supports string or regex patterns
  * - More reliable than page.url() direct check
  */
-test('should navigate to Elements page', async ({ page }) => {
+test('should navigate to Elements page', async ({ page, baseURL }) => {
     // Navigate to a specific section
     await page.goto('/elements', { waitUntil: 'domcontentloaded' });
 
@@ -56,7 +56,7 @@ test('should navigate to Elements page', async ({ page }) => {
     await expect(page).toHaveURL(/.*elements/);
 
     // Alternative: exact URL match
-    await expect(page).toHaveURL('https://demoqa.com/elements');
+    await expect(page).toHaveURL(`${baseURL}/elements`);
 });
 
 /**
@@ -0,0 +1,140 @@
+/**
+ * CHECKBOX TREE - MODEL-BASED RANDOM TESTS
+ * ========================================
+ * Runs seeded random sequences of expand / check / uncheck on the
+ * /checkbox tree and compares the UI with an in-memory reference model
+ * (helpers/checkbox-tree-model.js) after every step. A failing
+ * sequence is shrunk to a minimal repro and reported with its seed.
+ *
+ * Replay a failure:  TREE_SEED=1234 npx playwright test checkbox-tree-model
+ *
+ * PLAYWRIGHT FEATURES COVERED:
+ * - testInfo.annotations (seed shown in the HTML report)
+ * - testInfo.attach() for the minimal failing sequence
+ * - Reusing one page for many runs (goto resets in-memory state)
+ *
+ * INTERVIEW TIP: Fixed scenarios test the cases you thought of. A
+ * seeded generator plus a model tests the ones you did not - and the
+ * seed makes every failure reproducible.
+ */
+
+const util = require('util');
+const { test, expect } = require('../../fixtures');
+const checkboxTree = require('../../helpers/checkbox-tree');
+const { createRandom, resolveSeed, shrinkList } = require('../../helpers/property');
+const { createTreeModel, randomOperations, applyOperation, describeOperations } = require('../../helpers/checkbox-tree-model');
+
+const RUNS = 5;
+const STEPS_PER_RUN = 12;
+
+/**
+ * RUN SEQUENCE
+ * ------------
+ * Fresh page, then apply each step to the UI and the model and compare
+ * the rendered tree plus the result panel. Resolves with the first
+ * mismatch ({ step, expected, actual }) or null.
+ */
+async function runSequence(demoqaPage, shape, steps, createModel = createTreeModel) {
+    const page = await demoqaPage('/checkbox');
+    const tree = page.locator('#tree-node');
+    const model = createModel(shape);
+
+    for (const [index, step] of steps.entries()) {
+        model.apply(step);
+        await applyOperation(tree, step);
+
+        const actual = {
+            tree: checkboxTree.flattenTree(await checkboxTree.dumpTree(tree, { expand: false })),
+            result: await checkboxTree.readResult(tree),
+        };
+        const expected = { tree: checkboxTree.flattenTree(model.dump()), result: model.selectedValues() };
+        if (!util.isDeepStrictEqual(actual, expected)) return { step: index, expected, actual };
+    }
+    return null;
+}
+
+/**
+ * FIND MINIMAL FAILURE
+ * --------------------
+ * Cuts the sequence at the failing step, then shrinks it.
+ */
+async function findMinimalFailure(demoqaPage, shape, steps, createModel) {
+    const failure = await runSequence(demoqaPage, shape, steps, createModel);
+    if (!failure) return null;
+    const minimal = await shrinkList(steps.slice(0, failure.step + 1),
+        async candidate => Boolean(await runSequence(demoqaPage, shape, candidate, createModel)),
+        { maxAttempts: 60 });
+    return { steps: minimal, ...(await runSequence(demoqaPage, shape, minimal, createModel)) };
+}
+
+test.describe('Checkbox tree model', () => {
+
+    let shape;
+
+    test.beforeEach(async ({ demoqaPage }) => {
+        const page = await demoqaPage('/checkbox');
+        // Only the shape (labels/values) comes from the page
+        shape = await checkboxTree.dumpTree(page.locator('#tree-node'));
+    });
+
+    /**
+     * RANDOM SEQUENCES VS MODEL
+     * -------------------------
+     * RUNS sequences, seeds derived from one logged base seed.
+     */
+    test('should match the reference model for random sequences', async ({ demoqaPage }, testInfo) => {
+        const seed = resolveSeed('TREE_SEED');
+        testInfo.annotations.push({ type: 'seed', description: `TREE_SEED=${seed}` });
+        console.log(`checkbox tree model: TREE_SEED=${seed}`);
+
+        for (let run = 0; run < RUNS; run++) {
+            const runSeed = seed + run;
+            const steps = randomOperations(createTreeModel(shape), createRandom(runSeed), STEPS_PER_RUN);
+            const failure = await findMinimalFailure(demoqaPage, shape, steps);
+            if (failure) {
+                const report = `Tree diverged from the model (run seed ${runSeed}; replay with TREE_SEED=${seed})\n` +
+                    `Minimal sequence:\n${describeOperations(failure.steps)}`;
+                await testInfo.attach('minimal-failure.json', {
+                    body: JSON.stringify({ seed, runSeed, ...failure }, null, 2),
+                    contentType: 'application/json',
+                });
+                expect(failure.actual, report).toEqual(failure.expected);
+            }
+        }
+    });
+
+    /**
+     * SHRINKER SELF-CHECK
+     * -------------------
+     * A mutant model that ignores uncheck must be caught, and the
+     * repro must shrink to "check a leaf, uncheck its parent".
+     */
+    test('should shrink a failure to a minimal sequence', async ({ demoqaPage }) => {
+        // Uncheck only opens the ancestors, like the helper does on its way
+        const ignoresUncheck = currentShape => {
+            const model = createTreeModel(currentShape);
+            const parentOf = path => path.split('/').slice(0, -1).join('/') || path;
+            return {
+                ...model,
+                apply: step => model.apply(step.type === 'uncheck' ? { type: 'expand', path: parentOf(step.path) } : step),
+            };
+        };
+        const steps = [
+            { type: 'expand', path: 'Home/Documents' },
+            { type: 'check', path: 'Home/Desktop/Notes' },
+            { type: 'expand', path: 'Home/Downloads' },
+            { type: 'check', path: 'Home/Documents/Office' },
+            { type: 'uncheck', path: 'Home/Desktop' },
+            { type: 'check', path: 'Home/Downloads/Word File.doc' },
+        ];
+
+        const failure = await findMinimalFailure(demoqaPage, shape, steps, ignoresUncheck);
+
+        expect(failure.steps).toEqual([
+            { type: 'check', path: 'Home/Desktop/Notes' },
+            { type: 'uncheck', path: 'Home/Desktop' },
+        ]);
+        expect(failure.actual.result).toEqual([]);
+        expect(failure.expected.result).toEqual(['notes']);
+    });
+});
@@ -0,0 +1,94 @@
+/**
+ * PRACTICE FORM - GENERATED STUDENTS
+ * ==================================
+ * Submits hundreds of seeded random students (helpers/practice-form.js)
+ * and checks that the confirmation modal echoes every field back
+ * exactly: BATCHES tests x STUDENTS_PER_BATCH students each.
+ *
+ * Replay a failure:  STUDENT_SEED=1234 npx playwright test practice-form-property
+ *
+ * PLAYWRIGHT FEATURES COVERED:
+ * - Generated tests (one test per batch, run in parallel)
+ * - test.step() per student, so the report names the failing one
+ * - testInfo.annotations and testInfo.attach() for the repro
+ *
+ * INTERVIEW TIP: "Input equals output" is a property that holds for
+ * every valid student - so let a generator pick the students and
+ * check the property, instead of hand-writing John Doe again.
+ */
+
+const util = require('util');
+const { test, expect } = require('../../fixtures');
+const practiceForm = require('../../helpers/practice-form');
+const { createRandom, resolveSeed } = require('../../helpers/property');
+
+const BATCHES = 10;
+const STUDENTS_PER_BATCH = 20;
+
+/* The student as JSON-friendly data for the report (no picture bytes) */
+function describeStudent(student) {
+    return {
+        ...student,
+        dateOfBirth: student.dateOfBirth.toDateString(),
+        picture: student.picture && { name: student.picture.name, mimeType: student.picture.mimeType },
+    };
+}
+
+test.describe('Practice form with generated students', () => {
+
+    for (let batch = 0; batch < BATCHES; batch++) {
+        test(`should echo every field back (batch ${batch + 1})`, async ({ demoqaPage }, testInfo) => {
+            test.setTimeout(STUDENTS_PER_BATCH * 15000);
+            const seed = resolveSeed('STUDENT_SEED');
+            testInfo.annotations.push({ type: 'seed', description: `STUDENT_SEED=${seed}` });
+            const random = createRandom(seed + batch);
+
+            for (let index = 0; index < STUDENTS_PER_BATCH; index++) {
+                const student = practiceForm.createStudent(random);
+                await test.step(`student ${index + 1}: ${student.firstName} ${student.lastName}`, async () => {
+                    const page = await demoqaPage('/automation-practice-form');
+                    // Typing the date keeps hundreds of submissions fast; the
+                    // calendar path is covered by practice-form.spec.js
+                    await practiceForm.submitStudent(page, student, { dateStrategy: 'type' });
+
+                    const actual = await practiceForm.readResultModal(page);
+                    const expected = practiceForm.expectedResult(student);
+                    if (!util.isDeepStrictEqual(actual, expected)) {
+                        await testInfo.attach('failing-student.json', {
+                            body: JSON.stringify({ seed, batch, index, student: describeStudent(student), expected, actual }, null, 2),
+                            contentType: 'application/json',
+                        });
+                    }
+                    expect(actual, `Student ${index + 1} of batch ${batch + 1} (replay with STUDENT_SEED=${seed})`).toEqual(expected);
+                });
+            }
+        });
+    }
+
+    /**
+     * GENERATOR SANITY
+     * ----------------
+     * Same seed, same students; every state/city pair is real; the
+     * generator really covers all values across a few hundred draws.
+     */
+    test('should generate valid, reproducible students', () => {
+        const draw = seed => {
+            const random = createRandom(seed);
+            return Array.from({ length: BATCHES * STUDENTS_PER_BATCH }, () => practiceForm.createStudent(random));
+        };
+        const students = draw(7);
+
+        expect(draw(7).map(describeStudent)).toEqual(students.map(describeStudent));
+        for (const student of students) {
+            expect(student.mobile).toMatch(/^\d{10}$/);
+            if (student.email) expect(student.email).toMatch(/^[a-z.]+\d+@example\.com$/);
+            if (student.city) expect(practiceForm.STATE_CITIES[student.state]).toContain(student.city);
+            expect(new Set(student.subjects).size).toBe(student.subjects.length);
+        }
+        const seen = key => new Set(students.flatMap(student => [].concat(student[key] || [])));
+        expect([...seen('gender')].sort()).toEqual([...practiceForm.GENDERS].sort());
+        expect([...seen('hobbies')].sort()).toEqual([...practiceForm.HOBBIES].sort());
+        expect([...seen('state')].sort()).toEqual(Object.keys(practiceForm.STATE_CITIES).sort());
+        expect(seen('city').size).toBe(Object.values(practiceForm.STATE_CITIES).flat().length);
+    });
+});
@@ -0,0 +1,170 @@
+/**
+ * PRACTICE FORM - VALIDATION RULE MATRIX
+ * ======================================
+ * Every validation rule of /automation-practice-form as one table of
+ * (field, input, valid) rows. Each row becomes a test that enters the
+ * input, presses Submit and checks the field's :invalid state and the
+ * red / green Bootstrap styling that goes with it.
+ *
+ * Adding a rule = adding a row. Adding a field = one FIELDS entry.
+ *
+ * Date of birth has no range rule: the form sets no min/max date, so
+ * its rows pin "any parsable date sticks" rather than a bound.
+ *
+ * PLAYWRIGHT FEATURES COVERED:
+ * - Data-driven tests generated from a table
+ * - element.matches(':invalid') via evaluate()
+ * - toHaveCSS() for the validation colours
+ *
+ * INTERVIEW TIP: Constraint validation (required, pattern, minlength)
+ * lives in the browser - the :invalid pseudo-class is the single
+ * source of truth, the red border is just its styling. Assert both.
+ */
+
+const { test, expect } = require('../../fixtures');
+
+const INVALID_COLOR = 'rgb(220, 53, 69)';   // #dc3545
+const VALID_COLOR = 'rgb(40, 167, 69)';     // #28a745
+
+/**
+ * FIELDS
+ * ------
+ * How to enter a value and where the result shows:
+ * - enter(page, input)  put the row's input into the field
+ * - target              element whose :invalid state is checked
+ * - styled              element + CSS property carrying the colour
+ * - accepted            optional extra check that the widget kept
+ *                       the input (the date picker silently reverts
+ *                       text it cannot parse instead of going :invalid)
+ */
+const FIELDS = {
+    firstName: {
+        enter: (page, input) => page.locator('#firstName').fill(input),
+        target: page => page.locator('#firstName'),
+        styled: page => [page.locator('#firstName'), 'border-color'],
+    },
+    lastName: {
+        enter: (page, input) => page.locator('#lastName').fill(input),
+        target: page => page.locator('#lastName'),
+        styled: page => [page.locator('#lastName'), 'border-color'],
+    },
+    email: {
+        enter: (page, input) => page.locator('#userEmail').fill(input),
+        target: page => page.locator('#userEmail'),
+        styled: page => [page.locator('#userEmail'), 'border-color'],
+    },
+    gender: {
+        enter: async (page, input) => {
+            // exact: "Male" must not match "Female"
+            if (input) await page.locator('#genterWrapper').getByText(input, { exact: true }).click();
+        },
+        target: page => page.locator('#gender-radio-1'),
+        styled: page => [page.locator('label[for="gender-radio-1"]'), 'color'],
+    },
+    mobile: {
+        enter: (page, input) => page.locator('#userNumber').fill(input),
+        target: page => page.locator('#userNumber'),
+        styled: page => [page.locator('#userNumber'), 'border-color'],
+    },
+    dateOfBirth: {
+        enter: async (page, input) => {
+            const field = page.locator('#dateOfBirthInput');
+            await field.fill(input);
+            await field.press('Escape');
+        },
+        target: page => page.locator('#dateOfBirthInput'),
+        styled: page => [page.locator('#dateOfBirthInput'), 'border-color'],
+        accepted: async (page, input) => (await page.locator('#dateOfBirthInput').inputValue()) === input,
+    },
+};
+
+/**
+ * VALIDATION RULES
+ * ----------------
+ * One row per case. `why` names the rule the row exercises.
+ */
+const VALIDATION_RULES = [
+    // Names: required
+    { field: 'firstName', input: '', valid: false, why: 'required' },
+    { field: 'firstName', input: 'John', valid: true, why: 'any text' },
+    { field: 'firstName', input: '   ', valid: true, why: 'whitespace satisfies required' },
+    { field: 'lastName', input: '', valid: false, why: 'required' },
+    { field: 'lastName', input: "O'Brien", valid: true, why: 'punctuation allowed' },
+
+    // Gender: required radio group
+    { field: 'gender', input: '', valid: false, why: 'required - nothing chosen' },
+    { field: 'gender', input: 'Male', valid: true, why: 'one option chosen' },
+    { field: 'gender', input: 'Other', valid: true, why: 'one option chosen' },
+
+    // Mobile: required, digits only, exactly 10
+    { field: 'mobile', input: '', valid: false, why: 'required' },
+    { field: 'mobile', input: '1234567890', valid: true, why: '10 digits' },
+    { field: 'mobile', input: '123456789', valid: false, why: 'minlength 10' },
+    { field: 'mobile', input: '12345abcde', valid: false, why: 'pattern \\d*' },
+    { field: 'mobile', input: '123 456 78', valid: false, why: 'pattern \\d* - no spaces' },
+    { field: 'mobile', input: '12345678901', valid: true, why: 'maxlength 10 drops the 11th digit' },
+
+    // Email: optional, name@domain.tld with a 2-5 letter TLD
+    { field: 'email', input: '', valid: true, why: 'optional' },
+    { field: 'email', input: 'john.doe@example.com', valid: true, why: 'pattern' },
+    { field: 'email', input: 'john_doe-1@mail.example.co', valid: true, why: 'pattern - _ - . allowed' },
+    { field: 'email', input: 'plainaddress', valid: false, why: 'pattern - no @' },
+    { field: 'email', input: 'john@example', valid: false, why: 'pattern - no TLD' },
+    { field: 'email', input: 'john@example.c', valid: false, why: 'pattern - TLD too short' },
+    { field: 'email', input: 'john@example.museum', valid: false, why: 'pattern - TLD longer than 5' },
+    { field: 'email', input: 'john+tag@example.com', valid: false, why: 'pattern - + not allowed' },
+    { field: 'email', input: 'john doe@example.com', valid: false, why: 'pattern - no spaces' },
+
+    // Date of birth: no range rule - anything the picker can parse sticks.
+    // The 1900-2100 year dropdown only limits what can be clicked, not typed
+    { field: 'dateOfBirth', input: '15 Jun 1990', valid: true, why: 'parsable date' },
+    { field: 'dateOfBirth', input: '01 Jan 1900', valid: true, why: 'first year in the dropdown' },
+    { field: 'dateOfBirth', input: '31 Dec 2100', valid: true, why: 'last year in the dropdown' },
+    { field: 'dateOfBirth', input: '15 Jun 1899', valid: true, why: 'no min date - typed years outside the dropdown stick' },
+    { field: 'dateOfBirth', input: 'not a date', valid: false, why: 'unparsable - picker reverts' },
+];
+
+test.describe('Practice form validation matrix', () => {
+
+    test.beforeEach(async ({ demoqaPage }) => {
+        await demoqaPage('/automation-practice-form');
+    });
+
+    for (const { field, input, valid, why } of VALIDATION_RULES) {
+        test(`${field} ${JSON.stringify(input)} should be ${valid ? 'valid' : 'invalid'} (${why})`, async ({ page }) => {
+            const definition = FIELDS[field];
+            if (!definition) throw new Error(`No FIELDS entry for "${field}" - add one next to the others`);
+
+            await definition.enter(page, input);
+            await page.locator('#submit').click();
+            await expect(page.locator('#userForm')).toHaveClass(/was-validated/);
+
+            const [styledElement, property] = definition.styled(page);
+            if (definition.accepted) {
+                // Widget-level rule: the input is never :invalid, the
+                // picker either keeps the text or throws it away
+                expect(await definition.accepted(page, input)).toBe(valid);
+                expect(await definition.target(page).evaluate(element => element.matches(':invalid'))).toBe(false);
+                await expect(styledElement).toHaveCSS(property, VALID_COLOR);
+                return;
+            }
+            expect(await definition.target(page).evaluate(element => element.matches(':invalid'))).toBe(!valid);
+            await expect(styledElement).toHaveCSS(property, valid ? VALID_COLOR : INVALID_COLOR);
+        });
+    }
+
+    /**
+     * TABLE SANITY
+     * ------------
+     * Every field has a valid and an invalid row, and rows are unique.
+     */
+    test('should cover each field with valid and invalid rows', () => {
+        for (const field of Object.keys(FIELDS)) {
+            const rows = VALIDATION_RULES.filter(row => row.field === field);
+            expect(rows.some(row => row.valid), `${field} has a valid row`).toBe(true);
+            expect(rows.some(row => !row.valid), `${field} has an invalid row`).toBe(true);
+        }
+        const keys = VALIDATION_RULES.map(row => `${row.field}|${row.input}`);
+        expect(new Set(keys).size).toBe(keys.length);
+    });
+});
@@ -12,18 +12,22 @@
  * - setInputFiles() - File upload
  * - keyboard.press() - Keyboard interactions
  * - Date picker handling
- * - Autocomplete handling
+ * - Autocomplete handling (helpers/react-select.js)
+ * - Result modal parsed into an object (helpers/practice-form.js)
  * 
  * INTERVIEW TIP: This is a comprehensive test that combines
  * multiple Playwright features. Great for demonstrating
  * real-world automation skills.
  */
 
-const { test, expect } = require('@playwright/test');
+const { test, expect } = require('../../fixtures');
+const { pickDate } = require('../../helpers/date-picker');
+const reactSelect = require('../../helpers/react-select');
+const practiceForm = require('../../helpers/practice-form');
 const path = require('path');
 
-test.beforeEach(async ({ page }) => {
-    await page.goto('/automation-practice-form');
+test.beforeEach(async ({ demoqaPage }) => {
+    await demoqaPage('/automation-practice-form');
 });
 
 /**
@@ -31,7 +35,7 @@ test.beforeEach(async ({ page }) => {
  * -----------------------------
  * Complete end-to-end form test with all field types.
  */
-test('should complete full practice form submission', async ({ page }) => {
+test('should complete full practice form submission', async ({ page, files }) => {
     // ====================
     // STEP 1: Fill Text Inputs
     // ====================
@@ -65,32 +69,18 @@ test('should complete full practice form submission', async ({ page }) => {
     // STEP 4: Date of Birth (Date Picker)
     // ====================
 
-    // Click on date input to open picker
-    await page.locator('#dateOfBirthInput').click();
-
-    // Select year from dropdown
-    await page.locator('.react-datepicker__year-select').selectOption('1990');
-
-    // Select month from dropdown
-    await page.locator('.react-datepicker__month-select').selectOption('5'); // June (0-indexed)
-
-    // Select day
-    await page.locator('.react-datepicker__day--015:not(.react-datepicker__day--outside-month)').click();
+    // Helper opens the calendar, picks year/month from the dropdowns,
+    // clicks the day and verifies the input (see helpers/date-picker.js)
+    await pickDate(page.locator('#dateOfBirthInput'), '1990-06-15');
+    await expect(page.locator('#dateOfBirthInput')).toHaveValue('15 Jun 1990');
 
     // ====================
     // STEP 5: Subjects (Autocomplete)
     // ====================
 
-    // Type in subject input
-    const subjectsInput = page.locator('#subjectsInput');
-    await subjectsInput.fill('Maths');
-
-    // Wait for autocomplete and select
-    await page.locator('.subjects-auto-complete__option').first().click();
-
-    // Add another subject
-    await subjectsInput.fill('Physics');
-    await page.locator('.subjects-auto-complete__option').first().click();
+    // Type each subject and click the exact suggestion - .first() would
+    // pick "Chemistry" for "Che" or whichever option happens to lead
+    await reactSelect.chooseMany(page.locator('#subjectsContainer'), ['Maths', 'Physics']);
 
     // ====================
     // STEP 6: Hobbies (Checkboxes)
@@ -110,9 +100,8 @@ test('should complete full practice form submission', async ({ page }) => {
     // STEP 7: Picture Upload
     // ====================
 
-    // Note: For actual file upload, you need a real file
-    // This demonstrates the technique
-    // await page.locator('#uploadPicture').setInputFiles('/path/to/file.jpg');
+    // A real (generated) JPEG from the files fixture - cleaned up automatically
+    await page.locator('#uploadPicture').setInputFiles(files.jpeg({ name: 'profile.jpg', width: 120, height: 160 }));
 
     // ====================
     // STEP 8: Current Address (Textarea)
@@ -125,14 +114,12 @@ test('should complete full practice form submission', async ({ page }) => {
     // ====================
 
     // State dropdown (React Select component)
-    await page.locator('#state').click();
-    await page.locator('#state').locator('div').filter({ hasText: 'NCR' }).first().click();
+    await reactSelect.choose(page.locator('#state'), 'NCR');
 
-    // City dropdown (depends on state selection)
-    // City dropdown (depends on state selection)
-    // Use force: true because of potential overlap with footer/ads
-    await page.locator('#city').click({ force: true });
-    await page.locator('#city').locator('div').filter({ hasText: 'Delhi' }).first().click({ force: true });
+    // City dropdown (depends on state selection) - the helper waits for
+    // it to become enabled; the ad overlay is hidden by the suppressAds
+    // fixture, so no force: true
+    await reactSelect.choose(page.locator('#city'), 'Delhi');
 
     // ====================
     // STEP 10: Submit Form
@@ -151,14 +138,20 @@ test('should complete full practice form submission', async ({ page }) => {
     // Verify modal title
     await expect(page.locator('.modal-title')).toHaveText('Thanks for submitting the form');
 
-    // Verify submitted data in table
-    const resultsTable = page.locator('.table-responsive');
-    await expect(resultsTable).toContainText('John Doe');
-    await expect(resultsTable).toContainText('john.doe@example.com');
-    await expect(resultsTable).toContainText('Male');
-    await expect(resultsTable).toContainText('1234567890');
-    await expect(resultsTable).toContainText('Maths, Physics');
-    await expect(resultsTable).toContainText('Sports, Reading');
+    // Verify submitted data - the whole table as one object, so a value
+    // in the wrong row (or a missing row) fails too
+    expect(await practiceForm.readResultModal(page)).toEqual({
+        studentName: 'John Doe',
+        studentEmail: 'john.doe@example.com',
+        gender: 'Male',
+        mobile: '1234567890',
+        dateOfBirth: '15 June,1990',
+        subjects: 'Maths, Physics',
+        hobbies: 'Sports, Reading',
+        picture: 'profile.jpg',
+        address: '123 Main Street, Apt 4B, New York, NY 10001',
+        stateAndCity: 'NCR Delhi',
+    });
 
     // Close modal
     await page.locator('#closeLargeModal').click();
@@ -203,29 +196,24 @@ test('should navigate date picker with keyboard', async ({ page }) => {
 /**
  * FILE UPLOAD DEMONSTRATION
  * -------------------------
- * Using setInputFiles() for file upload.
+ * Using setInputFiles() for file upload, with files from the files
+ * fixture: a path on disk, an in-memory payload, then clearing.
  */
-test('should demonstrate file upload', async ({ page }) => {
+test('should demonstrate file upload', async ({ page, files }) => {
     const uploadInput = page.locator('#uploadPicture');
+    const selectedName = () => uploadInput.evaluate(input => (input.files[0] ? input.files[0].name : null));
 
-    // Create a temporary file content for testing
-    // In real tests, you'd use an actual file path
-    // Note: This creates a file in memory for testing
+    // From a path - the file lives in the test's temp folder
+    await uploadInput.setInputFiles(files.png({ name: 'avatar.png', width: 64, height: 64 }));
+    expect(await selectedName()).toBe('avatar.png');
 
-    // Example with actual file:
-    // await uploadInput.setInputFiles('/absolute/path/to/file.jpg');
+    // From memory - nothing touches the disk
+    await uploadInput.setInputFiles(files.jpeg({ name: 'photo.jpg', inMemory: true }));
+    expect(await selectedName()).toBe('photo.jpg');
 
-    // Example with multiple files:
-    // await uploadInput.setInputFiles([
-    //   '/path/to/file1.jpg',
-    //   '/path/to/file2.jpg'
-    // ]);
-
-    // Example clearing files:
-    // await uploadInput.setInputFiles([]);
-
-    // For testing, verify the input exists
-    await expect(uploadInput).toBeVisible();
+    // Clearing files
+    await uploadInput.setInputFiles([]);
+    expect(await selectedName()).toBeNull();
 });
 
 /**
@@ -257,20 +245,20 @@ test('should navigate form with keyboard', async ({ page }) => {
  * Handling autocomplete dropdowns.
  */
 test('should handle autocomplete suggestions', async ({ page }) => {
-    const subjectsInput = page.locator('#subjectsInput');
-
-    // Type partial text
-    await subjectsInput.fill('Eng');
+    const subjects = page.locator('#subjectsContainer');
 
-    // Wait for suggestions
-    const suggestions = page.locator('.subjects-auto-complete__option');
-    await expect(suggestions.first()).toBeVisible();
+    // Type partial text and read the suggestions
+    expect(await reactSelect.search(subjects, 'Eng')).toEqual(['English']);
 
     // Click on suggestion
-    await suggestions.filter({ hasText: 'English' }).click();
+    await reactSelect.choose(subjects, 'English');
 
     // Verify selection (appears as a tag/chip)
     await expect(page.locator('.subjects-auto-complete__multi-value')).toContainText('English');
+
+    // Remove the chip again
+    await reactSelect.removeValue(subjects, 'English');
+    expect(await reactSelect.readSelection(subjects)).toEqual([]);
 });
 
 /**
@@ -279,22 +267,19 @@ test('should handle autocomplete suggestions', async ({ page }) => {
  * State and City use React Select component.
  */
 test('should handle React Select dropdowns', async ({ page }) => {
-    // Scroll to make sure dropdowns are visible
-    await page.locator('#state').scrollIntoViewIfNeeded();
-
-    // Open state dropdown
-    await page.locator('#state').click();
+    const state = page.locator('#state');
+    const city = page.locator('#city');
 
-    // Wait for options to appear
-    const stateOptions = page.locator('#state .css-1n7v3ny-option, #state div[id*="option"]');
-    await stateOptions.first().waitFor();
+    // City stays disabled until a state is chosen
+    await expect(city.locator('input')).toBeDisabled();
 
-    // Select by clicking text
-    await page.getByText('Uttar Pradesh', { exact: true }).click();
+    // Open state dropdown and click the option as listed
+    await reactSelect.choose(state, 'Uttar Pradesh', { search: false });
 
-    // Now city dropdown should be available
-    await page.locator('#city').click();
-    await page.getByText('Lucknow', { exact: true }).click();
+    // Now city dropdown offers that state's cities
+    await reactSelect.openMenu(city);
+    expect(await reactSelect.menuOptions(city)).toEqual(['Agra', 'Lucknow', 'Merrut']);
+    await reactSelect.choose(city, 'Lucknow', { search: false });
 
     // Verify selections
     await expect(page.locator('#state')).toContainText('Uttar Pradesh');
@@ -311,9 +296,13 @@ test('should show validation on submit without required fields', async ({ page }
     await page.locator('#submit').scrollIntoViewIfNeeded();
     await page.locator('#submit').click();
 
-    // Check for validation
-    // Required fields should show error styling
-    // Note: HTML5 validation may prevent submission
+    // Required fields show error styling and the form is not submitted
+    // (every rule, field by field: practice-form-validation.spec.js)
+    await expect(page.locator('#userForm')).toHaveClass(/was-validated/);
+    for (const id of ['#firstName', '#lastName', '#gender-radio-1', '#userNumber']) {
+        expect(await page.locator(id).evaluate(input => input.matches(':invalid'))).toBe(true);
+    }
+    await expect(page.locator('.modal-content')).toHaveCount(0);
 });
 
 /**
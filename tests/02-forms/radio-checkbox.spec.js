@@ -10,13 +10,14 @@
  * - isChecked() - Check state
  * - toBeChecked() assertion
  * - Handling disabled controls
- * - Tree checkbox component
+ * - Tree checkbox component (helpers/checkbox-tree.js)
  * 
  * INTERVIEW TIP: Unlike checkboxes, radio buttons cannot be
  * unchecked - you can only select a different option.
  */
 
-const { test, expect } = require('@playwright/test');
+const { test, expect } = require('../../fixtures');
+const checkboxTree = require('../../helpers/checkbox-tree');
 
 /**
  * RADIO BUTTON TESTS
@@ -24,8 +25,8 @@ const { test, expect } = require('@playwright/test');
  */
 test.describe('Radio Buttons', () => {
 
-    test.beforeEach(async ({ page }) => {
-        await page.goto('/radio-button');
+    test.beforeEach(async ({ demoqaPage }) => {
+        await demoqaPage('/radio-button');
     });
 
     /**
@@ -112,8 +113,8 @@ test.describe('Radio Buttons', () => {
  */
 test.describe('Checkboxes', () => {
 
-    test.beforeEach(async ({ page }) => {
-        await page.goto('/checkbox');
+    test.beforeEach(async ({ demoqaPage }) => {
+        await demoqaPage('/checkbox');
     });
 
     /**
@@ -123,8 +124,8 @@ test.describe('Checkboxes', () => {
      * Need to expand to see child items.
      */
     test('should expand checkbox tree', async ({ page }) => {
-        // Click toggle to expand
-        await page.locator('button[title="Toggle"]').first().click();
+        // Click the Home toggle (button[title="Toggle"]) to expand
+        await checkboxTree.expand(page.locator('#tree-node'), 'Home');
 
         // Verify children are visible
         await expect(page.getByText('Desktop')).toBeVisible();
@@ -135,19 +136,15 @@ test.describe('Checkboxes', () => {
     /**
      * CHECKING A CHECKBOX
      * -------------------
-     * Use check() method or click on the checkbox.
+     * The helper finds a node by its label path, expanding parents
+     * on the way, and clicks its label.
      */
     test('should check a checkbox', async ({ page }) => {
-        // Expand tree first
-        await page.locator('button[title="Toggle"]').first().click();
+        const tree = page.locator('#tree-node');
+        await checkboxTree.check(tree, 'Home/Desktop');
 
-        // Check the Desktop checkbox
-        // The checkbox is a custom component, click on the label
-        await page.locator('label').filter({ hasText: 'Desktop' }).click();
-
-        // Verify selection message
-        const result = page.locator('#result');
-        await expect(result).toContainText('desktop');
+        // Desktop and both of its children are selected
+        expect(await checkboxTree.readResult(tree)).toEqual(['desktop', 'notes', 'commands']);
     });
 
     /**
@@ -156,17 +153,14 @@ test.describe('Checkboxes', () => {
      * Unlike radio buttons, multiple checkboxes can be selected.
      */
     test('should check multiple checkboxes', async ({ page }) => {
-        // Expand all
-        await page.locator('button[title="Expand all"]').click();
+        const tree = page.locator('#tree-node');
 
-        // Check multiple items
-        await page.locator('.rct-node-leaf').filter({ hasText: 'Notes' }).locator('.rct-checkbox').click();
-        await page.locator('.rct-node-leaf').filter({ hasText: 'React' }).locator('.rct-checkbox').click();
+        // Check leaves in different branches
+        await checkboxTree.check(tree, 'Home/Desktop/Notes');
+        await checkboxTree.check(tree, 'Home/Documents/WorkSpace/React');
 
         // Verify both are selected
-        const result = page.locator('#result');
-        await expect(result).toContainText('notes');
-        await expect(result).toContainText('react');
+        expect(await checkboxTree.readResult(tree)).toEqual(['notes', 'react']);
     });
 
     /**
@@ -175,22 +169,14 @@ test.describe('Checkboxes', () => {
      * Click again to uncheck, or use uncheck() method.
      */
     test('should uncheck a checkbox', async ({ page }) => {
-        // Expand
-        await page.locator('button[title="Toggle"]').first().click();
+        const tree = page.locator('#tree-node');
 
-        // Check Desktop
-        const desktopCheckbox = page.locator('.rct-checkbox').filter({ hasText: '' }).first();
-        const desktopLabel = page.locator('label').filter({ hasText: 'Desktop' });
+        await checkboxTree.check(tree, 'Home/Desktop');
+        expect(await checkboxTree.readResult(tree)).toContain('desktop');
 
-        // Click to check
-        await desktopLabel.click();
-        await expect(page.locator('#result')).toContainText('desktop');
-
-        // Click again to uncheck
-        await desktopLabel.click();
-
-        // Result should not contain desktop anymore or be empty
-        // Note: When unchecked, result may disappear entirely
+        // Uncheck - the result panel empties entirely
+        await checkboxTree.uncheck(tree, 'Home/Desktop');
+        expect(await checkboxTree.readResult(tree)).toEqual([]);
     });
 
     /**
@@ -199,16 +185,16 @@ test.describe('Checkboxes', () => {
      * Tree checkbox behavior - parent selection.
      */
     test('should check all children when parent is checked', async ({ page }) => {
-        // Check the root "Home" checkbox
-        const homeCheckbox = page.locator('label').filter({ hasText: 'Home' }).locator('.rct-checkbox');
-        await homeCheckbox.click();
+        const tree = page.locator('#tree-node');
+        await checkboxTree.check(tree, 'Home');
 
-        // Verify result contains all items
-        const result = page.locator('#result');
-        await expect(result).toContainText('home');
-        await expect(result).toContainText('desktop');
-        await expect(result).toContainText('documents');
-        await expect(result).toContainText('downloads');
+        // Every node in the tree is checked
+        const states = checkboxTree.flattenTree(await checkboxTree.dumpTree(tree));
+        expect(Object.keys(states)).toHaveLength(17);
+        expect(new Set(Object.values(states))).toEqual(new Set(['checked']));
+
+        // ...and the panel lists all of them
+        expect(await checkboxTree.readResult(tree)).toEqual(expect.arrayContaining(['home', 'desktop', 'documents', 'downloads']));
     });
 
     /**
@@ -218,7 +204,7 @@ test.describe('Checkboxes', () => {
      */
     test('should expand all checkboxes', async ({ page }) => {
         // Click expand all
-        await page.locator('button[title="Expand all"]').click();
+        await checkboxTree.expandAll(page.locator('#tree-node'));
 
         // All items should be visible
         await expect(page.getByText('Desktop')).toBeVisible();
@@ -233,12 +219,14 @@ test.describe('Checkboxes', () => {
      * -------------------
      */
     test('should collapse all checkboxes', async ({ page }) => {
+        const tree = page.locator('#tree-node');
+
         // Expand first
-        await page.locator('button[title="Expand all"]').click();
+        await checkboxTree.expand(tree, 'Home/Desktop');
         await expect(page.getByText('Notes')).toBeVisible();
 
         // Collapse all
-        await page.locator('button[title="Collapse all"]').click();
+        await checkboxTree.collapseAll(tree);
 
         // Children should be hidden
         await expect(page.getByText('Notes')).not.toBeVisible();
@@ -250,17 +238,85 @@ test.describe('Checkboxes', () => {
      * When some but not all children are checked.
      */
     test('should show partial check state', async ({ page }) => {
-        // Expand all
-        await page.locator('button[title="Expand all"]').click();
+        const tree = page.locator('#tree-node');
 
-        // Check only one child under Documents
-        await page.locator('.rct-node-leaf').filter({ hasText: 'Office' }).locator('.rct-checkbox').click();
+        // Check one of the two folders under Documents
+        await checkboxTree.check(tree, 'Home/Documents/Office');
+
+        // Office is checked, its ancestors are half-checked
+        expect(await checkboxTree.state(tree, 'Home/Documents/Office')).toBe('checked');
+        expect(await checkboxTree.state(tree, 'Home/Documents')).toBe('half');
+        expect(await checkboxTree.state(tree, 'Home')).toBe('half');
 
-        // Parent "Documents" should be in indeterminate state
-        // (This is shown visually with a different icon)
         const result = page.locator('#result');
         await expect(result).toContainText('office');
     });
+
+    /**
+     * WHOLE-TREE PROPAGATION
+     * ----------------------
+     * One dump, one assertion: every node's tri-state plus the result
+     * panel, so a wrong parent anywhere shows up in a single diff.
+     */
+    test('should propagate states through the whole tree', async ({ page }) => {
+        const tree = page.locator('#tree-node');
+
+        await checkboxTree.check(tree, 'Home/Documents');
+        await checkboxTree.uncheck(tree, 'Home/Documents/Office/Private');
+        await checkboxTree.check(tree, 'Home/Downloads/Word File.doc');
+
+        const dump = await checkboxTree.dumpTree(tree);
+        expect(checkboxTree.flattenTree(dump)).toEqual({
+            'Home': 'half',
+            'Home/Desktop': 'unchecked',
+            'Home/Desktop/Notes': 'unchecked',
+            'Home/Desktop/Commands': 'unchecked',
+            'Home/Documents': 'half',
+            'Home/Documents/WorkSpace': 'checked',
+            'Home/Documents/WorkSpace/React': 'checked',
+            'Home/Documents/WorkSpace/Angular': 'checked',
+            'Home/Documents/WorkSpace/Veu': 'checked',
+            'Home/Documents/Office': 'half',
+            'Home/Documents/Office/Public': 'checked',
+            'Home/Documents/Office/Private': 'unchecked',
+            'Home/Documents/Office/Classified': 'checked',
+            'Home/Documents/Office/General': 'checked',
+            'Home/Downloads': 'half',
+            'Home/Downloads/Word File.doc': 'checked',
+            'Home/Downloads/Excel File.doc': 'unchecked',
+        });
+
+        // The panel lists exactly the fully checked nodes
+        expect(await checkboxTree.readResult(tree)).toEqual(checkboxTree.selectedValues(dump));
+    });
+
+    /**
+     * UNCHECKING A HALF-CHECKED PARENT
+     * --------------------------------
+     * Clicking a half-checked node checks all of it first; uncheck()
+     * keeps clicking until the node is really unchecked.
+     */
+    test('should uncheck a half-checked parent', async ({ page }) => {
+        const tree = page.locator('#tree-node');
+
+        await checkboxTree.check(tree, 'Home/Desktop/Notes');
+        expect(await checkboxTree.state(tree, 'Home/Desktop')).toBe('half');
+
+        await checkboxTree.uncheck(tree, 'Home/Desktop');
+        expect(await checkboxTree.readResult(tree)).toEqual([]);
+    });
+
+    /**
+     * UNKNOWN PATH
+     * ------------
+     * A typo in the path fails with the labels that do exist.
+     */
+    test('should report available nodes for an unknown path', async ({ page }) => {
+        const tree = page.locator('#tree-node');
+
+        await expect(checkboxTree.check(tree, 'Home/Documents/Workspace'))
+            .rejects.toThrow('No "Workspace" under Home/Documents - found: WorkSpace, Office');
+    });
 });
 
 /**
@@ -17,10 +17,10 @@
  * Use pressSequentially() when you need to simulate real typing.
  */
 
-const { test, expect } = require('@playwright/test');
+const { test, expect } = require('../../fixtures');
 
-test.beforeEach(async ({ page }) => {
-    await page.goto('/text-box');
+test.beforeEach(async ({ demoqaPage }) => {
+    await demoqaPage('/text-box');
 });
 
 /**
@@ -0,0 +1,242 @@
+/**
+ * ARIA PATTERN CONFORMANCE
+ * ========================
+ * Scores widgets against the WAI-ARIA Authoring Practices tabs,
+ * accordion, menu and listbox patterns (helpers/aria-patterns.js):
+ * roles, states and properties, ownership and the keyboard contract.
+ * Every test attaches its scorecard to the report.
+ *
+ * The DemoQA widgets are pinned to their current score, gaps included,
+ * so a regression - or a fix - shows up as a changed list of failures.
+ * The hand-built widgets show what a passing card looks like.
+ *
+ * PLAYWRIGHT FEATURES COVERED:
+ * - page.keyboard.press() for Arrow keys, Home/End, Enter, Space, Escape
+ * - locator.evaluate() to read roles, states and focus in the page
+ * - expect(locator).toConformToAriaPattern() (fixtures/a11y.js)
+ * - testInfo.attach() for a text report
+ *
+ * INTERVIEW TIP: getByRole('tab') passing only proves the role is
+ * there. Whether ArrowRight moves to the next tab is a separate promise,
+ * and only a keyboard test checks it.
+ */
+
+const { test, expect } = require('../../fixtures');
+const { MAIN_REGION } = require('../../fixtures/demoqa');
+const { checkAriaPattern, formatScorecard } = require('../../helpers/aria-patterns');
+
+async function attachScorecard(testInfo, card) {
+    await testInfo.attach(`${card.pattern}-scorecard.txt`, { body: formatScorecard(card), contentType: 'text/plain' });
+}
+
+test.describe('DemoQA widgets against the ARIA patterns', () => {
+
+    /**
+     * TABS
+     * ----
+     * Roles, selection and the arrow keys are right; the tablist has no
+     * name and Home/End do nothing.
+     */
+    test('/tabs should score as tabs', async ({ page }, testInfo) => {
+        await page.goto('/tabs', { waitUntil: 'domcontentloaded' });
+
+        const card = await checkAriaPattern(page.getByRole('tablist'), 'tabs');
+        await attachScorecard(testInfo, card);
+
+        expect(card.failures).toEqual(['tablist-name', 'end', 'home']);
+        expect(card.checks.find(check => check.id === 'wrap').message).toBe('ArrowLeft moves focus from "What" to "Use"');
+    });
+
+    /**
+     * ACCORDION
+     * ---------
+     * The headers are clickable divs: no button, no aria-expanded, not
+     * focusable. { items } points the checker at them anyway.
+     */
+    test('/accordian should score as an accordion', async ({ page }, testInfo) => {
+        await page.goto('/accordian', { waitUntil: 'domcontentloaded' });
+
+        const card = await checkAriaPattern(page.locator(`${MAIN_REGION} .accordion`), 'accordion', { items: '.card-header' });
+        await attachScorecard(testInfo, card);
+
+        expect(card.conforms).toBe(false);
+        expect(card.passed).toBe(0);
+        expect(card.checks.find(check => check.id === 'focusable').message).toContain('"What is Lorem Ipsum?"');
+    });
+
+    /**
+     * MENU
+     * ----
+     * A hover menu of links in nested lists - nothing a screen reader
+     * would announce as a menu, and the submenu never opens from the
+     * keyboard.
+     */
+    test('/menu should score as a menubar', async ({ page }, testInfo) => {
+        await page.goto('/menu', { waitUntil: 'domcontentloaded' });
+
+        const card = await checkAriaPattern(page.locator('#nav'), 'menu', { items: '#nav > li > a' });
+        await attachScorecard(testInfo, card);
+
+        expect(card.passed).toBe(0);
+        expect(card.failures).toEqual(expect.arrayContaining(['menu-role', 'menuitem-role', 'roving-tabindex', 'enter-submenu']));
+    });
+
+    /**
+     * NATIVE LISTBOX
+     * --------------
+     * <select multiple> gets roles and keys from the browser; only the
+     * label is missing.
+     */
+    test('/select-menu standard multi select should score as a listbox', async ({ page }, testInfo) => {
+        await page.goto('/select-menu', { waitUntil: 'domcontentloaded' });
+
+        const card = await checkAriaPattern(page.locator('#cars'), 'listbox');
+        await attachScorecard(testInfo, card);
+
+        expect(card.failures).toEqual(['listbox-name']);
+    });
+
+});
+
+test.describe('Conforming widgets', () => {
+
+    /**
+     * ACCORDION
+     * ---------
+     * Native buttons in headings get Enter and Space for free; arrow
+     * keys between headers are optional and show up as warnings only.
+     */
+    test('should pass the accordion pattern', async ({ page }, testInfo) => {
+        await page.setContent(`
+            <div id="faq">
+                <h3><button id="q1" aria-expanded="true" aria-controls="a1">Shipping</button></h3>
+                <div id="a1" role="region" aria-labelledby="q1">Ships in two days.</div>
+                <h3><button id="q2" aria-expanded="false" aria-controls="a2">Returns</button></h3>
+                <div id="a2" role="region" aria-labelledby="q2" hidden>Thirty days, no questions.</div>
+            </div>
+            <script>
+                document.querySelectorAll('#faq button').forEach(button => button.addEventListener('click', () => {
+                    const open = button.getAttribute('aria-expanded') !== 'true';
+                    button.setAttribute('aria-expanded', String(open));
+                    document.getElementById(button.getAttribute('aria-controls')).hidden = !open;
+                }));
+            </script>`);
+
+        const card = await checkAriaPattern(page.locator('#faq'), 'accordion');
+        await attachScorecard(testInfo, card);
+
+        expect(card).toMatchObject({ conforms: true, passed: 8, total: 8 });
+        expect(card.checks.filter(check => check.optional && !check.pass).map(check => check.id))
+            .toEqual(['arrow-next', 'arrow-previous', 'end', 'home']);
+    });
+
+    /**
+     * MENUBAR
+     * -------
+     * Roving tabindex, arrows, Home/End, and a submenu that Enter opens
+     * and Escape closes.
+     */
+    test('should pass the menu pattern', async ({ page }) => {
+        await page.setContent(`
+            <ul id="site" role="menubar" aria-label="Site">
+                <li role="none"><a role="menuitem" href="#home">Home</a></li>
+                <li role="none">
+                    <a role="menuitem" href="#" tabindex="-1" aria-haspopup="true" aria-expanded="false">Shop</a>
+                    <ul role="menu" aria-label="Shop" hidden>
+                        <li role="none"><a role="menuitem" href="#books" tabindex="-1">Books</a></li>
+                        <li role="none"><a role="menuitem" href="#music" tabindex="-1">Music</a></li>
+                    </ul>
+                </li>
+                <li role="none"><a role="menuitem" href="#about" tabindex="-1">About</a></li>
+            </ul>
+            <script>
+                const items = [...document.querySelectorAll('#site > li > [role="menuitem"]')];
+                const shop = items[1];
+                const submenu = shop.nextElementSibling;
+                const focusItem = item => {
+                    items.forEach(other => { other.tabIndex = other === item ? 0 : -1; });
+                    item.focus();
+                };
+                const setOpen = open => {
+                    shop.setAttribute('aria-expanded', String(open));
+                    submenu.hidden = !open;
+                };
+                document.getElementById('site').addEventListener('keydown', event => {
+                    const index = items.indexOf(document.activeElement);
+                    if (index === -1) {
+                        if (event.key !== 'Escape') return;
+                        setOpen(false);
+                        focusItem(shop);
+                    } else if (['ArrowRight', 'ArrowLeft', 'Home', 'End'].includes(event.key)) {
+                        const last = items.length - 1;
+                        const next = { ArrowRight: index === last ? 0 : index + 1, ArrowLeft: index === 0 ? last : index - 1, Home: 0, End: last };
+                        focusItem(items[next[event.key]]);
+                    } else if ((event.key === 'Enter' || event.key === ' ') && items[index] === shop) {
+                        setOpen(true);
+                        submenu.querySelector('[role="menuitem"]').focus();
+                    } else {
+                        return;
+                    }
+                    event.preventDefault();
+                });
+            </script>`);
+
+        await expect(page.getByRole('menubar')).toConformToAriaPattern('menu');
+    });
+
+    /**
+     * LISTBOX
+     * -------
+     * Focus stays on the listbox and aria-activedescendant points at the
+     * active option; selection follows it.
+     */
+    test('should pass the listbox pattern', async ({ page }) => {
+        await page.setContent(`
+            <span id="color-label">Color</span>
+            <ul id="colors" role="listbox" tabindex="0" aria-labelledby="color-label">
+                <li id="red" role="option" aria-selected="false">Red</li>
+                <li id="green" role="option" aria-selected="false">Green</li>
+                <li id="blue" role="option" aria-selected="false">Blue</li>
+                <li id="black" role="option" aria-selected="false">Black</li>
+            </ul>
+            <script>
+                const listbox = document.getElementById('colors');
+                const options = [...listbox.querySelectorAll('[role="option"]')];
+                let active = -1;
+                listbox.addEventListener('keydown', event => {
+                    const moves = { ArrowDown: active + 1, ArrowUp: active - 1, Home: 0, End: options.length - 1 };
+                    if (!(event.key in moves)) return;
+                    event.preventDefault();
+                    active = Math.min(Math.max(moves[event.key], 0), options.length - 1);
+                    options.forEach((option, index) => option.setAttribute('aria-selected', String(index === active)));
+                    listbox.setAttribute('aria-activedescendant', options[active].id);
+                });
+            </script>`);
+
+        await expect(page.getByRole('listbox', { name: 'Color' })).toConformToAriaPattern('listbox');
+    });
+
+    /**
+     * SCORECARD SHAPE
+     * ---------------
+     * role="tab" without the rest: every failure says what is missing.
+     */
+    test('should explain each failed tabs check', async ({ page }) => {
+        await page.setContent(`
+            <div id="fake" role="tablist" aria-label="Fake">
+                <div role="tab">One</div>
+                <div role="tab">Two</div>
+            </div>`);
+
+        const card = await checkAriaPattern(page.locator('#fake'), 'tabs');
+
+        expect(card.failures).toEqual([
+            'tabpanel-role', 'aria-selected', 'single-selection', 'panel-visibility', 'panel-labelled',
+            'roving-tabindex', 'arrow-next', 'arrow-previous', 'wrap', 'end', 'home', 'enter-space',
+        ]);
+        expect(card.checks.find(check => check.id === 'arrow-next').message).toBe('"One" cannot take focus, so ArrowRight was not checked');
+        expect(formatScorecard(card)).toContain('tabs pattern on #fake: 4/16 required checks');
+        await expect(page.locator('#fake')).not.toConformToAriaPattern('tabs');
+    });
+
+});
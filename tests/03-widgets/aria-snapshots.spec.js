@@ -0,0 +1,63 @@
+/**
+ * WIDGET ARIA SNAPSHOTS
+ * =====================
+ * One accessibility-tree baseline per widget page: the centre column
+ * (heading and widget) is compared with a stored YAML snapshot, so a
+ * lost role, a renamed tab or a state that stops being exposed fails
+ * even when no single assertion looks at it.
+ *
+ * Baselines are stored per target (live site or DEMOQA_TARGET=local)
+ * and per project - see expect.toMatchAriaSnapshot.pathTemplate in
+ * playwright.config.js:
+ *   aria-snapshots.spec.js-snapshots/live/chromium/tabs.aria.yml
+ *   aria-snapshots.spec.js-snapshots/local/chromium/tabs.aria.yml
+ *
+ * Only the local set is committed so far; a target without its
+ * baseline skips the test and names the script that records it
+ * (helpers/baselines.js). Record, or after an intended UI change
+ * refresh, and review the YAML diff in git:
+ *   npm run test:aria:update:live
+ *   npm run test:aria:update:local
+ *
+ * A failing test prints the expected and received trees as a diff.
+ *
+ * PLAYWRIGHT FEATURES COVERED:
+ * - expect(locator).toMatchAriaSnapshot({ name }) with file baselines
+ * - --update-snapshots for aria snapshots
+ *
+ * INTERVIEW TIP: A screenshot baseline breaks on every pixel; an ARIA
+ * baseline only breaks when what a screen reader announces changes.
+ */
+
+const { test, expect } = require('../../fixtures');
+const { MAIN_REGION } = require('../../fixtures/demoqa');
+const { skipWithoutBaseline } = require('../../helpers/baselines');
+
+/* Route -> an element that exists once the widget has rendered */
+const WIDGET_PAGES = {
+    '/tabs': '#demo-tab-what',
+    '/accordian': '#section1Heading',
+    '/menu': '#nav',
+    '/select-menu': '#oldSelectMenu',
+    '/slider': '#sliderContainer input[type="range"]',
+    '/progress-bar': '#startStopButton',   // the bar itself is 0px wide until started
+};
+
+test.describe('Widget ARIA snapshots', () => {
+
+    for (const [route, ready] of Object.entries(WIDGET_PAGES)) {
+        test(`${route} should match its ARIA baseline`, async ({ page }, testInfo) => {
+            const baseline = `${route.slice(1)}.aria.yml`;
+            skipWithoutBaseline(testInfo, baseline, {
+                kind: 'aria',
+                update: `npm run test:aria:update:${process.env.DEMOQA_TARGET === 'local' ? 'local' : 'live'}`,
+            });
+            await page.goto(route, { waitUntil: 'domcontentloaded' });
+            // A missing baseline is written from the first tree seen - make it the rendered one
+            await expect(page.locator(ready)).toBeVisible();
+
+            await expect(page.locator(MAIN_REGION)).toMatchAriaSnapshot({ name: baseline });
+        });
+    }
+
+});
@@ -10,16 +10,18 @@
  * - Keyboard input for dates
  * - Clicking calendar days
  * - Date and time picker combination
+ * - Reusable helper: pickDate() / readDate() (helpers/date-picker.js)
  * 
  * INTERVIEW TIP: Date pickers vary widely between libraries.
  * The techniques here (typing directly, navigating calendar)
  * apply to most date picker implementations.
  */
 
-const { test, expect } = require('@playwright/test');
+const { test, expect } = require('../../fixtures');
+const { pickDate, readDate } = require('../../helpers/date-picker');
 
-test.beforeEach(async ({ page }) => {
-    await page.goto('/date-picker', { waitUntil: 'domcontentloaded' });
+test.beforeEach(async ({ demoqaPage }) => {
+    await demoqaPage('/date-picker');
 });
 
 /**
@@ -288,6 +290,73 @@ test('should handle multiple date fields', async ({ page }) => {
     expect(dateInput2Value).toContain('December');
 });
 
+/**
+ * DATE PICKER HELPER
+ * ==================
+ * The tests above drive the widget by hand to show the techniques.
+ * In real suites, wrap them once: pickDate(input, date, { strategy })
+ * takes a Date or ISO string, and verifies what the input shows.
+ */
+test.describe('Date picker helper', () => {
+
+    test('should pick a date through the month/year dropdowns', async ({ page }) => {
+        const dateInput = page.locator('#datePickerMonthYearInput');
+
+        await pickDate(dateInput, '2022-07-15');
+
+        await expect(dateInput).toHaveValue('07/15/2022');
+    });
+
+    test('should pick date and time through the calendar and time list', async ({ page }) => {
+        const dateTimeInput = page.locator('#dateAndTimePickerInput');
+
+        await pickDate(dateTimeInput, new Date(2022, 2, 15, 10, 0));
+
+        await expect(dateTimeInput).toHaveValue('March 15, 2022 10:00 AM');
+    });
+
+    test('should pick a date by typing', async ({ page }) => {
+        const dateInput = page.locator('#datePickerMonthYearInput');
+
+        const picked = await pickDate(dateInput, '2023-06-15', { strategy: 'type' });
+
+        expect(picked.toDateString()).toBe(new Date(2023, 5, 15).toDateString());
+        await expect(dateInput).toHaveValue('06/15/2023');
+    });
+
+    test('should type a time that is not in the 15-minute list', async ({ page }) => {
+        const dateTimeInput = page.locator('#dateAndTimePickerInput');
+
+        await pickDate(dateTimeInput, '2022-03-15T10:07', { strategy: 'type' });
+
+        await expect(dateTimeInput).toHaveValue('March 15, 2022 10:07 AM');
+    });
+
+    test('should click an outside-month day that is already on screen', async ({ page }) => {
+        const dateInput = page.locator('#datePickerMonthYearInput');
+        await pickDate(dateInput, '2022-07-15', { strategy: 'type' });
+
+        // July 2022's last row (Sun 31st) also shows Mon 1st August
+        await dateInput.click();
+        await expect(page.locator('.react-datepicker__day--001.react-datepicker__day--outside-month')).toBeVisible();
+        await pickDate(dateInput, '2022-08-01');
+
+        await expect(dateInput).toHaveValue('08/01/2022');
+    });
+
+    test('should read the current value back as a Date', async ({ page }) => {
+        const dateInput = page.locator('#datePickerMonthYearInput');
+        await dateInput.fill('12/31/2021');
+        await dateInput.press('Enter');
+
+        const value = await readDate(dateInput);
+
+        expect(value.getFullYear()).toBe(2021);
+        expect(value.getMonth()).toBe(11);
+        expect(value.getDate()).toBe(31);
+    });
+});
+
 /**
  * DATE PICKER BEST PRACTICES
  * ==========================
@@ -10,270 +10,303 @@
  * - expect().toHaveAttribute() for progress
  * - Waiting for dynamic values
  * - Test timeout management
+ * - page.clock - fake timers for exact, instant progress
  * 
  * INTERVIEW TIP: Progress bars are great examples of dynamic elements.
  * They test your ability to wait for conditions without using
  * arbitrary timeouts (waitForTimeout).
  */
 
-const { test, expect } = require('@playwright/test');
-
-test.beforeEach(async ({ page }) => {
-    await page.goto('/progress-bar', { waitUntil: 'domcontentloaded' });
-});
+const { test, expect } = require('../../fixtures');
 
 /**
- * GET CURRENT PROGRESS VALUE
- * --------------------------
- * Read the current progress percentage.
+ * The bar adds 1% per 100ms interval tick (10 seconds to 100%).
  */
-test('should get current progress value', async ({ page }) => {
-    const progressBar = page.locator('#progressBar');
-
-    // Progress bar uses aria-valuenow for the value
-    const value = await progressBar.getAttribute('aria-valuenow');
-    console.log('Current progress:', value);
-
-    // Initially should be 0
-    expect(value).toBe('0');
-});
+const TICK_MS = 100;
 
 /**
- * START AND MONITOR PROGRESS
- * --------------------------
- * Click start and watch progress increase.
+ * CLOCK-CONTROLLED PROGRESS
+ * =========================
+ * page.clock.install() replaces setInterval/Date before the page's
+ * scripts run, so it must happen before navigation; pauseAt() then
+ * stops time. From there the bar only moves when the test says so:
+ * runFor(5000) is exactly 50 ticks, i.e. exactly 50% - in
+ * milliseconds of wall time.
+ *
+ * INTERVIEW TIP: Fake time turns "wait until at least 50%" into
+ * "is exactly 50%", and a 10-second test into an instant one.
  */
-test('should start progress bar', async ({ page }) => {
-    const startButton = page.locator('#startStopButton');
-    const progressBar = page.locator('#progressBar');
-
-    // Verify initial state
-    await expect(progressBar).toHaveAttribute('aria-valuenow', '0');
-
-    // Click Start
-    await startButton.click();
-
-    // Wait a bit and check progress increased
-    await page.waitForTimeout(1000); // Just for demo, see better approach below
-
-    const value = await progressBar.getAttribute('aria-valuenow');
-    expect(parseInt(value)).toBeGreaterThan(0);
-});
-
-/**
- * WAIT FOR PROGRESS TO REACH VALUE
- * --------------------------------
- * Use polling assertion to wait for specific progress.
- * 
- * INTERVIEW TIP: This is the correct way to wait for dynamic values.
- * toPass() retries until the assertion succeeds.
- */
-test('should wait for progress to reach 50%', async ({ page }) => {
-    const startButton = page.locator('#startStopButton');
-    const progressBar = page.locator('#progressBar');
-
-    // Start progress
-    await startButton.click();
-
-    // Wait until progress reaches at least 50%
-    await expect(async () => {
+test.describe('Progress bar (clock-controlled)', () => {
+
+    test.beforeEach(async ({ page, demoqaPage }) => {
+        // An installed clock still ticks in real time until paused;
+        // no interval exists before Start, so the jump fires nothing
+        await page.clock.install({ time: new Date('2024-01-01T09:00:00') });
+        await demoqaPage('/progress-bar');
+        await page.clock.pauseAt(new Date('2024-01-01T10:00:00'));
+    });
+
+    /**
+     * ADVANCE TO / EXPECT PROGRESS
+     * ----------------------------
+     * advanceTo() runs the fake clock forward just enough ticks to
+     * reach `percent`. expectProgress() checks every place the value
+     * shows up. Width is read from the inline style: Bootstrap animates
+     * the rendered width with a CSS transition, which page.clock does
+     * not control.
+     */
+    async function advanceTo(page, percent) {
+        const current = Number(await page.locator('#progressBar').getAttribute('aria-valuenow'));
+        await page.clock.runFor((percent - current) * TICK_MS);
+    }
+
+    async function expectProgress(page, percent) {
+        const progressBar = page.locator('#progressBar');
+        await expect(progressBar).toHaveAttribute('aria-valuenow', String(percent));
+        await expect(progressBar).toHaveText(`${percent}%`);
+        expect(await progressBar.evaluate(bar => bar.style.width)).toBe(`${percent}%`);
+    }
+
+    /**
+     * GET CURRENT PROGRESS VALUE
+     * --------------------------
+     * Read the current progress percentage.
+     */
+    test('should get current progress value', async ({ page }) => {
+        const progressBar = page.locator('#progressBar');
+
+        // Progress bar uses aria-valuenow for the value
         const value = await progressBar.getAttribute('aria-valuenow');
-        expect(parseInt(value)).toBeGreaterThanOrEqual(50);
-    }).toPass({ timeout: 30000 });
-
-    // Stop the progress
-    await startButton.click();
-});
-
-/**
- * WAIT FOR PROGRESS TO COMPLETE (100%)
- * ------------------------------------
- * Wait for the bar to fill completely.
- */
-test('should wait for progress to complete', async ({ page }) => {
-    const startButton = page.locator('#startStopButton');
-    const progressBar = page.locator('#progressBar');
-
-    // Start
-    await startButton.click();
-
-    // Wait for 100% - progress bar shows "100%" text when complete
-    await expect(progressBar).toHaveText('100%', { timeout: 30000 });
-
-    // The button changes to "Reset" when complete
-    await expect(startButton).toHaveText('Reset', { timeout: 30000 });
+        console.log('Current progress:', value);
+
+        // Initially should be 0 - and stays 0 while the clock is paused
+        expect(value).toBe('0');
+        await page.clock.runFor(5000);
+        await expectProgress(page, 0);
+    });
+
+    /**
+     * START AND MONITOR PROGRESS
+     * --------------------------
+     * Each 100ms of fake time is exactly one percent.
+     */
+    test('should start progress bar', async ({ page }) => {
+        await page.locator('#startStopButton').click();
+
+        await page.clock.runFor(TICK_MS);
+        await expectProgress(page, 1);
+
+        await page.clock.runFor(9 * TICK_MS);
+        await expectProgress(page, 10);
+    });
+
+    /**
+     * WAIT FOR PROGRESS TO REACH VALUE
+     * --------------------------------
+     * No polling needed: advance to 50 and assert 50.
+     */
+    test('should wait for progress to reach 50%', async ({ page }) => {
+        const startButton = page.locator('#startStopButton');
+
+        await startButton.click();
+        await advanceTo(page, 50);
+        await expectProgress(page, 50);
+
+        // Stop the progress
+        await startButton.click();
+        await expect(startButton).toHaveText('Start');
+    });
+
+    /**
+     * WAIT FOR PROGRESS TO COMPLETE (100%)
+     * ------------------------------------
+     * 99% is still running; one more tick completes it.
+     */
+    test('should wait for progress to complete', async ({ page }) => {
+        const startButton = page.locator('#startStopButton');
+        const progressBar = page.locator('#progressBar');
+
+        await startButton.click();
+        await advanceTo(page, 99);
+        await expectProgress(page, 99);
+        await expect(startButton).toHaveText('Stop');
+
+        await page.clock.runFor(TICK_MS);
+        await expectProgress(page, 100);
+
+        // The button changes to "Reset" and the bar turns green
+        await expect(startButton).toHaveText('Reset');
+        await expect(progressBar).toHaveClass(/bg-success/);
+
+        // Completed bars do not overshoot
+        await page.clock.runFor(5000);
+        await expectProgress(page, 100);
+    });
+
+    /**
+     * RESET PROGRESS BAR
+     * ------------------
+     * After completion, reset to start over.
+     */
+    test('should reset progress bar after completion', async ({ page }) => {
+        const startButton = page.locator('#startStopButton');
+
+        await startButton.click();
+        await advanceTo(page, 100);
+        await expect(startButton).toHaveText('Reset');
+
+        // Click Reset
+        await startButton.click();
+
+        // Progress should return to 0 - and stay there
+        await expectProgress(page, 0);
+        await expect(startButton).toHaveText('Start');
+        await page.clock.runFor(2000);
+        await expectProgress(page, 0);
+    });
+
+    /**
+     * STOP PROGRESS MID-WAY
+     * ---------------------
+     * Stopped means no change however much time passes.
+     */
+    test('should stop progress bar mid-way', async ({ page }) => {
+        const startButton = page.locator('#startStopButton');
+
+        await startButton.click();
+        await advanceTo(page, 20);
+
+        // Stop
+        await startButton.click();
+        await expectProgress(page, 20);
+
+        // A whole minute later, still 20
+        await page.clock.runFor(60000);
+        await expectProgress(page, 20);
+    });
+
+    /**
+     * RESUME PROGRESS AFTER STOP
+     * --------------------------
+     * Stop then start again continues from where it left off.
+     */
+    test('should resume progress after stop', async ({ page }) => {
+        const startButton = page.locator('#startStopButton');
+
+        await startButton.click();
+        await advanceTo(page, 30);
+        await startButton.click();
+        await page.clock.runFor(3000);
+        await expectProgress(page, 30);
+
+        // Resume: exactly 10 more ticks is exactly 40
+        await startButton.click();
+        await page.clock.runFor(10 * TICK_MS);
+        await expectProgress(page, 40);
+    });
+
+    /**
+     * CHECK PROGRESS BAR VISUAL
+     * -------------------------
+     * The width matches the value at every step, not just at the end.
+     */
+    test('should verify progress bar width', async ({ page }) => {
+        await page.locator('#startStopButton').click();
+
+        for (const percent of [5, 25, 50, 75, 100]) {
+            await advanceTo(page, percent);
+            await expectProgress(page, percent);
+        }
+    });
+
+    /**
+     * MULTIPLE PROGRESS CYCLES
+     * ------------------------
+     * Complete, reset, and run again - exact values throughout.
+     */
+    test('should handle multiple progress cycles', async ({ page }) => {
+        const startButton = page.locator('#startStopButton');
+
+        // First cycle - complete
+        await startButton.click();
+        await advanceTo(page, 100);
+        await expectProgress(page, 100);
+
+        // Reset
+        await startButton.click();
+        await expectProgress(page, 0);
+
+        // Second cycle - start, stop at 37
+        await startButton.click();
+        await advanceTo(page, 37);
+        await startButton.click();
+        await expectProgress(page, 37);
+
+        // Resume and complete the second cycle
+        await startButton.click();
+        await advanceTo(page, 100);
+        await expectProgress(page, 100);
+        await expect(startButton).toHaveText('Reset');
+    });
 });
 
 /**
- * RESET PROGRESS BAR
- * ------------------
- * After completion, reset to start over.
- */
-test('should reset progress bar after completion', async ({ page }) => {
-    const startButton = page.locator('#startStopButton');
-    const progressBar = page.locator('#progressBar');
-
-    // Start and wait for completion
-    await startButton.click();
-    await expect(progressBar).toHaveText('100%', { timeout: 30000 });
-
-    // Button should now say "Reset"
-    await expect(startButton).toHaveText('Reset');
-
-    // Click Reset
-    await startButton.click();
-
-    // Progress should return to 0
-    await expect(progressBar).toHaveAttribute('aria-valuenow', '0');
-    await expect(progressBar).toHaveText('0%');
-
-    // Button should say "Start" again
-    await expect(startButton).toHaveText('Start');
-});
-
-/**
- * STOP PROGRESS MID-WAY
- * ---------------------
- * Start and stop before completion.
- */
-test('should stop progress bar mid-way', async ({ page }) => {
-    const startButton = page.locator('#startStopButton');
-    const progressBar = page.locator('#progressBar');
-
-    // Start
-    await startButton.click();
-
-    // Wait until some progress
-    await expect(async () => {
-        const value = await progressBar.getAttribute('aria-valuenow');
-        expect(parseInt(value)).toBeGreaterThanOrEqual(20);
-    }).toPass({ timeout: 5000 });
-
-    // Stop
-    await startButton.click();
-
-    // Record the value when stopped
-    const stoppedValue = await progressBar.getAttribute('aria-valuenow');
-    console.log('Stopped at:', stoppedValue + '%');
-
-    // Wait and verify it doesn't change (stayed stopped)
-    await page.waitForTimeout(500);
-    const afterWaitValue = await progressBar.getAttribute('aria-valuenow');
-    expect(afterWaitValue).toBe(stoppedValue);
-});
-
-/**
- * RESUME PROGRESS AFTER STOP
- * --------------------------
- * Stop then start again continues from where it left off.
- */
-test('should resume progress after stop', async ({ page }) => {
-    const startButton = page.locator('#startStopButton');
-    const progressBar = page.locator('#progressBar');
-
-    // Start
-    await startButton.click();
-
-    // Wait for some progress
-    await expect(async () => {
-        const value = await progressBar.getAttribute('aria-valuenow');
-        expect(parseInt(value)).toBeGreaterThanOrEqual(30);
-    }).toPass({ timeout: 10000 });
-
-    // Stop
-    await startButton.click();
-    const stoppedValue = parseInt(await progressBar.getAttribute('aria-valuenow'));
-
-    // Resume
-    await startButton.click();
-
-    // After a bit, should have more progress
-    await page.waitForTimeout(1000);
-    const resumedValue = parseInt(await progressBar.getAttribute('aria-valuenow'));
-
-    expect(resumedValue).toBeGreaterThan(stoppedValue);
-});
-
-/**
- * CHECK PROGRESS BAR VISUAL
- * -------------------------
- * Verify the visual width matches the value.
- */
-test('should verify progress bar width', async ({ page }) => {
-    const startButton = page.locator('#startStopButton');
-    const progressBar = page.locator('#progressBar');
-
-    // Start and wait for 50%
-    await startButton.click();
-
-    await expect(async () => {
-        const value = await progressBar.getAttribute('aria-valuenow');
-        expect(parseInt(value)).toBeGreaterThanOrEqual(50);
-    }).toPass({ timeout: 10000 });
-
-    // Stop
-    await startButton.click();
-
-    // Check the style width matches
-    const style = await progressBar.getAttribute('style');
-    const value = await progressBar.getAttribute('aria-valuenow');
-
-    // Style should contain width percentage
-    expect(style).toContain(`width: ${value}%`);
-});
-
-/**
- * USING waitForFunction FOR COMPLEX CONDITIONS
- * --------------------------------------------
- * Alternative approach using page.waitForFunction.
- */
-test('should use waitForFunction for progress', async ({ page }) => {
-    const startButton = page.locator('#startStopButton');
-
-    // Start
-    await startButton.click();
-
-    // Wait for progress using JavaScript in browser context
-    await page.waitForFunction(() => {
-        const bar = document.querySelector('#progressBar');
-        const value = bar?.getAttribute('aria-valuenow');
-        return value && parseInt(value) >= 40;
-    }, { timeout: 10000 });
-
-    // Verify
-    const progressBar = page.locator('#progressBar');
-    const value = await progressBar.getAttribute('aria-valuenow');
-    expect(parseInt(value)).toBeGreaterThanOrEqual(40);
-});
-
-/**
- * MULTIPLE PROGRESS CYCLES
- * ------------------------
- * Complete, reset, and run again.
+ * REAL-TIME PROGRESS
+ * ==================
+ * The same widget on the real clock - how you would wait without fake
+ * timers: poll for a condition, never sleep a fixed time.
  */
-test('should handle multiple progress cycles', async ({ page }) => {
-    const startButton = page.locator('#startStopButton');
-    const progressBar = page.locator('#progressBar');
-
-    // First cycle - complete
-    await startButton.click();
-    await expect(progressBar).toHaveText('100%', { timeout: 15000 });
-
-    // Reset
-    await startButton.click();
-    await expect(progressBar).toHaveAttribute('aria-valuenow', '0');
-
-    // Second cycle - just start
-    await startButton.click();
-    await expect(async () => {
+test.describe('Progress bar (real time)', () => {
+
+    test.beforeEach(async ({ demoqaPage }) => {
+        await demoqaPage('/progress-bar');
+    });
+
+    /**
+     * POLLING WITH toPass()
+     * ---------------------
+     * INTERVIEW TIP: toPass() retries until the assertion succeeds.
+     */
+    test('should poll until progress reaches 50%', async ({ page }) => {
+        const startButton = page.locator('#startStopButton');
+        const progressBar = page.locator('#progressBar');
+
+        // Start progress
+        await startButton.click();
+
+        // Wait until progress reaches at least 50%
+        await expect(async () => {
+            const value = await progressBar.getAttribute('aria-valuenow');
+            expect(parseInt(value)).toBeGreaterThanOrEqual(50);
+        }).toPass({ timeout: 30000 });
+
+        // Stop the progress
+        await startButton.click();
+    });
+
+    /**
+     * USING waitForFunction FOR COMPLEX CONDITIONS
+     * --------------------------------------------
+     * Alternative approach using page.waitForFunction.
+     */
+    test('should use waitForFunction for progress', async ({ page }) => {
+        const startButton = page.locator('#startStopButton');
+
+        // Start
+        await startButton.click();
+
+        // Wait for progress using JavaScript in browser context
+        await page.waitForFunction(() => {
+            const bar = document.querySelector('#progressBar');
+            const value = bar?.getAttribute('aria-valuenow');
+            return value && parseInt(value) >= 40;
+        }, { timeout: 10000 });
+
+        // Verify
+        const progressBar = page.locator('#progressBar');
         const value = await progressBar.getAttribute('aria-valuenow');
-        expect(parseInt(value)).toBeGreaterThan(0);
-    }).toPass({ timeout: 5000 });
-
-    // Stop mid-way
-    await startButton.click();
-
-    console.log('Second cycle stopped at:', await progressBar.getAttribute('aria-valuenow'));
+        expect(parseInt(value)).toBeGreaterThanOrEqual(40);
+    });
 });
 
 /**
@@ -299,4 +332,9 @@ test('should handle multiple progress cycles', async ({ page }) => {
  * - Succeeds as soon as condition is met
  * - Has maximum timeout as safety
  * - More reliable and faster
+ * 
+ * BEST (when the page is timer-driven):
+ * await page.clock.install();          // before goto
+ * await page.clock.runFor(5000);
+ * await expect(progressBar).toHaveAttribute('aria-valuenow', '50');
  */
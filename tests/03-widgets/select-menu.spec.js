@@ -8,17 +8,18 @@
  * - selectOption() - Native select dropdowns
  * - click() + option selection - Custom dropdowns
  * - Multi-select handling
- * - React Select components
+ * - React Select components (helpers/react-select.js)
  * 
  * INTERVIEW TIP: Know the difference between native <select>
  * elements and custom dropdown components. They require
  * different handling approaches.
  */
 
-const { test, expect } = require('@playwright/test');
+const { test, expect } = require('../../fixtures');
+const reactSelect = require('../../helpers/react-select');
 
-test.beforeEach(async ({ page }) => {
-    await page.goto('/select-menu', { waitUntil: 'domcontentloaded' });
+test.beforeEach(async ({ demoqaPage }) => {
+    await demoqaPage('/select-menu');
 });
 
 /**
@@ -72,18 +73,15 @@ test('should select option by index', async ({ page }) => {
  * REACT SELECT - SINGLE SELECT
  * ----------------------------
  * Custom dropdown built with React Select.
- * Requires clicking to open and then clicking option.
+ * The helper types to filter, clicks the exact option and reads the
+ * selection back (see helpers/react-select.js).
  */
 test('should handle React Select single dropdown', async ({ page }) => {
-    // Click to open the dropdown
-    // React Select is searchable, so we can fill the input to filter
-    // This is more reliable than clicking options that might be covered
-    const input = page.locator('#react-select-2-input');
-    await input.fill('Group 1, option 1');
-    await page.keyboard.press('Enter');
+    const dropdown = page.locator('#withOptGroup');
+    await reactSelect.choose(dropdown, 'Group 1, option 1');
 
     // Verify selection is shown
-    await expect(reactSelect).toContainText('Group 1, option 1');
+    expect(await reactSelect.readSelection(dropdown)).toEqual(['Group 1, option 1']);
 });
 
 /**
@@ -93,9 +91,10 @@ test('should handle React Select single dropdown', async ({ page }) => {
  */
 test('should select from grouped options', async ({ page }) => {
     const dropdown = page.locator('#withOptGroup');
-    // Using fill + enter for searching within the group
-    await dropdown.locator('input').fill('Group 2, option 1');
-    await page.keyboard.press('Enter');
+
+    // Searching narrows the menu to one option across all groups
+    expect(await reactSelect.search(dropdown, 'Group 2, option 1')).toEqual(['Group 2, option 1']);
+    await reactSelect.choose(dropdown, 'Group 2, option 1');
 
     // Verify
     await expect(dropdown).toContainText('Group 2, option 1');
@@ -108,10 +107,9 @@ test('should select from grouped options', async ({ page }) => {
  */
 test('should handle Select One dropdown', async ({ page }) => {
     const selectOne = page.locator('#selectOne');
-    await selectOne.click();
 
-    // Select an option
-    await page.getByText('Dr.', { exact: true }).click();
+    // Open the menu and click the option as listed (no typing)
+    await reactSelect.choose(selectOne, 'Dr.', { search: false });
 
     // Verify selection
     await expect(selectOne).toContainText('Dr.');
@@ -121,51 +119,49 @@ test('should handle Select One dropdown', async ({ page }) => {
  * MULTI-SELECT DROPDOWN
  * ---------------------
  * React Select with multiple selection enabled.
+ * The live site gives this one no id - it is the last React Select.
  */
 test('should handle multi-select dropdown', async ({ page }) => {
-    // Scroll to the multi-select
     const multiSelect = page.locator('.css-2b097c-container').last();
-    await multiSelect.scrollIntoViewIfNeeded();
-
-    // Click to open
-    await multiSelect.click();
 
-    // Select multiple options
-    // Select multiple options
-    // Scope to the dropdown menu to avoid matching native hidden <option>
-    await page.locator('.css-26l3qy-menu').getByText('Green', { exact: true }).click();
-
-    // Open again and select more
-    await multiSelect.click();
-    // Scope to the visible menu
-    await page.locator('.css-26l3qy-menu').getByText('Blue', { exact: true }).click();
+    // Select multiple options - each one shows up as a chip
+    await reactSelect.chooseMany(multiSelect, ['Green', 'Blue']);
 
     // Both should be selected (shown as tags)
-    await expect(multiSelect).toContainText('Green');
-    await expect(multiSelect).toContainText('Blue');
+    expect(await reactSelect.readSelection(multiSelect)).toEqual(['Green', 'Blue']);
 });
 
 /**
  * REMOVING SELECTION FROM MULTI-SELECT
  * ------------------------------------
- * Remove selected items in multi-select.
+ * Remove one chip with its ×, or everything with the clear indicator.
  */
 test('should remove selection from multi-select', async ({ page }) => {
     const multiSelect = page.locator('.css-2b097c-container').last();
-    await multiSelect.scrollIntoViewIfNeeded();
 
-    // Select an item first
-    await multiSelect.click();
-    await page.getByText('Red', { exact: true }).click();
+    // Select items first
+    await reactSelect.chooseMany(multiSelect, ['Red', 'Green', 'Black']);
+
+    // Click the × on the Red chip
+    await reactSelect.removeValue(multiSelect, 'Red');
+    expect(await reactSelect.readSelection(multiSelect)).toEqual(['Green', 'Black']);
 
-    // Verify it's selected
-    await expect(multiSelect).toContainText('Red');
+    // Clear indicator removes the rest
+    await reactSelect.clear(multiSelect);
+    expect(await reactSelect.readSelection(multiSelect)).toEqual([]);
+});
 
-    // Click the X on Green tag to remove it
-    await page.locator('.css-xb97g8', { hasText: 'Green' }).locator('svg').click();
+/**
+ * REACT SELECT - UNKNOWN OPTION
+ * -----------------------------
+ * Choosing a label the menu does not offer fails with the list of
+ * what it did offer, instead of a generic timeout.
+ */
+test('should report options offered when choosing a missing one', async ({ page }) => {
+    const selectOne = page.locator('#selectOne');
 
-    // Verify it's removed - should show placeholder
-    await expect(multiSelect).not.toContainText('Red');
+    await expect(reactSelect.choose(selectOne, 'Sir')).rejects.toThrow('does not offer "Sir"');
+    expect(await reactSelect.search(selectOne, 'M')).toEqual(expect.arrayContaining(['Mr.', 'Mrs.', 'Ms.']));
 });
 
 /**
@@ -10,16 +10,18 @@
  * - mouse.move() - Move mouse to position
  * - Mouse drag operations
  * - fill() for range inputs (limited support)
+ * - Value-to-pixel mapping (helpers/slider.js)
  * 
  * INTERVIEW TIP: Sliders require coordinate-based interaction.
  * Use boundingBox() to calculate positions accurately.
  * This is more complex than simple click/fill operations.
  */
 
-const { test, expect } = require('@playwright/test');
+const { test, expect } = require('../../fixtures');
+const sliderHelper = require('../../helpers/slider');
 
-test.beforeEach(async ({ page }) => {
-    await page.goto('/slider', { waitUntil: 'domcontentloaded' });
+test.beforeEach(async ({ demoqaPage }) => {
+    await demoqaPage('/slider');
 });
 
 /**
@@ -130,7 +132,8 @@ test('should drag slider to new position', async ({ page }) => {
     await page.mouse.move(endX, endY, { steps: 10 }); // steps for smooth drag
     await page.mouse.up();
 
-    // Verify value changed (may not be exactly 75 due to step)
+    // Verify value changed (may not be exactly 75: the thumb's centre
+    // never reaches the track edges - see helpers/slider.js)
     const newValue = await slider.inputValue();
     const numValue = parseInt(newValue);
     expect(numValue).toBeGreaterThan(50); // Should be around 75
@@ -322,6 +325,76 @@ test('should verify slider range attributes', async ({ page }) => {
     expect(parseInt(value)).toBeLessThanOrEqual(100);
 });
 
+/**
+ * SLIDER HELPER - EXACT VALUES
+ * ----------------------------
+ * setValue() computes the pixel for a value from min/max/step, drags
+ * there and verifies #sliderValue. An off-by-one landing is corrected
+ * with the arrow keys and reported as 'drag+keyboard'.
+ */
+test.describe('Slider helper', () => {
+
+    test('should read the range attributes', async ({ page }) => {
+        const range = page.locator('input[type="range"]');
+        expect(await sliderHelper.readRange(range)).toEqual({ min: 0, max: 100, step: 1, value: 25 });
+    });
+
+    for (const target of [0, 1, 33, 50, 99, 100]) {
+        test(`should drag to exactly ${target}`, async ({ page }) => {
+            const range = page.locator('input[type="range"]');
+
+            const { value, method } = await sliderHelper.setValue(range, target);
+
+            expect(value).toBe(target);
+            expect(['drag', 'drag+keyboard']).toContain(method);
+            await expect(page.locator('#sliderValue')).toHaveValue(String(target));
+        });
+    }
+
+    test('should step to a value with the keyboard', async ({ page }) => {
+        const range = page.locator('input[type="range"]');
+
+        await sliderHelper.setValue(range, 40, { strategy: 'keyboard' });
+        await sliderHelper.setValue(range, 37, { strategy: 'keyboard' });
+
+        await expect(page.locator('#sliderValue')).toHaveValue('37');
+    });
+
+    test('should map values to increasing pixels', async ({ page }) => {
+        const range = page.locator('input[type="range"]');
+        const box = await range.boundingBox();
+
+        const atMin = await sliderHelper.pixelFor(range, 0);
+        const atMid = await sliderHelper.pixelFor(range, 50);
+        const atMax = await sliderHelper.pixelFor(range, 100);
+
+        // Centre maps to the middle (give or take padding); the ends
+        // stay inside the track
+        expect(atMid.x).toBeCloseTo(box.x + box.width / 2, -1);
+        expect(atMin.x).toBeGreaterThan(box.x);
+        expect(atMax.x).toBeLessThan(box.x + box.width);
+        await expect(sliderHelper.pixelFor(range, 101)).rejects.toThrow('outside 0..100');
+    });
+
+    /**
+     * WALK EVERY VALUE
+     * ----------------
+     * Every value 0..100 must be reachable by mouse and by keyboard,
+     * with the mirror field in sync at each stop.
+     */
+    test('should reach every value by mouse and keyboard', async ({ page }) => {
+        test.slow();
+        const range = page.locator('input[type="range"]');
+
+        const report = await sliderHelper.walkAllValues(range);
+
+        expect(report.values).toBe(101);
+        expect(report.unreachableByMouse).toEqual([]);
+        expect(report.unreachableByKeyboard).toEqual([]);
+        expect(report.mirrorMismatches).toEqual([]);
+    });
+});
+
 /**
  * SLIDER BEST PRACTICES
  * =====================
@@ -333,7 +406,8 @@ test('should verify slider range attributes', async ({ page }) => {
  *    Use mouse operations (click, drag)
  * 
  * 3. Calculate Positions Accurately:
- *    Always use boundingBox() for coordinates
+ *    Always use boundingBox() for coordinates, and allow for the
+ *    thumb width - sliderHelper.pixelFor() does both
  * 
  * 4. Use steps for Smooth Drags:
  *    mouse.move(x, y, { steps: 10 })
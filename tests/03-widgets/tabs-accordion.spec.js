@@ -16,7 +16,7 @@
  * Focus on verifying both the trigger state AND the content state.
  */
 
-const { test, expect } = require('@playwright/test');
+const { test, expect } = require('../../fixtures');
 
 /**
  * TAB COMPONENT TESTS
@@ -24,8 +24,8 @@ const { test, expect } = require('@playwright/test');
  */
 test.describe('Tabs Component', () => {
 
-    test.beforeEach(async ({ page }) => {
-        await page.goto('/tabs', { waitUntil: 'domcontentloaded' });
+    test.beforeEach(async ({ demoqaPage }) => {
+        await demoqaPage('/tabs');
     });
 
     /**
@@ -157,8 +157,8 @@ test.describe('Tabs Component', () => {
  */
 test.describe('Accordion Component', () => {
 
-    test.beforeEach(async ({ page }) => {
-        await page.goto('/accordian', { waitUntil: 'domcontentloaded' });
+    test.beforeEach(async ({ demoqaPage }) => {
+        await demoqaPage('/accordian');
     });
 
     /**
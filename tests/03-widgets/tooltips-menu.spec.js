@@ -1,9 +1,9 @@
-const { test, expect } = require('@playwright/test');
+const { test, expect } = require('../../fixtures');
 
 test.describe('Tooltips and Menu', () => {
 
-    test.beforeEach(async ({ page }) => {
-        await page.goto('/tool-tips', { waitUntil: 'domcontentloaded' });
+    test.beforeEach(async ({ demoqaPage }) => {
+        await demoqaPage('/tool-tips');
     });
 
     /**
@@ -45,8 +45,8 @@ test.describe('Tooltips and Menu', () => {
 
 test.describe('Menu Hover', () => {
 
-    test.beforeEach(async ({ page }) => {
-        await page.goto('/menu', { waitUntil: 'domcontentloaded' });
+    test.beforeEach(async ({ demoqaPage }) => {
+        await demoqaPage('/menu');
     });
 
     /**
@@ -16,10 +16,10 @@
  * Playwright provides native support for all click types.
  */
 
-const { test, expect } = require('@playwright/test');
+const { test, expect } = require('../../fixtures');
 
-test.beforeEach(async ({ page }) => {
-    await page.goto('/buttons');
+test.beforeEach(async ({ demoqaPage }) => {
+    await demoqaPage('/buttons');
 });
 
 /**
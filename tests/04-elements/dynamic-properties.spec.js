@@ -16,10 +16,10 @@
  * use explicit waits vs relying on auto-wait.
  */
 
-const { test, expect } = require('@playwright/test');
+const { test, expect } = require('../../fixtures');
 
-test.beforeEach(async ({ page }) => {
-    await page.goto('/dynamic-properties');
+test.beforeEach(async ({ demoqaPage }) => {
+    await demoqaPage('/dynamic-properties');
 });
 
 /**
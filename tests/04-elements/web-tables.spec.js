@@ -11,16 +11,18 @@
  * - Delete row
  * - Search/filter functionality
  * - Pagination
+ * - Header-keyed row objects (helpers/web-table.js)
  * 
  * INTERVIEW TIP: Tables are common in applications. Know how to
  * locate specific rows, extract data, and perform operations
  * on table content.
  */
 
-const { test, expect } = require('@playwright/test');
+const { test, expect } = require('../../fixtures');
+const webTable = require('../../helpers/web-table');
 
-test.beforeEach(async ({ page }) => {
-    await page.goto('/webtables');
+test.beforeEach(async ({ demoqaPage }) => {
+    await demoqaPage('/webtables');
 });
 
 /**
@@ -48,15 +50,12 @@ test('should verify table headers', async ({ page }) => {
  * Count rows with data (non-empty rows).
  */
 test('should count table rows with data', async ({ page }) => {
-    // Rows with actual data (not empty placeholders)
-    const dataRows = page.locator('.rt-tbody .rt-tr-group').filter({
-        has: page.locator('.rt-td:not(:empty)')
-    });
+    // readRows() skips react-table's empty "-padRow" placeholders
+    const rows = await webTable.readRows(page.locator('.ReactTable'));
 
     // Initially there are 3 pre-filled rows
-    const count = await dataRows.count();
-    console.log('Rows with data:', count);
-    expect(count).toBeGreaterThanOrEqual(3);
+    console.log('Rows with data:', rows.length);
+    expect(rows).toHaveLength(3);
 });
 
 /**
@@ -65,21 +64,20 @@ test('should count table rows with data', async ({ page }) => {
  * Read specific cell values from the table.
  */
 test('should get specific cell data', async ({ page }) => {
-    // First data row
-    const firstRow = page.locator('.rt-tbody .rt-tr-group').first();
-
-    // Get cells from first row
-    const cells = firstRow.locator('.rt-td');
+    // First data row, keyed by header - Age and Salary are numbers
+    const [firstRow] = await webTable.readRows(page.locator('.ReactTable'));
 
-    // Read values
-    const firstName = await cells.nth(0).textContent();
-    const lastName = await cells.nth(1).textContent();
-    const email = await cells.nth(3).textContent();
-
-    console.log('First row:', { firstName, lastName, email });
+    console.log('First row:', firstRow);
 
     // Verify first row has Cierra (default data)
-    await expect(cells.nth(0)).toHaveText('Cierra');
+    expect(firstRow).toEqual({
+        'First Name': 'Cierra',
+        'Last Name': 'Vega',
+        Age: 39,
+        Email: 'cierra@example.com',
+        Salary: 10000,
+        Department: 'Insurance',
+    });
 });
 
 /**
@@ -109,9 +107,9 @@ test('should add new row to table', async ({ page }) => {
     // Modal should close
     await expect(modal).not.toBeVisible();
 
-    // Verify new row appears in table
-    await expect(page.locator('.rt-tbody')).toContainText('John');
-    await expect(page.locator('.rt-tbody')).toContainText('john@example.com');
+    // Verify new row appears in table - as a whole record
+    const john = await webTable.findBy(page.locator('.ReactTable'), row => row.Email === 'john@example.com');
+    expect(john).toMatchObject({ 'First Name': 'John', 'Last Name': 'Doe', Age: 30, Salary: 50000 });
 });
 
 /**
@@ -158,8 +156,9 @@ test('should edit existing row', async ({ page }) => {
     // Submit
     await page.locator('#submit').click();
 
-    // Verify changes
-    await expect(page.locator('.rt-tbody')).toContainText('UpdatedName');
+    // Verify changes - the row kept its email, only the name changed
+    const [firstRow] = await webTable.readRows(page.locator('.ReactTable'));
+    expect(firstRow).toMatchObject({ 'First Name': 'UpdatedName', Email: 'cierra@example.com' });
 });
 
 /**
@@ -168,17 +167,15 @@ test('should edit existing row', async ({ page }) => {
  * Click delete button to remove a row.
  */
 test('should delete a row', async ({ page }) => {
-    // Get initial text to verify deletion
-    const firstRowText = await page.locator('.rt-tbody .rt-tr-group').first().locator('.rt-td').nth(0).textContent();
-    console.log('Deleting row with:', firstRowText);
+    const table = page.locator('.ReactTable');
 
-    // Find delete button for first row
-    const deleteButton = page.locator('[title="Delete"]').first();
-    await deleteButton.click();
+    // Delete by data, not by position
+    const deleted = await webTable.deleteRecord(table, row => row.Department === 'Compliance');
+    console.log('Deleted row:', deleted);
 
-    // First row should now have different content (original deleted)
-    const newFirstRowText = await page.locator('.rt-tbody .rt-tr-group').first().locator('.rt-td').nth(0).textContent();
-    expect(newFirstRowText).not.toBe(firstRowText);
+    // Only the other two records remain
+    const emails = (await webTable.readRows(table)).map(row => row.Email);
+    expect(emails).toEqual(['cierra@example.com', 'kierra@example.com']);
 });
 
 /**
@@ -246,16 +243,11 @@ test('should find row by email', async ({ page }) => {
     const targetEmail = 'cierra@example.com';
 
     // Find the row containing this email
-    const row = page.locator('.rt-tr-group').filter({
-        has: page.locator('.rt-td', { hasText: targetEmail })
-    });
-
-    // Verify we found it
-    await expect(row).toBeVisible();
+    const row = await webTable.findBy(page.locator('.ReactTable'), r => r.Email === targetEmail);
 
-    // Get other data from same row
-    const cells = row.locator('.rt-td');
-    await expect(cells.nth(0)).toHaveText('Cierra');
+    // Verify we found it and read other data from the same row
+    expect(row).toBeDefined();
+    expect(row['First Name']).toBe('Cierra');
 });
 
 /**
@@ -264,29 +256,15 @@ test('should find row by email', async ({ page }) => {
  * Loop through table rows to extract data.
  */
 test('should iterate through table rows', async ({ page }) => {
-    const rows = page.locator('.rt-tbody .rt-tr-group');
-    const count = await rows.count();
-
-    const tableData = [];
-
-    for (let i = 0; i < count; i++) {
-        const row = rows.nth(i);
-        const cells = row.locator('.rt-td');
-
-        const firstName = await cells.nth(0).textContent();
-
-        // Skip empty rows
-        if (firstName && firstName.trim()) {
-            tableData.push({
-                firstName: firstName.trim(),
-                lastName: (await cells.nth(1).textContent())?.trim(),
-                email: (await cells.nth(3).textContent())?.trim()
-            });
-        }
-    }
+    // One evaluateAll() round trip instead of a locator call per cell
+    const tableData = await webTable.readRows(page.locator('.ReactTable'));
 
     console.log('Table data:', tableData);
-    expect(tableData.length).toBeGreaterThan(0);
+    expect(tableData.map(row => row['First Name'])).toEqual(['Cierra', 'Alden', 'Kierra']);
+
+    // Data assertions read like business rules
+    const totalSalary = tableData.reduce((sum, row) => sum + row.Salary, 0);
+    expect(totalSalary).toBe(24000);
 });
 
 /**
@@ -295,20 +273,71 @@ test('should iterate through table rows', async ({ page }) => {
  * Click column header to sort.
  */
 test('should sort table by column', async ({ page }) => {
-    // Click on First Name header to sort
-    const firstNameHeader = page.locator('.rt-th').filter({ hasText: 'First Name' });
-    await firstNameHeader.click();
+    const table = page.locator('.ReactTable');
+    const firstNames = async () => (await webTable.readRows(table)).map(row => row['First Name']);
 
-    // Get first row's first name after sort
-    const firstCell = page.locator('.rt-tbody .rt-tr-group').first().locator('.rt-td').first();
-    const firstValue = await firstCell.textContent();
+    // First click sorts ascending
+    await webTable.sortBy(table, 'First Name', 'asc');
+    expect(await firstNames()).toEqual(['Alden', 'Cierra', 'Kierra']);
 
-    // Click again for descending sort
-    await firstNameHeader.click();
+    // Second click sorts descending
+    await webTable.sortBy(table, 'First Name', 'desc');
+    expect(await firstNames()).toEqual(['Kierra', 'Cierra', 'Alden']);
 
-    // First cell might be different now
-    const newFirstValue = await firstCell.textContent();
-    console.log('Sort changed:', { firstValue, newFirstValue });
+    // Numeric columns sort as numbers, not text ("2000" < "10000")
+    await webTable.sortBy(table, 'Salary', 'asc');
+    expect((await webTable.readRows(table)).map(row => row.Salary)).toEqual([2000, 10000, 12000]);
+});
+
+/**
+ * PAGING THROUGH ALL ROWS
+ * -----------------------
+ * Add enough records to spill onto more pages, then read them all.
+ */
+test('should read rows across pages', async ({ page }) => {
+    const table = page.locator('.ReactTable');
+    await webTable.setRowsPerPage(table, 5);
+
+    for (let i = 1; i <= 4; i++) {
+        await webTable.addRecord(table, {
+            'First Name': `Temp${i}`,
+            'Last Name': 'User',
+            Email: `temp${i}@example.com`,
+            Age: 20 + i,
+            Salary: 1000 * i,
+            Department: 'QA',
+        });
+    }
+
+    // 7 records at 5 per page = 2 pages
+    expect(await webTable.pageInfo(table)).toMatchObject({ pages: 2 });
+    const everyone = await webTable.readAllRows(table);
+    expect(everyone).toHaveLength(7);
+
+    // findBy() pages on its own; edit/delete work on any page
+    await webTable.editRecord(table, row => row.Email === 'temp4@example.com', { Department: 'Platform' });
+    expect(await webTable.findBy(table, row => row.Email === 'temp4@example.com')).toMatchObject({ Department: 'Platform' });
+
+    await webTable.deleteRecord(table, row => row.Email === 'temp4@example.com');
+    expect(await webTable.findBy(table, row => row.Email === 'temp4@example.com')).toBeUndefined();
+});
+
+/**
+ * INVALID RECORD
+ * --------------
+ * The helper names the inputs the Registration Form rejected.
+ */
+test('should report rejected form fields', async ({ page }) => {
+    const table = page.locator('.ReactTable');
+
+    await expect(webTable.addRecord(table, {
+        'First Name': 'Bad',
+        'Last Name': 'Data',
+        Email: 'not-an-email',
+        Age: 'forty',
+        Salary: 1,
+        Department: 'QA',
+    })).rejects.toThrow('Registration Form rejected: userEmail, age');
 });
 
 /**
@@ -317,6 +346,7 @@ test('should sort table by column', async ({ page }) => {
  * 
  * 1. Use filter() to Find Rows:
  *    page.locator('.row').filter({ has: page.locator('text=value') })
+ *    Or read rows as objects: webTable.findBy(table, row => row.Email === x)
  * 
  * 2. Iterate When Needed:
  *    Use for loops with count() and nth()
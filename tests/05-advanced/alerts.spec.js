@@ -3,291 +3,287 @@
  * =================================
  * This file demonstrates handling JavaScript dialogs.
  * Tests DemoQA Alerts at https://demoqa.com/alerts
- * 
+ *
+ * Dialogs are expected with expectDialog() (helpers/dialogs.js); the
+ * dialogGuard fixture fails any test where a dialog went unanswered.
+ *
  * PLAYWRIGHT FEATURES COVERED:
- * - page.on('dialog') - Listen for dialogs
- * - dialog.accept() - Click OK
- * - dialog.dismiss() - Click Cancel
- * - dialog.message() - Get dialog text
- * - dialog.defaultValue() - Get prompt default value
- * - page.once('dialog') - One-time handler
- * 
+ * - page.waitForEvent('dialog') (inside expectDialog)
+ * - dialog.accept() / dialog.dismiss() - OK / Cancel
+ * - dialog.type(), message(), defaultValue()
+ * - page.on('dialog') / page.once('dialog') - raw event handlers
+ * - context.on('dialog') (the dialogGuard fixture)
+ *
  * INTERVIEW TIP: JavaScript dialogs (alert, confirm, prompt)
  * block the page. Playwright handles them via event listeners.
  * ALWAYS set up the listener BEFORE triggering the dialog.
  */
 
-const { test, expect } = require('@playwright/test');
+const { test, expect } = require('../../fixtures');
+const { expectDialog } = require('../../helpers/dialogs');
 
-test.beforeEach(async ({ page }) => {
-    await page.goto('/alerts', { waitUntil: 'domcontentloaded' });
+test.beforeEach(async ({ demoqaPage }) => {
+    await demoqaPage('/alerts');
 });
 
-/**
- * SIMPLE ALERT - page.on('dialog')
- * --------------------------------
- * Alerts just display a message with OK button.
- */
-test('should handle simple alert', async ({ page }) => {
-    // Set up dialog handler BEFORE clicking button
-    page.on('dialog', async dialog => {
-        // Verify dialog type
-        expect(dialog.type()).toBe('alert');
-
-        // Get alert message
-        console.log('Alert message:', dialog.message());
-        expect(dialog.message()).toBe('You clicked a button');
-
-        // Accept (click OK)
-        await dialog.accept();
-    });
+test.describe('expectDialog', () => {
 
-    // Click button that triggers alert
-    await page.locator('#alertButton').click();
-});
+    /**
+     * SIMPLE ALERT
+     * ------------
+     * Alerts just display a message with OK button.
+     */
+    test('should handle simple alert', async ({ page }) => {
+        const alert = expectDialog(page, { type: 'alert', message: 'You clicked a button' });
 
-/**
- * TIMED ALERT
- * -----------
- * Alert appears after a delay.
- */
-test('should handle timed alert', async ({ page }) => {
-    // Set up handler
-    page.on('dialog', async dialog => {
-        console.log('Timed alert received:', dialog.message());
-        expect(dialog.message()).toBe('This alert appeared after 5 seconds');
-        await dialog.accept();
+        // The click resolves once the dialog has been answered
+        await Promise.all([alert.accept(), page.locator('#alertButton').click()]);
     });
 
-    // Click button - alert appears after 5 seconds
-    await page.locator('#timerAlertButton').click();
-
-    // Wait a bit for the dialog to appear
-    await page.waitForTimeout(6000); // OK to use here as we're waiting for external timer
-});
-
-/**
- * CONFIRM DIALOG - ACCEPT (OK)
- * ----------------------------
- * Confirm dialogs have OK and Cancel buttons.
- */
-test('should accept confirm dialog', async ({ page }) => {
-    page.on('dialog', async dialog => {
-        // Verify it's a confirm dialog
-        expect(dialog.type()).toBe('confirm');
-        console.log('Confirm message:', dialog.message());
-
-        // Click OK
-        await dialog.accept();
+    /**
+     * TIMED ALERT
+     * -----------
+     * Alert appears 5 seconds after the click - wait for the dialog
+     * itself instead of sleeping.
+     */
+    test('should handle timed alert', async ({ page }) => {
+        const alert = expectDialog(page, {
+            type: 'alert',
+            message: 'This alert appeared after 5 seconds',
+            timeout: 10000,
+        });
+
+        // Nothing blocks yet, so the click returns straight away
+        await page.locator('#timerAlertButton').click();
+        await alert.accept();
     });
 
-    // Click button that triggers confirm
-    await page.locator('#confirmButton').click();
-
-    // Verify result message shows "Ok"
-    await expect(page.locator('#confirmResult')).toHaveText('You selected Ok');
-});
+    /**
+     * CONFIRM DIALOG - ACCEPT (OK) / DISMISS (Cancel)
+     * -----------------------------------------------
+     */
+    test('should accept confirm dialog', async ({ page }) => {
+        const confirm = expectDialog(page, { type: 'confirm', message: 'Do you confirm action?' });
 
-/**
- * CONFIRM DIALOG - DISMISS (Cancel)
- * ----------------------------------
- * Click Cancel on confirm dialog.
- */
-test('should dismiss confirm dialog', async ({ page }) => {
-    page.on('dialog', async dialog => {
-        expect(dialog.type()).toBe('confirm');
+        await Promise.all([confirm.accept(), page.locator('#confirmButton').click()]);
 
-        // Click Cancel
-        await dialog.dismiss();
+        await expect(page.locator('#confirmResult')).toHaveText('You selected Ok');
     });
 
-    await page.locator('#confirmButton').click();
+    test('should dismiss confirm dialog', async ({ page }) => {
+        const confirm = expectDialog(page, { type: 'confirm', message: 'Do you confirm action?' });
 
-    // Verify result shows "Cancel"
-    await expect(page.locator('#confirmResult')).toHaveText('You selected Cancel');
-});
+        await Promise.all([confirm.dismiss(), page.locator('#confirmButton').click()]);
 
-/**
- * PROMPT DIALOG - ENTER TEXT
- * --------------------------
- * Prompts allow text input.
- */
-test('should enter text in prompt', async ({ page }) => {
-    page.on('dialog', async dialog => {
-        // Verify it's a prompt
-        expect(dialog.type()).toBe('prompt');
-        console.log('Prompt message:', dialog.message());
-
-        // Enter text and accept
-        await dialog.accept('John Doe');
+        await expect(page.locator('#confirmResult')).toHaveText('You selected Cancel');
     });
 
-    // Click button that triggers prompt
-    await page.locator('#promtButton').click();
+    /**
+     * PROMPT DIALOG - ENTER TEXT / CANCEL
+     * -----------------------------------
+     * accept(text) types into the prompt before clicking OK.
+     */
+    test('should enter text in prompt', async ({ page }) => {
+        const prompt = expectDialog(page, { type: 'prompt', message: 'Please enter your name' });
 
-    // Verify result shows entered name
-    await expect(page.locator('#promptResult')).toHaveText('You entered John Doe');
-});
-
-/**
- * PROMPT DIALOG - CANCEL
- * ----------------------
- * Cancel prompt without entering text.
- */
-test('should cancel prompt dialog', async ({ page }) => {
-    page.on('dialog', async dialog => {
-        expect(dialog.type()).toBe('prompt');
+        await Promise.all([prompt.accept('John Doe'), page.locator('#promtButton').click()]);
 
-        // Dismiss (Cancel)
-        await dialog.dismiss();
+        await expect(page.locator('#promptResult')).toHaveText('You entered John Doe');
     });
 
-    await page.locator('#promtButton').click();
+    test('should cancel prompt dialog', async ({ page }) => {
+        const prompt = expectDialog(page, { type: 'prompt' });
 
-    // Result might not appear when cancelled
-    // Verify the button can be clicked again
-    await expect(page.locator('#promtButton')).toBeEnabled();
-});
+        await Promise.all([prompt.dismiss(), page.locator('#promtButton').click()]);
 
-/**
- * PROMPT - GET DEFAULT VALUE
- * --------------------------
- * Prompts can have a default value.
- */
-test('should get prompt default value', async ({ page }) => {
-    page.on('dialog', async dialog => {
-        // Get default value (if any)
-        const defaultValue = dialog.defaultValue();
-        console.log('Default value:', defaultValue);
-
-        // Accept with default or custom value
-        await dialog.accept(defaultValue || 'Custom Value');
+        // prompt() returned null, so no result is shown
+        await expect(page.locator('#promptResult')).toBeHidden();
     });
 
-    await page.locator('#promtButton').click();
-});
-
-/**
- * USING page.once() FOR SINGLE DIALOG
- * ------------------------------------
- * page.once() only handles the first dialog.
- */
-test('should use once for single dialog', async ({ page }) => {
-    // once() handles only the first dialog
-    page.once('dialog', async dialog => {
-        console.log('First dialog handled');
-        await dialog.accept();
-    });
+    /**
+     * PROMPT - DEFAULT VALUE
+     * ----------------------
+     * The answer resolves with what the dialog showed; DemoQA's prompt
+     * has no default value ('').
+     */
+    test('should get prompt default value', async ({ page }) => {
+        const prompt = expectDialog(page, { type: 'prompt', defaultValue: '' });
 
-    await page.locator('#alertButton').click();
+        const [seen] = await Promise.all([prompt.accept('Custom Value'), page.locator('#promtButton').click()]);
 
-    // If there was another alert, it wouldn't be handled by 'once'
-});
+        expect(seen).toEqual({ type: 'prompt', message: 'Please enter your name', defaultValue: '' });
+        await expect(page.locator('#promptResult')).toHaveText('You entered Custom Value');
+    });
 
-/**
- * DIALOG HANDLER PRIORITY
- * -----------------------
- * Multiple handlers can be set; all receive the event.
- */
-test('should handle dialog with multiple assertions', async ({ page }) => {
-    let dialogHandled = false;
+    /**
+     * MESSAGE AS REGEXP
+     * -----------------
+     * Match only the stable part of a message.
+     */
+    test('should match the message with a regular expression', async ({ page }) => {
+        const confirm = expectDialog(page, { message: /confirm action/ });
 
-    page.on('dialog', async dialog => {
-        // Multiple checks
-        expect(dialog.type()).toBe('alert');
-        expect(dialog.message()).toBeTruthy();
+        const [seen] = await Promise.all([confirm.accept(), page.locator('#confirmButton').click()]);
 
-        dialogHandled = true;
-        await dialog.accept();
+        expect(seen.type).toBe('confirm');
     });
 
-    await page.locator('#alertButton').click();
+    /**
+     * SEVERAL DIALOGS IN A ROW
+     * ------------------------
+     * One expectDialog() per dialog, each answered differently.
+     */
+    test('should answer consecutive dialogs', async ({ page }) => {
+        const alert = expectDialog(page, { type: 'alert' });
+        await Promise.all([alert.accept(), page.locator('#alertButton').click()]);
 
-    // Verify our handler ran
-    expect(dialogHandled).toBe(true);
-});
+        const confirm = expectDialog(page, { type: 'confirm' });
+        await Promise.all([confirm.dismiss(), page.locator('#confirmButton').click()]);
 
-/**
- * AUTO-ACCEPT DIALOGS
- * -------------------
- * Simple pattern to auto-accept all dialogs.
- */
-test('should auto-accept all dialogs', async ({ page }) => {
-    // Auto-accept all dialogs
-    page.on('dialog', dialog => dialog.accept());
+        await expect(page.locator('#confirmResult')).toHaveText('You selected Cancel');
+    });
+});
 
-    // Now any dialog is automatically accepted
-    await page.locator('#alertButton').click();
-    await page.locator('#confirmButton').click();
+test.describe('expectDialog failures', () => {
 
-    // Confirm was accepted (not dismissed)
-    await expect(page.locator('#confirmResult')).toHaveText('You selected Ok');
-});
+    /**
+     * NO DIALOG
+     * ---------
+     * The handle rejects with what was expected and for how long.
+     */
+    test('should fail clearly when no dialog appears', async ({ page }) => {
+        const confirm = expectDialog(page, { type: 'confirm', message: 'Do you confirm action?', timeout: 500 });
 
-/**
- * CONDITIONAL DIALOG HANDLING
- * ---------------------------
- * Different logic based on dialog type.
- */
-test('should handle different dialog types', async ({ page }) => {
-    page.on('dialog', async dialog => {
-        switch (dialog.type()) {
-            case 'alert':
-                await dialog.accept();
-                break;
-            case 'confirm':
-                await dialog.dismiss(); // Click Cancel on confirms
-                break;
-            case 'prompt':
-                await dialog.accept('Test input');
-                break;
-            default:
-                await dialog.accept();
-        }
+        await expect(confirm.accept()).rejects.toThrow(
+            'Expected confirm dialog "Do you confirm action?" but no dialog appeared within 500ms');
     });
 
-    // Test with confirm - should be dismissed
-    await page.locator('#confirmButton').click();
-    await expect(page.locator('#confirmResult')).toHaveText('You selected Cancel');
+    /**
+     * WRONG DIALOG
+     * ------------
+     * The wrong dialog is dismissed (the page is not left blocked) and
+     * reported by the handle and by dialogGuard.
+     */
+    test.describe('with the guard reporting only', () => {
+        test.use({ failOnUnexpectedDialogs: false });
+
+        test('should fail clearly when a different dialog appears', async ({ page, dialogGuard }) => {
+            const confirm = expectDialog(page, { type: 'confirm', message: 'Do you confirm action?' });
+
+            const [answer] = await Promise.allSettled([confirm.accept(), page.locator('#alertButton').click()]);
+
+            expect(answer.status).toBe('rejected');
+            expect(answer.reason.message).toBe(
+                'Expected confirm dialog "Do you confirm action?" but got alert dialog "You clicked a button"');
+            await expect.poll(() => dialogGuard).toEqual([
+                expect.objectContaining({ type: 'alert', message: 'You clicked a button', reason: 'unexpected' }),
+            ]);
+        });
+
+        /**
+         * UNHANDLED DIALOG
+         * ----------------
+         * Nobody listens: the guard dismisses the confirm after its grace
+         * period (so the app sees Cancel) and records it. With the
+         * default failOnUnexpectedDialogs this test would fail with
+         *   1 unexpected dialog:
+         *     - confirm dialog "Do you confirm action?" (unhandled)
+         */
+        test('should record a dialog nobody answered', async ({ page, dialogGuard }) => {
+            await page.locator('#confirmButton').click();
+
+            await expect(page.locator('#confirmResult')).toHaveText('You selected Cancel');
+            await expect.poll(() => dialogGuard).toEqual([
+                expect.objectContaining({ type: 'confirm', message: 'Do you confirm action?', reason: 'unhandled' }),
+            ]);
+        });
+
+        /**
+         * UNANSWERED DIALOG
+         * -----------------
+         * expectDialog() matched the confirm but accept() / dismiss()
+         * never ran: the guard dismisses it instead of leaving the page
+         * blocked, and reports it as unanswered.
+         */
+        test('should record an expected dialog that was never answered', async ({ page, dialogGuard }) => {
+            const confirm = expectDialog(page, { type: 'confirm', message: 'Do you confirm action?' });
+            await page.locator('#confirmButton').click();
+
+            await expect(page.locator('#confirmResult')).toHaveText('You selected Cancel');
+            await expect.poll(() => dialogGuard).toEqual([
+                expect.objectContaining({ type: 'confirm', message: 'Do you confirm action?', reason: 'unanswered' }),
+            ]);
+            await expect(confirm.accept()).rejects.toThrow();
+        });
+    });
 });
 
-/**
- * REMOVING DIALOG HANDLER
- * -----------------------
- * Remove event listener when done.
- */
-test('should remove dialog handler', async ({ page }) => {
-    const handler = async (dialog) => {
-        await dialog.accept();
-    };
+test.describe('Raw dialog events', () => {
 
-    // Add handler
-    page.on('dialog', handler);
+    /**
+     * page.once('dialog')
+     * -------------------
+     * Hand-written handlers still work - the guard only steps in when
+     * nobody answered the dialog.
+     */
+    test('should use once for single dialog', async ({ page, dialogGuard }) => {
+        page.once('dialog', async dialog => {
+            expect(dialog.type()).toBe('alert');
+            expect(dialog.message()).toBe('You clicked a button');
+            await dialog.accept();
+        });
 
-    // Remove handler
-    page.off('dialog', handler);
+        await page.locator('#alertButton').click();
 
-    // Now dialogs would block if triggered
-    // (Don't trigger one without handler in real tests)
+        expect(dialogGuard).toEqual([]);
+    });
+
+    /**
+     * CONDITIONAL HANDLING
+     * --------------------
+     * One page.on('dialog') answering by type - handy for flows that
+     * open several dialogs, at the cost of not checking each message.
+     */
+    test('should handle different dialog types', async ({ page }) => {
+        const seen = [];
+        const handler = async dialog => {
+            seen.push(dialog.type());
+            if (dialog.type() === 'confirm') await dialog.dismiss();
+            else if (dialog.type() === 'prompt') await dialog.accept('Test input');
+            else await dialog.accept();
+        };
+        page.on('dialog', handler);
+
+        await page.locator('#alertButton').click();
+        await page.locator('#confirmButton').click();
+        await page.locator('#promtButton').click();
+
+        // Remove the handler when done so later dialogs are not swallowed
+        page.off('dialog', handler);
+
+        expect(seen).toEqual(['alert', 'confirm', 'prompt']);
+        await expect(page.locator('#confirmResult')).toHaveText('You selected Cancel');
+        await expect(page.locator('#promptResult')).toHaveText('You entered Test input');
+    });
 });
 
 /**
  * DIALOG BEST PRACTICES
  * =====================
- * 
- * 1. Set Handler BEFORE Action:
- *    page.on('dialog', handler);
- *    await button.click(); // NOT the other way around
- * 
- * 2. Always Handle Dialogs:
- *    Unhandled dialogs will timeout your test
- * 
- * 3. Use once() for Single Dialogs:
- *    page.once('dialog', ...) for one-time handling
- * 
+ *
+ * 1. Expect Before Acting:
+ *    const confirm = expectDialog(page, { type: 'confirm' });
+ *    await Promise.all([confirm.accept(), button.click()]);
+ *
+ * 2. Every Dialog Must Be Answered:
+ *    dialogGuard fails the test for dialogs nobody handled
+ *
+ * 3. Wait For The Dialog, Not A Timer:
+ *    expectDialog(page, { timeout: 10000 }) instead of waitForTimeout()
+ *
  * 4. Verify Dialog Content:
- *    Check message(), type(), defaultValue()
- * 
+ *    type, message (string or RegExp), defaultValue
+ *
  * 5. Accept vs Dismiss:
  *    accept() = OK, dismiss() = Cancel
  */
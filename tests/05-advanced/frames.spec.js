@@ -17,7 +17,7 @@
  * You must use frameLocator() or frame() to access them.
  */
 
-const { test, expect } = require('@playwright/test');
+const { test, expect } = require('../../fixtures');
 
 /**
  * BASIC IFRAME ACCESS
@@ -25,8 +25,8 @@ const { test, expect } = require('@playwright/test');
  */
 test.describe('Basic Frame Handling', () => {
 
-    test.beforeEach(async ({ page }) => {
-        await page.goto('/frames', { waitUntil: 'domcontentloaded' });
+    test.beforeEach(async ({ demoqaPage }) => {
+        await demoqaPage('/frames');
     });
 
     /**
@@ -145,8 +145,8 @@ test.describe('Basic Frame Handling', () => {
  */
 test.describe('Nested Frames', () => {
 
-    test.beforeEach(async ({ page }) => {
-        await page.goto('/nestedframes', { waitUntil: 'domcontentloaded' });
+    test.beforeEach(async ({ demoqaPage }) => {
+        await demoqaPage('/nestedframes');
     });
 
     /**
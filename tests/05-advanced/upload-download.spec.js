@@ -9,47 +9,43 @@
  * - waitForEvent('download') - Handle downloads
  * - download.path() - Get downloaded file path
  * - download.saveAs() - Save to specific location
- * - Creating test files programmatically
+ * - The downloads fixture (fixtures/downloads.js) - size, type, hash, parsing
+ * - Creating test files programmatically (the files fixture)
  * 
  * INTERVIEW TIP: File uploads use setInputFiles() on the input.
  * Downloads require waiting for the download event.
  * Both are common interview topics!
  */
 
-const { test, expect } = require('@playwright/test');
+const { test, expect } = require('../../fixtures');
+const crypto = require('crypto');
 const path = require('path');
 const fs = require('fs');
 
-test.beforeEach(async ({ page }) => {
-    await page.goto('/upload-download', { waitUntil: 'domcontentloaded' });
+test.beforeEach(async ({ demoqaPage }) => {
+    await demoqaPage('/upload-download');
 });
 
 /**
  * FILE UPLOAD - BASIC
  * -------------------
- * Upload a single file using setInputFiles().
+ * Upload a single file using setInputFiles(). The files fixture writes
+ * it to a per-test temp folder and removes it afterwards - no
+ * try/finally, nothing written next to the spec.
  */
-test('should upload a file', async ({ page }) => {
-    // Create a test file to upload
-    const testFilePath = path.join(__dirname, 'test-upload.txt');
-    fs.writeFileSync(testFilePath, 'Test file content for upload');
-
-    try {
-        // Find the file input
-        const fileInput = page.locator('#uploadFile');
-
-        // Upload the file
-        await fileInput.setInputFiles(testFilePath);
-
-        // Verify upload success message
-        const uploadPath = page.locator('#uploadedFilePath');
-        await expect(uploadPath).toBeVisible();
-        await expect(uploadPath).toContainText('test-upload.txt');
-
-    } finally {
-        // Clean up test file
-        fs.unlinkSync(testFilePath);
-    }
+test('should upload a file', async ({ page, files }) => {
+    const testFile = files.text({ name: 'test-upload.txt', content: 'Test file content for upload' });
+
+    // Find the file input
+    const fileInput = page.locator('#uploadFile');
+
+    // Upload the file
+    await fileInput.setInputFiles(testFile);
+
+    // Verify upload success message
+    const uploadPath = page.locator('#uploadedFilePath');
+    await expect(uploadPath).toBeVisible();
+    await expect(uploadPath).toContainText('test-upload.txt');
 });
 
 /**
@@ -57,29 +53,21 @@ test('should upload a file', async ({ page }) => {
  * ---------------------
  * Upload multiple files at once.
  */
-test('should upload multiple files', async ({ page }) => {
-    // Create test files
-    const file1Path = path.join(__dirname, 'file1.txt');
-    const file2Path = path.join(__dirname, 'file2.txt');
-    fs.writeFileSync(file1Path, 'Content 1');
-    fs.writeFileSync(file2Path, 'Content 2');
-
-    try {
-        // Note: DemoQA's upload may only handle single file
-        // This demonstrates the syntax for multiple files
-        const fileInput = page.locator('#uploadFile');
-
-        // For multiple file upload (if supported):
-        // await fileInput.setInputFiles([file1Path, file2Path]);
-
-        // Single file upload
-        await fileInput.setInputFiles(file1Path);
-        await expect(page.locator('#uploadedFilePath')).toContainText('file1.txt');
-
-    } finally {
-        fs.unlinkSync(file1Path);
-        fs.unlinkSync(file2Path);
-    }
+test('should upload multiple files', async ({ page, files }) => {
+    const file1 = files.text({ name: 'file1.txt', content: 'Content 1' });
+    const file2 = files.text({ name: 'file2.txt', content: 'Content 2' });
+
+    // Note: DemoQA's input is not <input multiple>, so Playwright
+    // refuses an array of two here. On a multiple input:
+    // await fileInput.setInputFiles([file1, file2]);
+    const fileInput = page.locator('#uploadFile');
+    expect(await fileInput.evaluate(input => input.multiple)).toBe(false);
+
+    // One at a time - the last one wins
+    await fileInput.setInputFiles(file1);
+    await expect(page.locator('#uploadedFilePath')).toContainText('file1.txt');
+    await fileInput.setInputFiles(file2);
+    await expect(page.locator('#uploadedFilePath')).toContainText('file2.txt');
 });
 
 /**
@@ -87,61 +75,143 @@ test('should upload multiple files', async ({ page }) => {
  * ----------------
  * Remove selected files from input.
  */
-test('should clear file input', async ({ page }) => {
-    const testFilePath = path.join(__dirname, 'clear-test.txt');
-    fs.writeFileSync(testFilePath, 'Content');
+test('should clear file input', async ({ page, files }) => {
+    const fileInput = page.locator('#uploadFile');
 
-    try {
-        const fileInput = page.locator('#uploadFile');
+    // Upload file
+    await fileInput.setInputFiles(files.text({ name: 'clear-test.txt', content: 'Content' }));
+    await expect(page.locator('#uploadedFilePath')).toBeVisible();
 
-        // Upload file
-        await fileInput.setInputFiles(testFilePath);
-        await expect(page.locator('#uploadedFilePath')).toBeVisible();
+    // Clear the file input - the page hides the path again
+    await fileInput.setInputFiles([]);
+    expect(await fileInput.evaluate(input => input.files.length)).toBe(0);
+    await expect(page.locator('#uploadedFilePath')).toBeHidden();
+});
 
-        // Clear the file input
-        await fileInput.setInputFiles([]);
+/**
+ * GENERATED FILE TYPES
+ * --------------------
+ * Every kind the files fixture makes reaches the page with its name,
+ * size and MIME type intact - including an empty file, a non-ASCII
+ * name and a 5 MB file.
+ */
+test.describe('Generated upload files', () => {
+    const KINDS = [
+        { kind: 'png', options: { width: 40, height: 30 }, type: 'image/png' },
+        { kind: 'jpeg', options: { width: 40, height: 30 }, type: 'image/jpeg' },
+        { kind: 'pdf', options: { text: 'Upload test' }, type: 'application/pdf' },
+        { kind: 'csv', options: { rows: [{ name: 'Ann, Jr.', age: 30 }] }, type: 'text/csv' },
+        { kind: 'empty', options: {}, type: 'text/plain' },
+        { kind: 'unicode', options: {}, type: 'text/plain' },
+        // .bin has no standard type - browsers differ, so it is not checked
+        { kind: 'large', options: { megabytes: 5 }, type: null },
+    ];
+
+    for (const { kind, options, type } of KINDS) {
+        test(`should upload a generated ${kind} file`, async ({ page, files }) => {
+            const filePath = files[kind](options);
+            const name = path.basename(filePath);
+
+            await page.locator('#uploadFile').setInputFiles(filePath);
+
+            await expect(page.locator('#uploadedFilePath')).toHaveText(`C:\\fakepath\\${name}`);
+            const selected = await page.locator('#uploadFile').evaluate(input => {
+                const [file] = input.files;
+                return { name: file.name, size: file.size, type: file.type };
+            });
+            // The browser derives type from the extension
+            expect(selected).toMatchObject({ name, size: fs.statSync(filePath).size });
+            if (type !== null) expect(selected.type).toBe(type);
+        });
+    }
 
-        // Upload path may still show previous file on DemoQA
-        // In some apps, clearing would reset the UI
+    test('should clean up generated files after the test', async ({ files }) => {
+        const filePath = files.pdf();
 
-    } finally {
-        fs.unlinkSync(testFilePath);
-    }
+        expect(fs.existsSync(filePath)).toBe(true);
+        expect(filePath.startsWith(files.dir)).toBe(true);
+        // Outside the repo, so a crashed run never leaves files in git status
+        expect(path.relative(process.cwd(), files.dir).startsWith('..')).toBe(true);
+    });
 });
 
 /**
  * FILE DOWNLOAD - BASIC
  * ---------------------
- * Download a file and verify.
+ * The downloads fixture saves the file into this test's output folder
+ * and describes it - no waitForEvent() bookkeeping in the test.
  */
-test('should download a file', async ({ page }) => {
-    // Start waiting for download BEFORE clicking
-    const downloadPromise = page.waitForEvent('download');
+test('should download a file', async ({ page, downloads }) => {
+    const file = await downloads.capture(() => page.locator('#downloadButton').click());
 
-    // Click download button
-    await page.locator('#downloadButton').click();
+    expect(file.suggestedFilename).toBe('sampleFile.jpeg');
+    expect(file.failure).toBeNull();
+    expect(file.path.startsWith(downloads.dir)).toBe(true);
+    expect(fs.existsSync(file.path)).toBe(true);
+});
 
-    // Wait for download to start
-    const download = await downloadPromise;
+/**
+ * DOWNLOAD METADATA
+ * -----------------
+ * Size, type sniffed from the bytes (not the name) and SHA-256 - the
+ * same file downloaded twice must hash the same.
+ */
+test('should record size, type and hash of a download', async ({ page, downloads }) => {
+    const first = await downloads.capture(() => page.locator('#downloadButton').click());
+    const second = await downloads.capture(() => page.locator('#downloadButton').click());
+
+    expect(first.mimeType).toBe('image/jpeg');
+    expect(first.size).toBe(fs.statSync(first.path).size);
+    expect(first.sha256).toMatch(/^[0-9a-f]{64}$/);
+    expect(second.sha256).toBe(first.sha256);
+
+    // Same suggested name, separate files
+    expect(path.basename(second.path)).toBe('sampleFile-2.jpeg');
+    expect(await downloads.all()).toHaveLength(2);
+});
 
-    // Get suggested filename
-    console.log('Downloaded file:', download.suggestedFilename());
-    expect(download.suggestedFilename()).toBeDefined();
+/**
+ * GET DOWNLOAD CONTENT
+ * --------------------
+ * The saved file is an ordinary file - its bytes match the record.
+ */
+test('should read downloaded file content', async ({ page, downloads }) => {
+    const file = await downloads.capture(() => page.locator('#downloadButton').click());
 
-    // Wait for download to complete and get path
-    const filePath = await download.path();
-    console.log('File saved to:', filePath);
+    const content = fs.readFileSync(file.path);
+    expect(content.length).toBe(file.size);
+    expect(crypto.createHash('sha256').update(content).digest('hex')).toBe(file.sha256);
+});
 
-    // Verify file exists
-    expect(fs.existsSync(filePath)).toBe(true);
+/**
+ * PARSE THE DOWNLOADED IMAGE
+ * --------------------------
+ * Dimensions are read from the JPEG header and cross-checked with the
+ * browser decoding the same URL.
+ */
+test('should download an image with its real dimensions', async ({ page, downloads }) => {
+    const file = await downloads.capture(() => page.locator('#downloadButton').click());
+
+    const image = downloads.parse(file);
+    const decoded = await page.evaluate(async url => {
+        const img = new Image();
+        img.src = url;
+        await img.decode();
+        return { width: img.naturalWidth, height: img.naturalHeight };
+    }, file.url);
+
+    expect(image).toEqual({ mimeType: 'image/jpeg', ...decoded });
+    expect(image.width).toBeGreaterThan(0);
+    expect(image.height).toBeGreaterThan(0);
 });
 
 /**
  * DOWNLOAD TO SPECIFIC LOCATION
  * -----------------------------
- * Use saveAs() to download to specific path.
+ * The raw API: waitForEvent('download') + saveAs(). Start waiting
+ * BEFORE clicking.
  */
-test('should download to specific location', async ({ page }) => {
+test('should download to specific location', async ({ page, artifacts }) => {
     const downloadPromise = page.waitForEvent('download');
 
     await page.locator('#downloadButton').click();
@@ -149,68 +219,36 @@ test('should download to specific location', async ({ page }) => {
     const download = await downloadPromise;
 
     // Save to specific location
-    const savePath = path.join(__dirname, 'downloads', download.suggestedFilename());
-
-    // Create downloads directory if needed
-    const downloadDir = path.dirname(savePath);
-    if (!fs.existsSync(downloadDir)) {
-        fs.mkdirSync(downloadDir, { recursive: true });
-    }
-
-    // Save the file
+    const savePath = path.join(artifacts, download.suggestedFilename());
     await download.saveAs(savePath);
 
-    // Verify file was saved
+    // Verify file was saved; path() is Playwright's own temporary copy
     expect(fs.existsSync(savePath)).toBe(true);
-
-    // Clean up
-    fs.unlinkSync(savePath);
-    fs.rmdirSync(downloadDir);
+    expect(fs.existsSync(await download.path())).toBe(true);
+    expect(download.suggestedFilename()).toBe('sampleFile.jpeg');
 });
 
 /**
- * GET DOWNLOAD CONTENT
- * --------------------
- * Read downloaded file content for verification.
+ * DOWNLOAD FAILURE HANDLING
+ * -------------------------
+ * download.failure() is null for a completed download; the fixture
+ * copies it into the record.
  */
-test('should read downloaded file content', async ({ page }) => {
-    const downloadPromise = page.waitForEvent('download');
-
-    await page.locator('#downloadButton').click();
-
-    const download = await downloadPromise;
-
-    // Get path and read content
-    const filePath = await download.path();
+test('should handle download failure', async ({ page, downloads }) => {
+    const file = await downloads.capture(() => page.locator('#downloadButton').click());
 
-    if (filePath) {
-        const content = fs.readFileSync(filePath);
-        console.log('File size:', content.length, 'bytes');
-        expect(content.length).toBeGreaterThan(0);
-    }
+    expect(file.failure).toBeNull();
+    expect(file.size).toBeGreaterThan(0);
 });
 
 /**
- * DOWNLOAD FAILURE HANDLING
- * -------------------------
- * Handle when download fails.
+ * NO DOWNLOAD
+ * -----------
+ * capture() fails clearly when the action starts no download.
  */
-test('should handle download failure', async ({ page }) => {
-    const downloadPromise = page.waitForEvent('download');
-
-    await page.locator('#downloadButton').click();
-
-    const download = await downloadPromise;
-
-    // Check for failure
-    const failure = await download.failure();
-
-    if (failure) {
-        console.log('Download failed:', failure);
-    } else {
-        console.log('Download succeeded');
-        expect(failure).toBeNull();
-    }
+test('should fail when an action starts no download', async ({ page, downloads }) => {
+    await expect(downloads.capture(() => page.locator('#uploadFile').hover(), { timeout: 500 }))
+        .rejects.toThrow('No download started within 500ms');
 });
 
 /**
@@ -235,20 +273,23 @@ test('should upload file from buffer', async ({ page }) => {
 /**
  * UPLOAD IMAGE FILE
  * -----------------
- * Uploading a specific file type.
+ * A real PNG built in memory - { name, mimeType, buffer } straight
+ * from the files fixture.
  */
-test('should upload image file', async ({ page }) => {
+test('should upload image file', async ({ page, files }) => {
     const fileInput = page.locator('#uploadFile');
 
-    // Upload from buffer with image mime type
-    await fileInput.setInputFiles({
-        name: 'test-image.png',
-        mimeType: 'image/png',
-        buffer: Buffer.from('fake-image-data') // In real tests, use actual image data
-    });
+    await fileInput.setInputFiles(files.png({ name: 'test-image.png', width: 20, height: 10, inMemory: true }));
 
     // Verify filename in result
     await expect(page.locator('#uploadedFilePath')).toContainText('test-image.png');
+
+    // The browser can decode it - it is a real image, not "fake-image-data"
+    const size = await fileInput.evaluate(async input => {
+        const bitmap = await createImageBitmap(input.files[0]);
+        return { width: bitmap.width, height: bitmap.height };
+    });
+    expect(size).toEqual({ width: 20, height: 10 });
 });
 
 /**
@@ -288,12 +329,13 @@ test('should handle hidden file input', async ({ page }) => {
  * 
  * UPLOAD:
  * 1. Use setInputFiles() on input[type="file"]
- * 2. Can use file path or buffer
+ * 2. Can use file path or buffer - generate both with the files fixture
  * 3. Works even on hidden inputs
  * 4. For multiple: setInputFiles([path1, path2])
  * 5. To clear: setInputFiles([])
  * 
  * DOWNLOAD:
+ * 0. Prefer downloads.capture(action) - saved, hashed and attached
  * 1. Set up waitForEvent BEFORE click
  * 2. Use download.suggestedFilename()
  * 3. download.path() for temp location
@@ -17,7 +17,7 @@
  * to use explicit waits. NEVER use waitForTimeout in production code.
  */
 
-const { test, expect } = require('@playwright/test');
+const { test, expect } = require('../../fixtures');
 
 /**
  * AUTO-WAIT MECHANISM
@@ -15,10 +15,10 @@
  * Use waitForEvent('page') to capture them. Context holds all pages.
  */
 
-const { test, expect } = require('@playwright/test');
+const { test, expect } = require('../../fixtures');
 
-test.beforeEach(async ({ page }) => {
-    await page.goto('/browser-windows', { waitUntil: 'domcontentloaded' });
+test.beforeEach(async ({ demoqaPage }) => {
+    await demoqaPage('/browser-windows');
 });
 
 /**
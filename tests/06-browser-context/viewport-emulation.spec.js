@@ -15,7 +15,7 @@
  * correct viewport, user agent, and touch capability.
  */
 
-const { test, expect, devices } = require('@playwright/test');
+const { test, expect, devices } = require('../../fixtures');
 
 /**
  * SET VIEWPORT SIZE
@@ -100,7 +100,7 @@ test('should test responsive breakpoints', async ({ page }) => {
  * ------------------
  * Playwright has built-in device descriptors.
  */
-test('should use device descriptor', async ({ browser }) => {
+test('should use device descriptor', async ({ browser, baseURL }) => {
     // Get iPhone 12 device settings
     const iPhone12 = devices['iPhone 12'];
 
@@ -117,7 +117,7 @@ test('should use device descriptor', async ({ browser }) => {
     });
 
     const page = await context.newPage();
-    await page.goto('https://demoqa.com', { waitUntil: 'domcontentloaded' });
+    await page.goto(baseURL, { waitUntil: 'domcontentloaded' });
 
     // Verify viewport matches device
     const viewport = page.viewportSize();
@@ -131,7 +131,7 @@ test('should use device descriptor', async ({ browser }) => {
  * ----------------------------
  * Test with different pixel densities.
  */
-test('should set device scale factor', async ({ browser }) => {
+test('should set device scale factor', async ({ browser, baseURL }) => {
     // Create context with scale factor
     const context = await browser.newContext({
         viewport: { width: 375, height: 667 },
@@ -139,7 +139,7 @@ test('should set device scale factor', async ({ browser }) => {
     });
 
     const page = await context.newPage();
-    await page.goto('https://demoqa.com', { waitUntil: 'domcontentloaded' });
+    await page.goto(baseURL, { waitUntil: 'domcontentloaded' });
 
     // Screenshots will be 2x resolution
     await page.screenshot({ path: 'test-results/retina-screenshot.png' });
@@ -152,7 +152,7 @@ test('should set device scale factor', async ({ browser }) => {
  * ----------------------
  * Enable touch for mobile testing.
  */
-test('should emulate touch device', async ({ browser }) => {
+test('should emulate touch device', async ({ browser, baseURL }) => {
     const context = await browser.newContext({
         viewport: { width: 375, height: 667 },
         hasTouch: true,
@@ -160,7 +160,7 @@ test('should emulate touch device', async ({ browser }) => {
     });
 
     const page = await context.newPage();
-    await page.goto('https://demoqa.com', { waitUntil: 'domcontentloaded' });
+    await page.goto(baseURL, { waitUntil: 'domcontentloaded' });
 
     // Touch events work on this page
     // Elements behave as on mobile
@@ -173,14 +173,14 @@ test('should emulate touch device', async ({ browser }) => {
  * -------------------
  * Set custom user agent string.
  */
-test('should set custom user agent', async ({ browser }) => {
+test('should set custom user agent', async ({ browser, baseURL }) => {
     const context = await browser.newContext({
         viewport: { width: 375, height: 667 },
         userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 14_0 like Mac OS X) AppleWebKit/605.1.15'
     });
 
     const page = await context.newPage();
-    await page.goto('https://demoqa.com', { waitUntil: 'domcontentloaded' });
+    await page.goto(baseURL, { waitUntil: 'domcontentloaded' });
 
     // Site may respond differently to mobile user agent
 
@@ -219,7 +219,7 @@ const deviceList = [
 ];
 
 for (const deviceName of deviceList) {
-    test(`should display correctly on ${deviceName}`, async ({ browser }) => {
+    test(`should display correctly on ${deviceName}`, async ({ browser, baseURL }) => {
         const device = devices[deviceName];
 
         const context = await browser.newContext({
@@ -227,7 +227,7 @@ for (const deviceName of deviceList) {
         });
 
         const page = await context.newPage();
-        await page.goto('https://demoqa.com', { waitUntil: 'domcontentloaded' });
+        await page.goto(baseURL, { waitUntil: 'domcontentloaded' });
 
         // Take screenshot for visual comparison
         await page.screenshot({
@@ -246,14 +246,14 @@ for (const deviceName of deviceList) {
  * ---------------------
  * Set device location (bonus feature).
  */
-test('should emulate geolocation', async ({ browser }) => {
+test('should emulate geolocation', async ({ browser, baseURL }) => {
     const context = await browser.newContext({
         geolocation: { latitude: 40.7128, longitude: -74.0060 }, // NYC
         permissions: ['geolocation']
     });
 
     const page = await context.newPage();
-    await page.goto('https://demoqa.com', { waitUntil: 'domcontentloaded' });
+    await page.goto(baseURL, { waitUntil: 'domcontentloaded' });
 
     // Pages requesting location would get NYC coordinates
 
@@ -265,13 +265,13 @@ test('should emulate geolocation', async ({ browser }) => {
  * ------------------
  * Test with different timezones.
  */
-test('should emulate timezone', async ({ browser }) => {
+test('should emulate timezone', async ({ browser, baseURL }) => {
     const context = await browser.newContext({
         timezoneId: 'America/New_York'
     });
 
     const page = await context.newPage();
-    await page.goto('https://demoqa.com', { waitUntil: 'domcontentloaded' });
+    await page.goto(baseURL, { waitUntil: 'domcontentloaded' });
 
     // Date/time on page would reflect Eastern timezone
 
@@ -283,13 +283,13 @@ test('should emulate timezone', async ({ browser }) => {
  * ----------------
  * Test with different locales.
  */
-test('should emulate locale', async ({ browser }) => {
+test('should emulate locale', async ({ browser, baseURL }) => {
     const context = await browser.newContext({
         locale: 'fr-FR'
     });
 
     const page = await context.newPage();
-    await page.goto('https://demoqa.com', { waitUntil: 'domcontentloaded' });
+    await page.goto(baseURL, { waitUntil: 'domcontentloaded' });
 
     // Pages checking navigator.language would see French locale
 
@@ -9,14 +9,15 @@
  * - Video recording - Record test execution
  * - Traces - Detailed execution record
  * - Console logs - Capture browser console
- * - Network logs - Monitor requests
+ * - consoleGuard - Fail on browser errors (fixtures/console.js)
+ * - Network logs - Monitor requests, assert with the network fixture
  * 
  * INTERVIEW TIP: Debugging is critical for troubleshooting tests.
  * Know how to use traces (especially in CI), take screenshots,
  * and use page.pause() for step-through debugging.
  */
 
-const { test, expect } = require('@playwright/test');
+const { test, expect } = require('../../fixtures');
 
 /**
  * SCREENSHOT - BASIC
@@ -212,9 +213,10 @@ test.skip('should pause for debugging', async ({ page }) => {
 /**
  * CONSOLE LOGS
  * ------------
- * Capture browser console output.
+ * Capture browser console output. consoleGuard (fixtures/console.js)
+ * listens too and keeps the errors and warnings.
  */
-test('should capture console logs', async ({ page }) => {
+test('should capture console logs', async ({ page, consoleGuard }) => {
     // Listen for console events
     const logs = [];
     page.on('console', msg => {
@@ -226,8 +228,11 @@ test('should capture console logs', async ({ page }) => {
 
     await page.goto('/');
 
-    // Any console.log in the page is captured
-    console.log('Captured console logs:', logs);
+    // The guard saw the same errors and warnings, and none of them is unexpected
+    const problems = logs.filter(log => log.type === 'error' || log.type === 'warning').map(log => log.text);
+    const guarded = consoleGuard.entries().filter(entry => entry.kind.startsWith('console.')).map(entry => entry.text);
+    expect(guarded).toEqual(problems);
+    expect(consoleGuard.unexpected()).toEqual([]);
 });
 
 /**
@@ -235,7 +240,7 @@ test('should capture console logs', async ({ page }) => {
  * -----------
  * Capture JavaScript errors.
  */
-test('should capture page errors', async ({ page }) => {
+test('should capture page errors', async ({ page, consoleGuard }) => {
     const errors = [];
 
     page.on('pageerror', error => {
@@ -244,38 +249,86 @@ test('should capture page errors', async ({ page }) => {
 
     await page.goto('/');
 
-    // Report any errors found
-    if (errors.length > 0) {
-        console.log('Page errors:', errors);
-    } else {
-        console.log('No page errors detected');
-    }
+    // Every uncaught error reached the guard; any that is not known noise fails here
+    const guarded = consoleGuard.entries().filter(entry => entry.kind === 'pageerror');
+    expect(guarded.map(entry => entry.text)).toEqual(errors);
+    expect(guarded.filter(entry => !entry.allowedBy)).toEqual([]);
 });
 
 /**
- * NETWORK REQUEST LOGGING
- * -----------------------
- * Monitor network requests for debugging.
+ * CONSOLE GUARD
+ * -------------
+ * Every test fails at teardown on console errors, warnings and page
+ * errors not on the allowlist. failOnConsoleErrors: false keeps the
+ * guard recording, so these tests can look at what it saw.
  */
-test('should log network requests', async ({ page }) => {
-    const requests = [];
-
-    page.on('request', request => {
-        requests.push({
-            url: request.url(),
-            method: request.method()
+test.describe('Console guard', () => {
+    test.use({ failOnConsoleErrors: false });
+
+    test('should report console errors, warnings and page errors', async ({ page, consoleGuard }) => {
+        await page.goto('/text-box');
+        await page.evaluate(() => {
+            console.log('not reported');
+            console.warn('deprecated call');
+            console.error('request failed');
+            setTimeout(() => { throw new Error('boom'); });
         });
+
+        await expect.poll(() => consoleGuard.unexpected().map(entry => `${entry.kind} ${entry.text}`)).toEqual(expect.arrayContaining([
+            'console.warn deprecated call',
+            'console.error request failed',
+            'pageerror boom',
+        ]));
+        expect(consoleGuard.entries().map(entry => entry.text)).not.toContain('not reported');
     });
 
+    test('should let a test allow known noise', async ({ page, consoleGuard }) => {
+        consoleGuard.allow(/^request failed$/);
+        await page.goto('/text-box');
+        await page.evaluate(() => console.error('request failed'));
+
+        await expect.poll(() => consoleGuard.entries()).toContainEqual(
+            expect.objectContaining({ kind: 'console.error', text: 'request failed', allowedBy: '/^request failed$/' }));
+        expect(consoleGuard.unexpected().map(entry => entry.text)).not.toContain('request failed');
+    });
+});
+
+/**
+ * NETWORK REQUEST LOGGING
+ * -----------------------
+ * Monitor network requests for debugging.
+ */
+test('should log network requests', async ({ page, network }) => {
+    // The network fixture (fixtures/network.js) records every request
+    // of the test and attaches them as network.json when it fails
     await page.goto('/books');
 
-    // Log captured requests
+    const requests = await network.requests();
     console.log(`Captured ${requests.length} requests`);
     requests.slice(0, 5).forEach(r => {
-        console.log(`${r.method} ${r.url}`);
+        console.log(`${r.method} ${r.url} ${r.status} ${r.duration}ms ${r.bytes ? r.bytes.transferred : '?'} bytes`);
     });
 });
 
+/**
+ * NETWORK ASSERTIONS
+ * ------------------
+ * expectRequests(filter) checks the recorded traffic once in-flight
+ * requests have ended.
+ */
+test('should assert on recorded network traffic', async ({ page, network }) => {
+    await page.goto('/books');
+    await expect(page.getByText('Git Pocket Guide')).toBeVisible();   // the Books API answered
+
+    await network.expectRequests({ method: 'GET', url: '**/BookStore/v1/Books' }).toHaveCount(1);
+    await network.expectRequests({ firstParty: true }).toSucceed();
+    await network.expectRequests({ method: 'POST', url: '**/Account/v1/Login' }).toBeEmpty();
+    await network.expectRequests({ firstParty: true }).toTransferLessThan(5 * 1024 * 1024);
+
+    const [document] = await network.requests({ resourceType: 'document' });
+    expect(document.initiator.type).toBe('navigation');
+});
+
 /**
  * SLOW MOTION MODE
  * ----------------
@@ -349,7 +402,7 @@ test('slow motion example', async ({ page }) => {
  * | Find locators | npx playwright codegen |
  * | Check console | page.on('console', ...) |
  * | Check errors | page.on('pageerror', ...) |
- * | Network issues | page.on('request', ...) |
+ * | Network issues | network fixture / page.on('request', ...) |
  * | Visual regression | Take screenshots |
  * | Test recording | Enable video |
  */
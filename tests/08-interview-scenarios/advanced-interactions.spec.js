@@ -5,7 +5,7 @@
  * Includes drag-and-drop, clipboard, shadow DOM, and infinite scroll.
  */
 
-const { test, expect } = require('@playwright/test');
+const { test, expect } = require('../../fixtures');
 
 test.describe('Advanced UI Interactions', () => {
 
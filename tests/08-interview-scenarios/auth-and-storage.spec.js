@@ -5,7 +5,7 @@
  * These tests cover frequent interview topics around login bypass and state.
  */
 
-const { test, expect } = require('@playwright/test');
+const { test, expect } = require('../../fixtures');
 const fs = require('fs');
 const path = require('path');
 
@@ -17,7 +17,7 @@ test.describe('Authentication & Storage Patterns', () => {
      * Instead of logging in via UI for every test (slow/flaky),
      * inject a valid session token directly into browser context.
      */
-    test('should bypass login using injected storage state', async ({ browser }) => {
+    test('should bypass login using injected storage state', async ({ browser, baseURL }) => {
         // 1. Create a context with pre-authenticated state
         // In real app, you'd populate this from a prior login or API call
         const adminContext = await browser.newContext({
@@ -26,20 +26,17 @@ test.describe('Authentication & Storage Patterns', () => {
                     {
                         name: 'userID',
                         value: 'test-user-id',
-                        domain: 'demoqa.com',
-                        path: '/'
+                        url: baseURL
                     },
                     {
                         name: 'userName',
                         value: 'test-user',
-                        domain: 'demoqa.com',
-                        path: '/'
+                        url: baseURL
                     },
                     {
                         name: 'token',
                         value: 'fake-jwt-token',
-                        domain: 'demoqa.com',
-                        path: '/'
+                        url: baseURL
                     }
                 ],
                 origins: []
@@ -49,7 +46,7 @@ test.describe('Authentication & Storage Patterns', () => {
         const page = await adminContext.newPage();
 
         // 2. Go to profile page directly
-        await page.goto('https://demoqa.com/profile', { waitUntil: 'domcontentloaded' });
+        await page.goto(`${baseURL}/profile`, { waitUntil: 'domcontentloaded' });
 
         // 3. Verify we didn't get redirected to login
         // Note: On DemoQA this might still show login if token is invalid, 
@@ -88,16 +85,15 @@ test.describe('Authentication & Storage Patterns', () => {
      * -------------------------------------
      * Verify app handles expired sessions correctly (redirect to login).
      */
-    test('should redirect to login when session expires', async ({ page }) => {
+    test('should redirect to login when session expires', async ({ page, baseURL }) => {
         // 1. Simulate logged in state first
         await page.context().addCookies([{
             name: 'token',
             value: 'valid-token',
-            domain: 'demoqa.com',
-            path: '/'
+            url: baseURL
         }]);
 
-        await page.goto('https://demoqa.com/profile', { waitUntil: 'domcontentloaded' });
+        await page.goto('/profile', { waitUntil: 'domcontentloaded' });
 
         // 2. Simulate expiry by deleting the cookie
         await page.context().clearCookies();
@@ -121,7 +117,7 @@ test.describe('Authentication & Storage Patterns', () => {
      * -------------------------------------
      * Test different permissions by using parallel contexts.
      */
-    test('should handle multiple user roles simultaneously', async ({ browser }) => {
+    test('should handle multiple user roles simultaneously', async ({ browser, baseURL }) => {
         // User Context
         const userContext = await browser.newContext({ storageState: { cookies: [], origins: [] } }); // Guest
         const userPage = await userContext.newPage();
@@ -129,7 +125,7 @@ test.describe('Authentication & Storage Patterns', () => {
         // Admin Context (simulated)
         const adminContext = await browser.newContext({
             storageState: {
-                cookies: [{ name: 'role', value: 'admin', domain: 'demoqa.com', path: '/' }],
+                cookies: [{ name: 'role', value: 'admin', url: baseURL }],
                 origins: []
             }
         });
@@ -137,8 +133,8 @@ test.describe('Authentication & Storage Patterns', () => {
 
         // Run actions in parallel
         await Promise.all([
-            userPage.goto('https://demoqa.com/books', { waitUntil: 'domcontentloaded' }),
-            adminPage.goto('https://demoqa.com/books', { waitUntil: 'domcontentloaded' })
+            userPage.goto(`${baseURL}/books`, { waitUntil: 'domcontentloaded' }),
+            adminPage.goto(`${baseURL}/books`, { waitUntil: 'domcontentloaded' })
         ]);
 
         // Verify User sees basic view
@@ -159,7 +155,7 @@ test.describe('Authentication & Storage Patterns', () => {
      * Security check: ensure sensitive tokens are gone after logout.
      */
     test('should clear local storage on logout', async ({ page }) => {
-        await page.goto('https://demoqa.com/login', { waitUntil: 'domcontentloaded' });
+        await page.goto('/login', { waitUntil: 'domcontentloaded' });
 
         // simulate login data
         await page.evaluate(() => {
@@ -11,7 +11,7 @@
  * but you control waiting for ASSERTIONS and CONDITIONS.
  */
 
-const { test, expect } = require('@playwright/test');
+const { test, expect } = require('../../fixtures');
 
 /**
  * WHAT IS AUTO-WAIT?
@@ -0,0 +1,212 @@
+/**
+ * REAL-WORLD SCENARIO 11: BOOK STORE API (LOCAL STUB)
+ * ===================================================
+ * API-level tests with the `request` fixture against the in-repo Book
+ * Store stub (server/bookstore-api.js). Every test creates its own user,
+ * so collections never leak between parallel workers.
+ *
+ * Run with: DEMOQA_TARGET=local npx playwright test bookstore-api
+ *
+ * PLAYWRIGHT FEATURES COVERED:
+ * - request fixture (APIRequestContext) with baseURL
+ * - Bearer token headers
+ * - Scripted 401 / 404 / 500 responses without page.route()
+ *
+ * INTERVIEW TIP: Set up state through the API, then assert through the
+ * UI. It is faster and far less flaky than clicking through sign-up.
+ */
+
+const { test, expect } = require('../../fixtures');
+
+const PASSWORD = 'Passw0rd!';
+const GIT_POCKET_GUIDE = '9781449325862';
+const SPEAKING_JAVASCRIPT = '9781449365035';
+
+test.skip(process.env.DEMOQA_TARGET !== 'local', 'Needs the local Book Store stub (DEMOQA_TARGET=local)');
+
+/**
+ * CREATE USER + TOKEN
+ * -------------------
+ * Unique user per call: worker index + timestamp + counter.
+ */
+let userCount = 0;
+async function createUser(request, testInfo) {
+    userCount += 1;
+    const userName = `user-${testInfo.workerIndex}-${Date.now()}-${userCount}`;
+    const created = await request.post('/Account/v1/User', { data: { userName, password: PASSWORD } });
+    expect(created.status()).toBe(201);
+    const { userID } = await created.json();
+
+    const tokenResponse = await request.post('/Account/v1/GenerateToken', { data: { userName, password: PASSWORD } });
+    const { token } = await tokenResponse.json();
+    return { userName, userId: userID, headers: { Authorization: `Bearer ${token}` } };
+}
+
+test.describe('Book Store API', () => {
+
+    /**
+     * SCENARIO 61: Seeded Catalogue
+     * -----------------------------
+     * The stub always serves the same books - safe to assert exact titles.
+     */
+    test('should list the seeded books', async ({ request }) => {
+        const response = await request.get('/BookStore/v1/Books');
+        expect(response.ok()).toBeTruthy();
+
+        const { books } = await response.json();
+        const titles = books.map(book => book.title);
+        expect(titles).toContain('Git Pocket Guide');
+        expect(titles).toContain('Speaking JavaScript');
+    });
+
+    /**
+     * SCENARIO 62: Per-User Collections
+     * ---------------------------------
+     * Add, read back and remove books for one user.
+     */
+    test('should add and remove books in a user collection', async ({ request }, testInfo) => {
+        const user = await createUser(request, testInfo);
+
+        const added = await request.post('/BookStore/v1/Books', {
+            headers: user.headers,
+            data: { userId: user.userId, collectionOfIsbns: [{ isbn: GIT_POCKET_GUIDE }, { isbn: SPEAKING_JAVASCRIPT }] },
+        });
+        expect(added.status()).toBe(201);
+
+        const duplicate = await request.post('/BookStore/v1/Books', {
+            headers: user.headers,
+            data: { userId: user.userId, collectionOfIsbns: [{ isbn: GIT_POCKET_GUIDE }] },
+        });
+        expect(duplicate.status()).toBe(400);
+        expect((await duplicate.json()).code).toBe('1210');
+
+        const removed = await request.delete('/BookStore/v1/Book', {
+            headers: user.headers,
+            data: { userId: user.userId, isbn: GIT_POCKET_GUIDE },
+        });
+        expect(removed.status()).toBe(204);
+
+        const profile = await request.get(`/Account/v1/User/${user.userId}`, { headers: user.headers });
+        const { books } = await profile.json();
+        expect(books.map(book => book.title)).toEqual(['Speaking JavaScript']);
+    });
+
+    /**
+     * SCENARIO 62b: Malformed Collections
+     * -----------------------------------
+     * One ISBN twice in a request, or no array at all: 400, and the
+     * collection stays empty.
+     */
+    test('should reject duplicate ISBNs and a non-array collection', async ({ request }, testInfo) => {
+        const user = await createUser(request, testInfo);
+
+        const twice = await request.post('/BookStore/v1/Books', {
+            headers: user.headers,
+            data: { userId: user.userId, collectionOfIsbns: [{ isbn: GIT_POCKET_GUIDE }, { isbn: GIT_POCKET_GUIDE }] },
+        });
+        expect(twice.status()).toBe(400);
+        expect((await twice.json()).code).toBe('1210');
+
+        for (const collectionOfIsbns of [GIT_POCKET_GUIDE, { isbn: GIT_POCKET_GUIDE }]) {
+            const malformed = await request.post('/BookStore/v1/Books', {
+                headers: user.headers,
+                data: { userId: user.userId, collectionOfIsbns },
+            });
+            expect(malformed.status(), JSON.stringify(collectionOfIsbns)).toBe(400);
+        }
+
+        const profile = await request.get(`/Account/v1/User/${user.userId}`, { headers: user.headers });
+        expect((await profile.json()).books).toEqual([]);
+    });
+
+    /**
+     * SCENARIO 63: Unauthorized Access
+     * --------------------------------
+     * No token (or someone else's) must be rejected with 401.
+     */
+    test('should reject requests without a valid token', async ({ request }, testInfo) => {
+        const user = await createUser(request, testInfo);
+        const other = await createUser(request, testInfo);
+
+        const anonymous = await request.get(`/Account/v1/User/${user.userId}`);
+        expect(anonymous.status()).toBe(401);
+        expect(await anonymous.json()).toEqual({ code: '1200', message: 'User not authorized!' });
+
+        const wrongUser = await request.post('/BookStore/v1/Books', {
+            headers: other.headers,
+            data: { userId: user.userId, collectionOfIsbns: [{ isbn: GIT_POCKET_GUIDE }] },
+        });
+        expect(wrongUser.status()).toBe(401);
+    });
+
+    /**
+     * SCENARIO 64: Token Expiry
+     * -------------------------
+     * /__bookstore/expire ages one user's tokens - no waiting 7 days.
+     */
+    test('should reject an expired token', async ({ request }, testInfo) => {
+        const user = await createUser(request, testInfo);
+        const credentials = { userName: user.userName, password: PASSWORD };
+
+        expect(await (await request.post('/Account/v1/Authorized', { data: credentials })).json()).toBe(true);
+
+        await request.post('/__bookstore/expire', { data: { userName: user.userName } });
+
+        expect(await (await request.post('/Account/v1/Authorized', { data: credentials })).json()).toBe(false);
+        const response = await request.get(`/Account/v1/User/${user.userId}`, { headers: user.headers });
+        expect(response.status()).toBe(401);
+    });
+
+    /**
+     * SCENARIO 65: Scripted Server Errors
+     * -----------------------------------
+     * The X-BookStore-Fault header fails just this request, so it is
+     * safe with parallel workers (unlike global fault rules).
+     */
+    for (const status of [401, 404, 500]) {
+        test(`should return scripted ${status} from the API`, async ({ request }) => {
+            const response = await request.get('/BookStore/v1/Books', {
+                headers: { 'X-BookStore-Fault': String(status) },
+            });
+            expect(response.status()).toBe(status);
+        });
+    }
+
+    /**
+     * SCENARIO 66: Failure Seen Through The UI
+     * ----------------------------------------
+     * Same fault, driven from the browser: every API call the page
+     * makes now fails, and the table falls back to "No rows found".
+     */
+    test('should show an empty book table when the API fails', async ({ page, consoleGuard }) => {
+        consoleGuard.allow(/\/BookStore\/v1\/Books$/);   // the browser logs the injected 500
+        await page.setExtraHTTPHeaders({ 'X-BookStore-Fault': '500' });
+
+        const responsePromise = page.waitForResponse('**/BookStore/v1/Books');
+        await page.goto('/books', { waitUntil: 'domcontentloaded' });
+        expect((await responsePromise).status()).toBe(500);
+
+        await expect(page.getByText('No rows found')).toBeVisible();
+    });
+
+    /**
+     * SCENARIO 67: Login With An API-Created User
+     * -------------------------------------------
+     * Create the account through the API, then log in through the UI.
+     */
+    test('should log in through the UI with an API-created user', async ({ page, request, network }, testInfo) => {
+        const user = await createUser(request, testInfo);
+
+        await page.goto('/login', { waitUntil: 'domcontentloaded' });
+        await page.locator('#userName').fill(user.userName);
+        await page.locator('#password').fill(PASSWORD);
+        await page.locator('#login').click();
+
+        await expect(page).toHaveURL(/\/profile/);
+        await expect(page.locator('#userName-value')).toHaveText(user.userName);
+
+        // One click, one login call - and nothing of ours failed on the way
+        await network.expectRequests({ method: 'POST', url: '**/Account/v1/Login' }).toHaveCount(1);
+        await network.expectRequests({ firstParty: true }).toSucceed();
+    });
+});
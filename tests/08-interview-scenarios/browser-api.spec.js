@@ -5,7 +5,7 @@
  * device orientation, and service workers.
  */
 
-const { test, expect } = require('@playwright/test');
+const { test, expect } = require('../../fixtures');
 
 test.describe('Browser Capabilities & APIs', () => {
 
@@ -0,0 +1,107 @@
+/**
+ * REAL-WORLD SCENARIO 13: COLOR CONTRAST
+ * ======================================
+ * WCAG 2.x contrast for every visible piece of text, from computed
+ * styles (helpers/contrast.js), in light and dark color-scheme
+ * emulation.
+ *
+ * Each page test attaches contrast.txt with the AA and AAA failures and
+ * the text whose background could not be resolved.
+ *
+ * PLAYWRIGHT FEATURES COVERED:
+ * - test.use({ colorScheme }) per describe block
+ * - expect(page).toPassContrastAudit() (fixtures/a11y.js)
+ *
+ * INTERVIEW TIP: Dark mode is a second design - a theme switch can
+ * leave grey-on-black text that no one sees on the light build.
+ */
+
+const { test, expect } = require('../../fixtures');
+const { contrastRatio, auditContrast, formatContrastReport } = require('../../helpers/contrast');
+
+const ROUTES = ['/text-box', '/buttons', '/automation-practice-form'];
+
+// Bootstrap 4's white on #007bff is 3.98:1 - known, reported in contrast.txt
+const KNOWN_FAILURES = ['.btn-primary'];
+
+for (const colorScheme of ['light', 'dark']) {
+    test.describe(`Color contrast (${colorScheme} scheme)`, () => {
+        test.use({ colorScheme });
+
+        for (const route of ROUTES) {
+            test(`${route} should meet WCAG AA contrast`, async ({ page }, testInfo) => {
+                await page.goto(route, { waitUntil: 'domcontentloaded' });
+
+                const results = await auditContrast(page);
+                await testInfo.attach('contrast.txt', {
+                    body: `${formatContrastReport(results, 'AA')}\n\n${formatContrastReport(results, 'AAA')}\n`,
+                    contentType: 'text/plain',
+                });
+                await expect(page).toPassContrastAudit({ level: 'AA', exclude: KNOWN_FAILURES });
+            });
+        }
+    });
+}
+
+test.describe('Contrast calculation', () => {
+
+    /**
+     * SCENARIO 13a: Ratio Formula
+     * ---------------------------
+     * Black on white is the maximum, 21:1; #777 on white just misses AA.
+     */
+    test('should compute WCAG contrast ratios', () => {
+        const white = { r: 255, g: 255, b: 255 };
+        expect(contrastRatio({ r: 0, g: 0, b: 0 }, white)).toBe(21);
+        expect(contrastRatio({ r: 0x77, g: 0x77, b: 0x77 }, white)).toBeCloseTo(4.48, 2);
+        expect(contrastRatio(white, { r: 0, g: 0x7b, b: 0xff })).toBeCloseTo(3.98, 2);
+    });
+
+    /**
+     * SCENARIO 13b: Painted Colors
+     * ----------------------------
+     * Backgrounds are inherited from ancestors, and opacity fades the
+     * text into what lies below it.
+     */
+    test('should resolve inherited backgrounds and opacity', async ({ page }) => {
+        await page.setContent(`
+            <section style="background: #000">
+                <p id="faded" style="color: #fff; opacity: .5">Half-faded white</p>
+            </section>
+            <section style="background: #007bff"><div><span id="inherited" style="color: #fff">On blue</span></div></section>
+            <div style="background: rgba(0, 0, 0, .5)"><span id="translucent" style="color: #000">On grey</span></div>
+            <h1 id="large" style="color: #fff; background: #007bff; font-size: 32px">Large</h1>
+            <button id="inactive" disabled style="color: #ccc; background: #fff">Disabled</button>`);
+
+        const results = await auditContrast(page);
+        const byPath = Object.fromEntries(results.map(result => [result.path, result]));
+
+        expect(byPath['p#faded']).toMatchObject({ foreground: '#808080', background: '#000000', aa: true, aaa: false });
+        expect(byPath['span#inherited']).toMatchObject({ foreground: '#ffffff', background: '#007bff', ratio: 3.98, aa: false });
+        expect(byPath['span#translucent']).toMatchObject({ foreground: '#000000', background: '#808080', aa: true });
+        // 3.98:1 is enough for large text (3:1)
+        expect(byPath['h1#large']).toMatchObject({ large: true, aa: true, aaa: false });
+        // Disabled controls are exempt
+        expect(byPath['button#inactive']).toBeUndefined();
+
+        await expect(page).not.toPassContrastAudit();
+        await expect(page).toPassContrastAudit({ exclude: ['#inherited'] });
+    });
+
+    /**
+     * SCENARIO 13c: Known Failures Stay Visible
+     * -----------------------------------------
+     * The excluded primary buttons are still measured - the numbers are
+     * there for the day the palette is fixed.
+     */
+    test('should report the primary buttons on /buttons', async ({ page }) => {
+        await page.goto('/buttons', { waitUntil: 'domcontentloaded' });
+
+        const results = await auditContrast(page);
+        const doubleClick = results.find(result => result.path === 'button#doubleClickBtn');
+        expect(doubleClick).toMatchObject({ text: 'Double Click Me', ratio: 3.98, aa: false });
+
+        await expect(page).not.toPassContrastAudit();
+    });
+
+});
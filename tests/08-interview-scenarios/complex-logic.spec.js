@@ -4,7 +4,8 @@
  * Testing complex state machines, calculations, and concurrent logic.
  */
 
-const { test, expect } = require('@playwright/test');
+const { test, expect } = require('../../fixtures');
+const webTable = require('../../helpers/web-table');
 
 test.describe('Complex Business Logic', () => {
 
@@ -80,19 +81,14 @@ test.describe('Complex Business Logic', () => {
         await searchBox.fill('JavaScript');
 
         // Verify all visible rows contain 'JavaScript'
-        const rows = page.locator('.rt-tr-group').filter({ hasText: /JavaScript/i });
-        const count = await rows.count();
-        expect(count).toBeGreaterThan(0);
-
-        // Verify NON-matching rows are hidden (empty rows might still exist in DOM but empty)
-        // Check text content of all visible non-empty rows
-        const allRows = await page.locator('.rt-tbody .rt-tr:not(.-padRow)').allInnerTexts();
-        // Since we filtered, all valid rows should match:
-        // Note: DemoQA keeps empty rows rendered, so we filter out empty strings
-        const validRows = allRows.filter(r => r.trim() !== '');
-
-        validRows.forEach(rowText => {
-            expect(rowText.toLowerCase()).toContain('javascript');
+        // readRows() drops the empty "-padRow" placeholders react-table
+        // keeps rendered, so every row it returns is a real match
+        const rows = await webTable.readRows(page.locator('.ReactTable'));
+        expect(rows.length).toBeGreaterThan(0);
+
+        rows.forEach(row => {
+            const text = [row.Title, row.Author, row.Publisher].join(' ');
+            expect(text.toLowerCase()).toContain('javascript');
         });
     });
 
@@ -5,7 +5,7 @@
  * Includes iframe handling, mobile emulation, geolocation, and time travel.
  */
 
-const { test, expect, devices } = require('@playwright/test');
+const { test, expect, devices } = require('../../fixtures');
 
 test.describe('Cross-Context & Environment', () => {
 
@@ -19,8 +19,8 @@ test.describe('Cross-Context & Environment', () => {
         const page1 = await context.newPage();
         const page2 = await context.newPage();
 
-        await page1.goto('https://demoqa.com/books', { waitUntil: 'domcontentloaded' });
-        await page2.goto('https://demoqa.com/profile', { waitUntil: 'domcontentloaded' });
+        await page1.goto('/books', { waitUntil: 'domcontentloaded' });
+        await page2.goto('/profile', { waitUntil: 'domcontentloaded' });
 
         // Simulate a login in Page 1
         await page1.evaluate(() => localStorage.setItem('token', 'synced-token'));
@@ -58,14 +58,14 @@ test.describe('Cross-Context & Environment', () => {
      * --------------------------------------
      * Verify responsive layout on specific device.
      */
-    test('should verify mobile layout on iPhone 12', async ({ browser }) => {
+    test('should verify mobile layout on iPhone 12', async ({ browser, baseURL }) => {
         // Create context with device descriptor
         const context = await browser.newContext({
             ...devices['iPhone 12']
         });
         const page = await context.newPage();
 
-        await page.goto('https://demoqa.com', { waitUntil: 'domcontentloaded' });
+        await page.goto(baseURL, { waitUntil: 'domcontentloaded' });
 
         // Verify hamburger menu exists (collapsed nav)
         // DemoQA might modify layout, check for specific mobile element
@@ -107,29 +107,34 @@ test.describe('Cross-Context & Environment', () => {
         expect(now).toBe(futureDate);
     });
 
-    /**
-     * SCENARIO 30: Geolocation Mocking
-     * --------------------------------
-     * Test location-based features without moving.
-     */
-    test('should mock geolocation to London', async ({ context, page }) => {
-        // Grant permission and set location
-        await context.grantPermissions(['geolocation']);
-        await context.setGeolocation({ latitude: 51.5074, longitude: -0.1278 }); // London
-
-        await page.goto('https://www.google.com/maps', { waitUntil: 'domcontentloaded' }); // Or any map page
-
-        // Verify current position
-        const location = await page.evaluate(() => {
-            return new Promise(resolve => {
-                navigator.geolocation.getCurrentPosition(pos => {
-                    resolve({ lat: pos.coords.latitude, lng: pos.coords.longitude });
+    test.describe('on a third-party page', () => {
+        // Its console is not ours to police
+        test.use({ failOnConsoleErrors: false });
+
+        /**
+         * SCENARIO 30: Geolocation Mocking
+         * --------------------------------
+         * Test location-based features without moving.
+         */
+        test('should mock geolocation to London', async ({ context, page }) => {
+            // Grant permission and set location
+            await context.grantPermissions(['geolocation']);
+            await context.setGeolocation({ latitude: 51.5074, longitude: -0.1278 }); // London
+
+            await page.goto('https://www.google.com/maps', { waitUntil: 'domcontentloaded' }); // Or any map page
+
+            // Verify current position
+            const location = await page.evaluate(() => {
+                return new Promise(resolve => {
+                    navigator.geolocation.getCurrentPosition(pos => {
+                        resolve({ lat: pos.coords.latitude, lng: pos.coords.longitude });
+                    });
                 });
             });
-        });
 
-        expect(location.lat).toBe(51.5074);
-        expect(location.lng).toBe(-0.1278);
+            expect(location.lat).toBe(51.5074);
+            expect(location.lng).toBe(-0.1278);
+        });
     });
 
 });
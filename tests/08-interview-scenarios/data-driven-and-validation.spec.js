@@ -5,7 +5,7 @@
  * Includes data-driven tests, table sorting, file operations, and console monitoring.
  */
 
-const { test, expect } = require('@playwright/test');
+const { test, expect } = require('../../fixtures');
 const fs = require('fs');
 const path = require('path');
 
@@ -111,12 +111,11 @@ test.describe('Data & Validation Patterns', () => {
      * ------------------------
      * Verify file upload works (interacting with system dialog).
      */
-    test('should upload a file and display path', async ({ page }) => {
+    test('should upload a file and display path', async ({ page, files }) => {
         await page.goto('/upload-download', { waitUntil: 'domcontentloaded' });
 
-        // Create a dummy file
-        const filePath = 'test-results/upload-test.txt';
-        fs.writeFileSync(filePath, 'Hello World');
+        // Create a dummy file (per-test temp folder, removed after the test)
+        const filePath = files.text({ name: 'upload-test.txt', content: 'Hello World' });
 
         // Upload
         await page.locator('#uploadFile').setInputFiles(filePath);
@@ -130,20 +129,15 @@ test.describe('Data & Validation Patterns', () => {
      * -----------------------------------
      * Fail test if application throws errors.
      */
-    test('should catch console errors', async ({ page }) => {
-        const errors = [];
-        page.on('console', msg => {
-            if (msg.type() === 'error') errors.push(msg.text());
-        });
+    test('should catch console errors', async ({ page, consoleGuard }) => {
+        // Every test already fails on console errors (fixtures/console.js);
+        // this one expects exactly one - the broken image's 404
+        consoleGuard.allow(/Toolsqa_1\.jpg/);
 
         await page.goto('/broken', { waitUntil: 'domcontentloaded' });
 
-        // We expect errors on this page, but in a real test you might assert:
-        // expect(errors.length).toBe(0);
-
-        console.log('Found errors:', errors.length);
-        // For demo, we just assert we caught them
-        // (DemoQA broken page might not always throw console.error, but network error)
+        await expect.poll(() => consoleGuard.entries().map(entry => entry.source)).toContainEqual(expect.stringContaining('Toolsqa_1.jpg'));
+        expect(consoleGuard.unexpected()).toEqual([]);
     });
 
     /**
@@ -151,7 +145,9 @@ test.describe('Data & Validation Patterns', () => {
      * --------------------------------
      * Scrape all links and verify they don't 404.
      */
-    test('should check for broken links on page', async ({ page, request }) => {
+    test('should check for broken links on page', async ({ page, request, consoleGuard }) => {
+        consoleGuard.allow(/Toolsqa_1\.jpg/);
+
         await page.goto('/broken', { waitUntil: 'domcontentloaded' });
 
         // Get all links
@@ -20,7 +20,7 @@
  * - Explicit waits when needed
  */
 
-const { test, expect } = require('@playwright/test');
+const { test, expect } = require('../../fixtures');
 
 /**
  * PROBLEM 1: ELEMENT APPEARS AFTER DELAY
@@ -139,7 +139,9 @@ test.describe('Overlapping Elements', () => {
     /**
      * CORRECT: Wait for loading spinner
      */
-    test('should wait for loading spinner', async ({ page }) => {
+    test('should wait for loading spinner', async ({ page, throttling }) => {
+        // A realistic connection, so there is a loading phase to wait for
+        await throttling.apply('Fast 4G');
         await page.goto('/books');
 
         // Wait for any loading indicators to disappear
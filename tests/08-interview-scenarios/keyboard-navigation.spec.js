@@ -0,0 +1,112 @@
+/**
+ * REAL-WORLD SCENARIO 14: KEYBOARD-ONLY NAVIGATION
+ * ================================================
+ * Crawls each page with Tab and Shift+Tab only (helpers/focus-order.js)
+ * and compares the focus order - role, accessible name and selector of
+ * every stop, plus any traps, invisible focus or jumps against reading
+ * order - with a stored baseline.
+ *
+ * Baselines live next to this file, one per target (live site or local
+ * replica) and project - see snapshotPathTemplate in playwright.config.js:
+ *   keyboard-navigation.spec.js-snapshots/local/chromium/text-box-focus-order.txt
+ *
+ * A target without its baseline skips the test and names the command
+ * that records it (helpers/baselines.js) - only the local set is
+ * committed so far. Record, or after an intended change refresh, and
+ * review the diff:
+ *   npx playwright test keyboard-navigation --update-snapshots
+ *   DEMOQA_TARGET=local npx playwright test keyboard-navigation --update-snapshots
+ *
+ * PLAYWRIGHT FEATURES COVERED:
+ * - page.keyboard.press('Tab' / 'Shift+Tab')
+ * - frame.locator(':focus') and ariaSnapshot() for the focused element
+ * - expect(text).toMatchSnapshot() for non-visual baselines
+ *
+ * INTERVIEW TIP: A baseline of the whole tab order catches the field
+ * someone wrapped in a div with tabindex="0" - a change no assertion
+ * on a single element would notice.
+ */
+
+const { test, expect } = require('../../fixtures');
+const { crawlFocusOrder, formatFocusOrder } = require('../../helpers/focus-order');
+const { skipWithoutBaseline, targetCommand } = require('../../helpers/baselines');
+
+/* /buttons gives "Click Me" a random five-letter id on every load */
+const ROUTES = {
+    '/text-box': {},
+    '/automation-practice-form': {},
+    '/buttons': { unstableIds: /^[a-z0-9]{5}$/ },
+    '/webtables': {},
+};
+
+test.describe('Keyboard navigation', () => {
+
+    for (const [route, options] of Object.entries(ROUTES)) {
+        test(`${route} focus order should match its baseline`, async ({ page }, testInfo) => {
+            // Dashes, not dots: toMatchSnapshot() would turn "text-box.focus-order" into "text-box-focus-order" anyway
+            const baseline = `${route.slice(1)}-focus-order.txt`;
+            skipWithoutBaseline(testInfo, baseline, {
+                update: targetCommand('npx playwright test keyboard-navigation --update-snapshots'),
+            });
+            await page.goto(route, { waitUntil: 'domcontentloaded' });
+
+            const map = await crawlFocusOrder(page, options);
+            const snapshot = formatFocusOrder(map);
+            await testInfo.attach('focus-order.txt', { body: snapshot, contentType: 'text/plain' });
+
+            expect(map.issues.filter(issue => issue.type === 'trap'), 'keyboard traps').toEqual([]);
+            expect(snapshot).toMatchSnapshot(baseline);
+        });
+    }
+
+    /**
+     * SCENARIO 14a: Order and Visibility Issues
+     * -----------------------------------------
+     * A positive tabindex pulls a button at the bottom to the front, and
+     * a "skip link" parked off-screen is focusable but never visible.
+     */
+    test('should flag focus jumps and invisible focus', async ({ page }) => {
+        await page.setContent(`
+            <style>button { display: block; margin: 8px; }</style>
+            <button id="first">First</button>
+            <input id="name" aria-label="Name">
+            <a id="offscreen" href="#main" style="position: absolute; left: -9999px">Skip to content</a>
+            <button id="last">Last</button>
+            <button id="early" tabindex="1">Early</button>`);
+
+        const map = await crawlFocusOrder(page);
+
+        expect(map.cycled).toBe(true);
+        expect(map.forward.map(stop => `${stop.role} ${stop.name}`)).toEqual([
+            'button Early', 'button First', 'textbox Name', 'link Skip to content', 'button Last',
+        ]);
+        expect(map.issues.map(issue => `${issue.type} ${issue.selector}`)).toEqual([
+            'invisible #offscreen',
+            'order #first',
+        ]);
+    });
+
+    /**
+     * SCENARIO 14b: Keyboard Trap
+     * ---------------------------
+     * A widget that swallows Tab keeps keyboard users from ever leaving.
+     */
+    test('should detect a keyboard trap', async ({ page }) => {
+        await page.setContent(`
+            <button id="before">Before</button>
+            <input id="stuck" aria-label="Stuck">
+            <button id="after">After</button>
+            <script>
+                document.getElementById('stuck').addEventListener('keydown', event => {
+                    if (event.key === 'Tab') event.preventDefault();
+                });
+            </script>`);
+
+        const map = await crawlFocusOrder(page);
+
+        expect(map.cycled).toBe(false);
+        expect(map.issues[0]).toMatchObject({ type: 'trap', selector: '#stuck' });
+        expect(formatFocusOrder(map)).toContain('Tab does not move focus away from #stuck');
+    });
+
+});
@@ -5,7 +5,7 @@
  * slow loading, and offline behavior without relying on backend stability.
  */
 
-const { test, expect } = require('@playwright/test');
+const { test, expect } = require('../../fixtures');
 
 test.describe('Network Interception & Mocking', () => {
 
@@ -14,7 +14,10 @@ test.describe('Network Interception & Mocking', () => {
      * -------------------------------------
      * Verify frontend shows user-friendly error message when backend fails.
      */
-    test('should handle 500 server error gracefully', async ({ page }) => {
+    test('should handle 500 server error gracefully', async ({ page, consoleGuard }) => {
+        // The browser logs every failed response - this one is the point of the test
+        consoleGuard.allow(/\/BookStore\/v1\/Books$/);
+
         // Intercept request to books API and fail it
         await page.route('**/BookStore/v1/Books', route => {
             route.fulfill({
@@ -104,12 +107,34 @@ test.describe('Network Interception & Mocking', () => {
         await expect(page.locator('.rt-tbody')).toBeVisible();
     });
 
+    /**
+     * SCENARIO 9b: Whole Page on Slow 3G
+     * ----------------------------------
+     * Delaying one route slows one request; a throttling profile
+     * (fixtures/throttling.js) slows every request of the page, the
+     * way a user on a bad connection sees it. Chromium only.
+     */
+    test('should load the book table on Slow 3G', async ({ page, throttling }) => {
+        test.setTimeout(120000);
+        await throttling.apply('Slow 3G');
+
+        const started = Date.now();
+        await page.goto('/books', { waitUntil: 'domcontentloaded', timeout: 60000 });
+
+        // Until the Books API answers, the table is still empty
+        await expect(page.getByText('Git Pocket Guide')).toBeVisible({ timeout: 60000 });
+        // 2000ms latency per request: HTML, then the API call at least
+        expect(Date.now() - started).toBeGreaterThan(4000);
+    });
+
     /**
      * SCENARIO 10: Offline Mode Simulation
      * ------------------------------------
      * Verify app behaves correctly when offline.
      */
-    test('should handle offline mode', async ({ page, context }) => {
+    test('should handle offline mode', async ({ page, context, consoleGuard }) => {
+        consoleGuard.allow(/net::ERR_INTERNET_DISCONNECTED/);
+
         await page.goto('/books', { waitUntil: 'domcontentloaded' });
 
         // Go offline
@@ -135,7 +160,9 @@ test.describe('Network Interception & Mocking', () => {
      * -----------------------------------------------
      * Speed up tests by blocking images, fonts, or analytics.
      */
-    test('should abort heavy resource requests for faster testing', async ({ page }) => {
+    test('should abort heavy resource requests for faster testing', async ({ page, consoleGuard }) => {
+        consoleGuard.allow(/net::ERR_FAILED/);   // route.abort() default
+
         await page.route('**/*.{png,jpg,jpeg,gif,svg}', route => route.abort());
         await page.route('**/*.{woff,woff2}', route => route.abort());
 
@@ -0,0 +1,50 @@
+/**
+ * REAL-WORLD SCENARIO 12: PERFORMANCE BUDGETS
+ * ===========================================
+ * Every route in performance/budgets.js is loaded once and its Web
+ * Vitals (LCP, CLS, INP, TBT, long tasks, TTFB, DOMContentLoaded, JS
+ * heap) are checked against its budget.
+ *
+ * Each test attaches web-vitals.txt - budget, previous run, this run -
+ * and the run's results are kept in performance/runs/<timestamp>.json
+ * for the next run to compare against.
+ *
+ * Run:  npx playwright test performance-budgets
+ *
+ * PLAYWRIGHT FEATURES COVERED:
+ * - Tests generated from a config file
+ * - The vitals fixture (fixtures/vitals.js)
+ *
+ * INTERVIEW TIP: Put the budget next to the code, not in a dashboard -
+ * a pull request that makes /books slower then fails its own build.
+ */
+
+const { test, expect } = require('../../fixtures');
+const budgets = require('../../performance/budgets');
+const { METRICS } = require('../../helpers/web-vitals');
+
+test.describe('Performance budgets', () => {
+    // One after another in one worker: parallel page loads would slow
+    // each other down. Unlike 'serial', a failure does not skip the rest.
+    test.describe.configure({ mode: 'default' });
+
+    for (const route of Object.keys(budgets.routes)) {
+        test(`${route} should stay within its budget`, async ({ vitals }) => {
+            await vitals.expectWithinBudget(route);
+        });
+    }
+});
+
+/**
+ * BUDGET FILE SANITY
+ * ------------------
+ * Only known metrics, only positive numbers.
+ */
+test('should only budget known metrics', () => {
+    for (const [route, overrides] of Object.entries({ defaults: budgets.defaults, ...budgets.routes })) {
+        for (const [metric, value] of Object.entries(overrides)) {
+            expect(Object.keys(METRICS), `${route}.${metric}`).toContain(metric);
+            expect(value, `${route}.${metric}`).toBeGreaterThan(0);
+        }
+    }
+});
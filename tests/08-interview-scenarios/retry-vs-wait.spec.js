@@ -29,7 +29,7 @@
  *    - ❌ AVOID - slow and unreliable
  */
 
-const { test, expect } = require('@playwright/test');
+const { test, expect } = require('../../fixtures');
 
 /**
  * TEST RETRIES - CONFIG LEVEL
@@ -5,7 +5,7 @@
  * Includes XSS, SQLi, sensitive data exposure, and secure headers.
  */
 
-const { test, expect } = require('@playwright/test');
+const { test, expect } = require('../../fixtures');
 
 test.describe('Security Validation', () => {
 
@@ -30,8 +30,8 @@ test.describe('Security Validation', () => {
         // Check if the script tag is literally in the text (meaning it was treated as string)
         // OR it was stripped.
         // What we DON'T want is the alert to have triggered. 
-        // Playwright handles dialogs automatically by dismissing, so we can check if one appeared?
-        // Better: ensure the DOM doesn't contain a new <script> tag under the output.
+        // An alert() from the payload would fail the test via the dialogGuard fixture.
+        // Also ensure the DOM doesn't contain a new <script> tag under the output.
 
         await expect(page.locator('#output script')).toHaveCount(0);
     });